@@ -1,5 +1,35 @@
 import { ResearchImportExport } from "../research/importer.js";
-import { RESEARCH_UPDATE_HOOK } from "../research/tracker.js";
+import { ResearchJournal } from "../research/journal.js";
+import { RESEARCH_OUTCOMES, RESEARCH_UPDATE_HOOK } from "../research/tracker.js";
+import {
+  DEFAULT_ATTITUDE_BANDS,
+  DEFAULT_REPUTATION_RANGE,
+  REPUTATION_UPDATE_HOOK,
+  getAttitudeBandLabel,
+  resolveAttitudeBand,
+} from "../reputation/reputation-tracker.js";
+import {
+  AWARENESS_UPDATE_HOOK,
+  AWARENESS_VISIBILITY_MODES,
+  DECAY_UNITS,
+} from "../awareness/awareness-tracker.js";
+import { CHASE_UPDATE_HOOK } from "../chase/tracker.js";
+import { INFLUENCE_UPDATE_HOOK } from "../influence/tracker.js";
+import {
+  INFILTRATION_OBSTACLE_TYPES,
+  INFILTRATION_UPDATE_HOOK,
+} from "../infiltration/tracker.js";
+import { VICTORY_UPDATE_HOOK } from "../victory/tracker.js";
+import { RELAY_ACTIONS } from "../socket/relay.js";
+import { HISTORY_UPDATE_HOOK } from "../history/history.js";
+import { TrackerBundle } from "../bundle/tracker-bundle.js";
+import { StatblockImport, parseCheckList } from "../statblock/statblock-parser.js";
+import { slugifySkill } from "../research/auto-update.js";
+import {
+  getActorLinkData,
+  openLinkedDocument,
+  resolveDroppedDocument,
+} from "../links/document-links.js";
 
 const MODULE_ID = "pf2e-points-tracker";
 
@@ -27,6 +57,13 @@ function escapeAttribute(value) {
   return escapeHtml(value).replace(/"/g, "&quot;");
 }
 
+const OUTCOME_LABEL_KEYS = {
+  criticalsuccess: "PF2E.PointsTracker.Research.AutoOutcome.criticalSuccess",
+  success: "PF2E.PointsTracker.Research.AutoOutcome.success",
+  failure: "PF2E.PointsTracker.Research.AutoOutcome.failure",
+  criticalfailure: "PF2E.PointsTracker.Research.AutoOutcome.criticalFailure",
+};
+
 class BaseResearchTrackerApp extends FormApplication {
   /**
    * @param {ResearchTracker} tracker
@@ -247,6 +284,14 @@ class BaseResearchTrackerApp extends FormApplication {
           isComplete,
           assignedActors,
           hasMissingAssignments: assignedActors.some((actor) => !actor.isActive),
+          canAdjust:
+            isGM ||
+            Boolean(
+              this.relay?.canPerform(RELAY_ACTIONS.RESEARCH_ADJUST_LOCATION, {
+                topicId: topic.id,
+                locationId: location.id,
+              })
+            ),
         };
       });
 
@@ -284,10 +329,12 @@ class BaseResearchTrackerApp extends FormApplication {
 
       enrichedTopics.push({
         ...topic,
+        templateLink: this._prepareTemplateLink(topic),
         level: hasLevel ? Number(levelNumber) : null,
         hasLevel,
         completed: topic.target > 0 && topic.progress >= topic.target,
         thresholds,
+        hasRevealedThresholds: thresholds.some((threshold) => threshold.isRevealed),
         locations: sanitizedLocations,
         hasHiddenLocations: normalizedLocations.some((location) => !location.isRevealed),
         isCollapsed: !this._expandedTopics.has(topic.id),
@@ -301,10 +348,16 @@ class BaseResearchTrackerApp extends FormApplication {
       });
     }
 
+    const canLogNote =
+      enrichedTopics.length > 0 &&
+      (isGM ||
+        Boolean(this.relay && this.relay.getPolicy(RELAY_ACTIONS.RESEARCH_LOG_NOTE) !== "gm"));
+
     return {
       isGM,
       topics: enrichedTopics,
       log,
+      canLogNote,
     };
   }
 
@@ -314,7 +367,14 @@ class BaseResearchTrackerApp extends FormApplication {
    */
   activateListeners(html) {
     super.activateListeners(html);
+    this._activateResearchListeners(html);
+  }
 
+  /**
+   * Bind research controls within the given element.
+   * @param {JQuery} html
+   */
+  _activateResearchListeners(html) {
     html
       .find("[data-action='create-topic']")
       .off("click")
@@ -359,6 +419,14 @@ class BaseResearchTrackerApp extends FormApplication {
       .find("[data-action='resend-reveal']")
       .off("click")
       .on("click", (event) => this._onSendReveal(event, true));
+    html
+      .find("[data-action='hide-reveal']")
+      .off("click")
+      .on("click", (event) => this._onHideReveal(event));
+    html
+      .find("[data-action='reset-reveals']")
+      .off("click")
+      .on("click", (event) => this._onResetReveals(event));
     html
       .find("[data-action='import-topics']")
       .off("click")
@@ -367,6 +435,14 @@ class BaseResearchTrackerApp extends FormApplication {
       .find("[data-action='export-topics']")
       .off("click")
       .on("click", (event) => this._onExportTopics(event));
+    html
+      .find("[data-action='import-topics-journal']")
+      .off("click")
+      .on("click", (event) => this._onImportTopicsFromJournal(event));
+    html
+      .find("[data-action='export-topics-journal']")
+      .off("click")
+      .on("click", (event) => this._onExportTopicsToJournal(event));
     html
       .find("[data-action='create-location']")
       .off("click")
@@ -399,8 +475,22 @@ class BaseResearchTrackerApp extends FormApplication {
       .find("[data-action='resend-location']")
       .off("click")
       .on("click", (event) => this._onRevealLocation(event, true));
+    html
+      .find("[data-action='add-research-note']")
+      .off("click")
+      .on("click", (event) => this._onAddResearchNote(event));
+    html
+      .find("[data-action='open-linked-document']")
+      .off("click")
+      .on("click", (event) => this._onOpenLinkedDocument(event));
+    html
+      .find("[data-action='unlink-topic-journal'], [data-action='unlink-location-journal']")
+      .off("click")
+      .on("click", (event) => this._onUnlinkJournal(event));
 
     this._bindTopicPortraitDropzones(html);
+    this._bindJournalLinkDrops(html);
+    this._bindJournalImportDrop(html);
     this._setupAssignmentDragAndDrop(html);
     html
       .find("[data-action='remove-assigned-actor']")
@@ -408,6 +498,27 @@ class BaseResearchTrackerApp extends FormApplication {
       .on("click", (event) => this._onRemoveAssignedActor(event));
   }
 
+  /**
+   * Describe the library template an entry was created from, if it is still
+   * registered.
+   * @param {{ templateSource?: object | null }} entry
+   */
+  _prepareTemplateLink(entry) {
+    const template = this.templateLibrary?.getSourceTemplate(entry);
+    if (!template) return null;
+    const isOutdated = template.version > (entry.templateSource?.version ?? 0);
+    return {
+      name: template.name,
+      isOutdated,
+      title: game.i18n.format(
+        isOutdated
+          ? "PF2E.PointsTracker.Templates.RefreshOutdated"
+          : "PF2E.PointsTracker.Templates.RefreshHint",
+        { template: template.name }
+      ),
+    };
+  }
+
   /** @private */
   _onToggleTopic(event) {
     event.preventDefault();
@@ -473,6 +584,8 @@ class BaseResearchTrackerApp extends FormApplication {
         level: topic.level,
         summary: topic.summary,
         thresholds: Array.isArray(topic.thresholds) ? topic.thresholds : [],
+        relockThresholds: topic.relockThresholds,
+        outcomePoints: topic.outcomePoints,
       },
       disableTarget: Array.isArray(topic.locations) && topic.locations.length > 0,
     });
@@ -665,6 +778,8 @@ class BaseResearchTrackerApp extends FormApplication {
       summary: initial.summary ?? "",
       thresholds: Array.isArray(initial.thresholds) ? initial.thresholds : [],
       locations: Array.isArray(initial.locations) ? initial.locations : [],
+      relockThresholds: Boolean(initial.relockThresholds),
+      outcomePoints: initial.outcomePoints ?? {},
     };
 
     const template = `
@@ -693,6 +808,18 @@ class BaseResearchTrackerApp extends FormApplication {
             ${game.i18n.localize("PF2E.PointsTracker.Research.AddThreshold")}
           </button>
         </fieldset>
+        <div class="form-group">
+          <label class="checkbox">
+            <input type="checkbox" name="relockThresholds" ${values.relockThresholds ? "checked" : ""} />
+            ${game.i18n.localize("PF2E.PointsTracker.Research.RelockThresholds")}
+          </label>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Research.RelockThresholdsHint")}</p>
+        </div>
+        ${this._renderOutcomePointsFieldset(
+          values.outcomePoints,
+          this.tracker.getDefaultOutcomePoints(),
+          "PF2E.PointsTracker.Research.OutcomePoints.TopicHint"
+        )}
         ${
           includeLocations
             ? `
@@ -792,6 +919,8 @@ class BaseResearchTrackerApp extends FormApplication {
           .filter((entry) => entry);
 
         payload.thresholds = thresholdEntries;
+        payload.relockThresholds = fd.has("relockThresholds");
+        payload.outcomePoints = this._readOutcomePoints(fd);
 
         if (includeLocations) {
           const locationEntries = Array.from(
@@ -1277,6 +1406,16 @@ class BaseResearchTrackerApp extends FormApplication {
     const reason = typeof button.dataset.reason === "string" ? button.dataset.reason.trim() : "";
     const metadata = reason ? { reason } : undefined;
 
+    if (!game.user?.isGM) {
+      await this.relay?.request(RELAY_ACTIONS.RESEARCH_ADJUST_LOCATION, {
+        topicId,
+        locationId,
+        delta,
+        reason,
+      });
+      return;
+    }
+
     await this.tracker.adjustLocationPoints(topicId, locationId, delta, metadata);
     this.render();
   }
@@ -1339,6 +1478,11 @@ class BaseResearchTrackerApp extends FormApplication {
           <label>${game.i18n.localize("PF2E.PointsTracker.Research.LocationDescription")}</label>
           <textarea name="description" rows="3"></textarea>
         </div>
+        ${this._renderOutcomePointsFieldset(
+          {},
+          this.tracker.getOutcomePoints(topicId),
+          "PF2E.PointsTracker.Research.OutcomePoints.LocationHint"
+        )}
         ${assignmentsSection}
       </form>
     `;
@@ -1389,6 +1533,7 @@ class BaseResearchTrackerApp extends FormApplication {
           checks,
           skill: primaryCheck?.skill,
           dc: primaryCheck?.dc ?? null,
+          outcomePoints: this._readOutcomePoints(fd),
         };
       },
       rejectClose: false,
@@ -1536,6 +1681,11 @@ class BaseResearchTrackerApp extends FormApplication {
           </label>
           <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Research.LocationRevealVisibleHint")}</p>
         </div>
+        ${this._renderOutcomePointsFieldset(
+          location.outcomePoints,
+          this.tracker.getOutcomePoints(topicId),
+          "PF2E.PointsTracker.Research.OutcomePoints.LocationHint"
+        )}
         ${assignmentsSection}
       </form>
     `;
@@ -1591,6 +1741,7 @@ class BaseResearchTrackerApp extends FormApplication {
           ...(primaryCheck?.skill ? { skill: primaryCheck.skill } : {}),
           dc: primaryCheck?.dc ?? null,
           isRevealed: Boolean(revealCheckbox?.checked),
+          outcomePoints: this._readOutcomePoints(fd),
         };
       },
       rejectClose: false,
@@ -2662,6 +2813,15 @@ class BaseResearchTrackerApp extends FormApplication {
       const location = topic?.locations?.find((entry) => entry.id === locationId);
       if (!location) return;
 
+      if (!game.user?.isGM) {
+        await this.relay?.request(RELAY_ACTIONS.RESEARCH_ASSIGN_SELF, {
+          topicId,
+          locationId,
+          actorUuid,
+        });
+        return;
+      }
+
       const normalized = this._normalizeAssignedActors(location.assignedActors);
       if (normalized.some((entry) => entry.uuid === actorUuid)) {
         return;
@@ -2733,6 +2893,15 @@ class BaseResearchTrackerApp extends FormApplication {
       const location = topic?.locations?.find((entry) => entry.id === locationId);
       if (!location) return;
 
+      if (!game.user?.isGM) {
+        await this.relay?.request(RELAY_ACTIONS.RESEARCH_UNASSIGN_SELF, {
+          topicId,
+          locationId,
+          actorUuid,
+        });
+        return;
+      }
+
       const normalized = this._normalizeAssignedActors(location.assignedActors);
       const filtered = normalized.filter((entry) => entry.uuid !== actorUuid);
       if (filtered.length === normalized.length) return;
@@ -2887,6 +3056,39 @@ class BaseResearchTrackerApp extends FormApplication {
     this.render();
   }
 
+  /** @private */
+  async _onHideReveal(event) {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const topicId = button.closest("[data-topic-id]")?.dataset.topicId;
+    const thresholdId = button.dataset.thresholdId;
+    if (!topicId || !thresholdId) return;
+
+    await this.tracker.hideThreshold(topicId, thresholdId);
+    this.render();
+  }
+
+  /** @private */
+  async _onResetReveals(event) {
+    event.preventDefault();
+    const topicId = event.currentTarget.closest("[data-topic-id]")?.dataset.topicId;
+    if (!topicId) return;
+
+    const topic = this.tracker.getTopic(topicId);
+    if (!topic) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Research.RevealReset"),
+      content: `<p>${game.i18n.format("PF2E.PointsTracker.Research.RevealResetConfirm", {
+        name: escapeHtml(topic.name),
+      })}</p>`,
+    });
+    if (!confirmed) return;
+
+    await this.tracker.resetReveals(topicId);
+    this.render();
+  }
+
   /** @private */
   async _onRevealLocation(event, resend) {
     event.preventDefault();
@@ -2900,6 +3102,63 @@ class BaseResearchTrackerApp extends FormApplication {
     this.render();
   }
 
+  /** @private */
+  async _onAddResearchNote(event) {
+    event.preventDefault();
+    const topics = this.tracker?.getTopics() ?? [];
+    if (!topics.length) return;
+
+    const topicOptions = topics
+      .map(
+        (topic) =>
+          `<option value="${escapeAttribute(topic.id)}">${escapeHtml(topic.name)}</option>`
+      )
+      .join("");
+    const characterUuid = game.user?.character?.uuid ?? "";
+
+    const response = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Research.AddNote"),
+      content: `
+        <form class="flexcol">
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Research.NoteTopic")}</label>
+            <select name="topicId">${topicOptions}</select>
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Research.NoteMessage")}</label>
+            <textarea name="message" rows="3"></textarea>
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Research.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        const fd = new FormData(form);
+        return {
+          topicId: fd.get("topicId")?.toString() ?? "",
+          message: fd.get("message")?.toString().trim() ?? "",
+        };
+      },
+      rejectClose: false,
+    });
+
+    if (!response?.topicId || !response.message) return;
+
+    if (!game.user?.isGM) {
+      await this.relay?.request(RELAY_ACTIONS.RESEARCH_LOG_NOTE, {
+        ...response,
+        actorUuid: characterUuid,
+      });
+      return;
+    }
+
+    await this.tracker.recordLog({
+      topicId: response.topicId,
+      message: response.message,
+    });
+    this.render();
+  }
+
   /** @private */
   async _onImportTopics(event) {
     event.preventDefault();
@@ -2913,6 +3172,114 @@ class BaseResearchTrackerApp extends FormApplication {
     await ResearchImportExport.exportTopics(this.tracker);
   }
 
+  /** @private */
+  async _onImportTopicsFromJournal(event) {
+    event.preventDefault();
+    await ResearchJournal.promptImport(this.tracker);
+    this.render();
+  }
+
+  /** @private */
+  async _onExportTopicsToJournal(event) {
+    event.preventDefault();
+    await ResearchJournal.exportToJournal(this.tracker);
+  }
+
+  /**
+   * Let the GM drop a journal entry or page on the research tab to import
+   * its topics.
+   */
+  /**
+   * Dropping a journal entry or page on a topic header or location row links
+   * it, instead of importing it as new topics.
+   * @param {JQuery|HTMLElement} html
+   */
+  _bindJournalLinkDrops(html) {
+    const root = html?.[0] ?? html;
+    if (!root?.querySelectorAll || !game.user?.isGM) return;
+
+    const zones = root.querySelectorAll(
+      "[data-dropzone='topic-journal'], [data-dropzone='location-journal']"
+    );
+    zones.forEach((zone) => {
+      zone.addEventListener("dragover", (event) => {
+        if (!event.dataTransfer?.types?.includes("text/plain")) return;
+        event.preventDefault();
+      });
+      zone.addEventListener("drop", async (event) => {
+        if (event.defaultPrevented) return;
+        let data = null;
+        try {
+          data = JSON.parse(event.dataTransfer?.getData("text/plain") ?? "");
+        } catch (error) {
+          return;
+        }
+        if (data?.type !== "JournalEntry" && data?.type !== "JournalEntryPage") return;
+        event.preventDefault();
+
+        const topicId = zone.closest("[data-topic-id]")?.dataset.topicId;
+        const locationId =
+          zone.dataset.dropzone === "location-journal" ? zone.dataset.locationId : null;
+        if (!topicId) return;
+
+        const document = await resolveDroppedDocument(data, ["JournalEntry", "JournalEntryPage"]);
+        if (!document) return;
+        await this.tracker.linkJournal(
+          topicId,
+          { uuid: document.uuid, name: document.name },
+          { locationId }
+        );
+        this.render();
+      });
+    });
+  }
+
+  async _onUnlinkJournal(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!game.user?.isGM) return;
+
+    const button = event.currentTarget;
+    const topicId = button.closest("[data-topic-id]")?.dataset.topicId;
+    if (!topicId) return;
+    const locationId = button.dataset.locationId ?? null;
+
+    await this.tracker.unlinkJournal(topicId, { locationId });
+    this.render();
+  }
+
+  async _onOpenLinkedDocument(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const uuid = event.currentTarget?.dataset.uuid;
+    if (!uuid) return;
+    await openLinkedDocument(uuid);
+  }
+
+  _bindJournalImportDrop(html) {
+    const root = html?.[0] ?? html;
+    const section = root?.querySelector?.(".research-tracker");
+    if (!section || !game.user?.isGM) return;
+
+    section.addEventListener("dragover", (event) => {
+      if (!event.dataTransfer?.types?.includes("text/plain")) return;
+      event.preventDefault();
+    });
+    section.addEventListener("drop", async (event) => {
+      if (event.defaultPrevented) return;
+      let data = null;
+      try {
+        data = JSON.parse(event.dataTransfer?.getData("text/plain") ?? "");
+      } catch (error) {
+        return;
+      }
+      if (data?.type !== "JournalEntry" && data?.type !== "JournalEntryPage") return;
+      event.preventDefault();
+      const imported = await ResearchJournal.importFromDropData(this.tracker, data);
+      if (imported) this.render();
+    });
+  }
+
   /**
    * Retrieve the actors that should be considered part of the party.
    * @returns {Actor[]}
@@ -3028,6 +3395,51 @@ class BaseResearchTrackerApp extends FormApplication {
     return actors;
   }
 
+  /**
+   * Build the per-degree-of-success override inputs. Blank inputs inherit the
+   * value shown as their placeholder.
+   * @param {Partial<Record<string, number>>} overrides
+   * @param {Record<string, number>} inherited
+   * @param {string} hintKey
+   * @returns {string}
+   */
+  _renderOutcomePointsFieldset(overrides = {}, inherited = {}, hintKey) {
+    const rows = RESEARCH_OUTCOMES.map((outcome) => {
+      const value = Number.isFinite(overrides?.[outcome]) ? Number(overrides[outcome]) : "";
+      const placeholder = Number.isFinite(inherited?.[outcome]) ? Number(inherited[outcome]) : "";
+      return `
+        <div class="form-group research-outcome-points__row">
+          <label>${game.i18n.localize(OUTCOME_LABEL_KEYS[outcome])}</label>
+          <input type="number" name="outcomePoints.${outcome}" value="${value}" placeholder="${placeholder}" step="1" />
+        </div>
+      `;
+    }).join("");
+
+    return `
+      <fieldset class="form-group research-outcome-points">
+        <legend>${game.i18n.localize("PF2E.PointsTracker.Research.OutcomePoints.Legend")}</legend>
+        <p class="notes">${game.i18n.localize(hintKey)}</p>
+        ${rows}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * @param {FormData} formData
+   * @returns {Partial<Record<string, number>>}
+   */
+  _readOutcomePoints(formData) {
+    const points = {};
+    for (const outcome of RESEARCH_OUTCOMES) {
+      const raw = formData.get(`outcomePoints.${outcome}`);
+      const trimmed = raw !== null ? raw.toString().trim() : "";
+      if (!trimmed) continue;
+      const numeric = Number(trimmed);
+      if (Number.isFinite(numeric)) points[outcome] = Math.trunc(numeric);
+    }
+    return points;
+  }
+
   _normalizeLocationChecks(location) {
     const entries = Array.isArray(location?.checks) ? location.checks : [];
     return entries
@@ -3282,13 +3694,36 @@ class BaseResearchTrackerApp extends FormApplication {
   }
 }
 
-const POINTS_TRACKER_PARTIALS = [
-  `modules/${MODULE_ID}/module/templates/partials/research-tab.hbs`,
-  `modules/${MODULE_ID}/module/templates/partials/reputation-tab.hbs`,
-  `modules/${MODULE_ID}/module/templates/partials/awareness-tab.hbs`,
-  `modules/${MODULE_ID}/module/templates/partials/chase-tab.hbs`,
-  `modules/${MODULE_ID}/module/templates/partials/influence-tab.hbs`,
-];
+const TAB_PARTIALS = {
+  research: `modules/${MODULE_ID}/module/templates/partials/research-tab.hbs`,
+  reputation: `modules/${MODULE_ID}/module/templates/partials/reputation-tab.hbs`,
+  awareness: `modules/${MODULE_ID}/module/templates/partials/awareness-tab.hbs`,
+  chase: `modules/${MODULE_ID}/module/templates/partials/chase-tab.hbs`,
+  influence: `modules/${MODULE_ID}/module/templates/partials/influence-tab.hbs`,
+  infiltration: `modules/${MODULE_ID}/module/templates/partials/infiltration-tab.hbs`,
+  victory: `modules/${MODULE_ID}/module/templates/partials/victory-tab.hbs`,
+};
+
+const POINTS_TRACKER_PARTIALS = Object.values(TAB_PARTIALS);
+
+/**
+ * Tabs to refresh when a tracker changes. Infiltrations show the awareness of
+ * their entry, so awareness changes refresh both tabs.
+ */
+const TAB_UPDATE_HOOKS = {
+  [RESEARCH_UPDATE_HOOK]: ["research"],
+  [REPUTATION_UPDATE_HOOK]: ["reputation"],
+  [AWARENESS_UPDATE_HOOK]: ["awareness", "infiltration"],
+  [CHASE_UPDATE_HOOK]: ["chase"],
+  [INFLUENCE_UPDATE_HOOK]: ["influence"],
+  [INFILTRATION_UPDATE_HOOK]: ["infiltration"],
+  [VICTORY_UPDATE_HOOK]: ["victory"],
+};
+
+function renderPartial(path, data) {
+  const render = foundry?.applications?.handlebars?.renderTemplate ?? globalThis.renderTemplate;
+  return render(path, data);
+}
 
 export class PointsTrackerApp extends BaseResearchTrackerApp {
   /**
@@ -3297,6 +3732,11 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
    * @param {import("../reputation/reputation-tracker.js").ReputationTracker} [options.reputationTracker]
    * @param {import("../awareness/awareness-tracker.js").AwarenessTracker} [options.awarenessTracker]
    * @param {import("../chase/tracker.js").ChaseTracker} [options.chaseTracker]
+   * @param {import("../infiltration/tracker.js").InfiltrationTracker} [options.infiltrationTracker]
+   * @param {import("../victory/tracker.js").VictoryPointsTracker} [options.victoryTracker]
+   * @param {import("../socket/relay.js").TrackerRelay} [options.relay]
+   * @param {import("../history/history.js").TrackerHistory} [options.history]
+   * @param {import("../library/template-library.js").TemplateLibrary} [options.templateLibrary]
    * @param {object} [renderOptions]
    */
   constructor(
@@ -3306,6 +3746,11 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       awarenessTracker = null,
       chaseTracker = null,
       influenceTracker = null,
+      infiltrationTracker = null,
+      victoryTracker = null,
+      relay = null,
+      history = null,
+      templateLibrary = null,
     } = {},
     renderOptions = {}
   ) {
@@ -3315,6 +3760,11 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     this.awarenessTracker = awarenessTracker ?? null;
     this.chaseTracker = chaseTracker ?? null;
     this.influenceTracker = influenceTracker ?? null;
+    this.infiltrationTracker = infiltrationTracker ?? null;
+    this.victoryTracker = victoryTracker ?? null;
+    this.relay = relay ?? null;
+    this.history = history ?? null;
+    this.templateLibrary = templateLibrary ?? null;
     this.tracker = this.researchTracker ?? this.tracker ?? null;
     this._activeTab = renderOptions?.activeTab ?? "research";
     this.options.activeTab = this._activeTab;
@@ -3343,11 +3793,27 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     awarenessTracker = null,
     chaseTracker = null,
     influenceTracker = null,
+    infiltrationTracker = null,
+    victoryTracker = null,
+    relay = null,
+    history = null,
+    templateLibrary = null,
     activeTab = null,
   } = {}) {
     if (!this._instance) {
       this._instance = new this(
-        { researchTracker, reputationTracker, awarenessTracker, chaseTracker, influenceTracker },
+        {
+          researchTracker,
+          reputationTracker,
+          awarenessTracker,
+          chaseTracker,
+          influenceTracker,
+          infiltrationTracker,
+          victoryTracker,
+          relay,
+          history,
+          templateLibrary,
+        },
         { activeTab: activeTab ?? "research" }
       );
     } else {
@@ -3367,6 +3833,21 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       if (influenceTracker) {
         this._instance.influenceTracker = influenceTracker;
       }
+      if (infiltrationTracker) {
+        this._instance.infiltrationTracker = infiltrationTracker;
+      }
+      if (victoryTracker) {
+        this._instance.victoryTracker = victoryTracker;
+      }
+      if (relay) {
+        this._instance.relay = relay;
+      }
+      if (history) {
+        this._instance.history = history;
+      }
+      if (templateLibrary) {
+        this._instance.templateLibrary = templateLibrary;
+      }
       if (activeTab) {
         this._instance.activeTab = activeTab;
       }
@@ -3383,6 +3864,12 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     if (candidate === "influence" && !this.influenceTracker) {
       return "research";
     }
+    if (candidate === "infiltration" && !this.infiltrationTracker) {
+      return "research";
+    }
+    if (candidate === "victory" && !this.victoryTracker) {
+      return "research";
+    }
     return candidate;
   }
 
@@ -3394,12 +3881,29 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     if (this.influenceTracker) {
       allowedTabs.add("influence");
     }
+    if (this.infiltrationTracker) {
+      allowedTabs.add("infiltration");
+    }
+    if (this.victoryTracker) {
+      allowedTabs.add("victory");
+    }
     const normalized = allowedTabs.has(value) ? value : "research";
     this._activeTab = normalized;
     this.options.activeTab = this._activeTab;
   }
 
+  /**
+   * Whether the awareness tab is shown. Players see it once the GM makes at
+   * least one entry visible to them.
+   * @returns {boolean}
+   */
   _canAccessAwareness() {
+    if (!this.awarenessTracker) return false;
+    if (game.user?.isGM) return true;
+    return this.awarenessTracker.getPlayerEntries().length > 0;
+  }
+
+  _canManageAwareness() {
     const isGM = game.user?.isGM ?? false;
     return Boolean(isGM && this.awarenessTracker);
   }
@@ -3422,6 +3926,8 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const awarenessData = this._prepareAwarenessData({ isGM });
     const chaseData = this._prepareChaseData({ isGM });
     const influenceData = await this._prepareInfluenceData({ isGM });
+    const infiltrationData = await this._prepareInfiltrationData({ isGM });
+    const victoryData = await this._prepareVictoryData({ isGM });
 
     const activeTab = this.activeTab;
     return {
@@ -3431,12 +3937,19 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       isAwarenessActive: activeTab === "awareness",
       isChaseActive: activeTab === "chase",
       isInfluenceActive: activeTab === "influence",
+      isInfiltrationActive: activeTab === "infiltration",
+      isVictoryActive: activeTab === "victory",
       isGM,
+      history: this._prepareHistoryData({ isGM }),
+      canTransfer: isGM,
+      canBrowseTemplates: isGM && Boolean(this.templateLibrary),
       research: researchData,
       reputation: reputationData,
       awareness: awarenessData,
       chase: chaseData,
       influence: influenceData,
+      infiltration: infiltrationData,
+      victory: victoryData,
     };
   }
 
@@ -3449,6 +3962,10 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
 
     this._bindTabNavigation(html);
     this._applyActiveTab(html);
+    this._activateHistoryListeners(html);
+    this._activateBundleListeners(html);
+    this._activateTemplateListeners(html);
+    this._activateStatblockListeners(html);
 
     if (this.activeTab === "reputation") {
       this._initializeReputationTab(html);
@@ -3462,11 +3979,17 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     if (this.activeTab === "influence") {
       this._initializeInfluenceTab(html);
     }
+    if (this.activeTab === "infiltration") {
+      this._initializeInfiltrationTab(html);
+    }
+    if (this.activeTab === "victory") {
+      this._initializeVictoryTab(html);
+    }
 
     if (this.reputationTracker) {
       this._activateReputationListeners(html);
     }
-    if (this._canAccessAwareness()) {
+    if (this._canManageAwareness()) {
       this._activateAwarenessListeners(html);
     }
     if (this.chaseTracker) {
@@ -3475,6 +3998,12 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     if (this.influenceTracker) {
       this._activateInfluenceListeners(html);
     }
+    if (this.infiltrationTracker) {
+      this._activateInfiltrationListeners(html);
+    }
+    if (this.victoryTracker) {
+      this._activateVictoryListeners(html);
+    }
   }
 
   _bindTabNavigation(html) {
@@ -3486,6 +4015,8 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         const tab = event.currentTarget?.dataset.tab;
         if (tab === "awareness" && !this._canAccessAwareness()) return;
         if (tab === "influence" && !this.influenceTracker) return;
+        if (tab === "infiltration" && !this.infiltrationTracker) return;
+        if (tab === "victory" && !this.victoryTracker) return;
         if (!tab || tab === this.activeTab) return;
         this.activeTab = tab;
         this._applyActiveTab(html);
@@ -3501,75 +4032,331 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         if (tab === "influence") {
           this._initializeInfluenceTab(html);
         }
+        if (tab === "infiltration") {
+          this._initializeInfiltrationTab(html);
+        }
+        if (tab === "victory") {
+          this._initializeVictoryTab(html);
+        }
       });
   }
 
-  _applyActiveTab(html) {
-    const tab = this.activeTab;
-    html.attr("data-active-tab", tab);
-    html
-      .find("[data-tab]")
-      .each((_, element) => {
-        element.classList.toggle("is-active", element.dataset.tab === tab);
-      });
-    html
-      .find("[data-tab-panel]")
-      .each((_, element) => {
-        element.classList.toggle("is-active", element.dataset.tabPanel === tab);
-      });
-  }
-
-  _generateId() {
-    if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
-      return foundry.utils.randomID();
+  /**
+   * Re-render a single tab panel in place, leaving the other tabs untouched.
+   * @param {string} tab
+   */
+  async renderTab(tab) {
+    if (!this.rendered) return;
+    const html = this.element;
+    const panel = html?.find?.(`[data-tab-panel='${tab}']`);
+    if (tab === "awareness" && Boolean(panel?.length) !== this._canAccessAwareness()) {
+      // The tab appears or disappears for players as entries change visibility.
+      this.render(false);
+      return;
     }
-    if (typeof crypto !== "undefined" && crypto?.randomUUID) {
-      return crypto.randomUUID();
+    if (!panel?.length || !TAB_PARTIALS[tab]) return;
+
+    const isGM = game.user?.isGM ?? false;
+    let data;
+    switch (tab) {
+      case "research":
+        if (!this.researchTracker) return;
+        data = await BaseResearchTrackerApp.prototype.getData.call(this);
+        data.hasTracker = true;
+        break;
+      case "reputation":
+        data = this._prepareReputationData({ isGM });
+        break;
+      case "awareness":
+        data = this._prepareAwarenessData({ isGM });
+        break;
+      case "chase":
+        data = this._prepareChaseData({ isGM });
+        break;
+      case "influence":
+        data = await this._prepareInfluenceData({ isGM });
+        break;
+      case "infiltration":
+        data = await this._prepareInfiltrationData({ isGM });
+        break;
+      case "victory":
+        data = await this._prepareVictoryData({ isGM });
+        break;
+      default:
+        return;
     }
-    return Math.random().toString(36).slice(2, 10);
-  }
 
-  _initializeReputationTab(html) {
-    if (this._initializedTabs.has("reputation")) return;
-    this._initializedTabs.add("reputation");
-    html.find("[data-tab-panel='reputation']").attr("data-initialized", "true");
+    const content = await renderPartial(TAB_PARTIALS[tab], data);
+    if (!this.rendered) return;
+    panel.html(content);
+
+    switch (tab) {
+      case "research":
+        this._activateResearchListeners(panel);
+        break;
+      case "reputation":
+        if (this.reputationTracker) this._activateReputationListeners(html);
+        break;
+      case "awareness":
+        if (this._canManageAwareness()) this._activateAwarenessListeners(html);
+        break;
+      case "chase":
+        if (this.chaseTracker) {
+          this._activateChaseListeners(html);
+          this._setupAssignmentDragAndDrop(panel);
+        }
+        break;
+      case "influence":
+        if (this.influenceTracker) this._activateInfluenceListeners(html);
+        break;
+      case "infiltration":
+        if (this.infiltrationTracker) this._activateInfiltrationListeners(html);
+        break;
+      case "victory":
+        if (this.victoryTracker) this._activateVictoryListeners(html);
+        break;
+    }
   }
 
-  _initializeAwarenessTab(html) {
-    if (this._initializedTabs.has("awareness")) return;
-    this._initializedTabs.add("awareness");
-    html.find("[data-tab-panel='awareness']").attr("data-initialized", "true");
-  }
+  _prepareHistoryData({ isGM }) {
+    if (!isGM || !this.history) {
+      return { isAvailable: false };
+    }
 
-  _initializeChaseTab(html) {
-    if (this._initializedTabs.has("chase")) return;
-    this._initializedTabs.add("chase");
-    html.find("[data-tab-panel='chase']").attr("data-initialized", "true");
+    const undo = this.history.peekUndo();
+    const redo = this.history.peekRedo();
+    return {
+      isAvailable: true,
+      canUndo: Boolean(undo),
+      canRedo: Boolean(redo),
+      undoTitle: this._formatHistoryTitle("PF2E.PointsTracker.History.Undo", undo),
+      redoTitle: this._formatHistoryTitle("PF2E.PointsTracker.History.Redo", redo),
+    };
   }
 
-  _initializeInfluenceTab(html) {
-    if (this._initializedTabs.has("influence")) return;
-    this._initializedTabs.add("influence");
-    html.find("[data-tab-panel='influence']").attr("data-initialized", "true");
+  _formatHistoryTitle(baseKey, entry) {
+    if (!entry) return game.i18n.localize(baseKey);
+    return game.i18n.format(`${baseKey}Action`, { action: entry.label });
   }
 
-  _activateReputationListeners(html) {
+  _activateHistoryListeners(html) {
     html
-      .find("[data-action='create-faction']")
+      .find("[data-action='undo-history']")
       .off("click")
-      .on("click", (event) => this._onCreateFaction(event));
+      .on("click", (event) => this._onStepHistory(event, "undo"));
     html
-      .find("[data-action='edit-faction']")
+      .find("[data-action='redo-history']")
       .off("click")
-      .on("click", (event) => this._onEditFaction(event));
+      .on("click", (event) => this._onStepHistory(event, "redo"));
+  }
+
+  _activateBundleListeners(html) {
     html
-      .find("[data-action='delete-faction']")
+      .find("[data-action='import-bundle']")
       .off("click")
-      .on("click", (event) => this._onDeleteFaction(event));
+      .on("click", (event) => this._onImportBundle(event));
     html
-      .find("[data-action='adjust-reputation']")
+      .find("[data-action='export-bundle']")
       .off("click")
-      .on("click", (event) => this._onAdjustFaction(event));
+      .on("click", (event) => this._onExportBundle(event));
+  }
+
+  _activateTemplateListeners(html) {
+    html
+      .find("[data-action='browse-templates']")
+      .off("click")
+      .on("click", (event) => this._onBrowseTemplates(event));
+    html
+      .find("[data-action='refresh-from-template']")
+      .off("click")
+      .on("click", (event) => this._onRefreshFromTemplate(event));
+  }
+
+  _activateStatblockListeners(html) {
+    html
+      .find("[data-action='paste-statblock']")
+      .off("click")
+      .on("click", (event) => this._onPasteStatblock(event));
+  }
+
+  async _onPasteStatblock(event) {
+    event.preventDefault();
+    if (!game.user?.isGM) return;
+    const type = event.currentTarget?.dataset?.statblockType || null;
+    const created = await StatblockImport.promptImport(
+      { researchTracker: this.researchTracker, influenceTracker: this.influenceTracker },
+      { type }
+    );
+    if (created) this.render(false);
+  }
+
+  async _onBrowseTemplates(event) {
+    event.preventDefault();
+    if (!this.templateLibrary || !game.user?.isGM) return;
+    await this.templateLibrary.promptBrowse();
+    this.render(false);
+  }
+
+  async _onRefreshFromTemplate(event) {
+    event.preventDefault();
+    if (!this.templateLibrary || !game.user?.isGM) return;
+    const { templateType, entryId } = event.currentTarget?.dataset ?? {};
+    if (!templateType || !entryId) return;
+    await this.templateLibrary.promptRefresh(templateType, entryId);
+    this.render(false);
+  }
+
+  _getBundleTrackers() {
+    return {
+      research: this.researchTracker ?? this.tracker ?? null,
+      reputation: this.reputationTracker,
+      awareness: this.awarenessTracker,
+      chase: this.chaseTracker,
+      influence: this.influenceTracker,
+      infiltration: this.infiltrationTracker,
+      victory: this.victoryTracker,
+    };
+  }
+
+  async _onImportBundle(event) {
+    event.preventDefault();
+    if (!game.user?.isGM) return;
+    await TrackerBundle.promptImport(this._getBundleTrackers());
+    this.render(false);
+  }
+
+  async _onExportBundle(event) {
+    event.preventDefault();
+    if (!game.user?.isGM) return;
+    await TrackerBundle.promptExport(this._getBundleTrackers());
+  }
+
+  async _onStepHistory(event, direction) {
+    event.preventDefault();
+    if (!this.history || !game.user?.isGM) return;
+    const button = event.currentTarget;
+    if (button) button.disabled = true;
+    try {
+      const applied = direction === "redo" ? await this.history.redo() : await this.history.undo();
+      if (!applied) {
+        this._refreshHistoryControls();
+      }
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to ${direction} tracker change.`, error);
+      this._refreshHistoryControls();
+    }
+  }
+
+  /**
+   * Sync the undo/redo buttons with the current history without re-rendering.
+   */
+  _refreshHistoryControls() {
+    if (!this.rendered) return;
+    const data = this._prepareHistoryData({ isGM: game.user?.isGM ?? false });
+    if (!data.isAvailable) return;
+    const html = this.element;
+    html
+      .find("[data-action='undo-history']")
+      .prop("disabled", !data.canUndo)
+      .attr("title", data.undoTitle)
+      .attr("aria-label", data.undoTitle);
+    html
+      .find("[data-action='redo-history']")
+      .prop("disabled", !data.canRedo)
+      .attr("title", data.redoTitle)
+      .attr("aria-label", data.redoTitle);
+  }
+
+  _applyActiveTab(html) {
+    const tab = this.activeTab;
+    html.attr("data-active-tab", tab);
+    html
+      .find("[data-tab]")
+      .each((_, element) => {
+        element.classList.toggle("is-active", element.dataset.tab === tab);
+      });
+    html
+      .find("[data-tab-panel]")
+      .each((_, element) => {
+        element.classList.toggle("is-active", element.dataset.tabPanel === tab);
+      });
+  }
+
+  _generateId() {
+    if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
+      return foundry.utils.randomID();
+    }
+    if (typeof crypto !== "undefined" && crypto?.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return Math.random().toString(36).slice(2, 10);
+  }
+
+  _initializeReputationTab(html) {
+    if (this._initializedTabs.has("reputation")) return;
+    this._initializedTabs.add("reputation");
+    html.find("[data-tab-panel='reputation']").attr("data-initialized", "true");
+  }
+
+  _initializeAwarenessTab(html) {
+    if (this._initializedTabs.has("awareness")) return;
+    this._initializedTabs.add("awareness");
+    html.find("[data-tab-panel='awareness']").attr("data-initialized", "true");
+  }
+
+  _initializeChaseTab(html) {
+    if (this._initializedTabs.has("chase")) return;
+    this._initializedTabs.add("chase");
+    html.find("[data-tab-panel='chase']").attr("data-initialized", "true");
+  }
+
+  _initializeInfluenceTab(html) {
+    if (this._initializedTabs.has("influence")) return;
+    this._initializedTabs.add("influence");
+    html.find("[data-tab-panel='influence']").attr("data-initialized", "true");
+  }
+
+  _initializeInfiltrationTab(html) {
+    if (this._initializedTabs.has("infiltration")) return;
+    this._initializedTabs.add("infiltration");
+    html.find("[data-tab-panel='infiltration']").attr("data-initialized", "true");
+  }
+
+  _initializeVictoryTab(html) {
+    if (this._initializedTabs.has("victory")) return;
+    this._initializedTabs.add("victory");
+    html.find("[data-tab-panel='victory']").attr("data-initialized", "true");
+  }
+
+  _activateReputationListeners(html) {
+    html
+      .find("[data-action='create-faction']")
+      .off("click")
+      .on("click", (event) => this._onCreateFaction(event));
+    html
+      .find("[data-action='edit-faction']")
+      .off("click")
+      .on("click", (event) => this._onEditFaction(event));
+    html
+      .find("[data-action='delete-faction']")
+      .off("click")
+      .on("click", (event) => this._onDeleteFaction(event));
+    html
+      .find("[data-action='adjust-reputation']")
+      .off("click")
+      .on("click", (event) => this._onAdjustFaction(event));
+    html
+      .find("[data-action='adjust-reputation-details']")
+      .off("click")
+      .on("click", (event) => this._onAdjustFactionWithDetails(event));
+    html
+      .find("[data-action='edit-reputation-log-entry']")
+      .off("click")
+      .on("click", (event) => this._onEditReputationLogEntry(event));
+    html
+      .find("[data-action='delete-reputation-log-entry']")
+      .off("click")
+      .on("click", (event) => this._onDeleteReputationLogEntry(event));
   }
 
   _activateAwarenessListeners(html) {
@@ -3580,6 +4367,14 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       .find("[data-action='create-awareness-entry']")
       .off("click")
       .on("click", (event) => this._onCreateAwarenessEntry(event));
+    panel
+      .find("[data-action='manage-awareness-categories']")
+      .off("click")
+      .on("click", (event) => this._onManageAwarenessCategories(event));
+    panel
+      .find("[data-action='delete-awareness-log-entry']")
+      .off("click")
+      .on("click", (event) => this._onDeleteAwarenessLogEntry(event));
     panel
       .find("[data-action='adjust']")
       .off("click")
@@ -3630,6 +4425,34 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       .find("[data-action='set-chase-obstacle-progress']")
       .off("click")
       .on("click", (event) => this._onSetChaseObstacleProgress(event));
+    panel
+      .find("[data-action='start-chase']")
+      .off("click")
+      .on("click", (event) => this._onStartChase(event));
+    panel
+      .find("[data-action='advance-chase-round']")
+      .off("click")
+      .on("click", (event) => this._onAdvanceChaseRound(event));
+    panel
+      .find("[data-action='reset-chase']")
+      .off("click")
+      .on("click", (event) => this._onResetChase(event));
+    panel
+      .find("[data-action='set-chase-position']")
+      .off("click")
+      .on("click", (event) => this._onSetChasePosition(event));
+    panel
+      .find("[data-action='nudge-chase-quarry']")
+      .off("click")
+      .on("click", (event) => this._onNudgeChaseQuarry(event));
+    panel
+      .find("[data-action='adjust-chase-quarry-progress']")
+      .off("click")
+      .on("click", (event) => this._onAdjustChaseQuarryProgress(event));
+    panel
+      .find("[data-action='toggle-chase-quarry']")
+      .off("click")
+      .on("click", (event) => this._onToggleChaseQuarry(event));
     panel
       .find("[data-action='create-chase-opportunity']")
       .off("click")
@@ -3803,6 +4626,89 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     this.render();
   }
 
+  async _onStartChase(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const chaseEventId = event.currentTarget?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    if (!chaseEventId) return;
+    await this.chaseTracker.startChase(chaseEventId);
+    this.render();
+  }
+
+  async _onAdvanceChaseRound(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const chaseEventId = event.currentTarget?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    if (!chaseEventId) return;
+    await this.chaseTracker.advanceRound(chaseEventId);
+    this.render();
+  }
+
+  async _onResetChase(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const chaseEventId = event.currentTarget?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    if (!chaseEventId) return;
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Chase.ResetChase"),
+      content: `<p>${game.i18n.localize("PF2E.PointsTracker.Chase.ResetChaseConfirm")}</p>`,
+    });
+    if (!confirmed) return;
+    await this.chaseTracker.resetChase(chaseEventId);
+    this.render();
+  }
+
+  async _onSetChasePosition(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const button = event.currentTarget;
+    const chaseEventId = button?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    const index = Number(button?.dataset.trackIndex);
+    if (!chaseEventId || !Number.isFinite(index)) return;
+    if (event.shiftKey) {
+      await this.chaseTracker.setQuarryPosition(chaseEventId, index);
+    } else {
+      await this.chaseTracker.setCurrentObstacle(chaseEventId, index);
+    }
+    this.render();
+  }
+
+  async _onNudgeChaseQuarry(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const button = event.currentTarget;
+    const chaseEventId = button?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    const delta = Number(button?.dataset.delta ?? 0);
+    if (!chaseEventId || !Number.isFinite(delta) || delta === 0) return;
+    await this.chaseTracker.adjustQuarryPosition(chaseEventId, delta);
+    this.render();
+  }
+
+  async _onAdjustChaseQuarryProgress(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const button = event.currentTarget;
+    const chaseEventId = button?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    const delta = Number(button?.dataset.delta ?? 0);
+    if (!chaseEventId || !Number.isFinite(delta) || delta === 0) return;
+    await this.chaseTracker.adjustQuarryProgress(chaseEventId, delta);
+    this.render();
+  }
+
+  async _onToggleChaseQuarry(event) {
+    event.preventDefault();
+    if (!this.chaseTracker) return;
+    const chaseEventId = event.currentTarget?.closest("[data-chase-event-id]")?.dataset.chaseEventId;
+    const eventData = chaseEventId ? this.chaseTracker.getEvent(chaseEventId) : null;
+    if (!eventData) return;
+    const hasQuarry = eventData.quarryPosition !== null && eventData.quarryPosition !== undefined;
+    await this.chaseTracker.setQuarryPosition(
+      chaseEventId,
+      hasQuarry ? null : Math.min(eventData.currentObstacleIndex + 1, eventData.obstacles?.length ?? 0)
+    );
+    this.render();
+  }
+
   async _onDeleteChaseOpportunity(event) {
     event.preventDefault();
     if (!this.chaseTracker) return;
@@ -3822,12 +4728,25 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
   async _promptChaseEventDialog({ title, label, initial = {} }) {
     const name = typeof initial?.name === "string" ? initial.name : "";
     const description = typeof initial?.description === "string" ? initial.description : "";
+    const quarryName = typeof initial?.quarryName === "string" ? initial.quarryName : "";
+    const quarryPointsPerRound = Number(initial?.quarryPointsPerRound) || 0;
     const template = `
       <form>
         <div class="form-group">
           <label>${game.i18n.localize("PF2E.PointsTracker.Chase.EventName")}</label>
           <input type="text" name="name" value="${escapeAttribute(name)}" required />
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Chase.QuarryName")}</label>
+          <input type="text" name="quarryName" value="${escapeAttribute(quarryName)}" placeholder="${escapeAttribute(
+            game.i18n.localize("PF2E.PointsTracker.Chase.QuarryDefaultName")
+          )}" />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Chase.QuarryPointsPerRound")}</label>
+          <input type="number" name="quarryPointsPerRound" min="0" step="1" value="${quarryPointsPerRound}" />
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Chase.QuarryPointsPerRoundHint")}</p>
+        </div>
         <div class="form-group">
           <label>${game.i18n.localize("PF2E.PointsTracker.Chase.EventDescription")}</label>
           <textarea name="description" rows="4">${escapeHtml(description)}</textarea>
@@ -3846,6 +4765,8 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         return {
           name: nameValue ?? "",
           description: descriptionValue ?? "",
+          quarryName: formData.get("quarryName")?.toString().trim() ?? "",
+          quarryPointsPerRound: Math.max(0, Number(formData.get("quarryPointsPerRound")) || 0),
         };
       },
       rejectClose: false,
@@ -3858,6 +4779,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const name = typeof initial?.name === "string" ? initial.name : "";
     const description = typeof initial?.description === "string" ? initial.description : "";
     const requiredPoints = Number.isFinite(initial?.requiredPoints) ? initial.requiredPoints : 0;
+    const initialChecks = Array.isArray(initial?.checks) ? initial.checks : [];
     const template = `
       <form>
         <div class="form-group">
@@ -3868,6 +4790,15 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           <label>${game.i18n.localize("PF2E.PointsTracker.Chase.ObstacleRequiredPoints")}</label>
           <input type="number" name="requiredPoints" min="0" step="1" value="${Number(requiredPoints) || 0}" />
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Chase.ObstacleChecks")}</label>
+          <div class="research-location__check-editor" data-checks></div>
+          <button type="button" class="dialog-button" data-add-check>
+            <i class="fas fa-plus"></i>
+            ${game.i18n.localize("PF2E.PointsTracker.Research.AddCheck")}
+          </button>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Chase.ObstacleChecksHint")}</p>
+        </div>
         <div class="form-group">
           <label>${game.i18n.localize("PF2E.PointsTracker.Chase.ObstacleDescription")}</label>
           <textarea name="description" rows="4">${escapeHtml(description)}</textarea>
@@ -3884,13 +4815,31 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         const nameValue = formData.get("name")?.toString().trim();
         const descriptionValue = formData.get("description")?.toString().trim();
         const requiredPointsValue = Number(formData.get("requiredPoints"));
+        const checks = Array.from(form.querySelectorAll("[data-check-entry]"))
+          .map((row) => {
+            const skill = row.querySelector("[data-check-field='skill']")?.value?.toString().trim() ?? "";
+            const dcValue = Number(row.querySelector("[data-check-field='dc']")?.value);
+            if (!skill) return null;
+            return { skill, dc: Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null };
+          })
+          .filter((entry) => entry);
         return {
           name: nameValue ?? "",
           description: descriptionValue ?? "",
           requiredPoints: Number.isFinite(requiredPointsValue) ? requiredPointsValue : 0,
+          checks,
         };
       },
       rejectClose: false,
+      render: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return;
+        this._setupCheckEditor(
+          form.querySelector("[data-checks]"),
+          form.querySelector("[data-add-check]"),
+          initialChecks
+        );
+      },
     });
     if (!result) return null;
     return result;
@@ -3966,35 +4915,856 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     return result;
   }
 
-  _prepareReputationData({ isGM }) {
-    if (!this.reputationTracker) {
-      return {
-        isGM,
-        factions: [],
-        hasTracker: false,
-      };
+  _activateInfiltrationListeners(html) {
+    const panel = html.find("[data-tab-panel='infiltration']");
+    if (!panel.length) return;
+
+    const actions = {
+      "create-infiltration": (event) => this._onCreateInfiltration(event),
+      "edit-infiltration": (event) => this._onEditInfiltration(event),
+      "delete-infiltration": (event) => this._onDeleteInfiltration(event),
+      "adjust-infiltration-awareness": (event) => this._onAdjustInfiltrationAwareness(event),
+      "adjust-infiltration-edge": (event) => this._onAdjustInfiltrationEdge(event),
+      "spend-infiltration-edge": (event) => this._onSpendInfiltrationEdge(event),
+      "create-infiltration-obstacle": (event) => this._onCreateInfiltrationObstacle(event),
+      "edit-infiltration-obstacle": (event) => this._onEditInfiltrationObstacle(event),
+      "delete-infiltration-obstacle": (event) => this._onDeleteInfiltrationObstacle(event),
+      "adjust-infiltration-obstacle": (event) => this._onAdjustInfiltrationObstacle(event),
+      "create-infiltration-complication": (event) => this._onCreateInfiltrationComplication(event),
+      "edit-infiltration-complication": (event) => this._onEditInfiltrationComplication(event),
+      "delete-infiltration-complication": (event) => this._onDeleteInfiltrationComplication(event),
+      "create-infiltration-opportunity": (event) => this._onCreateInfiltrationOpportunity(event),
+      "edit-infiltration-opportunity": (event) => this._onEditInfiltrationOpportunity(event),
+      "delete-infiltration-opportunity": (event) => this._onDeleteInfiltrationOpportunity(event),
+    };
+    for (const [action, handler] of Object.entries(actions)) {
+      panel.find(`[data-action='${action}']`).off("click").on("click", handler);
     }
+  }
 
-    const factions = this.reputationTracker.getFactions().map((faction) => {
-      const minValue = Number.isFinite(faction.minValue) ? Number(faction.minValue) : 0;
-      const maxValue = Number.isFinite(faction.maxValue) ? Number(faction.maxValue) : 0;
-      const value = Number.isFinite(faction.value) ? Number(faction.value) : 0;
-      const span = maxValue > minValue ? maxValue - minValue : maxValue;
-      const percent = span > 0 ? ((value - minValue) / span) * 100 : maxValue > 0 ? (value / maxValue) * 100 : 0;
-      const progressPercent = Math.max(0, Math.min(100, Number(faction.progressPercent ?? percent)));
-      const updatedAtFormatted = Number.isFinite(faction.updatedAt)
-        ? new Date(faction.updatedAt).toLocaleString()
-        : null;
+  /**
+   * Read the ids of the infiltration and the item a control belongs to.
+   * @param {Event} event
+   */
+  _getInfiltrationTarget(event) {
+    const element = event.currentTarget;
+    return {
+      infiltrationId: element?.closest("[data-infiltration-id]")?.dataset.infiltrationId ?? "",
+      obstacleId: element?.closest("[data-obstacle-id]")?.dataset.obstacleId ?? "",
+      complicationId: element?.closest("[data-complication-id]")?.dataset.complicationId ?? "",
+      opportunityId: element?.closest("[data-opportunity-id]")?.dataset.opportunityId ?? "",
+    };
+  }
 
-      return {
-        ...faction,
-        minValue,
-        maxValue,
-        value,
-        progressPercent,
-        updatedAtFormatted,
-        canIncrease: maxValue === 0 || value < maxValue,
-        canDecrease: value > minValue,
+  async _confirmInfiltrationDelete(titleKey, contentKey) {
+    return Dialog.confirm({
+      title: game.i18n.localize(titleKey),
+      content: `<p>${game.i18n.localize(contentKey)}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+  }
+
+  async _onCreateInfiltration(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const data = await this._promptInfiltrationDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.Create"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateButton"),
+    });
+    if (!data) return;
+    await this.infiltrationTracker.createInfiltration(data);
+    this.render();
+  }
+
+  async _onEditInfiltration(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    const infiltration = this.infiltrationTracker.getInfiltration(infiltrationId);
+    if (!infiltration) return;
+    const data = await this._promptInfiltrationDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.Edit"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.Save"),
+      initial: infiltration,
+    });
+    if (!data) return;
+    await this.infiltrationTracker.updateInfiltration(infiltrationId, data);
+    this.render();
+  }
+
+  async _onDeleteInfiltration(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId) return;
+    const confirmed = await this._confirmInfiltrationDelete(
+      "PF2E.PointsTracker.Infiltration.Delete",
+      "PF2E.PointsTracker.Infiltration.DeleteConfirm"
+    );
+    if (!confirmed) return;
+    await this.infiltrationTracker.deleteInfiltration(infiltrationId);
+    this.render();
+  }
+
+  async _onAdjustInfiltrationAwareness(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    const delta = Number(event.currentTarget?.dataset.delta ?? 0);
+    if (!infiltrationId || !Number.isFinite(delta) || delta === 0) return;
+    await this.infiltrationTracker.adjustAwareness(infiltrationId, delta);
+    this.render();
+  }
+
+  async _onAdjustInfiltrationEdge(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    const delta = Number(event.currentTarget?.dataset.delta ?? 0);
+    if (!infiltrationId || !Number.isFinite(delta) || delta === 0) return;
+    await this.infiltrationTracker.adjustEdgePoints(infiltrationId, delta);
+    this.render();
+  }
+
+  async _onSpendInfiltrationEdge(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId) return;
+
+    const reason = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.Edge.Spend"),
+      content: `
+        <form>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Infiltration.Edge.SpendHint")}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Edge.Reason")}</label>
+            <input type="text" name="reason" />
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.Edge.Spend"),
+      callback: (html) =>
+        new FormData(html[0].querySelector("form")).get("reason")?.toString().trim() ?? "",
+      rejectClose: false,
+    });
+    if (reason === null || reason === undefined) return;
+
+    if (!game.user?.isGM) {
+      await this.relay?.request(RELAY_ACTIONS.INFILTRATION_SPEND_EDGE, { infiltrationId, reason });
+      return;
+    }
+    await this.infiltrationTracker.spendEdgePoint(infiltrationId, { reason });
+    this.render();
+  }
+
+  async _onCreateInfiltrationObstacle(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId) return;
+    const data = await this._promptInfiltrationObstacleDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateObstacle"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateButton"),
+    });
+    if (!data) return;
+    await this.infiltrationTracker.createObstacle(infiltrationId, data);
+    this.render();
+  }
+
+  async _onEditInfiltrationObstacle(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, obstacleId } = this._getInfiltrationTarget(event);
+    const obstacle = this.infiltrationTracker
+      .getInfiltration(infiltrationId)
+      ?.obstacles.find((entry) => entry.id === obstacleId);
+    if (!obstacle) return;
+    const data = await this._promptInfiltrationObstacleDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.EditObstacle"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.Save"),
+      initial: obstacle,
+    });
+    if (!data) return;
+    await this.infiltrationTracker.updateObstacle(infiltrationId, obstacleId, data);
+    this.render();
+  }
+
+  async _onDeleteInfiltrationObstacle(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, obstacleId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId || !obstacleId) return;
+    const confirmed = await this._confirmInfiltrationDelete(
+      "PF2E.PointsTracker.Infiltration.DeleteObstacle",
+      "PF2E.PointsTracker.Infiltration.DeleteObstacleConfirm"
+    );
+    if (!confirmed) return;
+    await this.infiltrationTracker.deleteObstacle(infiltrationId, obstacleId);
+    this.render();
+  }
+
+  async _onAdjustInfiltrationObstacle(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, obstacleId } = this._getInfiltrationTarget(event);
+    const { delta, actorUuid, actorName } = event.currentTarget?.dataset ?? {};
+    const numericDelta = Number(delta ?? 0);
+    if (!infiltrationId || !obstacleId || !Number.isFinite(numericDelta) || numericDelta === 0) {
+      return;
+    }
+    await this.infiltrationTracker.adjustObstacleProgress(infiltrationId, obstacleId, numericDelta, {
+      actorUuid,
+      actorName,
+    });
+    this.render();
+  }
+
+  async _onCreateInfiltrationComplication(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId) return;
+    const data = await this._promptInfiltrationComplicationDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.Complications.Create"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateButton"),
+    });
+    if (!data) return;
+    await this.infiltrationTracker.createComplication(infiltrationId, data);
+    this.render();
+  }
+
+  async _onEditInfiltrationComplication(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, complicationId } = this._getInfiltrationTarget(event);
+    const complication = this.infiltrationTracker
+      .getInfiltration(infiltrationId)
+      ?.complications.find((entry) => entry.id === complicationId);
+    if (!complication) return;
+    const data = await this._promptInfiltrationComplicationDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.Complications.Edit"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.Save"),
+      initial: complication,
+    });
+    if (!data) return;
+    await this.infiltrationTracker.updateComplication(infiltrationId, complicationId, data);
+    this.render();
+  }
+
+  async _onDeleteInfiltrationComplication(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, complicationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId || !complicationId) return;
+    const confirmed = await this._confirmInfiltrationDelete(
+      "PF2E.PointsTracker.Infiltration.Complications.Delete",
+      "PF2E.PointsTracker.Infiltration.Complications.DeleteConfirm"
+    );
+    if (!confirmed) return;
+    await this.infiltrationTracker.deleteComplication(infiltrationId, complicationId);
+    this.render();
+  }
+
+  async _onCreateInfiltrationOpportunity(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId) return;
+    const data = await this._promptChaseOpportunityDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateOpportunity"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.CreateButton"),
+    });
+    if (!data) return;
+    await this.infiltrationTracker.createOpportunity(infiltrationId, data);
+    this.render();
+  }
+
+  async _onEditInfiltrationOpportunity(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, opportunityId } = this._getInfiltrationTarget(event);
+    const opportunity = this.infiltrationTracker
+      .getInfiltration(infiltrationId)
+      ?.opportunities.find((entry) => entry.id === opportunityId);
+    if (!opportunity) return;
+    const data = await this._promptChaseOpportunityDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Infiltration.EditOpportunity"),
+      label: game.i18n.localize("PF2E.PointsTracker.Infiltration.Save"),
+      initial: opportunity,
+    });
+    if (!data) return;
+    await this.infiltrationTracker.updateOpportunity(infiltrationId, opportunityId, data);
+    this.render();
+  }
+
+  async _onDeleteInfiltrationOpportunity(event) {
+    event.preventDefault();
+    if (!this.infiltrationTracker || !game.user?.isGM) return;
+    const { infiltrationId, opportunityId } = this._getInfiltrationTarget(event);
+    if (!infiltrationId || !opportunityId) return;
+    const confirmed = await this._confirmInfiltrationDelete(
+      "PF2E.PointsTracker.Infiltration.DeleteOpportunity",
+      "PF2E.PointsTracker.Infiltration.DeleteOpportunityConfirm"
+    );
+    if (!confirmed) return;
+    await this.infiltrationTracker.deleteOpportunity(infiltrationId, opportunityId);
+    this.render();
+  }
+
+  async _promptInfiltrationDialog({ title, label, initial = {} }) {
+    const entries = this.awarenessTracker?.getEntries() ?? [];
+    const selectedEntryId = initial.awarenessEntryId ?? "";
+    const entryOptions = [
+      `<option value="">${escapeHtml(
+        game.i18n.localize("PF2E.PointsTracker.Infiltration.AwarenessNew")
+      )}</option>`,
+      ...entries.map(
+        (entry) =>
+          `<option value="${escapeAttribute(entry.id)}"${
+            entry.id === selectedEntryId ? " selected" : ""
+          }>${escapeHtml(entry.name)}</option>`
+      ),
+    ].join("");
+    const template = `
+      <form>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Name")}</label>
+          <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}" required />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.AwarenessEntry")}</label>
+          <select name="awarenessEntryId">${entryOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.AwarenessTarget")}</label>
+          <input type="number" name="awarenessTarget" min="1" step="1" value="20" />
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Infiltration.AwarenessHint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Edge.Label")}</label>
+          <input type="number" name="edgePoints" min="0" step="1" value="${
+            Number(initial.edgePoints) || 0
+          }" />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Description")}</label>
+          <textarea name="description" rows="4">${escapeHtml(initial.description ?? "")}</textarea>
+        </div>
+      </form>
+    `;
+    const result = await Dialog.prompt({
+      title,
+      content: template,
+      label,
+      callback: (html) => {
+        const formData = new FormData(html[0].querySelector("form"));
+        return {
+          name: formData.get("name")?.toString().trim() ?? "",
+          description: formData.get("description")?.toString().trim() ?? "",
+          awarenessEntryId: formData.get("awarenessEntryId")?.toString() || null,
+          awarenessTarget: Number(formData.get("awarenessTarget")),
+          edgePoints: Number(formData.get("edgePoints")) || 0,
+        };
+      },
+      rejectClose: false,
+    });
+    return result || null;
+  }
+
+  async _promptInfiltrationObstacleDialog({ title, label, initial = {} }) {
+    const type = initial.type ?? "group";
+    const typeOptions = INFILTRATION_OBSTACLE_TYPES.map(
+      (value) =>
+        `<option value="${value}"${value === type ? " selected" : ""}>${escapeHtml(
+          game.i18n.localize(`PF2E.PointsTracker.Infiltration.ObstacleTypes.${value}`)
+        )}</option>`
+    ).join("");
+    const template = `
+      <form>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.ObstacleName")}</label>
+          <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}" required />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.ObstacleType")}</label>
+          <select name="type">${typeOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.ObstaclePoints")}</label>
+          <input type="number" name="requiredPoints" min="0" step="1" value="${
+            Number(initial.requiredPoints) || 0
+          }" />
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Infiltration.ObstaclePointsHint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.ObstacleChecks")}</label>
+          <div class="research-location__check-editor" data-checks></div>
+          <button type="button" class="dialog-button" data-add-check>
+            <i class="fas fa-plus"></i>
+            ${game.i18n.localize("PF2E.PointsTracker.Research.AddCheck")}
+          </button>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Description")}</label>
+          <textarea name="description" rows="4">${escapeHtml(initial.description ?? "")}</textarea>
+        </div>
+      </form>
+    `;
+    const result = await Dialog.prompt({
+      title,
+      content: template,
+      label,
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        const formData = new FormData(form);
+        const checks = Array.from(form.querySelectorAll("[data-check-entry]"))
+          .map((row) => {
+            const skill = row.querySelector("[data-check-field='skill']")?.value?.toString().trim() ?? "";
+            const dcValue = Number(row.querySelector("[data-check-field='dc']")?.value);
+            if (!skill) return null;
+            return { skill, dc: Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null };
+          })
+          .filter((entry) => entry);
+        return {
+          name: formData.get("name")?.toString().trim() ?? "",
+          type: formData.get("type")?.toString() ?? "group",
+          requiredPoints: Number(formData.get("requiredPoints")) || 0,
+          description: formData.get("description")?.toString().trim() ?? "",
+          checks,
+        };
+      },
+      rejectClose: false,
+      render: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return;
+        this._setupCheckEditor(
+          form.querySelector("[data-checks]"),
+          form.querySelector("[data-add-check]"),
+          Array.isArray(initial.checks) ? initial.checks : []
+        );
+      },
+    });
+    return result || null;
+  }
+
+  async _promptInfiltrationComplicationDialog({ title, label, initial = {} }) {
+    const template = `
+      <form>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Complications.Name")}</label>
+          <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}" required />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Complications.Trigger")}</label>
+          <input type="number" name="trigger" min="1" step="1" value="${Number(initial.trigger) || 1}" />
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Infiltration.Complications.Description")}</label>
+          <textarea name="description" rows="4">${escapeHtml(initial.description ?? "")}</textarea>
+        </div>
+      </form>
+    `;
+    const result = await Dialog.prompt({
+      title,
+      content: template,
+      label,
+      callback: (html) => {
+        const formData = new FormData(html[0].querySelector("form"));
+        return {
+          name: formData.get("name")?.toString().trim() ?? "",
+          trigger: Number(formData.get("trigger")) || 1,
+          description: formData.get("description")?.toString().trim() ?? "",
+        };
+      },
+      rejectClose: false,
+    });
+    return result || null;
+  }
+
+  async _prepareVictoryData({ isGM }) {
+    if (!this.victoryTracker) {
+      return {
+        isGM,
+        hasTracker: false,
+        tracks: [],
+      };
+    }
+
+    const toHtml = (text) => escapeHtml(text ?? "").replace(/\n/g, "<br />");
+    const tracks = [];
+    for (const track of this.victoryTracker.getTracks()) {
+      const hasMax = track.max > 0;
+      const scale = hasMax ? track.max : Math.max(track.current, 1);
+      const thresholds = track.thresholds
+        .map((threshold) => ({
+          ...threshold,
+          isReached: track.current >= threshold.points,
+        }))
+        // Players only learn about a threshold once the party reaches it.
+        .filter((threshold) => isGM || (threshold.isReached && threshold.playerText))
+        .map((threshold) => ({
+          id: threshold.id,
+          points: threshold.points,
+          isReached: threshold.isReached,
+          markerPercent: Math.min(100, (threshold.points / scale) * 100),
+          pointsLabel: game.i18n.format("PF2E.PointsTracker.Victory.Thresholds.PointsLabel", {
+            points: threshold.points,
+          }),
+          playerTextHtml: toHtml(threshold.playerText),
+          gmTextHtml: isGM ? toHtml(threshold.gmText) : "",
+        }));
+      const checksHtml = await Promise.all(
+        track.checks.map((check) => {
+          const slug = slugifySkill(check.skill);
+          if (!slug) return escapeHtml(check.skill);
+          const parts = [`type:${slug}`];
+          if (check.dc !== null) parts.push(`dc:${check.dc}`);
+          return this._enrichText(`@Check[${parts.join("|")}]`);
+        })
+      );
+      const logEntries = this.victoryTracker
+        .getTrackLog(track.id)
+        .slice(-10)
+        .reverse()
+        .map((logEntry) => ({
+          ...logEntry,
+          timestampFormatted: new Date(logEntry.timestamp).toLocaleString(),
+          deltaLabel: logEntry.delta > 0 ? `+${logEntry.delta}` : `${logEntry.delta}`,
+          totalLabel:
+            logEntry.total !== null
+              ? game.i18n.format("PF2E.PointsTracker.Victory.Log.Total", { total: logEntry.total })
+              : "",
+        }));
+
+      tracks.push({
+        ...track,
+        hasMax,
+        progressPercent: hasMax ? Math.min(100, (track.current / track.max) * 100) : 0,
+        progressLabel: hasMax
+          ? game.i18n.format("PF2E.PointsTracker.Victory.ProgressLabel", {
+              current: track.current,
+              max: track.max,
+            })
+          : game.i18n.format("PF2E.PointsTracker.Victory.ProgressOpen", {
+              current: track.current,
+            }),
+        isComplete: hasMax && track.current >= track.max,
+        canIncrease: !hasMax || track.current < track.max,
+        canDecrease: track.current > 0,
+        updatedAtFormatted: Number.isFinite(track.updatedAt)
+          ? new Date(track.updatedAt).toLocaleString()
+          : null,
+        thresholds,
+        checksHtml: checksHtml.filter((html) => html).join(", "),
+        logEntries,
+      });
+    }
+
+    return {
+      isGM,
+      hasTracker: true,
+      tracks,
+    };
+  }
+
+  _activateVictoryListeners(html) {
+    const panel = html.find("[data-tab-panel='victory']");
+    if (!panel.length) return;
+
+    const actions = {
+      "create-victory-track": (event) => this._onCreateVictoryTrack(event),
+      "edit-victory-track": (event) => this._onEditVictoryTrack(event),
+      "delete-victory-track": (event) => this._onDeleteVictoryTrack(event),
+      "adjust-victory-points": (event) => this._onAdjustVictoryPoints(event),
+      "adjust-victory-points-reason": (event) => this._onAdjustVictoryPointsWithReason(event),
+      "delete-victory-log-entry": (event) => this._onDeleteVictoryLogEntry(event),
+    };
+    for (const [action, handler] of Object.entries(actions)) {
+      panel.find(`[data-action='${action}']`).off("click").on("click", handler);
+    }
+  }
+
+  _getVictoryTrackId(event) {
+    return event.currentTarget?.closest("[data-track-id]")?.dataset.trackId ?? "";
+  }
+
+  async _onCreateVictoryTrack(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const data = await this._promptVictoryTrackDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Victory.Create"),
+      label: game.i18n.localize("PF2E.PointsTracker.Victory.CreateButton"),
+    });
+    if (!data) return;
+    await this.victoryTracker.createTrack(data);
+    this.render();
+  }
+
+  async _onEditVictoryTrack(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const trackId = this._getVictoryTrackId(event);
+    const track = this.victoryTracker.getTrack(trackId);
+    if (!track) return;
+    const data = await this._promptVictoryTrackDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Victory.Edit"),
+      label: game.i18n.localize("PF2E.PointsTracker.Victory.Save"),
+      initial: track,
+    });
+    if (!data) return;
+    await this.victoryTracker.updateTrack(trackId, data);
+    this.render();
+  }
+
+  async _onDeleteVictoryTrack(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const trackId = this._getVictoryTrackId(event);
+    const track = this.victoryTracker.getTrack(trackId);
+    if (!track) return;
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Victory.Delete"),
+      content: `<p>${game.i18n.format("PF2E.PointsTracker.Victory.DeleteConfirm", {
+        name: escapeHtml(track.name),
+      })}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+    await this.victoryTracker.deleteTrack(trackId);
+    this.render();
+  }
+
+  async _onAdjustVictoryPoints(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const trackId = this._getVictoryTrackId(event);
+    const delta = Number(event.currentTarget?.dataset.delta ?? 0);
+    if (!trackId || !Number.isFinite(delta) || delta === 0) return;
+    await this.victoryTracker.adjustPoints(trackId, delta);
+    this.render();
+  }
+
+  async _onAdjustVictoryPointsWithReason(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const trackId = this._getVictoryTrackId(event);
+    if (!trackId) return;
+
+    const result = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Victory.AdjustWithReason"),
+      content: `
+        <form>
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Delta")}</label>
+            <input type="number" name="delta" step="1" value="1" />
+          </div>
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Reason")}</label>
+            <input type="text" name="reason" />
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Victory.Save"),
+      callback: (html) => {
+        const formData = new FormData(html[0].querySelector("form"));
+        return {
+          delta: Number(formData.get("delta")),
+          reason: formData.get("reason")?.toString().trim() ?? "",
+        };
+      },
+      rejectClose: false,
+    });
+    if (!result || !Number.isFinite(result.delta) || result.delta === 0) return;
+    await this.victoryTracker.adjustPoints(trackId, result.delta, { reason: result.reason });
+    this.render();
+  }
+
+  async _onDeleteVictoryLogEntry(event) {
+    event.preventDefault();
+    if (!this.victoryTracker || !game.user?.isGM) return;
+    const logId = event.currentTarget.closest("[data-log-id]")?.dataset.logId;
+    if (!logId) return;
+    await this.victoryTracker.deleteLogEntry(logId);
+    this.render();
+  }
+
+  async _promptVictoryTrackDialog({ title, label, initial = {} }) {
+    const thresholdRows = (Array.isArray(initial.thresholds) ? initial.thresholds : [])
+      .concat(new Array(2).fill(null))
+      .map(
+        (threshold) => `
+          <div class="victory-threshold-row">
+            <input type="hidden" name="thresholdId[]" value="${escapeAttribute(threshold?.id ?? "")}">
+            <input type="hidden" name="thresholdReachedAt[]" value="${escapeAttribute(
+              threshold?.reachedAt ?? ""
+            )}">
+            <input
+              type="number"
+              name="thresholdPoints[]"
+              min="1"
+              step="1"
+              value="${escapeAttribute(threshold?.points ?? "")}"
+              placeholder="${escapeAttribute(
+                game.i18n.localize("PF2E.PointsTracker.Victory.Thresholds.Points")
+              )}"
+            >
+            <textarea
+              name="thresholdPlayerText[]"
+              rows="2"
+              placeholder="${escapeAttribute(
+                game.i18n.localize("PF2E.PointsTracker.Victory.Thresholds.PlayerText")
+              )}"
+            >${escapeHtml(threshold?.playerText ?? "")}</textarea>
+            <textarea
+              name="thresholdGmText[]"
+              rows="2"
+              placeholder="${escapeAttribute(
+                game.i18n.localize("PF2E.PointsTracker.Victory.Thresholds.GmText")
+              )}"
+            >${escapeHtml(threshold?.gmText ?? "")}</textarea>
+          </div>
+        `
+      )
+      .join("");
+    const template = `
+      <form class="flexcol points-tracker-dialog">
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Name")}</label>
+          <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}" required />
+        </div>
+        <div class="form-group form-group--split">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Current")}</label>
+          <input type="number" name="current" min="0" step="1" value="${Number(initial.current) || 0}" />
+        </div>
+        <div class="form-group form-group--split">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Max")}</label>
+          <input type="number" name="max" min="0" step="1" value="${Number(initial.max) || 0}" />
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Victory.MaxHint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Checks")}</label>
+          <div class="research-location__check-editor" data-checks></div>
+          <button type="button" class="dialog-button" data-add-check>
+            <i class="fas fa-plus"></i>
+            ${game.i18n.localize("PF2E.PointsTracker.Research.AddCheck")}
+          </button>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Victory.Description")}</label>
+          <textarea name="description" rows="3">${escapeHtml(initial.description ?? "")}</textarea>
+        </div>
+        <fieldset class="victory-thresholds-fieldset">
+          <legend>${game.i18n.localize("PF2E.PointsTracker.Victory.Thresholds.Header")}</legend>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Victory.Thresholds.Hint")}</p>
+          ${thresholdRows}
+        </fieldset>
+      </form>
+    `;
+    const result = await Dialog.prompt({
+      title,
+      content: template,
+      label,
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        const formData = new FormData(form);
+        const checks = Array.from(form.querySelectorAll("[data-check-entry]"))
+          .map((row) => {
+            const skill = row.querySelector("[data-check-field='skill']")?.value?.toString().trim() ?? "";
+            const dcValue = Number(row.querySelector("[data-check-field='dc']")?.value);
+            if (!skill) return null;
+            return { skill, dc: Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null };
+          })
+          .filter((entry) => entry);
+        const thresholdIds = formData.getAll("thresholdId[]");
+        const thresholdReachedAt = formData.getAll("thresholdReachedAt[]");
+        const thresholdPlayerTexts = formData.getAll("thresholdPlayerText[]");
+        const thresholdGmTexts = formData.getAll("thresholdGmText[]");
+        const thresholds = formData
+          .getAll("thresholdPoints[]")
+          .map((pointsValue, index) => ({
+            id: String(thresholdIds[index] ?? "").trim() || this._generateId(),
+            points: Math.floor(Number(pointsValue)),
+            playerText: String(thresholdPlayerTexts[index] ?? "").trim(),
+            gmText: String(thresholdGmTexts[index] ?? "").trim(),
+            reachedAt: Number(thresholdReachedAt[index]) || null,
+          }))
+          .filter((threshold) => Number.isFinite(threshold.points) && threshold.points > 0);
+        return {
+          name: formData.get("name")?.toString().trim() ?? "",
+          description: formData.get("description")?.toString().trim() ?? "",
+          current: Number(formData.get("current")) || 0,
+          max: Number(formData.get("max")) || 0,
+          checks,
+          thresholds,
+        };
+      },
+      rejectClose: false,
+      render: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return;
+        this._setupCheckEditor(
+          form.querySelector("[data-checks]"),
+          form.querySelector("[data-add-check]"),
+          Array.isArray(initial.checks) ? initial.checks : []
+        );
+      },
+    });
+    return result || null;
+  }
+
+  _prepareReputationData({ isGM }) {
+    if (!this.reputationTracker) {
+      return {
+        isGM,
+        factions: [],
+        hasTracker: false,
+      };
+    }
+
+    const factions = this.reputationTracker.getFactions().map((faction) => {
+      const minValue = Number.isFinite(faction.minValue) ? Number(faction.minValue) : 0;
+      const maxValue = Number.isFinite(faction.maxValue) ? Number(faction.maxValue) : 0;
+      const value = Number.isFinite(faction.value) ? Number(faction.value) : 0;
+      const span = maxValue > minValue ? maxValue - minValue : maxValue;
+      const percent = span > 0 ? ((value - minValue) / span) * 100 : maxValue > 0 ? (value / maxValue) * 100 : 0;
+      const progressPercent = Math.max(0, Math.min(100, Number(faction.progressPercent ?? percent)));
+      const updatedAtFormatted = Number.isFinite(faction.updatedAt)
+        ? new Date(faction.updatedAt).toLocaleString()
+        : null;
+
+      const band = resolveAttitudeBand(faction.bands, value);
+      const logEntries = this.reputationTracker
+        .getFactionLog(faction.id)
+        .slice()
+        .reverse()
+        .map((entry) => ({
+          ...entry,
+          timestampFormatted: new Date(entry.timestamp).toLocaleString(),
+          deltaLabel: entry.delta > 0 ? `+${entry.delta}` : `${entry.delta}`,
+          valueLabel:
+            entry.value !== null
+              ? game.i18n.format("PF2E.PointsTracker.Reputation.LogValue", { value: entry.value })
+              : "",
+        }));
+
+      return {
+        ...faction,
+        minValue,
+        maxValue,
+        value,
+        progressPercent,
+        updatedAtFormatted,
+        bandId: band?.id ?? "",
+        bandLabel: band?.label ?? "",
+        logEntries,
+        hasLogEntries: logEntries.length > 0,
+        canIncrease: maxValue === 0 || value < maxValue,
+        canDecrease: value > minValue,
       };
     });
 
@@ -4007,14 +5777,21 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
 
   _prepareAwarenessData({ isGM }) {
     const hasTracker = Boolean(this.awarenessTracker);
-    const hasAccess = Boolean(hasTracker && isGM);
-
-    if (!hasAccess) {
+    const hasAccess = this._canAccessAwareness();
+
+    if (!hasAccess || !isGM) {
+      const playerEntries = hasAccess
+        ? this.awarenessTracker
+            .getEntries()
+            .map((entry) => this._getPlayerAwarenessView(entry))
+            .filter((entry) => entry)
+        : [];
       return {
         isGM,
         hasTracker,
         hasAccess,
         entries: [],
+        playerEntries,
       };
     }
 
@@ -4029,10 +5806,35 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         ? new Date(entry.updatedAt).toLocaleString()
         : null;
 
-      const categoryKey =
-        entry.category === "person"
-          ? "PF2E.PointsTracker.Awareness.Category.person"
-          : "PF2E.PointsTracker.Awareness.Category.location";
+      const thresholds = (entry.thresholds ?? []).map((threshold) => ({
+        ...threshold,
+        isReached: current >= threshold.points,
+        markerPercent: Math.min(100, (threshold.points / normalizedTarget) * 100),
+        pointsLabel: game.i18n.format("PF2E.PointsTracker.Awareness.Thresholds.PointsLabel", {
+          points: threshold.points,
+        }),
+        gmTextHtml: escapeHtml(threshold.gmText ?? "").replace(/\n/g, "<br />"),
+      }));
+      const decayLabel = entry.decay?.amount
+        ? game.i18n.format("PF2E.PointsTracker.Awareness.Decay.Summary", {
+            amount: entry.decay.amount,
+            unit: game.i18n.localize(`PF2E.PointsTracker.Awareness.Decay.Units.${entry.decay.unit}`),
+          })
+        : "";
+      const logEntries = this.awarenessTracker
+        .getEntryLog(entry.id)
+        .slice(-10)
+        .reverse()
+        .map((logEntry) => ({
+          ...logEntry,
+          timestampFormatted: new Date(logEntry.timestamp).toLocaleString(),
+          deltaLabel: logEntry.delta > 0 ? `+${logEntry.delta}` : `${logEntry.delta}`,
+          totalLabel:
+            logEntry.total !== null
+              ? game.i18n.format("PF2E.PointsTracker.Awareness.Log.Total", { total: logEntry.total })
+              : "",
+          isDecay: logEntry.type === "decay",
+        }));
 
       return {
         ...entry,
@@ -4041,7 +5843,16 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         progressPercent,
         intensity: Number(intensity.toFixed(2)),
         updatedAtFormatted,
-        categoryLabel: game.i18n.localize(categoryKey),
+        categoryLabel: this.awarenessTracker.getCategoryLabel(entry.category),
+        isPlayerVisible: entry.visibility !== "hidden",
+        visibilityLabel: game.i18n.localize(
+          `PF2E.PointsTracker.Awareness.Visibility.Modes.${entry.visibility}`
+        ),
+        thresholds,
+        hasThresholds: thresholds.length > 0,
+        decayLabel,
+        logEntries,
+        hasLogEntries: logEntries.length > 0,
         canIncrease: current < normalizedTarget,
         canDecrease: current > 0,
       };
@@ -4055,6 +5866,15 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     };
   }
 
+  /**
+   * @param {import("../awareness/awareness-tracker.js").AwarenessEntry | null} entry
+   * @returns {object | null} The player-safe view of the entry, or null if hidden.
+   */
+  _getPlayerAwarenessView(entry) {
+    const view = entry ? this.awarenessTracker?.getPlayerView(entry) : null;
+    return view ? { ...view, isExact: view.visibility === "exact" } : null;
+  }
+
   _prepareChaseData({ isGM }) {
     if (!this.chaseTracker) {
       return {
@@ -4097,6 +5917,16 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           progress,
           progressPercent: percent,
           isComplete: required > 0 && progress >= required,
+          checksLabel: (Array.isArray(obstacle.checks) ? obstacle.checks : [])
+            .map((check) =>
+              Number.isFinite(check.dc)
+                ? game.i18n.format("PF2E.PointsTracker.Chase.ObstacleCheckLabel", {
+                    skill: check.skill,
+                    dc: check.dc,
+                  })
+                : check.skill
+            )
+            .join(", "),
           assignedActors: this._mapAssignedActors(obstacle.assignedActors, actorLookup),
         };
       });
@@ -4106,8 +5936,50 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         assignedActors: this._mapAssignedActors(opportunity.assignedActors, actorLookup),
       }));
 
+      const round = Number(event.round) || 0;
+      const currentIndex = Number(event.currentObstacleIndex) || 0;
+      const hasQuarry = event.quarryPosition !== null && event.quarryPosition !== undefined;
+      const quarryPosition = hasQuarry ? Number(event.quarryPosition) : null;
+      const quarryName =
+        event.quarryName || game.i18n.localize("PF2E.PointsTracker.Chase.QuarryDefaultName");
+      const track = normalizedObstacles.map((obstacle, index) => ({
+        index,
+        name: obstacle.name,
+        isComplete: obstacle.isComplete,
+        isCurrent: index === currentIndex,
+        hasQuarry: hasQuarry && index === quarryPosition,
+      }));
+      track.push({
+        index: normalizedObstacles.length,
+        name: game.i18n.localize("PF2E.PointsTracker.Chase.TrackFinish"),
+        isFinish: true,
+        isCurrent: currentIndex >= normalizedObstacles.length,
+        hasQuarry: hasQuarry && quarryPosition >= normalizedObstacles.length,
+      });
+      const lead = hasQuarry ? quarryPosition - currentIndex : null;
+      const quarryObstacle = hasQuarry ? normalizedObstacles[quarryPosition] ?? null : null;
+
       return {
         ...event,
+        templateLink: this._prepareTemplateLink(event),
+        round,
+        isStarted: round > 0,
+        roundLabel: game.i18n.format("PF2E.PointsTracker.Chase.RoundLabel", { round }),
+        track,
+        hasTrack: normalizedObstacles.length > 0,
+        hasQuarry,
+        quarryName,
+        quarryLeadLabel: hasQuarry
+          ? game.i18n.format("PF2E.PointsTracker.Chase.QuarryLead", { quarry: quarryName, lead })
+          : "",
+        hasQuarryObstacle: Boolean(quarryObstacle),
+        quarryProgressLabel: quarryObstacle
+          ? game.i18n.format("PF2E.PointsTracker.Chase.QuarryProgress", {
+              obstacle: quarryObstacle.name,
+              progress: Number(event.quarryProgress) || 0,
+              required: Number(quarryObstacle.requiredPoints) || 0,
+            })
+          : "",
         obstacles: normalizedObstacles,
         opportunities: normalizedOpportunities,
         hasObstacles: normalizedObstacles.length > 0,
@@ -4131,6 +6003,133 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     };
   }
 
+  async _prepareInfiltrationData({ isGM }) {
+    if (!this.infiltrationTracker) {
+      return {
+        isGM,
+        hasTracker: false,
+        infiltrations: [],
+      };
+    }
+
+    const partyActors = this._getPartyActors().map((actor) => ({
+      uuid: actor.uuid,
+      name: actor.name,
+      img: actor.img,
+    }));
+
+    const infiltrations = [];
+    for (const infiltration of this.infiltrationTracker.getInfiltrations()) {
+      const awareness = this.infiltrationTracker.getAwareness(infiltration.id);
+      const current = awareness?.current ?? 0;
+      const target = Math.max(awareness?.target ?? 0, 1);
+
+      const obstacles = [];
+      for (const obstacle of infiltration.obstacles) {
+        const required = obstacle.requiredPoints;
+        const isIndividual = obstacle.type === "individual";
+        const toPercent = (progress) =>
+          required > 0 ? Math.min((progress / required) * 100, 100) : 0;
+        const stored = new Map(obstacle.actorProgress.map((entry) => [entry.uuid, entry]));
+        const actors = [
+          ...partyActors.map((actor) => ({
+            ...actor,
+            progress: stored.get(actor.uuid)?.progress ?? 0,
+          })),
+          ...obstacle.actorProgress
+            .filter((entry) => !partyActors.some((actor) => actor.uuid === entry.uuid))
+            .map((entry) => ({ ...entry, img: "" })),
+        ].map((actor) => ({
+          ...actor,
+          progressPercent: toPercent(actor.progress),
+          isComplete: required > 0 && actor.progress >= required,
+        }));
+        const isComplete = isIndividual
+          ? actors.length > 0 && actors.every((actor) => actor.isComplete)
+          : required > 0 && obstacle.progress >= required;
+        const checksHtml = await Promise.all(
+          obstacle.checks.map((check) => {
+            const slug = slugifySkill(check.skill);
+            if (!slug) return escapeHtml(check.skill);
+            const parts = [`type:${slug}`];
+            if (check.dc !== null) parts.push(`dc:${check.dc}`);
+            return this._enrichText(`@Check[${parts.join("|")}]`);
+          })
+        );
+
+        obstacles.push({
+          ...obstacle,
+          isIndividual,
+          typeLabel: game.i18n.localize(
+            `PF2E.PointsTracker.Infiltration.ObstacleTypes.${obstacle.type}`
+          ),
+          progressPercent: toPercent(obstacle.progress),
+          progressLabel:
+            required > 0
+              ? game.i18n.format("PF2E.PointsTracker.Infiltration.ProgressLabel", {
+                  progress: obstacle.progress,
+                  required,
+                })
+              : game.i18n.format("PF2E.PointsTracker.Infiltration.ProgressOpen", {
+                  progress: obstacle.progress,
+                }),
+          actors: actors.map((actor) => ({
+            ...actor,
+            progressLabel:
+              required > 0 ? `${actor.progress} / ${required}` : `${actor.progress}`,
+          })),
+          isComplete,
+          checksHtml: checksHtml.filter((html) => html).join(", "),
+        });
+      }
+
+      const complications = infiltration.complications.map((complication) => ({
+        ...complication,
+        isTriggered: Boolean(complication.triggeredAt),
+        markerPercent: Math.min(100, (complication.trigger / target) * 100),
+        triggerLabel: game.i18n.format("PF2E.PointsTracker.Infiltration.Complications.TriggerLabel", {
+          points: complication.trigger,
+        }),
+        descriptionHtml: escapeHtml(complication.description).replace(/\n/g, "<br />"),
+      }));
+
+      infiltrations.push({
+        ...infiltration,
+        hasAwareness: Boolean(awareness),
+        awareness: awareness
+          ? {
+              name: awareness.name,
+              current,
+              target,
+              progressPercent: Math.min(100, (current / target) * 100),
+              canIncrease: current < target,
+              canDecrease: current > 0,
+            }
+          : null,
+        playerAwareness: isGM ? null : this._getPlayerAwarenessView(awareness),
+        obstacles,
+        clearedCount: obstacles.filter((obstacle) => obstacle.isComplete).length,
+        complications,
+        hasComplications: complications.length > 0,
+        opportunities: infiltration.opportunities,
+        canSpendEdge:
+          infiltration.edgePoints > 0 &&
+          (isGM ||
+            Boolean(
+              this.relay?.canPerform(RELAY_ACTIONS.INFILTRATION_SPEND_EDGE, {
+                infiltrationId: infiltration.id,
+              })
+            )),
+      });
+    }
+
+    return {
+      isGM,
+      hasTracker: true,
+      infiltrations,
+    };
+  }
+
   async _prepareInfluenceData({ isGM }) {
     if (!this.influenceTracker) {
       return {
@@ -4143,6 +6142,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     }
 
     const npcsRaw = this.influenceTracker.getNpcs();
+    const activeNpcId = this.influenceTracker.getActiveNpcId();
     const npcLookup = new Map();
     const slugifySkill = (value) => {
       if (!value) return "";
@@ -4173,13 +6173,24 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       const baseDcLabel = baseDc !== null
         ? game.i18n.format("PF2E.PointsTracker.Influence.BaseDCLabel", { dc: baseDc })
         : game.i18n.localize("PF2E.PointsTracker.Influence.BaseDCMissing");
+      // Players only see the facts the GM or a Discovery check has revealed.
+      const revealedTraits = new Set(
+        (npc.revealedTraits ?? []).map((trait) => trait.toLocaleLowerCase())
+      );
       const traits = Array.isArray(npc.traits)
         ? npc.traits
             .map((trait) => (typeof trait === "string" ? trait.trim() : ""))
             .filter((trait) => trait)
+            .map((trait) => ({
+              label: trait,
+              isRevealed: revealedTraits.has(trait.toLocaleLowerCase()),
+            }))
+            .filter((trait) => isGM || trait.isRevealed)
         : [];
-      const traitsLabel = traits.join(", ");
-      const skillDcsRaw = Array.isArray(npc.skillDcs) ? npc.skillDcs : [];
+      const traitsLabel = traits.map((trait) => trait.label).join(", ");
+      const skillDcsRaw = (Array.isArray(npc.skillDcs) ? npc.skillDcs : []).filter(
+        (entry) => isGM || entry.isRevealed
+      );
       const skillDcs = await Promise.all(
         skillDcsRaw.map(async (entry) => {
           const skill = typeof entry.skill === "string" ? entry.skill.trim() : "";
@@ -4211,6 +6222,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
             dc,
             label,
             inlineHtml: inlineHtml || null,
+            isRevealed: Boolean(entry.isRevealed),
           };
         })
       );
@@ -4224,7 +6236,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
             return {
               id: threshold.id,
               points,
-              gmText: threshold.gmText ?? "",
+              gmText: isGM ? threshold.gmText ?? "" : "",
               playerText: threshold.playerText ?? "",
               reward: threshold.reward ?? "",
               isUnlocked,
@@ -4235,12 +6247,66 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
                 points,
               }),
             };
-          })
+          }).filter((threshold) => isGM || threshold.isRevealed)
         : [];
 
+      const modifiers = ["resistances", "weaknesses"]
+        .map((kind) => {
+          const entries = (Array.isArray(npc[kind]) ? npc[kind] : [])
+            .filter((entry) => isGM || entry.isRevealed)
+            .map((entry) => {
+              const effects = [];
+              if (entry.dcModifier) {
+                effects.push(
+                  game.i18n.format("PF2E.PointsTracker.Influence.Modifiers.DcEffect", {
+                    value: entry.dcModifier > 0 ? `+${entry.dcModifier}` : `${entry.dcModifier}`,
+                  })
+                );
+              }
+              if (entry.influenceModifier) {
+                effects.push(
+                  game.i18n.format("PF2E.PointsTracker.Influence.Modifiers.InfluenceEffect", {
+                    value:
+                      entry.influenceModifier > 0
+                        ? `+${entry.influenceModifier}`
+                        : `${entry.influenceModifier}`,
+                  })
+                );
+              }
+              return {
+                id: entry.id,
+                trigger: entry.trigger,
+                triggerTypeLabel: game.i18n.localize(
+                  `PF2E.PointsTracker.Influence.Modifiers.TriggerType.${entry.triggerType}`
+                ),
+                description: entry.description,
+                effectsLabel: effects.join(", "),
+                isRevealed: entry.isRevealed,
+              };
+            });
+          return {
+            kind,
+            label: game.i18n.localize(`PF2E.PointsTracker.Influence.Modifiers.Kind.${kind}`),
+            entries,
+          };
+        })
+        .filter((group) => group.entries.length > 0);
+
       const discoveryChecks =
         typeof npc.discoveryChecks === "string" ? npc.discoveryChecks.trim() : "";
       const discoveryChecksHtml = escapeHtml(discoveryChecks).replace(/\n/g, "<br />");
+      const discoveryInlineHtml = await Promise.all(
+        parseCheckList(discoveryChecks).map((check) => {
+          const slug = slugifySkill(check.skill);
+          if (!slug) return "";
+          const parts = [`type:${slug}`];
+          if (check.dc !== null) parts.push(`dc:${check.dc}`);
+          parts.push("traits:discovery");
+          return this._enrichText(`@Check[${parts.join("|")}]`);
+        })
+      );
+      const discoveryFacts = this.influenceTracker.getDiscoveryFacts(npc.id);
+      const hiddenFactCount = discoveryFacts.filter((fact) => !fact.isRevealed).length;
       const influenceChecks =
         typeof npc.influenceChecks === "string" ? npc.influenceChecks.trim() : "";
       const influenceChecksHtml = escapeHtml(influenceChecks).replace(/\n/g, "<br />");
@@ -4274,11 +6340,16 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
                 })
               : "",
           userName: entry.userName ?? "",
+          rollSummary: this._formatRoll(entry.roll),
         }));
 
       const npcData = {
         id: npc.id,
         name: npc.name,
+        actorUuid: npc.actorUuid ?? "",
+        img: npc.img ?? "",
+        templateLink: this._prepareTemplateLink(npc),
+        isActive: npc.id === activeNpcId,
         currentInfluence,
         maxInfluence,
         maxInfluenceLabel:
@@ -4295,12 +6366,22 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         hasSkillDcs: skillDcs.length > 0,
         thresholds,
         hasThresholds: thresholds.length > 0,
+        modifiers,
+        hasModifiers: modifiers.length > 0,
         discoveryChecks,
         discoveryChecksHtml,
         hasDiscoveryChecks: Boolean(discoveryChecks),
+        hasDiscoverySection: Boolean(discoveryChecks) || discoveryFacts.length > 0,
+        discoveryInlineHtml: discoveryInlineHtml.filter((html) => html),
+        discoveryProgressLabel: game.i18n.format("PF2E.PointsTracker.Influence.Discovery.Progress", {
+          revealed: discoveryFacts.length - hiddenFactCount,
+          total: discoveryFacts.length,
+        }),
+        canRevealFact: hiddenFactCount > 0,
         influenceChecks,
         influenceChecksHtml,
-        hasInfluenceChecks: Boolean(influenceChecks),
+        // The free-text influence checks would give away unrevealed skills.
+        hasInfluenceChecks: isGM && Boolean(influenceChecks),
         penalty,
         penaltyHtml,
         notes,
@@ -4311,6 +6392,14 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
         hasLogEntries: npcLog.length > 0,
         canIncrease: maxInfluence === 0 || currentInfluence < maxInfluence,
         canDecrease: currentInfluence > 0,
+        canAdjust:
+          isGM ||
+          Boolean(
+            this.relay?.canPerform(RELAY_ACTIONS.INFLUENCE_ADJUST, {
+              npcId: npc.id,
+              actorUuid: game.user?.character?.uuid ?? "",
+            })
+          ),
       };
       npcs.push(npcData);
     }
@@ -4343,20 +6432,122 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           total: entry.total,
           totalLabel,
           userName: entry.userName ?? "",
+          rollSummary: this._formatRoll(entry.roll),
         };
       });
 
+    const encounters = this._prepareInfluenceEncounters({ npcLookup });
+
     return {
       isGM,
       hasTracker: true,
       npcs,
       log: logEntries,
       hasNpcs: npcs.length > 0,
+      encounters,
+      hasEncounters: encounters.length > 0,
       canCreate: isGM,
+      canLogNote:
+        isGM ||
+        Boolean(this.relay && this.relay.getPolicy(RELAY_ACTIONS.INFLUENCE_LOG_NOTE) !== "gm"),
       hasLog: logEntries.length > 0,
     };
   }
 
+  /**
+   * @param {{ npcLookup: Map<string, object> }} options
+   * @returns {object[]}
+   */
+  _prepareInfluenceEncounters({ npcLookup }) {
+    const partyActors = this._getPartyActors();
+
+    return this.influenceTracker.getEncounters().map((encounter) => {
+      const unit =
+        encounter.roundUnit ||
+        game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.DefaultRoundUnit");
+      const isRunning = encounter.status === "running";
+      const roundLabel = (() => {
+        if (!isRunning) {
+          return encounter.maxRounds !== null
+            ? game.i18n.format("PF2E.PointsTracker.Influence.Encounter.RoundLimit", {
+                unit,
+                max: encounter.maxRounds,
+              })
+            : game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.NoRoundLimit");
+        }
+        return encounter.maxRounds !== null
+          ? game.i18n.format("PF2E.PointsTracker.Influence.Encounter.RoundOf", {
+              unit,
+              round: encounter.currentRound,
+              max: encounter.maxRounds,
+            })
+          : game.i18n.format("PF2E.PointsTracker.Influence.Encounter.Round", {
+              unit,
+              round: encounter.currentRound,
+            });
+      })();
+      // Counts the current round, so the final round shows 1 remaining.
+      const remaining =
+        isRunning && encounter.maxRounds !== null
+          ? Math.max(encounter.maxRounds - encounter.currentRound + 1, 0)
+          : null;
+
+      const acted = new Map(encounter.actedActors.map((entry) => [entry.uuid, entry]));
+      const roster = partyActors
+        .filter((actor) => actor?.uuid)
+        .map((actor) => ({ uuid: actor.uuid, name: actor.name, hasActed: acted.has(actor.uuid) }));
+      for (const entry of encounter.actedActors) {
+        if (!roster.some((member) => member.uuid === entry.uuid)) {
+          roster.push({ uuid: entry.uuid, name: entry.name || entry.uuid, hasActed: true });
+        }
+      }
+
+      const summary =
+        encounter.status === "complete"
+          ? this.influenceTracker.getEncounterSummary(encounter.id).map((entry) => ({
+              name: entry.name,
+              influenceLabel:
+                entry.maxInfluence > 0
+                  ? `${entry.influence} / ${entry.maxInfluence}`
+                  : `${entry.influence}`,
+              unlocked: entry.unlocked.map((threshold) => ({
+                points: threshold.points,
+                text: threshold.playerText || threshold.reward || "",
+              })),
+            }))
+          : [];
+
+      return {
+        id: encounter.id,
+        name: encounter.name,
+        status: encounter.status,
+        statusLabel: game.i18n.localize(
+          `PF2E.PointsTracker.Influence.Encounter.Status.${encounter.status}`
+        ),
+        isPlanned: encounter.status === "planned",
+        isRunning,
+        isComplete: encounter.status === "complete",
+        roundLabel,
+        remainingLabel:
+          remaining !== null
+            ? game.i18n.format("PF2E.PointsTracker.Influence.Encounter.Remaining", {
+                count: remaining,
+              })
+            : "",
+        isFinalRound: remaining === 1,
+        npcNames: encounter.npcIds
+          .map((npcId) => npcLookup.get(npcId)?.name)
+          .filter((name) => name)
+          .join(", "),
+        roster: isRunning ? roster : [],
+        summary,
+        completedAtFormatted: encounter.completedAt
+          ? new Date(encounter.completedAt).toLocaleString()
+          : null,
+      };
+    });
+  }
+
   _activateInfluenceListeners(html) {
     const panel = html.find("[data-tab-panel='influence']");
     if (!panel.length) return;
@@ -4376,6 +6567,23 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       .off("click")
       .on("click", (event) => this._onDeleteInfluenceNpc(event));
 
+    panel
+      .find("[data-action='toggle-active-influence-npc']")
+      .off("click")
+      .on("click", (event) => this._onToggleActiveInfluenceNpc(event));
+
+    panel
+      .find("[data-action='open-linked-document']")
+      .off("click")
+      .on("click", (event) => this._onOpenLinkedDocument(event));
+
+    panel
+      .find("[data-action='unlink-influence-actor']")
+      .off("click")
+      .on("click", (event) => this._onUnlinkInfluenceActor(event));
+
+    this._bindInfluenceActorDrops(panel);
+
     panel
       .find("[data-action='adjust-influence']")
       .off("click")
@@ -4401,11 +6609,61 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
       .off("click")
       .on("click", (event) => this._onToggleInfluenceThreshold(event));
 
+    panel
+      .find("[data-action='manage-influence-modifiers']")
+      .off("click")
+      .on("click", (event) => this._onManageInfluenceModifiers(event));
+
+    panel
+      .find("[data-action='toggle-influence-fact']")
+      .off("click")
+      .on("click", (event) => this._onToggleInfluenceFact(event));
+
+    panel
+      .find("[data-action='reveal-influence-fact']")
+      .off("click")
+      .on("click", (event) => this._onRevealInfluenceFact(event));
+
     panel
       .find("[data-action='add-influence-log-entry']")
       .off("click")
       .on("click", (event) => this._onAddInfluenceLogEntry(event));
 
+    panel
+      .find("[data-action='create-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onCreateInfluenceEncounter(event));
+
+    panel
+      .find("[data-action='edit-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onEditInfluenceEncounter(event));
+
+    panel
+      .find("[data-action='delete-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onDeleteInfluenceEncounter(event));
+
+    panel
+      .find("[data-action='start-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onInfluenceEncounterAction(event, "startEncounter"));
+
+    panel
+      .find("[data-action='advance-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onInfluenceEncounterAction(event, "advanceEncounterRound"));
+
+    panel
+      .find("[data-action='complete-influence-encounter']")
+      .off("click")
+      .on("click", (event) => this._onInfluenceEncounterAction(event, "completeEncounter"));
+
+    panel
+      .find("[data-action='toggle-influence-encounter-acted']")
+      .off("click")
+      .on("click", (event) => this._onToggleInfluenceEncounterActed(event));
+
     panel
       .find("[data-action='edit-influence-log-entry']")
       .off("click")
@@ -4475,6 +6733,152 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     this.render();
   }
 
+  async _onCreateInfluenceEncounter(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const result = await this._promptInfluenceEncounterDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Create"),
+    });
+    if (!result) return;
+
+    await this.influenceTracker.createEncounter(result);
+    this.render();
+  }
+
+  async _onEditInfluenceEncounter(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const encounterId = event.currentTarget.closest("[data-encounter-id]")?.dataset.encounterId;
+    const encounter = encounterId ? this.influenceTracker.getEncounter(encounterId) : null;
+    if (!encounter) return;
+
+    const result = await this._promptInfluenceEncounterDialog({
+      title: game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Edit"),
+      initial: encounter,
+    });
+    if (!result) return;
+
+    await this.influenceTracker.updateEncounter(encounterId, result);
+    this.render();
+  }
+
+  async _onDeleteInfluenceEncounter(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const encounterId = event.currentTarget.closest("[data-encounter-id]")?.dataset.encounterId;
+    const encounter = encounterId ? this.influenceTracker.getEncounter(encounterId) : null;
+    if (!encounter) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Delete"),
+      content: `<p>${game.i18n.format("PF2E.PointsTracker.Influence.Encounter.DeleteConfirm", {
+        name: escapeHtml(encounter.name),
+      })}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+
+    await this.influenceTracker.deleteEncounter(encounterId);
+    this.render();
+  }
+
+  /**
+   * @param {Event} event
+   * @param {"startEncounter" | "advanceEncounterRound" | "completeEncounter"} method
+   */
+  async _onInfluenceEncounterAction(event, method) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const encounterId = event.currentTarget.closest("[data-encounter-id]")?.dataset.encounterId;
+    if (!encounterId) return;
+
+    await this.influenceTracker[method](encounterId);
+    this.render();
+  }
+
+  async _onToggleInfluenceEncounterActed(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const button = event.currentTarget;
+    const encounterId = button.closest("[data-encounter-id]")?.dataset.encounterId;
+    const { actorUuid, actorName, acted } = button.dataset;
+    if (!encounterId || !actorUuid) return;
+
+    await this.influenceTracker.setActorActed(
+      encounterId,
+      { uuid: actorUuid, name: actorName ?? "" },
+      acted !== "true"
+    );
+    this.render();
+  }
+
+  /**
+   * Dropping an Actor on an NPC card links the NPC to it.
+   * @param {JQuery} panel
+   */
+  _bindInfluenceActorDrops(panel) {
+    if (!game.user?.isGM) return;
+    panel.find("[data-dropzone='influence-actor']").each((_index, zone) => {
+      zone.addEventListener("dragover", (event) => {
+        if (!event.dataTransfer?.types?.includes("text/plain")) return;
+        event.preventDefault();
+      });
+      zone.addEventListener("drop", async (event) => {
+        if (event.defaultPrevented) return;
+        let data = null;
+        try {
+          data = JSON.parse(event.dataTransfer?.getData("text/plain") ?? "");
+        } catch (error) {
+          return;
+        }
+        if (data?.type !== "Actor") return;
+        event.preventDefault();
+
+        const npcId = zone.closest("[data-npc-id]")?.dataset.npcId;
+        if (!npcId) return;
+        const actor = await resolveDroppedDocument(data, ["Actor"]);
+        if (!actor) return;
+
+        await this.influenceTracker.linkActor(npcId, getActorLinkData(actor));
+        ui.notifications?.info(
+          game.i18n.format("PF2E.PointsTracker.Links.ActorLinked", { name: actor.name })
+        );
+        this.render();
+      });
+    });
+  }
+
+  async _onUnlinkInfluenceActor(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!this.influenceTracker) return;
+
+    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
+    if (!npcId) return;
+
+    await this.influenceTracker.unlinkActor(npcId);
+    this.render();
+  }
+
+  async _onToggleActiveInfluenceNpc(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
+    if (!npcId) return;
+    const isActive = this.influenceTracker.getActiveNpcId() === npcId;
+
+    await this.influenceTracker.setActiveNpc(isActive ? null : npcId);
+    this.render();
+  }
+
   async _onAdjustInfluence(event) {
     event.preventDefault();
     if (!this.influenceTracker) return;
@@ -4485,6 +6889,15 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const delta = Number(button.dataset.delta ?? 0);
     if (!Number.isFinite(delta) || delta === 0) return;
 
+    if (!game.user?.isGM) {
+      await this.relay?.request(RELAY_ACTIONS.INFLUENCE_ADJUST, {
+        npcId,
+        delta,
+        actorUuid: game.user?.character?.uuid ?? "",
+      });
+      return;
+    }
+
     await this.influenceTracker.adjustInfluence(npcId, delta, { notify: false });
     this.render();
   }
@@ -4510,31 +6923,75 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     event.preventDefault();
     if (!this.influenceTracker) return;
 
-    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
-    if (!npcId) return;
-    const npc = this.influenceTracker.getNpc(npcId);
-    if (!npc) return;
-
-    const result = await this._promptInfluenceSkillsDialog({ npc });
-    if (!result) return;
+    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
+    if (!npcId) return;
+    const npc = this.influenceTracker.getNpc(npcId);
+    if (!npc) return;
+
+    const result = await this._promptInfluenceSkillsDialog({ npc });
+    if (!result) return;
+
+    await this.influenceTracker.updateNpc(npcId, { skillDcs: result });
+    this.render();
+  }
+
+  async _onManageInfluenceThresholds(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
+    if (!npcId) return;
+    const npc = this.influenceTracker.getNpc(npcId);
+    if (!npc) return;
+
+    const result = await this._promptInfluenceThresholdsDialog({ npc });
+    if (!result) return;
+
+    await this.influenceTracker.updateNpc(npcId, { thresholds: result });
+    this.render();
+  }
+
+  async _onManageInfluenceModifiers(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
+    if (!npcId) return;
+    const npc = this.influenceTracker.getNpc(npcId);
+    if (!npc) return;
+
+    const result = await this._promptInfluenceModifiersDialog({ npc });
+    if (!result) return;
+
+    await this.influenceTracker.updateNpc(npcId, result);
+    this.render();
+  }
+
+  async _onToggleInfluenceFact(event) {
+    event.preventDefault();
+    if (!this.influenceTracker) return;
+
+    const button = event.currentTarget;
+    const npcId = button.closest("[data-npc-id]")?.dataset.npcId;
+    const { factType, factId, reveal } = button.dataset;
+    if (!npcId || !factType || !factId) return;
 
-    await this.influenceTracker.updateNpc(npcId, { skillDcs: result });
+    await this.influenceTracker.setFactRevealed(
+      npcId,
+      { type: factType, id: factId },
+      reveal === "true"
+    );
     this.render();
   }
 
-  async _onManageInfluenceThresholds(event) {
+  async _onRevealInfluenceFact(event) {
     event.preventDefault();
     if (!this.influenceTracker) return;
 
     const npcId = event.currentTarget.closest("[data-npc-id]")?.dataset.npcId;
     if (!npcId) return;
-    const npc = this.influenceTracker.getNpc(npcId);
-    if (!npc) return;
-
-    const result = await this._promptInfluenceThresholdsDialog({ npc });
-    if (!result) return;
 
-    await this.influenceTracker.updateNpc(npcId, { thresholds: result });
+    await this.influenceTracker.revealFacts(npcId, 1);
     this.render();
   }
 
@@ -4549,17 +7006,11 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const npc = this.influenceTracker.getNpc(npcId);
     if (!npc) return;
 
-    const thresholds = Array.isArray(npc.thresholds) ? npc.thresholds : [];
-    const updated = thresholds.map((threshold) => {
-      if (threshold.id !== thresholdId) return threshold;
-      const isRevealed = Number.isFinite(threshold.revealedAt) && threshold.revealedAt !== null;
-      return {
-        ...threshold,
-        revealedAt: isRevealed ? null : Date.now(),
-      };
-    });
+    const threshold = npc.thresholds?.find((entry) => entry.id === thresholdId);
+    if (!threshold) return;
+    const isRevealed = Number.isFinite(threshold.revealedAt) && threshold.revealedAt !== null;
 
-    await this.influenceTracker.updateNpc(npcId, { thresholds: updated });
+    await this.influenceTracker.setThresholdRevealed(npcId, thresholdId, !isRevealed);
     this.render();
   }
 
@@ -4575,6 +7026,11 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     });
     if (!result) return;
 
+    if (!game.user?.isGM) {
+      await this.relay?.request(RELAY_ACTIONS.INFLUENCE_LOG_NOTE, result);
+      return;
+    }
+
     await this.influenceTracker.addLogEntry(result);
     this.render();
   }
@@ -4622,6 +7078,73 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     this.render();
   }
 
+  async _promptInfluenceEncounterDialog({ title, initial = {} }) {
+    const npcs = this.influenceTracker?.getNpcs() ?? [];
+    const selected = new Set(initial.npcIds ?? []);
+    const npcOptions = npcs
+      .map(
+        (npc) => `
+          <label class="checkbox">
+            <input type="checkbox" name="npcIds" value="${escapeAttribute(npc.id)}" ${
+              selected.has(npc.id) ? "checked" : ""
+            }>
+            ${escapeHtml(npc.name)}
+          </label>
+        `
+      )
+      .join("");
+
+    const template = `
+      <form class="flexcol points-tracker-dialog">
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Name")}</label>
+          <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.MaxRounds")}</label>
+          <input type="number" name="maxRounds" min="1" step="1" value="${escapeAttribute(
+            initial.maxRounds ?? ""
+          )}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.RoundUnit")}</label>
+          <input type="text" name="roundUnit" value="${escapeAttribute(
+            initial.roundUnit ?? ""
+          )}" placeholder="${escapeAttribute(
+            game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.DefaultRoundUnit")
+          )}">
+        </div>
+        <fieldset class="influence-encounter-dialog__npcs">
+          <legend>${game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Npcs")}</legend>
+          ${npcOptions || `<p class="notes">${game.i18n.localize("PF2E.PointsTracker.Influence.NoNpcs")}</p>`}
+        </fieldset>
+        <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Influence.Encounter.Hint")}</p>
+      </form>
+    `;
+
+    const result = await Dialog.prompt({
+      title,
+      content: template,
+      label: game.i18n.localize("PF2E.PointsTracker.Influence.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return null;
+        const formData = new FormData(form);
+        const maxRounds = Number(formData.get("maxRounds"));
+        return {
+          name: String(formData.get("name") ?? "").trim(),
+          maxRounds: Number.isFinite(maxRounds) && maxRounds > 0 ? maxRounds : null,
+          roundUnit: String(formData.get("roundUnit") ?? "").trim(),
+          npcIds: formData.getAll("npcIds").map((id) => String(id)),
+        };
+      },
+      rejectClose: false,
+    });
+
+    if (!result) return null;
+    return result;
+  }
+
   async _promptInfluenceNpcDialog({ title, label, initial = {} }) {
     const maxInfluenceDefault = Number.isFinite(initial.maxInfluence)
       ? Math.max(0, Number(initial.maxInfluence))
@@ -4810,7 +7333,8 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
 
           let id = String(ids[index] ?? "").trim();
           if (!id) id = this._generateId();
-          entries.push({ id, skill, dc: hasDc ? Number(dcRaw) : null });
+          const isRevealed = Boolean(existing.find((entry) => entry.id === id)?.isRevealed);
+          entries.push({ id, skill, dc: hasDc ? Number(dcRaw) : null, isRevealed });
         }
 
         return entries;
@@ -4929,6 +7453,110 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     return result;
   }
 
+  async _promptInfluenceModifiersDialog({ npc }) {
+    const renderRows = (kind) => {
+      const existing = Array.isArray(npc?.[kind]) ? npc[kind] : [];
+      return existing
+        .concat(new Array(2).fill(null))
+        .map((entry) => {
+          const triggerType = entry?.triggerType ?? "skill";
+          const typeOptions = ["skill", "trait"]
+            .map(
+              (type) =>
+                `<option value="${type}" ${type === triggerType ? "selected" : ""}>${game.i18n.localize(
+                  `PF2E.PointsTracker.Influence.Modifiers.TriggerType.${type}`
+                )}</option>`
+            )
+            .join("");
+          return `
+            <div class="influence-modifier-row" data-modifier-row>
+              <input type="hidden" name="${kind}Id[]" value="${escapeAttribute(entry?.id ?? "")}">
+              <input type="hidden" name="${kind}Revealed[]" value="${entry?.isRevealed ? "true" : ""}">
+              <div class="form-group">
+                <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Trigger")}</label>
+                <select name="${kind}TriggerType[]">${typeOptions}</select>
+                <input type="text" name="${kind}Trigger[]" value="${escapeAttribute(entry?.trigger ?? "")}">
+              </div>
+              <div class="form-group">
+                <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.DcModifier")}</label>
+                <input type="number" name="${kind}DcModifier[]" step="1" value="${escapeAttribute(
+                  entry?.dcModifier || ""
+                )}">
+                <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.InfluenceModifier")}</label>
+                <input type="number" name="${kind}InfluenceModifier[]" step="1" value="${escapeAttribute(
+                  entry?.influenceModifier || ""
+                )}">
+              </div>
+              <div class="form-group">
+                <label>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Description")}</label>
+                <textarea name="${kind}Description[]" rows="2">${escapeHtml(entry?.description ?? "")}</textarea>
+              </div>
+            </div>
+          `;
+        })
+        .join("");
+    };
+
+    const template = `
+      <form class="flexcol points-tracker-dialog">
+        <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Hint")}</p>
+        <h3>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Kind.resistances")}</h3>
+        ${renderRows("resistances")}
+        <h3>${game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Kind.weaknesses")}</h3>
+        ${renderRows("weaknesses")}
+      </form>
+    `;
+
+    const result = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Influence.Modifiers.Manage"),
+      content: template,
+      label: game.i18n.localize("PF2E.PointsTracker.Influence.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return null;
+        const formData = new FormData(form);
+
+        const readRows = (kind) => {
+          const ids = formData.getAll(`${kind}Id[]`);
+          const revealed = formData.getAll(`${kind}Revealed[]`);
+          const triggerTypes = formData.getAll(`${kind}TriggerType[]`);
+          const triggers = formData.getAll(`${kind}Trigger[]`);
+          const dcModifiers = formData.getAll(`${kind}DcModifier[]`);
+          const influenceModifiers = formData.getAll(`${kind}InfluenceModifier[]`);
+          const descriptions = formData.getAll(`${kind}Description[]`);
+
+          const entries = [];
+          for (let index = 0; index < triggers.length; index += 1) {
+            const trigger = String(triggers[index] ?? "").trim();
+            const description = String(descriptions[index] ?? "").trim();
+            if (!trigger && !description) continue;
+
+            const id = String(ids[index] ?? "").trim() || this._generateId();
+            entries.push({
+              id,
+              trigger,
+              triggerType: String(triggerTypes[index] ?? "skill"),
+              dcModifier: Number(dcModifiers[index]) || 0,
+              influenceModifier: Number(influenceModifiers[index]) || 0,
+              description,
+              isRevealed: revealed[index] === "true",
+            });
+          }
+          return entries;
+        };
+
+        return {
+          resistances: readRows("resistances"),
+          weaknesses: readRows("weaknesses"),
+        };
+      },
+      rejectClose: false,
+    });
+
+    if (!result) return null;
+    return result;
+  }
+
   async _promptInfluenceLogDialog({ title, label, npcId = "", initial = {} }) {
     const npcs = Array.isArray(this.influenceTracker?.getNpcs())
       ? this.influenceTracker.getNpcs()
@@ -5108,14 +7736,173 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const delta = Number(button.dataset.delta ?? 0);
     if (!Number.isFinite(delta) || delta === 0) return;
 
-    await this.reputationTracker.adjustReputation(factionId, delta, { notify: false });
+    const actor = game.user?.character ?? null;
+    await this.reputationTracker.adjustReputation(factionId, delta, {
+      notify: false,
+      actorUuid: actor?.uuid ?? null,
+      actorName: actor?.name ?? null,
+    });
+    this.render();
+  }
+
+  async _onAdjustFactionWithDetails(event) {
+    event.preventDefault();
+    if (!this.reputationTracker) return;
+
+    const factionId = event.currentTarget.closest("[data-faction-id]")?.dataset.factionId;
+    if (!factionId) return;
+
+    // The GM usually has no assigned character, so let them pick who earned
+    // the change instead of relying on game.user.character.
+    const character = game.user?.character ?? null;
+    const actors = [...this._getPartyActors()];
+    if (character && !actors.some((actor) => actor.uuid === character.uuid)) {
+      actors.unshift(character);
+    }
+    const actorOptions = actors
+      .map(
+        (actor) =>
+          `<option value="${escapeAttribute(actor.uuid)}"${
+            actor.uuid === character?.uuid ? " selected" : ""
+          }>${escapeHtml(actor.name)}</option>`
+      )
+      .join("");
+
+    const template = `
+      <form class="flexcol points-tracker-dialog">
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.Delta")}</label>
+          <input type="number" name="delta" step="1" value="1">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogActor")}</label>
+          <select name="actorUuid">
+            <option value="">${game.i18n.localize("PF2E.PointsTracker.Reputation.NoActor")}</option>
+            ${actorOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogReason")}</label>
+          <input type="text" name="reason">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogNote")}</label>
+          <textarea name="note" rows="3"></textarea>
+        </div>
+      </form>
+    `;
+
+    const result = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Reputation.AdjustWithDetails"),
+      content: template,
+      label: game.i18n.localize("PF2E.PointsTracker.Reputation.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return null;
+        const formData = new FormData(form);
+        return {
+          delta: Number(formData.get("delta")),
+          actorUuid: String(formData.get("actorUuid") ?? ""),
+          reason: String(formData.get("reason") ?? "").trim(),
+          note: String(formData.get("note") ?? "").trim(),
+        };
+      },
+      rejectClose: false,
+    });
+    if (!result || !Number.isFinite(result.delta) || result.delta === 0) return;
+
+    const actor = actors.find((entry) => entry.uuid === result.actorUuid) ?? null;
+    await this.reputationTracker.adjustReputation(factionId, result.delta, {
+      notify: false,
+      reason: result.reason,
+      note: result.note,
+      actorUuid: actor?.uuid ?? null,
+      actorName: actor?.name ?? null,
+    });
+    this.render();
+  }
+
+  async _onEditReputationLogEntry(event) {
+    event.preventDefault();
+    if (!this.reputationTracker) return;
+
+    const logId = event.currentTarget.closest("[data-log-id]")?.dataset.logId;
+    if (!logId) return;
+    const entry = this.reputationTracker.getLogEntry(logId);
+    if (!entry) return;
+
+    const template = `
+      <form class="flexcol points-tracker-dialog">
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogReason")}</label>
+          <input type="text" name="reason" value="${escapeAttribute(entry.reason ?? "")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogActor")}</label>
+          <input type="text" name="actorName" value="${escapeAttribute(entry.actorName ?? "")}">
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.LogNote")}</label>
+          <textarea name="note" rows="3">${escapeHtml(entry.note ?? "")}</textarea>
+        </div>
+      </form>
+    `;
+
+    const result = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Reputation.EditLogEntry"),
+      content: template,
+      label: game.i18n.localize("PF2E.PointsTracker.Reputation.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return null;
+        const formData = new FormData(form);
+        const actorName = String(formData.get("actorName") ?? "").trim();
+        return {
+          reason: String(formData.get("reason") ?? "").trim(),
+          note: String(formData.get("note") ?? "").trim(),
+          actorName,
+          actorUuid: actorName === (entry.actorName ?? "") ? entry.actorUuid : null,
+        };
+      },
+      rejectClose: false,
+    });
+    if (!result) return;
+
+    await this.reputationTracker.updateLogEntry(logId, result);
+    this.render();
+  }
+
+  async _onDeleteReputationLogEntry(event) {
+    event.preventDefault();
+    if (!this.reputationTracker) return;
+
+    const logId = event.currentTarget.closest("[data-log-id]")?.dataset.logId;
+    if (!logId) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Reputation.DeleteLogEntry"),
+      content: `<p>${game.i18n.localize("PF2E.PointsTracker.Reputation.DeleteLogConfirm")}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+
+    await this.reputationTracker.deleteLogEntry(logId);
     this.render();
   }
 
   async _promptFactionDialog({ title, label, initial = {} }) {
-    const defaultMax = Number.isFinite(initial.maxValue) ? Number(initial.maxValue) : 100;
-    const defaultMin = Number.isFinite(initial.minValue) ? Number(initial.minValue) : 0;
-    const defaultValue = Number.isFinite(initial.value) ? Number(initial.value) : defaultMin;
+    const defaultMax = Number.isFinite(initial.maxValue)
+      ? Number(initial.maxValue)
+      : DEFAULT_REPUTATION_RANGE.max;
+    const defaultMin = Number.isFinite(initial.minValue)
+      ? Number(initial.minValue)
+      : DEFAULT_REPUTATION_RANGE.min;
+    const defaultValue = Number.isFinite(initial.value) ? Number(initial.value) : 0;
+    const initialBands = Array.isArray(initial.bands) && initial.bands.length
+      ? initial.bands
+      : DEFAULT_ATTITUDE_BANDS;
     const template = `
       <form class="flexcol points-tracker-dialog">
         <div class="form-group">
@@ -5142,6 +7929,23 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           <label>${game.i18n.localize("PF2E.PointsTracker.Reputation.CurrentValue")}</label>
           <input type="number" name="value" value="${escapeAttribute(defaultValue)}">
         </div>
+        <fieldset class="reputation-bands">
+          <legend>${game.i18n.localize("PF2E.PointsTracker.Reputation.BandsLegend")}</legend>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Reputation.BandsHint")}</p>
+          <div class="reputation-bands__rows" data-bands>
+            ${this._renderAttitudeBandRows(initialBands)}
+          </div>
+          <div class="reputation-bands__controls">
+            <button type="button" data-add-band>
+              <i class="fas fa-plus"></i>
+              ${game.i18n.localize("PF2E.PointsTracker.Reputation.AddBand")}
+            </button>
+            <button type="button" data-reset-bands>
+              <i class="fas fa-undo"></i>
+              ${game.i18n.localize("PF2E.PointsTracker.Reputation.ResetBands")}
+            </button>
+          </div>
+        </fieldset>
       </form>
     `;
 
@@ -5175,7 +7979,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
               const maxValueRaw = Number(formData.get("maxValue"));
               const valueRaw = Number(formData.get("value"));
 
-              const minValue = Number.isFinite(minValueRaw) ? minValueRaw : 0;
+              const minValue = Number.isFinite(minValueRaw) ? minValueRaw : defaultMin;
               let maxValue = Number.isFinite(maxValueRaw) ? maxValueRaw : defaultMax;
               if (maxValue !== 0 && maxValue < minValue) {
                 maxValue = minValue;
@@ -5192,6 +7996,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
                 minValue,
                 maxValue,
                 value,
+                bands: this._readAttitudeBands(form),
               });
             },
           },
@@ -5202,12 +8007,81 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           },
         },
         default: "confirm",
+        render: (html) => {
+          const form = html[0].querySelector("form");
+          const rows = form?.querySelector("[data-bands]");
+          if (!rows) return;
+          form.querySelector("[data-add-band]")?.addEventListener("click", (event) => {
+            event.preventDefault();
+            rows.insertAdjacentHTML(
+              "beforeend",
+              this._renderAttitudeBandRows([{ id: "", name: "", min: 0 }])
+            );
+          });
+          form.querySelector("[data-reset-bands]")?.addEventListener("click", (event) => {
+            event.preventDefault();
+            rows.innerHTML = this._renderAttitudeBandRows(DEFAULT_ATTITUDE_BANDS);
+          });
+          rows.addEventListener("click", (event) => {
+            const button = event.target.closest("[data-remove-band]");
+            if (!button) return;
+            event.preventDefault();
+            button.closest("[data-band-row]")?.remove();
+          });
+        },
         close: () => resolve(null),
       });
       dialog.render(true);
     });
   }
 
+  _renderAttitudeBandRows(bands) {
+    return bands
+      .map(
+        (band) => `
+          <div class="reputation-bands__row" data-band-row data-band-id="${escapeAttribute(band.id ?? "")}">
+            <input type="text" data-band-field="name" value="${escapeAttribute(band.name ?? "")}" placeholder="${escapeAttribute(
+              band.id ? getAttitudeBandLabel({ id: band.id }) : game.i18n.localize("PF2E.PointsTracker.Reputation.BandName")
+            )}">
+            <input type="number" data-band-field="min" value="${escapeAttribute(band.min ?? 0)}" title="${escapeAttribute(
+              game.i18n.localize("PF2E.PointsTracker.Reputation.BandMin")
+            )}">
+            <button type="button" data-remove-band title="${escapeAttribute(
+              game.i18n.localize("PF2E.PointsTracker.Reputation.RemoveBand")
+            )}"><i class="fas fa-trash"></i></button>
+          </div>
+        `
+      )
+      .join("");
+  }
+
+  /**
+   * Read the band rows of the faction dialog. Returns null when they still
+   * match the default bands so the faction keeps following them.
+   */
+  _readAttitudeBands(form) {
+    const bands = Array.from(form.querySelectorAll("[data-band-row]"))
+      .map((row) => {
+        const min = Number(row.querySelector("[data-band-field='min']")?.value);
+        const name = row.querySelector("[data-band-field='name']")?.value?.trim() ?? "";
+        const id = row.dataset.bandId ?? "";
+        if (!Number.isFinite(min) || (!name && !id)) return null;
+        return { id, name, min };
+      })
+      .filter((band) => band !== null)
+      .sort((a, b) => a.min - b.min);
+
+    const isDefault =
+      bands.length === DEFAULT_ATTITUDE_BANDS.length &&
+      bands.every(
+        (band, index) =>
+          band.id === DEFAULT_ATTITUDE_BANDS[index].id &&
+          !band.name &&
+          band.min === DEFAULT_ATTITUDE_BANDS[index].min
+      );
+    return isDefault || !bands.length ? null : bands;
+  }
+
   async _onCreateAwarenessEntry(event) {
     event.preventDefault();
     if (!this.awarenessTracker) return;
@@ -5268,6 +8142,71 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     this.render();
   }
 
+  async _onManageAwarenessCategories(event) {
+    event.preventDefault();
+    if (!this.awarenessTracker) return;
+
+    const categories = this.awarenessTracker.getCategories();
+    const rows = categories
+      .concat(new Array(2).fill(null))
+      .map(
+        (category) => `
+          <div class="form-group">
+            <input type="hidden" name="categoryId[]" value="${escapeAttribute(category?.id ?? "")}">
+            <input type="text" name="categoryLabel[]" value="${escapeAttribute(category?.label ?? "")}">
+          </div>
+        `
+      )
+      .join("");
+
+    const result = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Awareness.Categories.Manage"),
+      content: `
+        <form class="flexcol points-tracker-dialog">
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Awareness.Categories.Hint")}</p>
+          ${rows}
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Awareness.Save"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        if (!form) return null;
+        const formData = new FormData(form);
+        const ids = formData.getAll("categoryId[]");
+        return formData
+          .getAll("categoryLabel[]")
+          .map((label, index) => ({
+            id: String(ids[index] ?? "").trim() || this._generateId(),
+            label: String(label ?? "").trim(),
+          }))
+          .filter((category) => category.label);
+      },
+      rejectClose: false,
+    });
+    if (!result) return;
+
+    if (!result.length) {
+      ui.notifications?.warn(
+        game.i18n.localize("PF2E.PointsTracker.Awareness.Categories.Required")
+      );
+      return;
+    }
+
+    await this.awarenessTracker.setCategories(result);
+    this.render();
+  }
+
+  async _onDeleteAwarenessLogEntry(event) {
+    event.preventDefault();
+    if (!this.awarenessTracker) return;
+
+    const logId = event.currentTarget.closest("[data-log-id]")?.dataset.logId;
+    if (!logId) return;
+
+    await this.awarenessTracker.deleteLogEntry(logId);
+    this.render();
+  }
+
   async _onAdjustAwarenessEntry(event) {
     event.preventDefault();
     if (!this.awarenessTracker) return;
@@ -5287,7 +8226,59 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
     const defaultCurrent = Number.isFinite(initial.current)
       ? Math.max(0, Math.min(Number(initial.current), defaultTarget))
       : 0;
-    const selectedCategory = initial.category === "person" ? "person" : "location";
+    const categories = this.awarenessTracker.getCategories();
+    const selectedCategory = initial.category ?? categories[0]?.id ?? "";
+    const categoryOptions = categories
+      .map(
+        (category) =>
+          `<option value="${escapeAttribute(category.id)}" ${
+            category.id === selectedCategory ? "selected" : ""
+          }>${escapeHtml(category.label)}</option>`
+      )
+      .join("");
+    const decayAmount = Number(initial.decay?.amount) > 0 ? Number(initial.decay.amount) : "";
+    const decayUnitOptions = DECAY_UNITS.map(
+      (unit) =>
+        `<option value="${unit}" ${unit === initial.decay?.unit ? "selected" : ""}>${game.i18n.localize(
+          `PF2E.PointsTracker.Awareness.Decay.Units.${unit}`
+        )}</option>`
+    ).join("");
+    const visibilityOptions = AWARENESS_VISIBILITY_MODES.map(
+      (mode) =>
+        `<option value="${mode}" ${mode === initial.visibility ? "selected" : ""}>${game.i18n.localize(
+          `PF2E.PointsTracker.Awareness.Visibility.Modes.${mode}`
+        )}</option>`
+    ).join("");
+    const thresholdRows = (Array.isArray(initial.thresholds) ? initial.thresholds : [])
+      .concat(new Array(2).fill(null))
+      .map(
+        (threshold) => `
+          <div class="awareness-threshold-row">
+            <input type="hidden" name="thresholdId[]" value="${escapeAttribute(threshold?.id ?? "")}">
+            <input type="hidden" name="thresholdCrossedAt[]" value="${escapeAttribute(
+              threshold?.crossedAt ?? ""
+            )}">
+            <input
+              type="number"
+              name="thresholdPoints[]"
+              min="1"
+              step="1"
+              value="${escapeAttribute(threshold?.points ?? "")}"
+              placeholder="${escapeAttribute(
+                game.i18n.localize("PF2E.PointsTracker.Awareness.Thresholds.Points")
+              )}"
+            >
+            <textarea
+              name="thresholdGmText[]"
+              rows="2"
+              placeholder="${escapeAttribute(
+                game.i18n.localize("PF2E.PointsTracker.Awareness.Thresholds.GmText")
+              )}"
+            >${escapeHtml(threshold?.gmText ?? "")}</textarea>
+          </div>
+        `
+      )
+      .join("");
 
     const template = `
       <form class="flexcol points-tracker-dialog">
@@ -5296,15 +8287,8 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           <input type="text" name="name" value="${escapeAttribute(initial.name ?? "")}" required>
         </div>
         <div class="form-group">
-          <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.Category")}</label>
-          <select name="category">
-            <option value="location" ${selectedCategory === "location" ? "selected" : ""}>
-              ${game.i18n.localize("PF2E.PointsTracker.Awareness.Category.location")}
-            </option>
-            <option value="person" ${selectedCategory === "person" ? "selected" : ""}>
-              ${game.i18n.localize("PF2E.PointsTracker.Awareness.Category.person")}
-            </option>
-          </select>
+          <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.Category.Label")}</label>
+          <select name="category">${categoryOptions}</select>
         </div>
         <div class="form-group form-group--split">
           <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.CurrentValue")}</label>
@@ -5318,6 +8302,22 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
           <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.Notes")}</label>
           <textarea name="notes" rows="3">${escapeHtml(initial.notes ?? "")}</textarea>
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.Visibility.Label")}</label>
+          <select name="visibility">${visibilityOptions}</select>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Awareness.Visibility.Hint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Awareness.Decay.Label")}</label>
+          <input type="number" name="decayAmount" min="0" step="1" value="${escapeAttribute(decayAmount)}">
+          <select name="decayUnit">${decayUnitOptions}</select>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Awareness.Decay.Hint")}</p>
+        </div>
+        <fieldset class="awareness-thresholds-fieldset">
+          <legend>${game.i18n.localize("PF2E.PointsTracker.Awareness.Thresholds.Header")}</legend>
+          <p class="notes">${game.i18n.localize("PF2E.PointsTracker.Awareness.Thresholds.Hint")}</p>
+          ${thresholdRows}
+        </fieldset>
       </form>
     `;
 
@@ -5346,8 +8346,7 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
                 return;
               }
 
-              const categoryRaw = String(formData.get("category") ?? "location").trim().toLowerCase();
-              const category = categoryRaw === "person" ? "person" : "location";
+              const category = String(formData.get("category") ?? selectedCategory).trim();
               const targetRaw = Number(formData.get("target"));
               const currentRaw = Number(formData.get("current"));
               const target = Number.isFinite(targetRaw) && targetRaw > 0 ? Math.floor(targetRaw) : defaultTarget;
@@ -5355,12 +8354,36 @@ export class PointsTrackerApp extends BaseResearchTrackerApp {
               if (current < 0) current = 0;
               if (current > target) current = target;
               const notes = String(formData.get("notes") ?? "").trim();
+              const thresholdIds = formData.getAll("thresholdId[]");
+              const thresholdCrossedAt = formData.getAll("thresholdCrossedAt[]");
+              const thresholdGmTexts = formData.getAll("thresholdGmText[]");
+              const thresholds = formData
+                .getAll("thresholdPoints[]")
+                .map((pointsValue, index) => ({
+                  id: String(thresholdIds[index] ?? "").trim() || this._generateId(),
+                  points: Math.floor(Number(pointsValue)),
+                  gmText: String(thresholdGmTexts[index] ?? "").trim(),
+                  crossedAt: Number(thresholdCrossedAt[index]) || null,
+                }))
+                .filter((threshold) => Number.isFinite(threshold.points) && threshold.points > 0);
+
+              const decayAmountRaw = Number(formData.get("decayAmount"));
+              const decay = {
+                amount: Number.isFinite(decayAmountRaw) ? Math.max(0, Math.floor(decayAmountRaw)) : 0,
+                unit: String(formData.get("decayUnit") ?? DECAY_UNITS[0]),
+              };
+              const visibility = String(
+                formData.get("visibility") ?? AWARENESS_VISIBILITY_MODES[0]
+              );
 
               resolve({
                 name,
                 category,
                 current,
                 target,
+                thresholds,
+                decay,
+                visibility,
                 notes,
               });
             },
@@ -5397,12 +8420,25 @@ export class ResearchTrackerApp extends PointsTrackerApp {
 }
 
 if (Hooks?.on) {
-  Hooks.on(RESEARCH_UPDATE_HOOK, () => {
-    const instances = [PointsTrackerApp._instance, ResearchTrackerApp._instance];
-    for (const instance of instances) {
-      if (instance?.rendered) {
-        instance.render(false);
+  for (const [hook, tabs] of Object.entries(TAB_UPDATE_HOOKS)) {
+    Hooks.on(hook, () => {
+      const instances = new Set([PointsTrackerApp._instance, ResearchTrackerApp._instance]);
+      for (const instance of instances) {
+        if (!instance?.rendered) continue;
+        for (const tab of tabs) {
+          instance.renderTab(tab).catch((error) => {
+            console.error(`${MODULE_ID} | Failed to refresh ${tab} tab.`, error);
+            instance.render(false);
+          });
+        }
       }
+    });
+  }
+
+  Hooks.on(HISTORY_UPDATE_HOOK, () => {
+    const instances = new Set([PointsTrackerApp._instance, ResearchTrackerApp._instance]);
+    for (const instance of instances) {
+      instance?._refreshHistoryControls();
     }
   });
 }
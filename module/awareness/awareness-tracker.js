@@ -1,7 +1,44 @@
-import { localizeWithFallback } from "../utils/localize.js";
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+
+export const AWARENESS_UPDATE_HOOK = "pf2ePointsTrackerAwarenessUpdated";
+
+/**
+ * Called when an entry's awareness rises to or past one of its thresholds.
+ */
+export const AWARENESS_THRESHOLD_HOOK = "pf2ePointsTrackerAwarenessThresholdCrossed";
+
+/**
+ * Categories a new world starts with. Their labels are localized until the GM
+ * renames them.
+ */
+const DEFAULT_CATEGORY_IDS = ["location", "person"];
+
+/**
+ * Spans of in-game time a decay rule can be measured in.
+ */
+export const DECAY_UNITS = ["hour", "day"];
+
+/**
+ * How much of an entry players can see. The first mode is the default.
+ */
+export const AWARENESS_VISIBILITY_MODES = ["hidden", "vague", "exact"];
+
+/**
+ * Alert levels shown to players for entries with vague visibility, each
+ * starting at a fraction of the entry's target.
+ */
+const AWARENESS_BANDS = [
+  { id: "calm", from: 0 },
+  { id: "wary", from: 0.25 },
+  { id: "alert", from: 0.5 },
+  { id: "alarmed", from: 0.75 },
+];
 
 const DEFAULT_STATE = {
   entries: [],
+  categories: [],
+  log: [],
 };
 
 const DEFAULT_AWARENESS_NAME_KEY = "PF2E.PointsTracker.Awareness.DefaultName";
@@ -28,17 +65,190 @@ function createId() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+function normalizeVisibility(raw) {
+  return AWARENESS_VISIBILITY_MODES.includes(raw) ? raw : AWARENESS_VISIBILITY_MODES[0];
+}
+
+/**
+ * The alert band an awareness value falls in.
+ * @param {number} current
+ * @param {number} target
+ * @returns {{ id: string, label: string }}
+ */
+export function getAwarenessBand(current, target) {
+  const fraction = target > 0 ? current / target : 0;
+  const band =
+    AWARENESS_BANDS.filter((candidate) => fraction >= candidate.from).pop() ?? AWARENESS_BANDS[0];
+  return {
+    id: band.id,
+    label: localizeWithFallback(
+      `PF2E.PointsTracker.Awareness.Visibility.Bands.${band.id}`,
+      band.id.charAt(0).toUpperCase() + band.id.slice(1)
+    ),
+  };
+}
+
+function getDefaultCategoryLabel(id) {
+  return localizeWithFallback(`PF2E.PointsTracker.Awareness.Category.${id}`, id);
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {AwarenessCategory[]}
+ */
+function normalizeCategories(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const categories = [];
+  for (const entry of list) {
+    const id = typeof entry?.id === "string" ? entry.id.trim() : "";
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const label = typeof entry.label === "string" ? entry.label.trim() : "";
+    categories.push({ id, label: label || getDefaultCategoryLabel(id) });
+  }
+  if (!categories.length) {
+    return DEFAULT_CATEGORY_IDS.map((id) => ({ id, label: getDefaultCategoryLabel(id) }));
+  }
+  return categories;
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {AwarenessThreshold[]}
+ */
+function normalizeThresholds(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  return list
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const pointsRaw = Number(entry.points);
+      const crossedAtRaw = Number(entry.crossedAt);
+      return {
+        id: typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : createId(),
+        points: Number.isFinite(pointsRaw) ? Math.max(1, Math.floor(pointsRaw)) : 1,
+        gmText: typeof entry.gmText === "string" ? entry.gmText.trim() : "",
+        crossedAt: Number.isFinite(crossedAtRaw) && crossedAtRaw > 0 ? crossedAtRaw : null,
+      };
+    })
+    .sort((a, b) => a.points - b.points);
+}
+
+/**
+ * Seconds in one decay unit, following the world calendar when it defines
+ * its own day length.
+ * @param {string} unit
+ * @returns {number}
+ */
+function getDecayUnitSeconds(unit) {
+  const days = game?.time?.calendar?.days ?? {};
+  const positive = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  const hour = positive(days.minutesPerHour, 60) * positive(days.secondsPerMinute, 60);
+  return unit === "day" ? hour * positive(days.hoursPerDay, 24) : hour;
+}
+
+function getWorldTime() {
+  const worldTime = Number(game?.time?.worldTime);
+  return Number.isFinite(worldTime) ? worldTime : 0;
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {AwarenessDecay}
+ */
+function normalizeDecay(raw) {
+  const amountRaw = Number(raw?.amount);
+  const anchorRaw = Number(raw?.anchor);
+  return {
+    amount: Number.isFinite(amountRaw) ? Math.max(0, Math.floor(amountRaw)) : 0,
+    unit: DECAY_UNITS.includes(raw?.unit) ? raw.unit : DECAY_UNITS[0],
+    anchor: raw?.anchor !== null && Number.isFinite(anchorRaw) ? anchorRaw : null,
+  };
+}
+
+function normalizeLogEntry(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const entryId = typeof entry.entryId === "string" ? entry.entryId.trim() : "";
+  if (!entryId) return null;
+  const deltaRaw = Number(entry.delta ?? 0);
+  const totalRaw = Number(entry.total);
+  const timestampRaw = Number(entry.timestamp);
+  return {
+    id: typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : createId(),
+    entryId,
+    delta: Number.isFinite(deltaRaw) ? deltaRaw : 0,
+    total: Number.isFinite(totalRaw) ? totalRaw : null,
+    reason: typeof entry.reason === "string" ? entry.reason.trim() : "",
+    type: typeof entry.type === "string" && entry.type.trim() ? entry.type.trim() : "adjustment",
+    userId: typeof entry.userId === "string" ? entry.userId : null,
+    userName: typeof entry.userName === "string" ? entry.userName : null,
+    timestamp: Number.isFinite(timestampRaw) ? timestampRaw : Date.now(),
+  };
+}
+
+/**
+ * @typedef {object} AwarenessDecay
+ * @property {number} amount  Awareness lost per unit of in-game time; 0 turns decay off.
+ * @property {"hour" | "day"} unit
+ * @property {number | null} anchor  World time the next decay step is counted from.
+ */
+
+/**
+ * @typedef {object} AwarenessLogEntry
+ * @property {string} id
+ * @property {string} entryId
+ * @property {number} delta
+ * @property {number | null} total
+ * @property {string} reason
+ * @property {"adjustment" | "decay" | string} type
+ * @property {string | null} userId
+ * @property {string | null} userName
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {object} AwarenessCategory
+ * @property {string} id
+ * @property {string} label
+ */
+
+/**
+ * @typedef {object} AwarenessThreshold
+ * @property {string} id
+ * @property {number} points
+ * @property {string} gmText  What happens at this level; only ever shown to GMs.
+ * @property {number | null} crossedAt  When awareness last rose to the threshold.
+ */
+
 /**
  * @typedef {object} AwarenessEntry
  * @property {string} id
  * @property {string} name
- * @property {"location" | "person" | string} category
+ * @property {string} category  The id of an {@link AwarenessCategory}.
  * @property {number} current
  * @property {number} target
+ * @property {AwarenessThreshold[]} thresholds
+ * @property {AwarenessDecay} decay
+ * @property {"hidden" | "vague" | "exact"} visibility  How much players can see.
  * @property {string} [notes]
  * @property {number | null} [updatedAt]
  */
 
+/**
+ * What a player may see of an awareness entry. Thresholds, notes and the log
+ * never leave the GM view; the values are only set for exact visibility.
+ * @typedef {object} AwarenessPlayerEntry
+ * @property {string} id
+ * @property {string} name
+ * @property {string} categoryLabel
+ * @property {"vague" | "exact"} visibility
+ * @property {string} bandId
+ * @property {string} bandLabel
+ * @property {number | null} current
+ * @property {number | null} target
+ * @property {number | null} progressPercent
+ */
+
 export class AwarenessTracker {
   /**
    * @param {object} options
@@ -49,6 +259,8 @@ export class AwarenessTracker {
     this.moduleId = moduleId;
     this.settingKey = settingKey;
     this.entries = new Collection();
+    this.categories = normalizeCategories([]);
+    this.log = [];
     this._initialized = false;
   }
 
@@ -61,6 +273,9 @@ export class AwarenessTracker {
       config: false,
       type: Object,
       default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => {
+        this._applyState(value);
+      },
     });
   }
 
@@ -70,12 +285,28 @@ export class AwarenessTracker {
     const stored = duplicateData(
       game.settings.get(this.moduleId, this.settingKey) ?? DEFAULT_STATE
     );
+    this._applyState(stored);
+    this._initialized = true;
+  }
 
-    const entries = Array.isArray(stored.entries) ? stored.entries : [];
+  /**
+   * Apply state data to the in-memory cache.
+   * @param {object} rawState
+   */
+  _applyState(rawState) {
+    const state = duplicateData(rawState ?? DEFAULT_STATE);
+    const entries = Array.isArray(state.entries) ? state.entries : [];
     this.entries = new Collection(
       entries.map((entry) => [entry.id ?? createId(), this._normalizeEntry(entry)])
     );
-    this._initialized = true;
+    this.categories = normalizeCategories(state.categories);
+    this.log = this._normalizeLog(state.log);
+
+    Hooks?.callAll?.(AWARENESS_UPDATE_HOOK, {
+      tracker: this,
+      entries: this.getEntries(),
+      log: this.getLog(),
+    });
   }
 
   async _saveState() {
@@ -88,9 +319,14 @@ export class AwarenessTracker {
         category: entry.category,
         current: entry.current,
         target: entry.target,
+        thresholds: entry.thresholds.map((threshold) => ({ ...threshold })),
+        decay: { ...entry.decay },
+        visibility: entry.visibility,
         notes: entry.notes ?? "",
         updatedAt: entry.updatedAt ?? null,
       })),
+      categories: this.getCategories(),
+      log: this.getLog(),
     };
 
     await game.settings.set(this.moduleId, this.settingKey, payload);
@@ -112,6 +348,127 @@ export class AwarenessTracker {
     return entry ? this._normalizeEntry(entry) : undefined;
   }
 
+  /**
+   * The entries players may see, stripped to what their visibility allows.
+   * @returns {AwarenessPlayerEntry[]}
+   */
+  getPlayerEntries() {
+    return this.getEntries()
+      .filter((entry) => entry.visibility !== "hidden")
+      .map((entry) => this.getPlayerView(entry));
+  }
+
+  /**
+   * @param {AwarenessEntry} entry
+   * @returns {AwarenessPlayerEntry | null} Null for hidden entries.
+   */
+  getPlayerView(entry) {
+    if (!entry || entry.visibility === "hidden") return null;
+    const band = getAwarenessBand(entry.current, entry.target);
+    const exact = entry.visibility === "exact";
+    return {
+      id: entry.id,
+      name: entry.name,
+      categoryLabel: this.getCategoryLabel(entry.category),
+      visibility: entry.visibility,
+      bandId: band.id,
+      bandLabel: band.label,
+      current: exact ? entry.current : null,
+      target: exact ? entry.target : null,
+      progressPercent: exact ? entry.progressPercent : null,
+    };
+  }
+
+  /**
+   * @returns {AwarenessLogEntry[]}
+   */
+  getLog() {
+    return this.log.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * @param {string} entryId
+   * @returns {AwarenessLogEntry[]}
+   */
+  getEntryLog(entryId) {
+    return this.getLog().filter((entry) => entry.entryId === entryId);
+  }
+
+  /**
+   * @param {string} logId
+   */
+  async deleteLogEntry(logId) {
+    const index = this.log.findIndex((entry) => entry.id === logId);
+    if (index === -1) return;
+    this.log.splice(index, 1);
+    await this._saveState();
+  }
+
+  /**
+   * @param {unknown} raw
+   * @returns {AwarenessLogEntry[]}
+   */
+  _normalizeLog(raw) {
+    return (Array.isArray(raw) ? raw : [])
+      .map((entry) => normalizeLogEntry(entry))
+      .filter((entry) => entry !== null && this.entries.has(entry.entryId))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * @param {Partial<AwarenessLogEntry>} data
+   */
+  _recordLog(data) {
+    const entry = normalizeLogEntry({
+      ...data,
+      id: createId(),
+      timestamp: Date.now(),
+      // Decay passes null explicitly: no user caused it.
+      userId: "userId" in data ? data.userId : game?.user?.id ?? null,
+      userName: "userName" in data ? data.userName : game?.user?.name ?? null,
+    });
+    if (entry) this.log.push(entry);
+  }
+
+  /**
+   * @returns {AwarenessCategory[]}
+   */
+  getCategories() {
+    return this.categories.map((category) => ({ ...category }));
+  }
+
+  /**
+   * The display label of a category, falling back to its id for entries whose
+   * category has been removed.
+   * @param {string} categoryId
+   * @returns {string}
+   */
+  getCategoryLabel(categoryId) {
+    return this.categories.find((category) => category.id === categoryId)?.label ?? categoryId;
+  }
+
+  /**
+   * Replace the category list. Entries in a removed category move to the
+   * first remaining one.
+   * @param {Partial<AwarenessCategory>[]} categories
+   */
+  async setCategories(categories) {
+    const normalized = normalizeCategories(
+      (Array.isArray(categories) ? categories : []).map((category) => ({
+        ...category,
+        id: typeof category?.id === "string" && category.id.trim() ? category.id : createId(),
+      }))
+    );
+    const known = new Set(normalized.map((category) => category.id));
+    for (const [entryId, entry] of this.entries.entries()) {
+      if (known.has(entry.category)) continue;
+      this.entries.set(entryId, this._normalizeEntry({ ...entry, category: normalized[0].id }));
+    }
+    this.categories = normalized;
+    await this._saveState();
+    return this.getCategories();
+  }
+
   /**
    * @param {Partial<AwarenessEntry>} data
    * @returns {Promise<AwarenessEntry>}
@@ -124,11 +481,16 @@ export class AwarenessTracker {
       category: data.category,
       current: data.current,
       target: data.target,
+      thresholds: data.thresholds,
+      decay: { ...data.decay, anchor: getWorldTime() },
+      visibility: data.visibility,
       notes: data.notes,
       updatedAt: Date.now(),
     });
+    const crossed = this._syncThresholds(entry, 0);
     this.entries.set(id, entry);
     await this._saveState();
+    await this._announceThresholds(id, crossed, 0);
     return this.getEntry(id);
   }
 
@@ -140,9 +502,29 @@ export class AwarenessTracker {
   async updateEntry(entryId, updates) {
     const existing = this.entries.get(entryId);
     if (!existing) return undefined;
-    const merged = this._normalizeEntry({ ...existing, ...updates, id: entryId, updatedAt: Date.now() });
+    const merged = this._normalizeEntry({
+      ...existing,
+      ...updates,
+      decay: { ...existing.decay, ...updates.decay },
+      id: entryId,
+      updatedAt: Date.now(),
+    });
+    const decayChanged =
+      merged.decay.amount !== existing.decay.amount || merged.decay.unit !== existing.decay.unit;
+    if (decayChanged || (existing.current <= 0 && merged.current > 0)) {
+      merged.decay.anchor = getWorldTime();
+    }
+    const crossed = this._syncThresholds(merged, existing.current);
     this.entries.set(entryId, merged);
+    if (merged.current !== existing.current) {
+      this._recordLog({
+        entryId,
+        delta: merged.current - existing.current,
+        total: merged.current,
+      });
+    }
     await this._saveState();
+    await this._announceThresholds(entryId, crossed, existing.current);
     return this.getEntry(entryId);
   }
 
@@ -152,6 +534,7 @@ export class AwarenessTracker {
   async deleteEntry(entryId) {
     if (!this.entries.has(entryId)) return;
     this.entries.delete(entryId);
+    this.log = this.log.filter((entry) => entry.entryId !== entryId);
     await this._saveState();
   }
 
@@ -159,6 +542,8 @@ export class AwarenessTracker {
    * @param {string} entryId
    * @param {number} delta
    * @param {object} [metadata]
+   * @param {string} [metadata.reason]  Recorded in the awareness log.
+   * @param {boolean} [metadata.notify]
    */
   async adjustAwareness(entryId, delta, metadata = {}) {
     const entry = this.entries.get(entryId);
@@ -166,14 +551,28 @@ export class AwarenessTracker {
     const change = Number(delta ?? 0);
     if (!Number.isFinite(change) || change === 0) return;
 
+    const previous = entry.current;
     const target = Number.isFinite(entry.target) ? Number(entry.target) : 0;
     const minValue = 0;
     const maxValue = target > 0 ? target : Math.max(entry.current + change, 0);
     const newValue = entry.current + change;
-    entry.current = Math.min(Math.max(newValue, minValue), maxValue || newValue);
+    const clamped = Math.min(Math.max(newValue, minValue), maxValue || newValue);
+    // Already at 0 or the target: nothing to log or announce.
+    if (clamped === previous) return;
+    entry.current = clamped;
     entry.updatedAt = Date.now();
-    this.entries.set(entryId, this._normalizeEntry(entry));
+    const normalized = this._normalizeEntry(entry);
+    if (previous <= 0 && normalized.current > 0) normalized.decay.anchor = getWorldTime();
+    const crossed = this._syncThresholds(normalized, previous);
+    this.entries.set(entryId, normalized);
+    this._recordLog({
+      entryId,
+      delta: normalized.current - previous,
+      total: normalized.current,
+      reason: typeof metadata?.reason === "string" ? metadata.reason : "",
+    });
     await this._saveState();
+    await this._announceThresholds(entryId, crossed, previous);
 
     const notify = metadata?.notify ?? false;
     if (notify && game?.i18n?.localize) {
@@ -186,6 +585,127 @@ export class AwarenessTracker {
     }
   }
 
+  /**
+   * Let awareness cool down with in-game time. Each entry with a decay rule
+   * loses its amount for every full hour or day since its anchor, and the
+   * anchor moves forward by the time used, so partial units carry over.
+   * Entries at 0 do not decay; their anchor resets when awareness rises again.
+   * @param {number} [worldTime]  Defaults to the current world time.
+   */
+  async applyDecay(worldTime = getWorldTime()) {
+    const now = Number(worldTime);
+    if (!Number.isFinite(now)) return;
+
+    let changed = false;
+    for (const [entryId, entry] of this.entries.entries()) {
+      const { amount, unit, anchor } = entry.decay;
+      if (!amount || entry.current <= 0) continue;
+      if (anchor === null || anchor > now) {
+        // Start counting now, or again after the clock was wound back.
+        entry.decay.anchor = now;
+        changed = true;
+        continue;
+      }
+
+      const unitSeconds = getDecayUnitSeconds(unit);
+      const steps = Math.floor((now - anchor) / unitSeconds);
+      if (steps < 1) continue;
+
+      const previous = entry.current;
+      const normalized = this._normalizeEntry({
+        ...entry,
+        current: Math.max(0, previous - steps * amount),
+        decay: { ...entry.decay, anchor: anchor + steps * unitSeconds },
+        updatedAt: Date.now(),
+      });
+      this._syncThresholds(normalized, previous);
+      this.entries.set(entryId, normalized);
+      this._recordLog({
+        entryId,
+        delta: normalized.current - previous,
+        total: normalized.current,
+        type: "decay",
+        reason: formatWithFallback(
+          "PF2E.PointsTracker.Awareness.Decay.LogReason",
+          {
+            count: steps,
+            unit: localizeWithFallback(`PF2E.PointsTracker.Awareness.Decay.Units.${unit}`, unit),
+          },
+          "Decay ({unit} × {count})"
+        ),
+        userId: null,
+        userName: null,
+      });
+      changed = true;
+    }
+
+    if (changed) await this._saveState();
+  }
+
+  /**
+   * Mark thresholds the entry rose to since `previous`, and clear the mark on
+   * thresholds it fell below so they trigger again. Mutates the entry.
+   * @param {AwarenessEntry} entry
+   * @param {number} previous
+   * @returns {AwarenessThreshold[]} The thresholds that were crossed.
+   */
+  _syncThresholds(entry, previous) {
+    const crossed = [];
+    const timestamp = Date.now();
+    for (const threshold of entry.thresholds) {
+      if (entry.current < threshold.points) {
+        threshold.crossedAt = null;
+      } else if (previous < threshold.points && !threshold.crossedAt) {
+        threshold.crossedAt = timestamp;
+        crossed.push(threshold);
+      }
+    }
+    return crossed;
+  }
+
+  /**
+   * Whisper crossed thresholds to the GMs and fire
+   * {@link AWARENESS_THRESHOLD_HOOK} for each.
+   * @param {string} entryId
+   * @param {AwarenessThreshold[]} thresholds
+   * @param {number} previous
+   */
+  async _announceThresholds(entryId, thresholds, previous) {
+    if (!thresholds.length) return;
+    const entry = this.getEntry(entryId);
+    if (!entry) return;
+
+    const gmRecipients = ChatMessage?.getWhisperRecipients
+      ? ChatMessage.getWhisperRecipients("GM").map((user) => user.id)
+      : [];
+
+    for (const threshold of thresholds) {
+      Hooks?.callAll?.(AWARENESS_THRESHOLD_HOOK, {
+        tracker: this,
+        entry,
+        threshold: { ...threshold },
+        previous,
+        current: entry.current,
+      });
+
+      if (typeof ChatMessage?.create !== "function") continue;
+      const header = formatWithFallback(
+        "PF2E.PointsTracker.Awareness.Thresholds.CrossedMessage",
+        { name: entry.name, points: threshold.points },
+        "{name} reached {points} awareness."
+      );
+      const body = threshold.gmText
+        ? `<p>${escapeHtml(threshold.gmText).replace(/\n/g, "<br />")}</p>`
+        : "";
+      await ChatMessage.create({
+        user: game.user?.id,
+        speaker: { alias: entry.name },
+        whisper: gmRecipients,
+        content: `<div class="pf2e-awareness-threshold"><h3>${escapeHtml(header)}</h3>${body}</div>`,
+      });
+    }
+  }
+
   /**
    * Replace the current state.
    * @param {object} state
@@ -195,6 +715,10 @@ export class AwarenessTracker {
     this.entries = new Collection(
       entries.map((entry) => [entry.id ?? createId(), this._normalizeEntry(entry)])
     );
+    if (Array.isArray(state?.categories)) {
+      this.categories = normalizeCategories(state.categories);
+    }
+    this.log = this._normalizeLog(state?.log);
     await this._saveState();
   }
 
@@ -205,6 +729,8 @@ export class AwarenessTracker {
   exportState() {
     return {
       entries: this.getEntries(),
+      categories: this.getCategories(),
+      log: this.getLog(),
     };
   }
 
@@ -222,8 +748,8 @@ export class AwarenessTracker {
     const name =
       rawName && rawName !== DEFAULT_AWARENESS_NAME_KEY ? rawName : defaultName;
 
-    const rawCategory = typeof data?.category === "string" ? data.category.trim().toLowerCase() : "";
-    const category = rawCategory === "person" ? "person" : "location";
+    const rawCategory = typeof data?.category === "string" ? data.category.trim() : "";
+    const category = rawCategory || this.categories?.[0]?.id || DEFAULT_CATEGORY_IDS[0];
 
     const targetRaw = Number(data?.target);
     const target = Number.isFinite(targetRaw) && targetRaw > 0 ? Number(targetRaw) : 10;
@@ -243,6 +769,9 @@ export class AwarenessTracker {
       category,
       current,
       target,
+      thresholds: normalizeThresholds(data?.thresholds),
+      decay: normalizeDecay(data?.decay),
+      visibility: normalizeVisibility(data?.visibility),
       notes,
       updatedAt,
       progressPercent,
@@ -0,0 +1,17 @@
+/**
+ * Register the hook that lets awareness decay as in-game time passes.
+ * @param {import("./awareness-tracker.js").AwarenessTracker} tracker
+ */
+export function registerAwarenessDecay(tracker) {
+  Hooks.on("updateWorldTime", async (worldTime) => {
+    if (!game?.user?.isGM) return;
+    const activeGM = game.users?.activeGM;
+    if (activeGM && !activeGM.isSelf) return;
+
+    try {
+      await tracker.applyDecay(worldTime);
+    } catch (error) {
+      console.error("pf2e-points-tracker | Failed to apply awareness decay.", error);
+    }
+  });
+}
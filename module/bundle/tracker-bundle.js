@@ -0,0 +1,577 @@
+import {
+  applyTopicImport,
+  buildExportPayload,
+  downloadJson,
+  planTopicImport,
+  readImportChoices,
+  renderImportPlan,
+  sanitizePayload,
+} from "../research/importer.js";
+import { escapeHtml } from "../utils/html.js";
+
+const MODULE_ID = "pf2e-points-tracker";
+
+export const BUNDLE_FORMAT = "pf2e-points-tracker-bundle";
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_SECTIONS = [
+  "research",
+  "reputation",
+  "awareness",
+  "chase",
+  "influence",
+  "infiltration",
+  "victory",
+];
+
+const SECTION_LABEL_KEYS = {
+  research: "PF2E.PointsTracker.Research.Title",
+  reputation: "PF2E.PointsTracker.Reputation.Title",
+  awareness: "PF2E.PointsTracker.Awareness.Title",
+  chase: "PF2E.PointsTracker.Chase.Title",
+  influence: "PF2E.PointsTracker.Influence.Title",
+  infiltration: "PF2E.PointsTracker.Infiltration.Title",
+  victory: "PF2E.PointsTracker.Victory.Title",
+};
+
+/**
+ * Sections whose trackers expose `exportState`/`importState`. Items in
+ * `collection` are matched by id, then by name; `foreignKey` links log entries
+ * to those items so they follow an item whose id changes during a merge.
+ * Entries in `groups` are added when their id is new, with the item ids listed
+ * under `groupKey` remapped the same way. A merge keeps the `progress` fields
+ * of a matched item, and the `progressLists` fields of its list entries with
+ * the same id. `references` names item fields holding the id of an item in
+ * another section.
+ */
+const STATE_SECTIONS = {
+  reputation: {
+    collection: "factions",
+    log: "log",
+    foreignKey: "factionId",
+    progress: ["value"],
+  },
+  awareness: {
+    collection: "entries",
+    log: "log",
+    foreignKey: "entryId",
+    groups: "categories",
+    progress: ["current"],
+    progressLists: { thresholds: ["crossedAt"] },
+  },
+  chase: {
+    collection: "events",
+    progress: ["round", "currentObstacleIndex", "quarryPosition", "quarryProgress"],
+    progressLists: { obstacles: ["progress", "assignedActors"] },
+  },
+  influence: {
+    collection: "npcs",
+    log: "log",
+    foreignKey: "npcId",
+    groups: "encounters",
+    groupKey: "npcIds",
+    progress: ["currentInfluence", "revealedTraits"],
+    progressLists: { thresholds: ["revealedAt"] },
+  },
+  infiltration: {
+    collection: "infiltrations",
+    progress: ["edgePoints"],
+    progressLists: {
+      obstacles: ["progress", "actorProgress"],
+      complications: ["triggeredAt"],
+    },
+    references: { awarenessEntryId: "awareness" },
+  },
+  victory: {
+    collection: "tracks",
+    log: "log",
+    foreignKey: "trackId",
+    progress: ["current"],
+    progressLists: { thresholds: ["reachedAt"] },
+  },
+};
+
+function duplicateData(data) {
+  if (typeof foundry !== "undefined" && foundry?.utils?.duplicate) {
+    return foundry.utils.duplicate(data);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function getSectionLabel(key) {
+  return game.i18n.localize(SECTION_LABEL_KEYS[key] ?? key);
+}
+
+function getItemName(item) {
+  return typeof item?.name === "string" ? item.name.trim() : "";
+}
+
+/**
+ * @param {object} trackers  Tracker instances keyed by section.
+ * @param {string[]} sections
+ * @returns {object}
+ */
+export function buildBundle(trackers, sections = BUNDLE_SECTIONS) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    moduleVersion: game?.modules?.get?.(MODULE_ID)?.version ?? null,
+    exportedAt: Date.now(),
+    sections: {},
+  };
+
+  for (const key of sections) {
+    const tracker = trackers[key];
+    if (!tracker) continue;
+    if (key === "research") {
+      bundle.sections.research = buildExportPayload(tracker);
+    } else if (STATE_SECTIONS[key] && typeof tracker.exportState === "function") {
+      bundle.sections[key] = duplicateData(tracker.exportState());
+    }
+  }
+
+  return bundle;
+}
+
+/**
+ * Read a bundle file. Research-only exports from earlier versions are read as
+ * a bundle with just the research section.
+ * @param {unknown} raw
+ * @returns {{ version: number, sections: Record<string, object> } | null}
+ */
+export function parseBundle(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  if (raw.format !== BUNDLE_FORMAT) {
+    return Array.isArray(raw.topics) ? { version: 0, sections: { research: raw } } : null;
+  }
+
+  const version = Number(raw.version);
+  if (!Number.isFinite(version) || version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${raw.version}`);
+  }
+
+  const sections = {};
+  for (const key of BUNDLE_SECTIONS) {
+    const data = raw.sections?.[key];
+    if (!data || typeof data !== "object") continue;
+    if (key === "research" && !Array.isArray(data.topics)) continue;
+    if (STATE_SECTIONS[key] && !Array.isArray(data[STATE_SECTIONS[key].collection])) continue;
+    sections[key] = data;
+  }
+
+  return { version, sections };
+}
+
+function getImportedItems(key, data) {
+  if (key === "research") return sanitizePayload(data);
+  const config = STATE_SECTIONS[key];
+  return (data?.[config.collection] ?? []).filter((item) => item && typeof item === "object");
+}
+
+function getExistingItems(key, tracker) {
+  if (key === "research") return tracker.getTopics();
+  return tracker.exportState()?.[STATE_SECTIONS[key].collection] ?? [];
+}
+
+function findMatch(existing, item) {
+  if (item.id) {
+    const byId = existing.find((candidate) => candidate.id === item.id);
+    if (byId) return byId;
+  }
+  const name = getItemName(item);
+  return name ? existing.find((candidate) => getItemName(candidate) === name) : undefined;
+}
+
+/**
+ * Work out what an import would do without changing anything.
+ * @param {object} trackers
+ * @param {{ sections: Record<string, object> }} parsed
+ * @param {{ sections: string[], mode: "merge" | "replace" }} options
+ * @returns {{ key: string, label: string, created: string[], updated: string[], removed: string[] }[]}
+ */
+export function planImport(trackers, parsed, { sections, mode }) {
+  const plan = [];
+  for (const key of sections) {
+    const tracker = trackers[key];
+    const data = parsed.sections[key];
+    if (!tracker || !data) continue;
+
+    const existing = getExistingItems(key, tracker);
+    const imported = getImportedItems(key, data);
+    const matched = new Set();
+    const created = [];
+    const updated = [];
+    for (const item of imported) {
+      const match = findMatch(existing, item);
+      if (match) {
+        matched.add(match.id);
+        updated.push(getItemName(match));
+      } else {
+        created.push(getItemName(item));
+      }
+    }
+    const removed =
+      mode === "replace"
+        ? existing.filter((item) => !matched.has(item.id)).map((item) => getItemName(item))
+        : [];
+
+    plan.push({ key, label: getSectionLabel(key), created, updated, removed });
+  }
+  return plan;
+}
+
+/**
+ * Per-topic plan for the research section. Topics that already exist default
+ * to keeping their collected points and reveals when merging; replacing makes
+ * them match the file.
+ * @param {ResearchTracker} tracker
+ * @param {object} data  The bundle's research section.
+ * @param {"merge" | "replace"} mode
+ */
+export function planResearchImport(tracker, data, mode) {
+  return planTopicImport(tracker, sanitizePayload(data)).map((row) =>
+    row.existing ? { ...row, resolution: mode === "replace" ? "overwrite" : "keep" } : row
+  );
+}
+
+/**
+ * Ids of the file's items in a section mapped to the ids of the existing items
+ * a merge folds them into.
+ */
+function buildIdMap(key, tracker, data) {
+  const idMap = new Map();
+  const existing = getExistingItems(key, tracker);
+  for (const item of getImportedItems(key, data)) {
+    const match = findMatch(existing, item);
+    if (match && item.id && item.id !== match.id) idMap.set(item.id, match.id);
+  }
+  return idMap;
+}
+
+function remapReferences(items, config, idMaps) {
+  for (const [field, section] of Object.entries(config.references ?? {})) {
+    const idMap = idMaps[section];
+    if (!idMap) continue;
+    for (const item of items) {
+      if (item && idMap.has(item[field])) item[field] = idMap.get(item[field]);
+    }
+  }
+}
+
+/**
+ * Copy what the table has already played out on `existing` onto `incoming`.
+ */
+function keepProgress(existing, incoming, config) {
+  for (const field of config.progress ?? []) {
+    if (field in existing) incoming[field] = duplicateData(existing[field]);
+  }
+  for (const [listKey, fields] of Object.entries(config.progressLists ?? {})) {
+    const previous = new Map((existing[listKey] ?? []).map((entry) => [entry.id, entry]));
+    for (const entry of incoming[listKey] ?? []) {
+      const match = entry && previous.get(entry.id);
+      if (!match) continue;
+      for (const field of fields) {
+        if (field in match) entry[field] = duplicateData(match[field]);
+      }
+    }
+  }
+}
+
+function mergeState(current, imported, config) {
+  const items = duplicateData(current?.[config.collection] ?? []);
+  const idMap = new Map();
+
+  for (const item of imported[config.collection] ?? []) {
+    if (!item || typeof item !== "object") continue;
+    const incoming = duplicateData(item);
+    const match = findMatch(items, incoming);
+    if (match) {
+      if (incoming.id && incoming.id !== match.id) idMap.set(incoming.id, match.id);
+      incoming.id = match.id;
+      keepProgress(match, incoming, config);
+      items.splice(items.indexOf(match), 1, incoming);
+    } else {
+      items.push(incoming);
+    }
+  }
+
+  const merged = { ...duplicateData(current ?? {}), [config.collection]: items };
+  if (config.log) {
+    const log = duplicateData(current?.[config.log] ?? []);
+    const knownIds = new Set(log.map((entry) => entry.id));
+    for (const entry of imported[config.log] ?? []) {
+      if (!entry || typeof entry !== "object" || knownIds.has(entry.id)) continue;
+      const copy = duplicateData(entry);
+      if (idMap.has(copy[config.foreignKey])) copy[config.foreignKey] = idMap.get(copy[config.foreignKey]);
+      log.push(copy);
+    }
+    merged[config.log] = log;
+  }
+  if (config.groups) {
+    const groups = duplicateData(current?.[config.groups] ?? []);
+    const knownIds = new Set(groups.map((group) => group.id));
+    for (const group of imported[config.groups] ?? []) {
+      if (!group || typeof group !== "object" || knownIds.has(group.id)) continue;
+      const copy = duplicateData(group);
+      if (config.groupKey) {
+        copy[config.groupKey] = (copy[config.groupKey] ?? []).map((id) => idMap.get(id) ?? id);
+      }
+      groups.push(copy);
+    }
+    merged[config.groups] = groups;
+  }
+  return merged;
+}
+
+/**
+ * @param {object} trackers
+ * @param {{ sections: Record<string, object> }} parsed
+ * @param {{ sections: string[], mode: "merge" | "replace", choices?: object[] }} options
+ *   `choices` holds the GM's choices for each row of {@link planResearchImport}.
+ */
+export async function applyImport(trackers, parsed, { sections, mode, choices = [] }) {
+  // Built before anything is imported, so infiltrations follow awareness
+  // entries that a merge folds into existing ones.
+  const idMaps = {};
+  const awarenessReplaced = mode === "replace" && sections.includes("awareness");
+  if (trackers.awareness && parsed.sections.awareness && !awarenessReplaced) {
+    idMaps.awareness = buildIdMap("awareness", trackers.awareness, parsed.sections.awareness);
+  }
+
+  for (const key of sections) {
+    const tracker = trackers[key];
+    const data = parsed.sections[key];
+    if (!tracker || !data) continue;
+
+    if (key === "research") {
+      const plan = planResearchImport(tracker, data, mode);
+      if (mode === "replace") {
+        const keep = new Set(plan.map((row) => row.existing?.id).filter((id) => id));
+        for (const topic of tracker.getTopics()) {
+          if (!keep.has(topic.id)) await tracker.deleteTopic(topic.id);
+        }
+      }
+      await applyTopicImport(tracker, plan, choices);
+      continue;
+    }
+
+    const config = STATE_SECTIONS[key];
+    const incoming = duplicateData(data);
+    remapReferences(incoming[config.collection] ?? [], config, idMaps);
+    const state = mode === "replace" ? incoming : mergeState(tracker.exportState(), incoming, config);
+    await tracker.importState(state);
+  }
+}
+
+function renderPlan(plan) {
+  const renderNames = (names, labelKey) => {
+    if (!names.length) return "";
+    const label = game.i18n.format(labelKey, { count: names.length });
+    const items = names
+      .map((name) => `<li>${escapeHtml(name || game.i18n.localize("PF2E.PointsTracker.Bundle.Unnamed"))}</li>`)
+      .join("");
+    return `<p><strong>${escapeHtml(label)}</strong></p><ul>${items}</ul>`;
+  };
+
+  return plan
+    .map((section) => {
+      const body =
+        renderNames(section.created, "PF2E.PointsTracker.Bundle.PreviewCreated") +
+        renderNames(section.updated, "PF2E.PointsTracker.Bundle.PreviewUpdated") +
+        renderNames(section.removed, "PF2E.PointsTracker.Bundle.PreviewRemoved");
+      return `
+        <section class="points-tracker-bundle__preview-section">
+          <h3>${escapeHtml(section.label)}</h3>
+          ${body || `<p class="notes">${game.i18n.localize("PF2E.PointsTracker.Bundle.PreviewNoChanges")}</p>`}
+        </section>
+      `;
+    })
+    .join("");
+}
+
+function renderSectionOptions(sections, { counts = {}, available = BUNDLE_SECTIONS } = {}) {
+  return sections
+    .map((key) => {
+      const isAvailable = available.includes(key);
+      const count = counts[key];
+      const label =
+        count !== undefined
+          ? game.i18n.format("PF2E.PointsTracker.Bundle.SectionCount", {
+              section: getSectionLabel(key),
+              count,
+            })
+          : getSectionLabel(key);
+      return `
+        <label class="points-tracker-bundle__section">
+          <input type="checkbox" name="sections" value="${key}" ${isAvailable ? "checked" : "disabled"} />
+          ${escapeHtml(label)}
+        </label>
+      `;
+    })
+    .join("");
+}
+
+export class TrackerBundle {
+  /**
+   * Ask which trackers to include and download them as a single bundle.
+   * @param {object} trackers  Tracker instances keyed by section.
+   */
+  static async promptExport(trackers) {
+    const available = BUNDLE_SECTIONS.filter((key) => trackers[key]);
+    const content = `
+      <form class="flexcol points-tracker-bundle">
+        <p>${game.i18n.localize("PF2E.PointsTracker.Bundle.ExportDescription")}</p>
+        <fieldset>
+          <legend>${game.i18n.localize("PF2E.PointsTracker.Bundle.Sections")}</legend>
+          ${renderSectionOptions(BUNDLE_SECTIONS, { available })}
+        </fieldset>
+      </form>
+    `;
+    const sections = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Bundle.ExportTitle"),
+      content,
+      label: game.i18n.localize("PF2E.PointsTracker.Bundle.Export"),
+      callback: (html) =>
+        Array.from(html[0].querySelectorAll("input[name='sections']:checked")).map((input) => input.value),
+      rejectClose: false,
+    });
+    if (!sections) return;
+    if (!sections.length) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Bundle.NoSections"));
+      return;
+    }
+
+    const bundle = buildBundle(trackers, sections);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    await downloadJson(JSON.stringify(bundle, null, 2), `${MODULE_ID}-bundle-${timestamp}.json`);
+    ui.notifications?.info?.(game.i18n.localize("PF2E.PointsTracker.Bundle.ExportSuccess"));
+  }
+
+  /**
+   * Import a bundle file: pick sections and merge or replace, preview the
+   * changes, then apply them.
+   * @param {object} trackers  Tracker instances keyed by section.
+   */
+  static async promptImport(trackers) {
+    if (!game.user?.isGM) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Bundle.GMOnly"));
+      return;
+    }
+
+    const file = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Bundle.ImportTitle"),
+      content: `
+        <form class="flexcol">
+          <p>${game.i18n.localize("PF2E.PointsTracker.Bundle.ImportDescription")}</p>
+          <div class="form-group">
+            <input type="file" name="import-file" accept=".json,application/json" />
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Bundle.Continue"),
+      callback: (html) => html[0].querySelector("input[name='import-file']")?.files?.[0],
+      rejectClose: false,
+    });
+    if (!file) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Research.ImportNoFile"));
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseBundle(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error(error);
+      ui.notifications?.error?.(game.i18n.localize("PF2E.PointsTracker.Bundle.ImportInvalid"));
+      return;
+    }
+    const available = Object.keys(parsed?.sections ?? {}).filter((key) => trackers[key]);
+    if (!available.length) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Bundle.ImportInvalid"));
+      return;
+    }
+
+    const counts = Object.fromEntries(
+      available.map((key) => [key, getImportedItems(key, parsed.sections[key]).length])
+    );
+    const options = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Bundle.ImportTitle"),
+      content: `
+        <form class="flexcol points-tracker-bundle">
+          <fieldset>
+            <legend>${game.i18n.localize("PF2E.PointsTracker.Bundle.Sections")}</legend>
+            ${renderSectionOptions(BUNDLE_SECTIONS, { counts, available })}
+          </fieldset>
+          <fieldset>
+            <legend>${game.i18n.localize("PF2E.PointsTracker.Bundle.Mode")}</legend>
+            <label><input type="radio" name="mode" value="merge" checked /> ${game.i18n.localize(
+              "PF2E.PointsTracker.Bundle.ModeMerge"
+            )}</label>
+            <label><input type="radio" name="mode" value="replace" /> ${game.i18n.localize(
+              "PF2E.PointsTracker.Bundle.ModeReplace"
+            )}</label>
+          </fieldset>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Bundle.Preview"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        return {
+          sections: Array.from(form.querySelectorAll("input[name='sections']:checked")).map(
+            (input) => input.value
+          ),
+          mode: form.querySelector("input[name='mode']:checked")?.value === "replace" ? "replace" : "merge",
+        };
+      },
+      rejectClose: false,
+    });
+    if (!options) return;
+    if (!options.sections.length) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Bundle.NoSections"));
+      return;
+    }
+
+    const plan = planImport(trackers, parsed, options);
+    const researchPlan =
+      options.sections.includes("research") && trackers.research && parsed.sections.research
+        ? planResearchImport(trackers.research, parsed.sections.research, options.mode)
+        : [];
+    const choices = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Bundle.PreviewTitle"),
+      content: `
+        <form class="points-tracker-bundle__preview">
+          <p>${game.i18n.localize(
+            options.mode === "replace"
+              ? "PF2E.PointsTracker.Bundle.PreviewReplaceHint"
+              : "PF2E.PointsTracker.Bundle.PreviewMergeHint"
+          )}</p>
+          ${renderPlan(researchPlan.length ? plan.filter((section) => section.key !== "research") : plan)}
+          ${
+            researchPlan.length
+              ? `<section class="points-tracker-bundle__preview-section research-import-preview">
+                  <h3>${escapeHtml(getSectionLabel("research"))}</h3>
+                  <p>${game.i18n.localize("PF2E.PointsTracker.Research.ImportPreview.Hint")}</p>
+                  ${renderImportPlan(researchPlan)}
+                </section>`
+              : ""
+          }
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Bundle.Import"),
+      callback: (html) => readImportChoices(html[0], researchPlan),
+      rejectClose: false,
+    });
+    if (!choices) return;
+
+    await applyImport(trackers, parsed, { ...options, choices });
+    const totals = plan.reduce(
+      (acc, section) => ({
+        created: acc.created + section.created.length,
+        updated: acc.updated + section.updated.length,
+        removed: acc.removed + section.removed.length,
+      }),
+      { created: 0, updated: 0, removed: 0 }
+    );
+    ui.notifications?.info?.(game.i18n.format("PF2E.PointsTracker.Bundle.ImportSuccess", totals));
+  }
+}
@@ -0,0 +1,148 @@
+import { CHASE_OUTCOME_POINTS } from "./tracker.js";
+import {
+  OUTCOME_LABEL_KEYS,
+  collectCheckSlugs,
+  extractOutcome,
+  resolveActor,
+  slugifySkill,
+  toTitleCase,
+} from "../research/auto-update.js";
+import { escapeHtml } from "../utils/html.js";
+
+const processedMessages = new Set();
+
+/**
+ * Register hooks to automatically advance chase obstacles for skill checks made
+ * by their assigned actors.
+ * @param {import("./tracker.js").ChaseTracker} tracker
+ */
+export function registerChaseAutoUpdates(tracker) {
+  Hooks.on("createChatMessage", async (message) => {
+    try {
+      await handleChatMessage(tracker, message);
+    } catch (error) {
+      console.error("pf2e-points-tracker | Failed to process chase check message.", error);
+    }
+  });
+}
+
+async function handleChatMessage(tracker, message) {
+  if (!game?.user?.isGM) return;
+  const activeGM = game.users?.activeGM;
+  if (activeGM && !activeGM.isSelf) return;
+  if (!message) return;
+
+  const messageKey = message.uuid ?? message.id ?? null;
+  if (messageKey && processedMessages.has(messageKey)) return;
+
+  const context = message.flags?.pf2e?.context;
+  if (!context) return;
+  if (context.type !== "skill-check" && context.type !== "perception-check") return;
+
+  const outcome = extractOutcome(context);
+  if (!outcome) return;
+  const outcomeKey = outcome.toLowerCase();
+  const points = CHASE_OUTCOME_POINTS[outcomeKey];
+  if (typeof points !== "number" || points === 0) return;
+
+  const slugs = collectCheckSlugs(context);
+  if (!slugs.size) return;
+
+  const actorData = await resolveActor(message);
+  if (!actorData?.actor) return;
+  if (actorData.actor?.type !== "character") return;
+
+  const match = findMatchingObstacle(tracker, slugs, actorData, context);
+  if (!match) return;
+
+  const before = match.obstacle;
+  const after = await tracker.adjustObstacleProgress(match.eventId, before.id, points);
+  if (messageKey) processedMessages.add(messageKey);
+  if (!after) return;
+
+  const required = Number(after.requiredPoints) || 0;
+  const wasCleared = required > 0 && Number(before.progress) >= required;
+  const isCleared = required > 0 && Number(after.progress) >= required;
+  if (isCleared && !wasCleared) {
+    await postObstacleCleared(match.event, after, {
+      actorName: actorData.actorName,
+      skillLabel: getSkillLabel(context, slugs),
+      outcomeKey,
+    });
+  }
+}
+
+function matchesCheck(check, slugs, contextDc) {
+  const slug = slugifySkill(check?.skill);
+  if (!slug) return false;
+  const skillMatches =
+    slugs.has(slug) ||
+    (slug === "lore" && Array.from(slugs).some((candidate) => candidate.endsWith("-lore")));
+  if (!skillMatches) return false;
+  if (!Number.isFinite(check.dc) || !Number.isFinite(contextDc)) return true;
+  return Number(check.dc) === contextDc;
+}
+
+/**
+ * Find the single uncleared obstacle the rolling actor is assigned to whose
+ * checks include the rolled skill.
+ */
+function findMatchingObstacle(tracker, slugs, actorData, context) {
+  const contextDc = Number(context?.dc?.value ?? context?.dc ?? NaN);
+  const matches = [];
+
+  for (const event of tracker.getEvents()) {
+    const obstacles = Array.isArray(event.obstacles) ? event.obstacles : [];
+    for (const obstacle of obstacles) {
+      const assignments = Array.isArray(obstacle.assignedActors) ? obstacle.assignedActors : [];
+      const isAssigned = assignments.some((assignment) =>
+        assignment?.uuid ? actorData.candidateUuids.has(assignment.uuid) : false
+      );
+      if (!isAssigned) continue;
+
+      const required = Number(obstacle.requiredPoints) || 0;
+      if (required > 0 && Number(obstacle.progress) >= required) continue;
+
+      const checks = tracker.getObstacleChecks(event.id, obstacle.id);
+      if (!checks.some((check) => matchesCheck(check, slugs, contextDc))) continue;
+
+      matches.push({ event, eventId: event.id, obstacle });
+    }
+  }
+
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    console.warn(
+      "pf2e-points-tracker | Multiple chase obstacles matched the same skill check. Aborting automatic chase point adjustment."
+    );
+  }
+  return null;
+}
+
+function getSkillLabel(context, slugs) {
+  const fallbackSlug = context?.type === "perception-check" ? "perception" : Array.from(slugs)[0];
+  return context?.skillCheck?.label ?? context?.label ?? toTitleCase(fallbackSlug);
+}
+
+async function postObstacleCleared(event, obstacle, { actorName, skillLabel, outcomeKey }) {
+  const outcomeLabel =
+    game?.i18n?.localize?.(OUTCOME_LABEL_KEYS[outcomeKey]) ?? toTitleCase(outcomeKey);
+  const headerText =
+    game?.i18n?.format?.("PF2E.PointsTracker.Chase.ObstacleClearedHeader", {
+      obstacle: obstacle.name,
+    }) ?? `${obstacle.name} cleared`;
+  const detailText =
+    game?.i18n?.format?.("PF2E.PointsTracker.Chase.ObstacleClearedDetail", {
+      actor: actorName ?? "",
+      skill: skillLabel,
+      outcome: outcomeLabel,
+      progress: obstacle.progress,
+      required: obstacle.requiredPoints,
+    }) ?? `${actorName ?? ""}: ${skillLabel} (${outcomeLabel})`;
+
+  await ChatMessage?.create?.({
+    user: game.user?.id,
+    speaker: { alias: event?.name ?? "" },
+    content: `<div class="pf2e-chase-cleared"><p><strong>${escapeHtml(headerText)}</strong></p><p>${escapeHtml(detailText)}</p></div>`,
+  });
+}
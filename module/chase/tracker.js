@@ -1,10 +1,24 @@
-import { localizeWithFallback } from "../utils/localize.js";
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+import { normalizeTemplateSource } from "../utils/template-source.js";
+
+export const CHASE_UPDATE_HOOK = "pf2ePointsTrackerChaseUpdated";
 
 const DEFAULT_STATE = {
   events: [],
   log: [],
 };
 
+/**
+ * Chase Points awarded to an obstacle per degree of success.
+ */
+export const CHASE_OUTCOME_POINTS = {
+  criticalsuccess: 2,
+  success: 1,
+  failure: 0,
+  criticalfailure: -1,
+};
+
 const DEFAULT_EVENT_NAME_KEY = "PF2E.PointsTracker.Chase.DefaultEventName";
 const DEFAULT_EVENT_NAME_FALLBACK = "Chase Event";
 const DEFAULT_OBSTACLE_NAME_KEY = "PF2E.PointsTracker.Chase.DefaultObstacleName";
@@ -81,6 +95,86 @@ function normalizeAssignedActors(raw) {
   return normalized;
 }
 
+function normalizeObstacleChecks(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const normalized = [];
+  for (const entry of list) {
+    if (!entry || typeof entry !== "object") continue;
+    const skill = typeof entry.skill === "string" ? entry.skill.trim() : "";
+    const dcValue = Number(entry.dc);
+    const dc = Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null;
+    if (!skill) continue;
+    normalized.push({ skill, dc });
+  }
+  return normalized;
+}
+
+function buildObstacle({ name, description, requiredPoints, checks } = {}) {
+  return {
+    id: createId(),
+    name:
+      typeof name === "string" && name.trim() ? name.trim() : getDefaultObstacleName(),
+    description: typeof description === "string" ? description.trim() : "",
+    requiredPoints: Number.isFinite(Number(requiredPoints))
+      ? Math.max(0, Number(requiredPoints))
+      : 0,
+    progress: 0,
+    checks: normalizeObstacleChecks(checks),
+    assignedActors: [],
+    createdAt: Date.now(),
+  };
+}
+
+function buildOpportunity({ name, description } = {}) {
+  return {
+    id: createId(),
+    name:
+      typeof name === "string" && name.trim()
+        ? name.trim()
+        : getDefaultOpportunityName(),
+    description: typeof description === "string" ? description.trim() : "",
+    assignedActors: [],
+    createdAt: Date.now(),
+  };
+}
+
+function isObstacleCleared(obstacle) {
+  const required = Number.isFinite(obstacle?.requiredPoints) ? obstacle.requiredPoints : 0;
+  const progress = Number.isFinite(obstacle?.progress) ? obstacle.progress : 0;
+  return required > 0 && progress >= required;
+}
+
+function normalizePoints(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.floor(numeric) : 0;
+}
+
+/**
+ * Fill in round and position fields for events stored before chases tracked
+ * them, and keep the positions inside the obstacle track.
+ */
+function normalizeChaseProgress(event) {
+  const obstacleCount = Array.isArray(event.obstacles) ? event.obstacles.length : 0;
+  const round = Number(event.round);
+  event.round = Number.isFinite(round) && round > 0 ? Math.floor(round) : 0;
+  const index = Number(event.currentObstacleIndex);
+  event.currentObstacleIndex = Number.isFinite(index)
+    ? Math.max(0, Math.min(obstacleCount, Math.floor(index)))
+    : 0;
+  const quarry = event.quarryPosition === null ? NaN : Number(event.quarryPosition);
+  event.quarryPosition = Number.isFinite(quarry)
+    ? Math.max(0, Math.min(obstacleCount, Math.floor(quarry)))
+    : null;
+  event.quarryName = typeof event.quarryName === "string" ? event.quarryName.trim() : "";
+  event.quarryPointsPerRound = normalizePoints(event.quarryPointsPerRound);
+  event.quarryProgress =
+    event.quarryPosition === null || event.quarryPosition >= obstacleCount
+      ? 0
+      : normalizePoints(event.quarryProgress);
+  event.templateSource = normalizeTemplateSource(event.templateSource);
+  return event;
+}
+
 export class ChaseTracker {
   constructor({ moduleId, settingKey }) {
     this.moduleId = moduleId;
@@ -96,18 +190,30 @@ export class ChaseTracker {
       config: false,
       type: Object,
       default: duplicateData(DEFAULT_STATE),
-      onChange: () => this.initialize(),
+      onChange: (value) => this._applyState(value),
     });
   }
 
   async initialize() {
     if (typeof game?.settings?.get !== "function") return;
     const stored = await game.settings.get(this.moduleId, this.settingKey);
+    this._applyState(stored);
+  }
+
+  _applyState(stored) {
     if (stored && typeof stored === "object") {
       this.state = duplicateData({ ...DEFAULT_STATE, ...stored });
     } else {
       this.state = duplicateData(DEFAULT_STATE);
     }
+    this.state.events = (Array.isArray(this.state.events) ? this.state.events : []).map(
+      (event) => normalizeChaseProgress(event)
+    );
+
+    Hooks?.callAll?.(CHASE_UPDATE_HOOK, {
+      tracker: this,
+      events: this.getEvents(),
+    });
   }
 
   async _persist() {
@@ -115,6 +221,25 @@ export class ChaseTracker {
     await game.settings.set(this.moduleId, this.settingKey, duplicateData(this.state));
   }
 
+  /**
+   * Replace the current state.
+   * @param {object} state
+   */
+  async importState(state) {
+    this._applyState({ events: Array.isArray(state?.events) ? state.events : [] });
+    await this._persist();
+  }
+
+  /**
+   * Export the current tracker state.
+   * @returns {object}
+   */
+  exportState() {
+    return {
+      events: this.getEvents(),
+    };
+  }
+
   getEvents() {
     return duplicateData(this.state.events ?? []);
   }
@@ -123,15 +248,28 @@ export class ChaseTracker {
     return this.state.events?.find((event) => event.id === eventId) ?? null;
   }
 
-  async createEvent({ name, description } = {}) {
-    const event = {
+  async createEvent({
+    name,
+    description,
+    quarryName,
+    quarryPointsPerRound,
+    obstacles = [],
+    opportunities = [],
+    templateSource = null,
+  } = {}) {
+    const event = normalizeChaseProgress({
       id: createId(),
       name: typeof name === "string" && name.trim() ? name.trim() : getDefaultEventName(),
       description: typeof description === "string" ? description.trim() : "",
-      obstacles: [],
-      opportunities: [],
+      obstacles: (Array.isArray(obstacles) ? obstacles : []).map((entry) => buildObstacle(entry)),
+      opportunities: (Array.isArray(opportunities) ? opportunities : []).map((entry) =>
+        buildOpportunity(entry)
+      ),
+      quarryName,
+      quarryPointsPerRound,
+      templateSource,
       createdAt: Date.now(),
-    };
+    });
     this.state.events = [...(this.state.events ?? []), event];
     await this._persist();
     return duplicateData(event);
@@ -148,12 +286,63 @@ export class ChaseTracker {
     if (typeof updates.description === "string") {
       sanitized.description = updates.description.trim();
     }
+    if (typeof updates.quarryName === "string") {
+      sanitized.quarryName = updates.quarryName.trim();
+    }
+    if (updates.quarryPointsPerRound !== undefined) {
+      sanitized.quarryPointsPerRound = normalizePoints(updates.quarryPointsPerRound);
+    }
     const existing = this.state.events.find((entry) => entry.id === eventId);
     Object.assign(existing, sanitized);
     await this._persist();
     return duplicateData(existing);
   }
 
+  /**
+   * Re-apply template content to an event. Obstacles and opportunities are
+   * matched by name so their progress and assignments survive; ones the
+   * template no longer lists are kept.
+   * @param {string} eventId
+   * @param {object} data  Template data in the shape accepted by {@link createEvent}.
+   */
+  async applyEventTemplate(eventId, data = {}) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+
+    const mergeByName = (current, incoming, build) => {
+      const list = Array.isArray(current) ? current.slice() : [];
+      for (const entry of Array.isArray(incoming) ? incoming : []) {
+        const built = build(entry);
+        const index = list.findIndex((candidate) => candidate.name === built.name);
+        if (index === -1) {
+          list.push(built);
+          continue;
+        }
+        const { id, progress, assignedActors, createdAt } = list[index];
+        list[index] = { ...built, id, assignedActors, createdAt };
+        if (progress !== undefined) {
+          list[index].progress = Math.min(progress, built.requiredPoints || progress);
+        }
+      }
+      return list;
+    };
+
+    if (typeof data.name === "string" && data.name.trim()) event.name = data.name.trim();
+    if (typeof data.description === "string") event.description = data.description.trim();
+    if (typeof data.quarryName === "string") event.quarryName = data.quarryName.trim();
+    if (data.quarryPointsPerRound !== undefined) {
+      event.quarryPointsPerRound = normalizePoints(data.quarryPointsPerRound);
+    }
+    event.obstacles = mergeByName(event.obstacles, data.obstacles, buildObstacle);
+    event.opportunities = mergeByName(event.opportunities, data.opportunities, buildOpportunity);
+    if (Object.prototype.hasOwnProperty.call(data, "templateSource")) {
+      event.templateSource = data.templateSource;
+    }
+    normalizeChaseProgress(event);
+    await this._persist();
+    return duplicateData(event);
+  }
+
   async deleteEvent(eventId) {
     const before = this.state.events ?? [];
     const filtered = before.filter((entry) => entry.id !== eventId);
@@ -163,21 +352,10 @@ export class ChaseTracker {
     return true;
   }
 
-  async createObstacle(eventId, { name, description, requiredPoints } = {}) {
+  async createObstacle(eventId, { name, description, requiredPoints, checks } = {}) {
     const event = this.getEvent(eventId);
     if (!event) return null;
-    const obstacle = {
-      id: createId(),
-      name:
-        typeof name === "string" && name.trim() ? name.trim() : getDefaultObstacleName(),
-      description: typeof description === "string" ? description.trim() : "",
-      requiredPoints: Number.isFinite(Number(requiredPoints))
-        ? Math.max(0, Number(requiredPoints))
-        : 0,
-      progress: 0,
-      assignedActors: [],
-      createdAt: Date.now(),
-    };
+    const obstacle = buildObstacle({ name, description, requiredPoints, checks });
     event.obstacles = [...(event.obstacles ?? []), obstacle];
     await this._persist();
     return duplicateData(obstacle);
@@ -204,6 +382,9 @@ export class ChaseTracker {
         obstacle.progress = Math.min(obstacle.progress, obstacle.requiredPoints);
       }
     }
+    if (Array.isArray(updates.checks)) {
+      obstacle.checks = normalizeObstacleChecks(updates.checks);
+    }
     if (Array.isArray(updates.assignedActors)) {
       obstacle.assignedActors = normalizeAssignedActors(updates.assignedActors);
     }
@@ -229,10 +410,21 @@ export class ChaseTracker {
     } else {
       obstacle.progress = Math.max(0, Math.min(target, nextValue));
     }
+    this._advancePastClearedObstacles(event);
     await this._persist();
     return duplicateData(obstacle);
   }
 
+  /**
+   * @param {string} eventId
+   * @param {string} obstacleId
+   * @returns {{ skill: string, dc: number | null }[]}
+   */
+  getObstacleChecks(eventId, obstacleId) {
+    const obstacle = this.getEvent(eventId)?.obstacles?.find((entry) => entry.id === obstacleId);
+    return duplicateData(normalizeObstacleChecks(obstacle?.checks));
+  }
+
   async setObstacleProgress(eventId, obstacleId, value) {
     const event = this.getEvent(eventId);
     if (!event) return null;
@@ -246,6 +438,7 @@ export class ChaseTracker {
       ? Math.min(Math.max(0, numericValue), required > 0 ? required : numericValue)
       : 0;
     obstacle.progress = clamped;
+    this._advancePastClearedObstacles(event);
     await this._persist();
     return duplicateData(obstacle);
   }
@@ -256,7 +449,15 @@ export class ChaseTracker {
     const before = event.obstacles ?? [];
     const filtered = before.filter((entry) => entry.id !== obstacleId);
     if (filtered.length === before.length) return false;
+    const removedIndex = before.findIndex((entry) => entry.id === obstacleId);
     event.obstacles = filtered;
+    if (removedIndex < event.currentObstacleIndex) event.currentObstacleIndex -= 1;
+    if (event.quarryPosition !== null && removedIndex < event.quarryPosition) {
+      event.quarryPosition -= 1;
+    } else if (removedIndex === event.quarryPosition) {
+      event.quarryProgress = 0;
+    }
+    normalizeChaseProgress(event);
     await this._persist();
     return true;
   }
@@ -264,16 +465,7 @@ export class ChaseTracker {
   async createOpportunity(eventId, { name, description } = {}) {
     const event = this.getEvent(eventId);
     if (!event) return null;
-    const opportunity = {
-      id: createId(),
-      name:
-        typeof name === "string" && name.trim()
-          ? name.trim()
-          : getDefaultOpportunityName(),
-      description: typeof description === "string" ? description.trim() : "",
-      assignedActors: [],
-      createdAt: Date.now(),
-    };
+    const opportunity = buildOpportunity({ name, description });
     event.opportunities = [...(event.opportunities ?? []), opportunity];
     await this._persist();
     return duplicateData(opportunity);
@@ -309,6 +501,216 @@ export class ChaseTracker {
     return true;
   }
 
+  /**
+   * Begin the chase at round 1 with the party on the first uncleared obstacle.
+   * @param {string} eventId
+   * @param {object} [options]
+   * @param {number | null} [options.quarryPosition]  Obstacle index the quarry
+   *   starts on, or null when nobody is being chased.
+   */
+  async startChase(eventId, { quarryPosition } = {}) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    event.round = 1;
+    event.currentObstacleIndex = 0;
+    if (quarryPosition !== undefined) event.quarryPosition = quarryPosition;
+    event.quarryProgress = 0;
+    normalizeChaseProgress(event);
+    this._advancePastClearedObstacles(event);
+    await this._persist();
+    await this._announceRound(event);
+    return duplicateData(event);
+  }
+
+  /**
+   * Move to the next round. The quarry first earns its Chase Points per round
+   * for the round that just ended, then the party moves past cleared obstacles.
+   */
+  async advanceRound(eventId) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    if (event.round > 0) this._advanceQuarry(event, event.quarryPointsPerRound);
+    event.round = Math.max(1, (event.round ?? 0) + 1);
+    this._advancePastClearedObstacles(event);
+    await this._persist();
+    await this._announceRound(event);
+    return duplicateData(event);
+  }
+
+  async resetChase(eventId) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    event.round = 0;
+    event.currentObstacleIndex = 0;
+    event.quarryPosition = null;
+    event.quarryProgress = 0;
+    for (const obstacle of event.obstacles ?? []) {
+      obstacle.progress = 0;
+    }
+    await this._persist();
+    return duplicateData(event);
+  }
+
+  async setCurrentObstacle(eventId, index) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    event.currentObstacleIndex = Number(index);
+    normalizeChaseProgress(event);
+    await this._persist();
+    return duplicateData(event);
+  }
+
+  /**
+   * @param {string} eventId
+   * @param {number | null} position  Obstacle index, or null to remove the quarry.
+   */
+  async setQuarryPosition(eventId, position) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    event.quarryPosition = position;
+    event.quarryProgress = 0;
+    normalizeChaseProgress(event);
+    await this._persist();
+    return duplicateData(event);
+  }
+
+  async adjustQuarryPosition(eventId, delta) {
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+    const numericDelta = Number(delta);
+    if (!Number.isFinite(numericDelta)) return duplicateData(event);
+    event.quarryPosition = (event.quarryPosition ?? event.currentObstacleIndex) + numericDelta;
+    event.quarryProgress = 0;
+    normalizeChaseProgress(event);
+    await this._persist();
+    return duplicateData(event);
+  }
+
+  /**
+   * Add or remove Chase Points on the quarry's current obstacle. Points past
+   * the obstacle's requirement carry the quarry on to the next one; removing
+   * points never moves it back.
+   * @param {string} eventId
+   * @param {number} delta
+   */
+  async adjustQuarryProgress(eventId, delta) {
+    const event = this.getEvent(eventId);
+    if (!event || event.quarryPosition === null) return null;
+    const numericDelta = Number(delta);
+    if (!Number.isFinite(numericDelta) || numericDelta === 0) return duplicateData(event);
+    if (numericDelta > 0) {
+      this._advanceQuarry(event, numericDelta);
+    } else {
+      event.quarryProgress = Math.max(0, (event.quarryProgress ?? 0) + Math.ceil(numericDelta));
+    }
+    await this._persist();
+    return duplicateData(event);
+  }
+
+  /**
+   * How many obstacles the quarry is ahead of the party. Negative when the
+   * party has overtaken it, null when the chase has no quarry.
+   * @param {string} eventId
+   * @returns {number | null}
+   */
+  getQuarryLead(eventId) {
+    const event = this.getEvent(eventId);
+    if (!event || event.quarryPosition === null) return null;
+    return event.quarryPosition - event.currentObstacleIndex;
+  }
+
+  _advanceQuarry(event, points) {
+    const gained = normalizePoints(points);
+    if (event.quarryPosition === null || !gained) return;
+    const obstacles = Array.isArray(event.obstacles) ? event.obstacles : [];
+    let progress = (event.quarryProgress ?? 0) + gained;
+    while (event.quarryPosition < obstacles.length) {
+      const required = normalizePoints(obstacles[event.quarryPosition]?.requiredPoints);
+      if (!required || progress < required) break;
+      progress -= required;
+      event.quarryPosition += 1;
+    }
+    event.quarryProgress = event.quarryPosition < obstacles.length ? progress : 0;
+  }
+
+  _advancePastClearedObstacles(event) {
+    const obstacles = Array.isArray(event.obstacles) ? event.obstacles : [];
+    while (
+      event.currentObstacleIndex < obstacles.length &&
+      isObstacleCleared(obstacles[event.currentObstacleIndex])
+    ) {
+      event.currentObstacleIndex += 1;
+    }
+  }
+
+  async _announceRound(event) {
+    if (!event || typeof ChatMessage?.create !== "function") return;
+    const obstacles = Array.isArray(event.obstacles) ? event.obstacles : [];
+    const current = obstacles[event.currentObstacleIndex] ?? null;
+    const lines = [];
+
+    if (current) {
+      lines.push(
+        formatWithFallback(
+          "PF2E.PointsTracker.Chase.RoundPartyAt",
+          {
+            obstacle: current.name,
+            progress: current.progress ?? 0,
+            required: current.requiredPoints ?? 0,
+          },
+          "Party: {obstacle} ({progress}/{required})"
+        )
+      );
+    } else {
+      lines.push(
+        localizeWithFallback(
+          "PF2E.PointsTracker.Chase.RoundPartyFinished",
+          "The party has cleared every obstacle."
+        )
+      );
+    }
+
+    if (event.quarryPosition !== null) {
+      const quarryName =
+        event.quarryName ||
+        localizeWithFallback("PF2E.PointsTracker.Chase.QuarryDefaultName", "Quarry");
+      const quarryObstacle = obstacles[event.quarryPosition] ?? null;
+      const lead = event.quarryPosition - event.currentObstacleIndex;
+      lines.push(
+        quarryObstacle
+          ? formatWithFallback(
+              "PF2E.PointsTracker.Chase.RoundQuarryAt",
+              {
+                quarry: quarryName,
+                obstacle: quarryObstacle.name,
+                progress: event.quarryProgress ?? 0,
+                required: quarryObstacle.requiredPoints ?? 0,
+                lead,
+              },
+              "{quarry}: {obstacle} ({progress}/{required}, lead {lead})"
+            )
+          : formatWithFallback(
+              "PF2E.PointsTracker.Chase.RoundQuarryEscaped",
+              { quarry: quarryName },
+              "{quarry} is past the last obstacle."
+            )
+      );
+    }
+
+    const header = formatWithFallback(
+      "PF2E.PointsTracker.Chase.RoundHeader",
+      { round: event.round },
+      "Round {round}"
+    );
+    await ChatMessage.create({
+      user: game.user?.id,
+      speaker: { alias: event.name },
+      content: `<div class="pf2e-chase-round"><p><strong>${escapeHtml(header)}</strong></p>${lines
+        .map((line) => `<p>${escapeHtml(line)}</p>`)
+        .join("")}</div>`,
+    });
+  }
+
   async assignActorsToObstacle(eventId, obstacleId, assignments = []) {
     return this.updateObstacle(eventId, obstacleId, {
       assignedActors: normalizeAssignedActors(assignments),
@@ -0,0 +1,574 @@
+import { localizeWithFallback } from "../utils/localize.js";
+
+export const HISTORY_UPDATE_HOOK = "pf2ePointsTrackerHistoryUpdated";
+
+const DEFAULT_STATE = {
+  undo: [],
+  redo: [],
+};
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Tracker methods that are recorded in the history, keyed by tracker. Each
+ * recorded call stores a patch back to the tracker state from before the
+ * call, which also rolls back log entries and any reveals the call triggered.
+ * Calls made while another recorded call is running, on any tracker, become
+ * part of that call's history entry.
+ */
+const TRACKED_METHODS = {
+  research: [
+    "createTopic",
+    "updateTopic",
+    "deleteTopic",
+    "adjustPoints",
+    "createLocation",
+    "updateLocation",
+    "deleteLocation",
+    "adjustLocationPoints",
+    "linkJournal",
+    "unlinkJournal",
+    "hideThreshold",
+    "resetReveals",
+  ],
+  reputation: [
+    "createFaction",
+    "updateFaction",
+    "deleteFaction",
+    "adjustReputation",
+    "importState",
+  ],
+  awareness: [
+    "createEntry",
+    "updateEntry",
+    "deleteEntry",
+    "adjustAwareness",
+    "setCategories",
+    "importState",
+  ],
+  chase: [
+    "createEvent",
+    "updateEvent",
+    "deleteEvent",
+    "createObstacle",
+    "updateObstacle",
+    "deleteObstacle",
+    "adjustObstacleProgress",
+    "setObstacleProgress",
+    "createOpportunity",
+    "updateOpportunity",
+    "deleteOpportunity",
+    "startChase",
+    "advanceRound",
+    "resetChase",
+    "setCurrentObstacle",
+    "setQuarryPosition",
+    "adjustQuarryPosition",
+    "adjustQuarryProgress",
+    "applyEventTemplate",
+    "importState",
+  ],
+  influence: [
+    "createNpc",
+    "updateNpc",
+    "deleteNpc",
+    "linkActor",
+    "unlinkActor",
+    "adjustInfluence",
+    "setInfluence",
+    "setFactRevealed",
+    "revealFacts",
+    "setThresholdRevealed",
+    "createEncounter",
+    "updateEncounter",
+    "deleteEncounter",
+    "startEncounter",
+    "advanceEncounterRound",
+    "setActorActed",
+    "completeEncounter",
+    "importState",
+  ],
+  infiltration: [
+    "createInfiltration",
+    "updateInfiltration",
+    "deleteInfiltration",
+    "adjustAwareness",
+    "createObstacle",
+    "updateObstacle",
+    "deleteObstacle",
+    "adjustObstacleProgress",
+    "createComplication",
+    "updateComplication",
+    "deleteComplication",
+    "createOpportunity",
+    "updateOpportunity",
+    "deleteOpportunity",
+    "adjustEdgePoints",
+    "spendEdgePoint",
+    "importState",
+  ],
+  victory: [
+    "createTrack",
+    "updateTrack",
+    "deleteTrack",
+    "adjustPoints",
+    "deleteLogEntry",
+    "importState",
+  ],
+};
+
+function duplicateData(data) {
+  if (typeof foundry !== "undefined" && foundry?.utils?.duplicate) {
+    return foundry.utils.duplicate(data);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function createId() {
+  if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
+    return foundry.utils.randomID();
+  }
+  if (typeof crypto !== "undefined" && crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function isSameData(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Whether a value is a list of records with unique string ids, which can be
+ * patched item by item.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isIdList(value) {
+  if (!Array.isArray(value)) return false;
+  const ids = new Set();
+  for (const item of value) {
+    if (!item || typeof item !== "object" || typeof item.id !== "string" || !item.id) return false;
+    if (ids.has(item.id)) return false;
+    ids.add(item.id);
+  }
+  return true;
+}
+
+function applyFieldPatch(value, patch) {
+  if ("value" in patch) return duplicateData(patch.value);
+  const removed = new Set(patch.remove);
+  const list = (Array.isArray(value) ? value : []).filter((item) => !removed.has(item?.id));
+  for (const { index, item } of patch.items) {
+    const existing = list.findIndex((candidate) => candidate?.id === item.id);
+    if (existing !== -1) list.splice(existing, 1);
+    list.splice(index, 0, duplicateData(item));
+  }
+  return list;
+}
+
+/**
+ * Patch one top-level field of a tracker state. Lists of records only store
+ * the records that differ; anything else, or a list whose order changed, is
+ * stored whole.
+ * @param {unknown} source
+ * @param {unknown} target
+ * @returns {object}
+ */
+function createFieldPatch(source, target) {
+  if (isIdList(source) && isIdList(target)) {
+    const sourceItems = new Map(source.map((item) => [item.id, JSON.stringify(item)]));
+    const targetIds = new Set(target.map((item) => item.id));
+    const patch = {
+      remove: source.filter((item) => !targetIds.has(item.id)).map((item) => item.id),
+      items: target
+        .map((item, index) => ({ index, item }))
+        .filter(({ item }) => sourceItems.get(item.id) !== JSON.stringify(item)),
+    };
+    if (isSameData(applyFieldPatch(source, patch), target)) return duplicateData(patch);
+  }
+  return { value: duplicateData(target ?? null) };
+}
+
+/**
+ * The patch that turns one tracker state into another.
+ * @param {object} source
+ * @param {object} target
+ * @returns {object | null} Null when the states are the same.
+ */
+function createPatch(source, target) {
+  const patch = {};
+  const keys = new Set([...Object.keys(source ?? {}), ...Object.keys(target ?? {})]);
+  for (const key of keys) {
+    if (isSameData(source?.[key], target?.[key])) continue;
+    patch[key] = createFieldPatch(source?.[key], target?.[key]);
+  }
+  return Object.keys(patch).length ? patch : null;
+}
+
+function applyPatch(state, patch) {
+  const result = duplicateData(state ?? {});
+  for (const [key, fieldPatch] of Object.entries(patch ?? {})) {
+    result[key] = applyFieldPatch(state?.[key], fieldPatch);
+  }
+  return result;
+}
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {string} tracker
+ * @property {string} action
+ * @property {number} timestamp
+ * @property {string | null} userId
+ * @property {string} userName
+ * @property {Record<string, object>} changes  Per tracker, the patch that
+ *   restores its state when the entry is applied.
+ */
+
+/**
+ * Bounded, world-wide undo/redo history for tracker mutations. Only GMs
+ * record and apply history, since restoring a snapshot writes world settings.
+ */
+export class TrackerHistory {
+  /**
+   * @param {object} options
+   * @param {string} options.moduleId
+   * @param {string} options.settingKey
+   * @param {string} options.limitSettingKey
+   * @param {Record<string, object>} options.trackers  Tracker instances keyed by
+   *   the names used in {@link TRACKED_METHODS}.
+   */
+  constructor({ moduleId, settingKey, limitSettingKey, trackers = {} }) {
+    this.moduleId = moduleId;
+    this.settingKey = settingKey;
+    this.limitSettingKey = limitSettingKey;
+    this.trackers = Object.fromEntries(
+      Object.entries(trackers).filter(([, tracker]) => Boolean(tracker))
+    );
+    this.undoStack = [];
+    this.redoStack = [];
+    /** Tracker proxies handed to tracked calls, mapped to the call's transaction. */
+    this._contexts = new WeakMap();
+    this._queue = Promise.resolve();
+    this._initialized = false;
+  }
+
+  registerSettings() {
+    if (!game?.settings?.register) return;
+
+    game.settings.register(this.moduleId, this.settingKey, {
+      name: "Tracker History State",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => {
+        this._applyState(value);
+      },
+    });
+
+    game.settings.register(this.moduleId, this.limitSettingKey, {
+      name: "PF2E.PointsTracker.History.Limit.Name",
+      hint: "PF2E.PointsTracker.History.Limit.Hint",
+      scope: "world",
+      config: true,
+      type: Number,
+      range: { min: 0, max: MAX_LIMIT, step: 1 },
+      default: DEFAULT_LIMIT,
+      onChange: () => {
+        if (game.user?.isGM) this._saveState();
+      },
+    });
+  }
+
+  /**
+   * Load stored history and start recording tracked tracker methods.
+   */
+  async initialize() {
+    if (!game?.settings?.get) return;
+
+    this._applyState(game.settings.get(this.moduleId, this.settingKey) ?? DEFAULT_STATE);
+    for (const [key, tracker] of Object.entries(this.trackers)) {
+      for (const method of TRACKED_METHODS[key] ?? []) {
+        this._wrapMethod(key, tracker, method);
+      }
+    }
+    this._initialized = true;
+  }
+
+  /**
+   * @param {object} rawState
+   */
+  _applyState(rawState) {
+    const state = duplicateData(rawState ?? DEFAULT_STATE);
+    this.undoStack = Array.isArray(state.undo) ? state.undo : [];
+    this.redoStack = Array.isArray(state.redo) ? state.redo : [];
+
+    Hooks?.callAll?.(HISTORY_UPDATE_HOOK, {
+      history: this,
+      undo: this.peekUndo(),
+      redo: this.peekRedo(),
+    });
+  }
+
+  async _saveState() {
+    if (!this._initialized || !game?.settings?.set) return;
+
+    const limit = this.getLimit();
+    const trim = (stack) => (stack.length > limit ? stack.slice(stack.length - limit) : stack.slice());
+    const payload = {
+      undo: trim(this.undoStack),
+      redo: trim(this.redoStack),
+    };
+    this.undoStack = payload.undo;
+    this.redoStack = payload.redo;
+
+    await game.settings.set(this.moduleId, this.settingKey, payload);
+  }
+
+  /**
+   * @returns {number}
+   */
+  getLimit() {
+    const value = Number(game?.settings?.get?.(this.moduleId, this.limitSettingKey));
+    if (!Number.isFinite(value)) return DEFAULT_LIMIT;
+    return Math.max(0, Math.min(MAX_LIMIT, Math.floor(value)));
+  }
+
+  canUndo() {
+    return Boolean(game.user?.isGM) && this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return Boolean(game.user?.isGM) && this.redoStack.length > 0;
+  }
+
+  /**
+   * @returns {Omit<HistoryEntry, "changes"> | null}
+   */
+  peekUndo() {
+    return this._describe(this.undoStack.at(-1));
+  }
+
+  /**
+   * @returns {Omit<HistoryEntry, "changes"> | null}
+   */
+  peekRedo() {
+    return this._describe(this.redoStack.at(-1));
+  }
+
+  /**
+   * Human readable label for a history entry.
+   * @param {Partial<HistoryEntry> | null} entry
+   * @returns {string}
+   */
+  getEntryLabel(entry) {
+    if (!entry) return "";
+    return localizeWithFallback(
+      `PF2E.PointsTracker.History.Actions.${entry.tracker}.${entry.action}`,
+      entry.action ?? ""
+    );
+  }
+
+  /**
+   * Restore the tracker state from before the most recent recorded change.
+   * @returns {Promise<boolean>}
+   */
+  async undo() {
+    return this._enqueue(() => this._step(this.undoStack, this.redoStack, "Undone"));
+  }
+
+  /**
+   * Re-apply the most recently undone change.
+   * @returns {Promise<boolean>}
+   */
+  async redo() {
+    return this._enqueue(() => this._step(this.redoStack, this.undoStack, "Redone"));
+  }
+
+  /**
+   * Forget all recorded changes.
+   */
+  async clear() {
+    if (!game.user?.isGM) return;
+    this.undoStack = [];
+    this.redoStack = [];
+    await this._saveState();
+  }
+
+  /**
+   * Record every tracked call made inside `callback` as a single history
+   * entry, for work that spans several tracker calls. Only calls made through
+   * the tracker passed to `callback` join the entry.
+   * @param {string} key  The tracker the entry is filed under.
+   * @param {string} action  The entry's action, labelled like a method name.
+   * @param {(tracker: object) => Promise<*>} callback
+   */
+  async group(key, action, callback) {
+    if (!game.user?.isGM || !this._initialized) return callback(this.trackers[key]);
+    return this._track(key, action, callback);
+  }
+
+  async _step(source, target, noticeKey) {
+    if (!game.user?.isGM) return false;
+    const entry = source.at(-1);
+    if (!entry) return false;
+    const { changes = {}, ...details } = entry;
+    const keys = Object.keys(changes).filter((key) => this.trackers[key]);
+    if (!keys.length) {
+      source.pop();
+      await this._saveState();
+      return false;
+    }
+
+    const reverse = {};
+    for (const key of keys) {
+      const current = this._snapshot(key);
+      const restored = applyPatch(current, changes[key]);
+      const patch = createPatch(restored, current);
+      if (patch) reverse[key] = patch;
+      await this._restore(key, restored);
+    }
+    source.pop();
+    target.push({ ...details, changes: reverse });
+    await this._saveState();
+
+    ui.notifications?.info?.(
+      game.i18n?.format?.(`PF2E.PointsTracker.History.${noticeKey}`, {
+        action: this.getEntryLabel(entry),
+      }) ?? `${noticeKey}: ${this.getEntryLabel(entry)}`
+    );
+    return true;
+  }
+
+  _wrapMethod(key, tracker, method) {
+    const original = tracker?.[method];
+    if (typeof original !== "function" || original.__pf2eHistoryWrapped) return;
+
+    const history = this;
+    const wrapped = async function (...args) {
+      if (!game.user?.isGM || !history._initialized) {
+        return original.apply(this, args);
+      }
+      return history._track(
+        key,
+        method,
+        (scoped) => original.apply(scoped, args),
+        history._contexts.get(this)
+      );
+    };
+    wrapped.__pf2eHistoryWrapped = true;
+    tracker[method] = wrapped;
+  }
+
+  /**
+   * Run a tracked call. A call made through a tracker proxy of an open
+   * transaction joins it and only adds the state of its tracker from before
+   * it ran. Any other call starts its own transaction once the ones before it
+   * have finished, so overlapping chat hooks, relay requests and GM clicks
+   * each get their own entry.
+   * @param {string} key
+   * @param {string} action
+   * @param {(tracker: object) => Promise<*>} callback  Receives the tracker to
+   *   make the call on.
+   * @param {object | null} [parent]  Transaction of the calling tracker method.
+   */
+  async _track(key, action, callback, parent = null) {
+    if (parent && !parent.closed) {
+      if (!parent.before.has(key)) parent.before.set(key, this._snapshot(key));
+      return callback(this._bind(parent, key));
+    }
+
+    return this._enqueue(async () => {
+      const transaction = { before: new Map([[key, this._snapshot(key)]]), proxies: new Map(), closed: false };
+      let result;
+      try {
+        result = await callback(this._bind(transaction, key));
+      } finally {
+        transaction.closed = true;
+      }
+
+      const changes = {};
+      for (const [trackerKey, before] of transaction.before) {
+        const patch = createPatch(this._snapshot(trackerKey), before);
+        if (patch) changes[trackerKey] = patch;
+      }
+      if (Object.keys(changes).length) await this._record(key, action, changes);
+      return result;
+    });
+  }
+
+  /**
+   * Run `task` after every queued task before it has settled.
+   * @param {() => Promise<*>} task
+   */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * A view of a tracker whose tracked calls, and those of other trackers it
+   * reaches through its properties, join `transaction`.
+   */
+  _bind(transaction, key) {
+    const tracker = this.trackers[key];
+    if (!tracker) return tracker;
+    if (transaction.proxies.has(key)) return transaction.proxies.get(key);
+
+    const history = this;
+    const proxy = new Proxy(tracker, {
+      get(target, property, receiver) {
+        const value = Reflect.get(target, property, receiver);
+        if (!value || typeof value !== "object") return value;
+        const siblingKey = Object.keys(history.trackers).find(
+          (candidate) => history.trackers[candidate] === value
+        );
+        return siblingKey ? history._bind(transaction, siblingKey) : value;
+      },
+    });
+    transaction.proxies.set(key, proxy);
+    this._contexts.set(proxy, transaction);
+    return proxy;
+  }
+
+  async _record(key, method, changes) {
+    if (this.getLimit() === 0) return;
+    this.undoStack.push({
+      id: createId(),
+      tracker: key,
+      action: method,
+      timestamp: Date.now(),
+      userId: game.user?.id ?? null,
+      userName: game.user?.name ?? "",
+      changes,
+    });
+    this.redoStack = [];
+    await this._saveState();
+  }
+
+  _snapshot(key) {
+    const tracker = this.trackers[key];
+    if (!tracker) return null;
+    return duplicateData(game.settings.get(tracker.moduleId, tracker.settingKey) ?? {});
+  }
+
+  async _restore(key, snapshot) {
+    const tracker = this.trackers[key];
+    if (!tracker || !snapshot) return;
+    await game.settings.set(tracker.moduleId, tracker.settingKey, duplicateData(snapshot));
+  }
+
+  _describe(entry) {
+    if (!entry) return null;
+    const { changes, ...details } = entry;
+    return { ...details, label: this.getEntryLabel(entry) };
+  }
+}
+
+export function createTrackerHistory(options) {
+  return new TrackerHistory(options);
+}
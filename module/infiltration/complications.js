@@ -0,0 +1,20 @@
+import { AWARENESS_UPDATE_HOOK } from "../awareness/awareness-tracker.js";
+
+/**
+ * Register the hook that triggers infiltration complications when awareness
+ * changes, whether from the infiltration tab, the awareness tab or decay.
+ * @param {import("./tracker.js").InfiltrationTracker} tracker
+ */
+export function registerInfiltrationComplications(tracker) {
+  Hooks.on(AWARENESS_UPDATE_HOOK, async () => {
+    if (!game?.user?.isGM) return;
+    const activeGM = game.users?.activeGM;
+    if (activeGM && !activeGM.isSelf) return;
+
+    try {
+      await tracker.syncComplications();
+    } catch (error) {
+      console.error("pf2e-points-tracker | Failed to check infiltration complications.", error);
+    }
+  });
+}
@@ -0,0 +1,721 @@
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+
+export const INFILTRATION_UPDATE_HOOK = "pf2ePointsTrackerInfiltrationUpdated";
+
+/**
+ * Called when an infiltration's awareness rises to one of its complications.
+ */
+export const INFILTRATION_COMPLICATION_HOOK = "pf2ePointsTrackerInfiltrationComplication";
+
+/**
+ * Group obstacles need their Infiltration Points once for the whole party;
+ * individual obstacles need them from every character.
+ */
+export const INFILTRATION_OBSTACLE_TYPES = ["group", "individual"];
+
+const DEFAULT_STATE = {
+  infiltrations: [],
+};
+
+/**
+ * Maximum awareness of the entry created alongside a new infiltration.
+ */
+const DEFAULT_AWARENESS_TARGET = 20;
+
+const DEFAULT_NAMES = {
+  infiltration: ["PF2E.PointsTracker.Infiltration.DefaultName", "Infiltration"],
+  obstacle: ["PF2E.PointsTracker.Infiltration.DefaultObstacleName", "Obstacle"],
+  complication: ["PF2E.PointsTracker.Infiltration.DefaultComplicationName", "Complication"],
+  opportunity: ["PF2E.PointsTracker.Infiltration.DefaultOpportunityName", "Opportunity"],
+};
+
+function getDefaultName(type) {
+  const [key, fallback] = DEFAULT_NAMES[type];
+  return localizeWithFallback(key, fallback);
+}
+
+function duplicateData(data) {
+  if (typeof foundry !== "undefined" && foundry?.utils?.duplicate) {
+    return foundry.utils.duplicate(data);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function createId() {
+  if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
+    return foundry.utils.randomID();
+  }
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function trimString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function toCount(value, minimum = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(minimum, Math.floor(number)) : minimum;
+}
+
+function normalizeChecks(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const normalized = [];
+  for (const entry of list) {
+    const skill = trimString(entry?.skill);
+    if (!skill) continue;
+    const dcValue = Number(entry.dc);
+    normalized.push({ skill, dc: Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null });
+  }
+  return normalized;
+}
+
+/**
+ * Progress on an individual obstacle is stored as a list rather than keyed by
+ * actor UUID, since setting data cannot hold keys with dots in them.
+ * @param {unknown} raw
+ * @returns {{ uuid: string, name: string, progress: number }[]}
+ */
+function normalizeActorProgress(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of list) {
+    const uuid = trimString(entry?.uuid);
+    if (!uuid || seen.has(uuid)) continue;
+    seen.add(uuid);
+    normalized.push({ uuid, name: trimString(entry.name), progress: toCount(entry.progress) });
+  }
+  return normalized;
+}
+
+/**
+ * @param {Partial<InfiltrationObstacle>} data
+ * @returns {InfiltrationObstacle}
+ */
+function normalizeObstacle(data = {}) {
+  const requiredPoints = toCount(data.requiredPoints);
+  const clamp = (value) => (requiredPoints > 0 ? Math.min(value, requiredPoints) : value);
+  return {
+    id: trimString(data.id) || createId(),
+    name: trimString(data.name) || getDefaultName("obstacle"),
+    description: trimString(data.description),
+    type: INFILTRATION_OBSTACLE_TYPES.includes(data.type) ? data.type : "group",
+    requiredPoints,
+    progress: clamp(toCount(data.progress)),
+    actorProgress: normalizeActorProgress(data.actorProgress).map((entry) => ({
+      ...entry,
+      progress: clamp(entry.progress),
+    })),
+    checks: normalizeChecks(data.checks),
+    createdAt: Number.isFinite(data.createdAt) ? data.createdAt : Date.now(),
+  };
+}
+
+/**
+ * @param {Partial<InfiltrationComplication>} data
+ * @returns {InfiltrationComplication}
+ */
+function normalizeComplication(data = {}) {
+  return {
+    id: trimString(data.id) || createId(),
+    name: trimString(data.name) || getDefaultName("complication"),
+    description: trimString(data.description),
+    trigger: toCount(data.trigger, 1),
+    triggeredAt: Number.isFinite(data.triggeredAt) ? data.triggeredAt : null,
+  };
+}
+
+/**
+ * @param {Partial<InfiltrationOpportunity>} data
+ * @returns {InfiltrationOpportunity}
+ */
+function normalizeOpportunity(data = {}) {
+  return {
+    id: trimString(data.id) || createId(),
+    name: trimString(data.name) || getDefaultName("opportunity"),
+    description: trimString(data.description),
+  };
+}
+
+/**
+ * @param {Partial<Infiltration>} data
+ * @returns {Infiltration}
+ */
+function normalizeInfiltration(data = {}) {
+  return {
+    id: trimString(data.id) || createId(),
+    name: trimString(data.name) || getDefaultName("infiltration"),
+    description: trimString(data.description),
+    awarenessEntryId: trimString(data.awarenessEntryId) || null,
+    edgePoints: toCount(data.edgePoints),
+    obstacles: (Array.isArray(data.obstacles) ? data.obstacles : []).map((entry) =>
+      normalizeObstacle(entry)
+    ),
+    complications: (Array.isArray(data.complications) ? data.complications : [])
+      .map((entry) => normalizeComplication(entry))
+      .sort((a, b) => a.trigger - b.trigger),
+    opportunities: (Array.isArray(data.opportunities) ? data.opportunities : []).map((entry) =>
+      normalizeOpportunity(entry)
+    ),
+    createdAt: Number.isFinite(data.createdAt) ? data.createdAt : Date.now(),
+  };
+}
+
+/**
+ * @typedef {object} InfiltrationObstacle
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {"group" | "individual"} type
+ * @property {number} requiredPoints  Infiltration Points needed; 0 leaves the obstacle open-ended.
+ * @property {number} progress  Points earned by the party on a group obstacle.
+ * @property {{ uuid: string, name: string, progress: number }[]} actorProgress
+ *   Points earned by each character on an individual obstacle.
+ * @property {{ skill: string, dc: number | null }[]} checks
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {object} InfiltrationComplication
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description  Only ever shown to GMs.
+ * @property {number} trigger  Awareness Points at which the complication happens.
+ * @property {number | null} triggeredAt  When awareness last rose to the trigger.
+ */
+
+/**
+ * @typedef {object} InfiltrationOpportunity
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ */
+
+/**
+ * @typedef {object} Infiltration
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {string | null} awarenessEntryId  The awareness tracker entry holding
+ *   the party's Awareness Points.
+ * @property {number} edgePoints
+ * @property {InfiltrationObstacle[]} obstacles
+ * @property {InfiltrationComplication[]} complications  Sorted by trigger.
+ * @property {InfiltrationOpportunity[]} opportunities
+ * @property {number} createdAt
+ */
+
+/**
+ * Infiltrations combine obstacles the party earns Infiltration Points on with
+ * the Awareness Points of an entry in the {@link AwarenessTracker}, so the
+ * awareness tab, its thresholds and decay all apply to an infiltration too.
+ */
+export class InfiltrationTracker {
+  /**
+   * @param {object} options
+   * @param {string} options.moduleId
+   * @param {string} options.settingKey
+   * @param {import("../awareness/awareness-tracker.js").AwarenessTracker} [options.awarenessTracker]
+   */
+  constructor({ moduleId, settingKey, awarenessTracker = null }) {
+    this.moduleId = moduleId;
+    this.settingKey = settingKey;
+    this.awarenessTracker = awarenessTracker;
+    this.state = duplicateData(DEFAULT_STATE);
+  }
+
+  registerSettings() {
+    if (typeof game?.settings?.register !== "function") return;
+    game.settings.register(this.moduleId, this.settingKey, {
+      name: "Infiltration Tracker State",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => this._applyState(value),
+    });
+  }
+
+  async initialize() {
+    if (typeof game?.settings?.get !== "function") return;
+    const stored = await game.settings.get(this.moduleId, this.settingKey);
+    this._applyState(stored);
+  }
+
+  _applyState(stored) {
+    const state = stored && typeof stored === "object" ? stored : DEFAULT_STATE;
+    this.state = {
+      infiltrations: (Array.isArray(state.infiltrations) ? state.infiltrations : []).map(
+        (entry) => normalizeInfiltration(entry)
+      ),
+    };
+
+    Hooks?.callAll?.(INFILTRATION_UPDATE_HOOK, {
+      tracker: this,
+      infiltrations: this.getInfiltrations(),
+    });
+  }
+
+  async _persist() {
+    if (typeof game?.settings?.set !== "function") return;
+    await game.settings.set(this.moduleId, this.settingKey, duplicateData(this.state));
+  }
+
+  /**
+   * Replace the current state.
+   * @param {object} state
+   */
+  async importState(state) {
+    this._applyState({
+      infiltrations: Array.isArray(state?.infiltrations) ? state.infiltrations : [],
+    });
+    await this._persist();
+  }
+
+  /**
+   * Export the current tracker state.
+   * @returns {object}
+   */
+  exportState() {
+    return {
+      infiltrations: this.getInfiltrations(),
+    };
+  }
+
+  /**
+   * @returns {Infiltration[]}
+   */
+  getInfiltrations() {
+    return duplicateData(this.state.infiltrations ?? []);
+  }
+
+  /**
+   * @param {string} infiltrationId
+   * @returns {Infiltration | null}  A copy; change it through the tracker's methods.
+   */
+  getInfiltration(infiltrationId) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    return infiltration ? duplicateData(infiltration) : null;
+  }
+
+  _findInfiltration(infiltrationId) {
+    return this.state.infiltrations?.find((entry) => entry.id === infiltrationId) ?? null;
+  }
+
+  /**
+   * The awareness entry an infiltration tracks its Awareness Points in.
+   * @param {string} infiltrationId
+   * @returns {import("../awareness/awareness-tracker.js").AwarenessEntry | null}
+   */
+  getAwareness(infiltrationId) {
+    const entryId = this._findInfiltration(infiltrationId)?.awarenessEntryId;
+    if (!entryId || !this.awarenessTracker) return null;
+    return this.awarenessTracker.getEntry(entryId) ?? null;
+  }
+
+  /**
+   * Create an infiltration. Without an existing awareness entry, a new one
+   * named after the infiltration is added to the awareness tracker.
+   * @param {object} [data]
+   * @param {string} [data.name]
+   * @param {string} [data.description]
+   * @param {string | null} [data.awarenessEntryId]
+   * @param {number} [data.awarenessTarget]  Maximum awareness of a new entry.
+   * @param {number} [data.edgePoints]
+   * @returns {Promise<Infiltration>}
+   */
+  async createInfiltration({
+    name,
+    description,
+    awarenessEntryId = null,
+    awarenessTarget = DEFAULT_AWARENESS_TARGET,
+    edgePoints = 0,
+    obstacles = [],
+    complications = [],
+    opportunities = [],
+  } = {}) {
+    const infiltration = normalizeInfiltration({
+      name,
+      description,
+      awarenessEntryId,
+      edgePoints,
+      obstacles,
+      complications,
+      opportunities,
+    });
+    if (!this._hasAwarenessEntry(infiltration.awarenessEntryId)) {
+      infiltration.awarenessEntryId = await this._createAwarenessEntry(
+        infiltration.name,
+        awarenessTarget
+      );
+    }
+    this.state.infiltrations = [...(this.state.infiltrations ?? []), infiltration];
+    await this._persist();
+    return duplicateData(infiltration);
+  }
+
+  async updateInfiltration(infiltrationId, updates = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return null;
+    let triggered = [];
+    if (typeof updates.name === "string") {
+      infiltration.name = updates.name.trim() || getDefaultName("infiltration");
+    }
+    if (typeof updates.description === "string") {
+      infiltration.description = updates.description.trim();
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "awarenessEntryId")) {
+      const entryId = trimString(updates.awarenessEntryId);
+      infiltration.awarenessEntryId = this._hasAwarenessEntry(entryId)
+        ? entryId
+        : await this._createAwarenessEntry(infiltration.name, updates.awarenessTarget);
+      triggered = this._syncInfiltrationComplications(infiltration);
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "edgePoints")) {
+      infiltration.edgePoints = toCount(updates.edgePoints);
+    }
+    await this._persist();
+    await this._announceComplications(infiltration, triggered);
+    return duplicateData(infiltration);
+  }
+
+  /**
+   * Delete an infiltration. Its awareness entry stays in the awareness tracker.
+   * @param {string} infiltrationId
+   * @returns {Promise<boolean>}
+   */
+  async deleteInfiltration(infiltrationId) {
+    const before = this.state.infiltrations ?? [];
+    const filtered = before.filter((entry) => entry.id !== infiltrationId);
+    if (filtered.length === before.length) return false;
+    this.state.infiltrations = filtered;
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Change the party's Awareness Points. The change is recorded by the
+   * awareness tracker, including in its log and undo history.
+   * @param {string} infiltrationId
+   * @param {number} delta
+   * @param {object} [metadata]  Passed on to {@link AwarenessTracker#adjustAwareness}.
+   */
+  async adjustAwareness(infiltrationId, delta, metadata = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration || !this.getAwareness(infiltrationId)) return null;
+    await this.awarenessTracker.adjustAwareness(infiltration.awarenessEntryId, delta, {
+      reason: infiltration.name,
+      ...metadata,
+    });
+    await this.syncComplications();
+    return this.getAwareness(infiltrationId);
+  }
+
+  async createObstacle(infiltrationId, data = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return null;
+    const obstacle = normalizeObstacle({
+      name: data.name,
+      description: data.description,
+      type: data.type,
+      requiredPoints: data.requiredPoints,
+      checks: data.checks,
+    });
+    infiltration.obstacles = [...infiltration.obstacles, obstacle];
+    await this._persist();
+    return duplicateData(obstacle);
+  }
+
+  async updateObstacle(infiltrationId, obstacleId, updates = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    const index = infiltration?.obstacles.findIndex((entry) => entry.id === obstacleId) ?? -1;
+    if (index === -1) return null;
+    const existing = infiltration.obstacles[index];
+    const merged = { ...existing };
+    for (const key of ["name", "description", "type"]) {
+      if (typeof updates[key] === "string") merged[key] = updates[key];
+    }
+    if (Object.prototype.hasOwnProperty.call(updates, "requiredPoints")) {
+      merged.requiredPoints = updates.requiredPoints;
+    }
+    if (Array.isArray(updates.checks)) merged.checks = updates.checks;
+    infiltration.obstacles[index] = normalizeObstacle(merged);
+    await this._persist();
+    return duplicateData(infiltration.obstacles[index]);
+  }
+
+  async deleteObstacle(infiltrationId, obstacleId) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return false;
+    const before = infiltration.obstacles;
+    infiltration.obstacles = before.filter((entry) => entry.id !== obstacleId);
+    if (infiltration.obstacles.length === before.length) return false;
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Add or remove Infiltration Points on an obstacle. Individual obstacles
+   * track each character separately, so they need the acting actor.
+   * @param {string} infiltrationId
+   * @param {string} obstacleId
+   * @param {number} delta
+   * @param {object} [options]
+   * @param {string} [options.actorUuid]
+   * @param {string} [options.actorName]
+   */
+  async adjustObstacleProgress(infiltrationId, obstacleId, delta, { actorUuid, actorName } = {}) {
+    const obstacle = this._findInfiltration(infiltrationId)?.obstacles.find(
+      (entry) => entry.id === obstacleId
+    );
+    if (!obstacle) return null;
+    const numericDelta = Number(delta);
+    if (!Number.isFinite(numericDelta) || numericDelta === 0) return duplicateData(obstacle);
+    const clamp = (value) => {
+      const floored = Math.max(0, value);
+      return obstacle.requiredPoints > 0 ? Math.min(floored, obstacle.requiredPoints) : floored;
+    };
+
+    if (obstacle.type === "individual") {
+      const uuid = trimString(actorUuid);
+      if (!uuid) return null;
+      let entry = obstacle.actorProgress.find((candidate) => candidate.uuid === uuid);
+      if (!entry) {
+        entry = { uuid, name: trimString(actorName), progress: 0 };
+        obstacle.actorProgress.push(entry);
+      }
+      if (trimString(actorName)) entry.name = trimString(actorName);
+      entry.progress = clamp(entry.progress + numericDelta);
+    } else {
+      obstacle.progress = clamp(obstacle.progress + numericDelta);
+    }
+    await this._persist();
+    return duplicateData(obstacle);
+  }
+
+  async createComplication(infiltrationId, data = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return null;
+    const complication = normalizeComplication({
+      name: data.name,
+      description: data.description,
+      trigger: data.trigger,
+    });
+    infiltration.complications = [...infiltration.complications, complication].sort(
+      (a, b) => a.trigger - b.trigger
+    );
+    const triggered = this._syncInfiltrationComplications(infiltration);
+    await this._persist();
+    await this._announceComplications(infiltration, triggered);
+    return duplicateData(complication);
+  }
+
+  async updateComplication(infiltrationId, complicationId, updates = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    const index =
+      infiltration?.complications.findIndex((entry) => entry.id === complicationId) ?? -1;
+    if (index === -1) return null;
+    const existing = infiltration.complications[index];
+    const complication = normalizeComplication({
+      ...existing,
+      ...(typeof updates.name === "string" ? { name: updates.name } : {}),
+      ...(typeof updates.description === "string" ? { description: updates.description } : {}),
+      ...(Object.prototype.hasOwnProperty.call(updates, "trigger")
+        ? { trigger: updates.trigger }
+        : {}),
+    });
+    infiltration.complications[index] = complication;
+    infiltration.complications.sort((a, b) => a.trigger - b.trigger);
+    const triggered = this._syncInfiltrationComplications(infiltration);
+    await this._persist();
+    await this._announceComplications(infiltration, triggered);
+    return duplicateData(complication);
+  }
+
+  async deleteComplication(infiltrationId, complicationId) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return false;
+    const before = infiltration.complications;
+    infiltration.complications = before.filter((entry) => entry.id !== complicationId);
+    if (infiltration.complications.length === before.length) return false;
+    await this._persist();
+    return true;
+  }
+
+  async createOpportunity(infiltrationId, data = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return null;
+    const opportunity = normalizeOpportunity({ name: data.name, description: data.description });
+    infiltration.opportunities = [...infiltration.opportunities, opportunity];
+    await this._persist();
+    return duplicateData(opportunity);
+  }
+
+  async updateOpportunity(infiltrationId, opportunityId, updates = {}) {
+    const opportunity = this._findInfiltration(infiltrationId)?.opportunities.find(
+      (entry) => entry.id === opportunityId
+    );
+    if (!opportunity) return null;
+    if (typeof updates.name === "string") {
+      opportunity.name = updates.name.trim() || getDefaultName("opportunity");
+    }
+    if (typeof updates.description === "string") {
+      opportunity.description = updates.description.trim();
+    }
+    await this._persist();
+    return duplicateData(opportunity);
+  }
+
+  async deleteOpportunity(infiltrationId, opportunityId) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return false;
+    const before = infiltration.opportunities;
+    infiltration.opportunities = before.filter((entry) => entry.id !== opportunityId);
+    if (infiltration.opportunities.length === before.length) return false;
+    await this._persist();
+    return true;
+  }
+
+  async adjustEdgePoints(infiltrationId, delta) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration) return null;
+    const numericDelta = Number(delta);
+    if (!Number.isFinite(numericDelta) || numericDelta === 0) return infiltration.edgePoints;
+    infiltration.edgePoints = toCount(infiltration.edgePoints + numericDelta);
+    await this._persist();
+    return infiltration.edgePoints;
+  }
+
+  /**
+   * Spend one of the party's Edge Points and announce it in chat.
+   * @param {string} infiltrationId
+   * @param {object} [options]
+   * @param {string} [options.reason]  What the point was spent on.
+   * @param {string} [options.userName]  Who spent it; defaults to the current user.
+   * @returns {Promise<boolean>}  False when the party has no Edge Points left.
+   */
+  async spendEdgePoint(infiltrationId, { reason = "", userName } = {}) {
+    const infiltration = this._findInfiltration(infiltrationId);
+    if (!infiltration || infiltration.edgePoints <= 0) return false;
+    infiltration.edgePoints -= 1;
+    await this._persist();
+
+    if (typeof ChatMessage?.create !== "function") return true;
+    const header = formatWithFallback(
+      "PF2E.PointsTracker.Infiltration.Edge.SpentMessage",
+      { user: userName || game.user?.name || "", remaining: infiltration.edgePoints },
+      "{user} spent an Edge Point ({remaining} left)."
+    );
+    const detail = trimString(reason)
+      ? `<p>${escapeHtml(trimString(reason)).replace(/\n/g, "<br />")}</p>`
+      : "";
+    await ChatMessage.create({
+      user: game.user?.id,
+      speaker: { alias: infiltration.name },
+      content: `<div class="pf2e-infiltration-edge"><p><strong>${escapeHtml(header)}</strong></p>${detail}</div>`,
+    });
+    return true;
+  }
+
+  /**
+   * Mark complications whose trigger the current awareness has reached, and
+   * clear the mark on ones it has dropped back below. Newly triggered
+   * complications are whispered to the GMs.
+   */
+  async syncComplications() {
+    const triggered = [];
+    let changed = false;
+    for (const infiltration of this.state.infiltrations ?? []) {
+      const before = JSON.stringify(infiltration.complications);
+      const crossed = this._syncInfiltrationComplications(infiltration);
+      if (crossed.length) triggered.push([infiltration, crossed]);
+      if (JSON.stringify(infiltration.complications) !== before) changed = true;
+    }
+    if (!changed) return;
+    await this._persist();
+    for (const [infiltration, crossed] of triggered) {
+      await this._announceComplications(infiltration, crossed);
+    }
+  }
+
+  /**
+   * @param {Infiltration} infiltration
+   * @returns {InfiltrationComplication[]}  Complications triggered by this call.
+   */
+  _syncInfiltrationComplications(infiltration) {
+    const awareness = this.getAwareness(infiltration.id);
+    if (!awareness) return [];
+    const triggered = [];
+    const timestamp = Date.now();
+    for (const complication of infiltration.complications) {
+      if (awareness.current < complication.trigger) {
+        complication.triggeredAt = null;
+      } else if (!complication.triggeredAt) {
+        complication.triggeredAt = timestamp;
+        triggered.push(complication);
+      }
+    }
+    return triggered;
+  }
+
+  /**
+   * Whisper triggered complications to the GMs and fire
+   * {@link INFILTRATION_COMPLICATION_HOOK} for each.
+   * @param {Infiltration} infiltration
+   * @param {InfiltrationComplication[]} complications
+   */
+  async _announceComplications(infiltration, complications) {
+    if (!complications.length) return;
+    const awareness = this.getAwareness(infiltration.id);
+    const gmRecipients = ChatMessage?.getWhisperRecipients
+      ? ChatMessage.getWhisperRecipients("GM").map((user) => user.id)
+      : [];
+
+    for (const complication of complications) {
+      Hooks?.callAll?.(INFILTRATION_COMPLICATION_HOOK, {
+        tracker: this,
+        infiltration: duplicateData(infiltration),
+        complication: { ...complication },
+        awareness: awareness?.current ?? null,
+      });
+
+      if (typeof ChatMessage?.create !== "function") continue;
+      const header = formatWithFallback(
+        "PF2E.PointsTracker.Infiltration.Complications.TriggeredMessage",
+        { name: complication.name, points: complication.trigger },
+        "Complication at {points} awareness: {name}"
+      );
+      const body = complication.description
+        ? `<p>${escapeHtml(complication.description).replace(/\n/g, "<br />")}</p>`
+        : "";
+      await ChatMessage.create({
+        user: game.user?.id,
+        speaker: { alias: infiltration.name },
+        whisper: gmRecipients,
+        content: `<div class="pf2e-infiltration-complication"><h3>${escapeHtml(header)}</h3>${body}</div>`,
+      });
+    }
+  }
+
+  _hasAwarenessEntry(entryId) {
+    return Boolean(entryId && this.awarenessTracker?.getEntry(entryId));
+  }
+
+  async _createAwarenessEntry(name, target) {
+    if (!this.awarenessTracker) return null;
+    const value = Number(target);
+    const entry = await this.awarenessTracker.createEntry({
+      name,
+      target: Number.isFinite(value) && value >= 1 ? Math.floor(value) : DEFAULT_AWARENESS_TARGET,
+    });
+    return entry?.id ?? null;
+  }
+}
+
+export function createInfiltrationTracker({ moduleId, settingKey, awarenessTracker }) {
+  return new InfiltrationTracker({ moduleId, settingKey, awarenessTracker });
+}
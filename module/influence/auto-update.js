@@ -0,0 +1,361 @@
+import {
+  OUTCOME_LABEL_KEYS,
+  collectCheckSlugs,
+  extractOutcome,
+  extractRollData,
+  resolveActor,
+  slugifySkill,
+  toTitleCase,
+} from "../research/auto-update.js";
+import { parseCheckList } from "../statblock/statblock-parser.js";
+import { MODIFIER_KINDS } from "./tracker.js";
+
+/**
+ * Influence Points gained per degree of success (Gamemastery Guide influence
+ * subsystem).
+ */
+const OUTCOME_INFLUENCE = {
+  criticalsuccess: 2,
+  success: 1,
+  failure: 0,
+  criticalfailure: -1,
+};
+
+/**
+ * Facts revealed per degree of success on a Discovery check. Checks carrying
+ * the `discovery` trait (as the NPC card's Discovery buttons do) count as
+ * Discovery checks and never award influence.
+ */
+const OUTCOME_DISCOVERIES = {
+  criticalsuccess: 2,
+  success: 1,
+};
+
+const DISCOVERY_TRAIT = "discovery";
+
+const DEGREES_OF_SUCCESS = ["criticalfailure", "failure", "success", "criticalsuccess"];
+
+const CHECK_TYPES = new Set(["skill-check", "perception-check"]);
+
+const processedMessages = new Set();
+
+/**
+ * Register hooks to automatically apply influence for checks against tracked NPCs.
+ * @param {import("./tracker.js").InfluenceTracker} tracker
+ * @param {object} [options]
+ * @param {import("../history/history.js").TrackerHistory} [options.history]  Records
+ *   everything one check changes as a single undo step.
+ */
+export function registerInfluenceAutoUpdates(tracker, { history = null } = {}) {
+  Hooks.on("createChatMessage", async (message) => {
+    try {
+      await handleChatMessage(tracker, message, history);
+    } catch (error) {
+      console.error("pf2e-points-tracker | Failed to process influence check message.", error);
+    }
+  });
+}
+
+async function handleChatMessage(tracker, message, history) {
+  const asOneStep = (callback) =>
+    history ? history.group("influence", "applyCheck", callback) : callback(tracker);
+
+  if (!game?.user?.isGM) return;
+  const activeGM = game.users?.activeGM;
+  if (activeGM && !activeGM.isSelf) return;
+  if (!message) return;
+
+  const messageKey = message.uuid ?? message.id ?? null;
+  if (messageKey && processedMessages.has(messageKey)) return;
+
+  const context = message.flags?.pf2e?.context;
+  if (!context || !CHECK_TYPES.has(context.type)) return;
+
+  const outcome = extractOutcome(context);
+  if (!outcome) return;
+  const outcomeKey = outcome.toLowerCase();
+  if (!DEGREES_OF_SUCCESS.includes(outcomeKey)) return;
+  const traits = collectCheckTraits(context);
+  const isDiscovery = traits.has(DISCOVERY_TRAIT);
+
+  const slugs = collectCheckSlugs(context);
+  if (!slugs.size) return;
+
+  const actorData = await resolveActor(message);
+  if (!actorData?.actor) return;
+  if (actorData.actor?.type !== "character") return;
+
+  if (isDiscovery) {
+    const discoveryNpcId = findDiscoveryNpc(tracker, slugs, context);
+    if (!discoveryNpcId) return;
+    const discoveries = OUTCOME_DISCOVERIES[outcomeKey] ?? 0;
+    await asOneStep(async (scoped) => {
+      await scoped.revealFacts(discoveryNpcId, discoveries, { actorName: actorData.actorName });
+      await markActed(scoped, discoveryNpcId, actorData);
+    });
+    if (messageKey) processedMessages.add(messageKey);
+    return;
+  }
+
+  const npcId = findMatchingNpc(tracker, slugs, traits, context);
+  if (!npcId) return;
+
+  const npc = tracker.getNpc(npcId);
+  const modifiers = collectModifiers(npc, slugs, traits);
+  const resolvedOutcome = resolveOutcome(outcomeKey, message, context, npc, slugs, modifiers);
+  const points = OUTCOME_INFLUENCE[resolvedOutcome];
+  const influenceModifier = modifiers.reduce((sum, entry) => sum + entry.influenceModifier, 0);
+  // Modifiers adjust what a success is worth; they never turn it into a loss.
+  const adjusted = points > 0 ? Math.max(points + influenceModifier, 0) : points;
+  const reason = buildReason(context, slugs, resolvedOutcome, actorData.actorName, modifiers);
+
+  const author = message.author ?? message.user ?? null;
+  await asOneStep(async (scoped) => {
+    // Failed checks change nothing on the NPC, but are still logged with their
+    // roll and use up the PC's turn in a running influence encounter.
+    if (adjusted === 0) {
+      await scoped.addLogEntry({
+        npcId,
+        reason,
+        type: "adjustment",
+        delta: 0,
+        total: npc?.currentInfluence ?? null,
+        roll: extractRollData(message),
+        userId: author?.id ?? null,
+        userName: author?.name ?? null,
+      });
+    } else {
+      await scoped.adjustInfluence(npcId, adjusted, {
+        reason,
+        userId: author?.id ?? null,
+        userName: author?.name ?? null,
+        roll: extractRollData(message),
+      });
+    }
+    await markActed(scoped, npcId, actorData);
+  });
+
+  if (messageKey) processedMessages.add(messageKey);
+}
+
+async function markActed(tracker, npcId, actorData) {
+  const encounter = tracker.getRunningEncounterForNpc(npcId);
+  if (!encounter || !actorData.actor.uuid) return;
+  await tracker.setActorActed(encounter.id, {
+    uuid: actorData.actor.uuid,
+    name: actorData.actorName ?? actorData.actor.name ?? "",
+  });
+}
+
+function matchesSkill(skill, slugs) {
+  const slug = slugifySkill(skill);
+  if (!slug) return false;
+  if (slugs.has(slug)) return true;
+  // A bare "Lore" entry accepts any Lore subcategory.
+  return slug === "lore" && Array.from(slugs).some((candidate) => candidate.endsWith("-lore"));
+}
+
+/**
+ * The DC a check was rolled against may already include the NPC's
+ * resistances and weaknesses, so either the listed or the adjusted DC matches.
+ * A check without a DC matches nothing; the callers fall back to the active
+ * NPC instead.
+ */
+function matchesDc(dc, contextDc, dcModifier = 0) {
+  if (!Number.isFinite(contextDc)) return false;
+  if (!Number.isFinite(dc)) return true;
+  return Number(dc) === Number(contextDc) || Number(dc) + dcModifier === Number(contextDc);
+}
+
+function getContextDc(context) {
+  return Number(context?.dc?.value ?? context?.dc ?? NaN);
+}
+
+/**
+ * The DC an NPC lists for a check: the matching influence skill's DC, else
+ * its base DC.
+ */
+function getListedDc(npc, slugs) {
+  const entry = (Array.isArray(npc?.skillDcs) ? npc.skillDcs : []).find((candidate) =>
+    matchesSkill(candidate.skill, slugs)
+  );
+  if (Number.isFinite(entry?.dc)) return Number(entry.dc);
+  return Number.isFinite(npc?.baseDc) ? Number(npc.baseDc) : NaN;
+}
+
+/**
+ * Degree of success of a check total against a DC. A natural 20 or 1 moves it
+ * one step up or down.
+ */
+function computeDegreeOfSuccess(total, dc, die) {
+  let index = total >= dc + 10 ? 3 : total >= dc ? 2 : total <= dc - 10 ? 0 : 1;
+  if (die === 20) index = Math.min(index + 1, 3);
+  if (die === 1) index = Math.max(index - 1, 0);
+  return DEGREES_OF_SUCCESS[index];
+}
+
+/**
+ * Resistances and weaknesses raise or lower the DC. When a check was rolled
+ * against the NPC's listed DC, or without a DC, its degree of success is
+ * worked out again against the adjusted DC; a roll already made against
+ * another DC keeps the outcome PF2e gave it.
+ */
+function resolveOutcome(outcomeKey, message, context, npc, slugs, modifiers) {
+  const dcModifier = modifiers.reduce((sum, modifier) => sum + modifier.dcModifier, 0);
+  const listedDc = getListedDc(npc, slugs);
+  const contextDc = getContextDc(context);
+  if (!dcModifier || !Number.isFinite(listedDc)) return outcomeKey;
+  if (Number.isFinite(contextDc) && contextDc !== listedDc) return outcomeKey;
+
+  const roll = message.rolls?.[0] ?? message.roll ?? null;
+  const total = Number(roll?.total);
+  if (!Number.isFinite(total)) return outcomeKey;
+  const die = Number(roll?.dice?.[0]?.total);
+  return computeDegreeOfSuccess(total, listedDc + dcModifier, Number.isFinite(die) ? die : null);
+}
+
+/**
+ * Trait and action slugs of the rolled check, e.g. "linguistic" or "lie".
+ * @returns {Set<string>}
+ */
+function collectCheckTraits(context) {
+  const traits = new Set();
+  for (const trait of Array.isArray(context?.traits) ? context.traits : []) {
+    const slug = slugifySkill(typeof trait === "string" ? trait : trait?.name ?? trait?.value);
+    if (slug) traits.add(slug);
+  }
+  for (const option of Array.isArray(context?.options) ? context.options : []) {
+    const match = /^(?:item:)?(?:trait|action):([a-z0-9-]+)$/.exec(String(option));
+    if (match) traits.add(match[1]);
+  }
+  return traits;
+}
+
+/**
+ * Resistances and weaknesses of an NPC triggered by a check.
+ * @returns {{ kind: string, trigger: string, dcModifier: number, influenceModifier: number }[]}
+ */
+function collectModifiers(npc, slugs, traits) {
+  const applicable = [];
+  for (const kind of MODIFIER_KINDS) {
+    for (const entry of Array.isArray(npc?.[kind]) ? npc[kind] : []) {
+      if (!entry.trigger) continue;
+      const matches =
+        entry.triggerType === "trait"
+          ? traits.has(slugifySkill(entry.trigger))
+          : matchesSkill(entry.trigger, slugs);
+      if (matches) applicable.push({ ...entry, kind });
+    }
+  }
+  return applicable;
+}
+
+/**
+ * Pick the NPC a check targets. Listed influence skills win over a bare base
+ * DC match; when several NPCs tie, the active influence NPC breaks the tie.
+ */
+function findMatchingNpc(tracker, slugs, traits, context) {
+  const contextDc = getContextDc(context);
+  const activeNpcId = tracker.getActiveNpcId();
+  if (!Number.isFinite(contextDc)) {
+    // Without a DC the roll could be aimed at anyone, so only the active NPC
+    // counts, and only for a skill it lists.
+    const activeNpc = activeNpcId ? tracker.getNpc(activeNpcId) : null;
+    const listsSkill = (activeNpc?.skillDcs ?? []).some((entry) => matchesSkill(entry.skill, slugs));
+    return listsSkill ? activeNpcId : null;
+  }
+
+  const skillMatches = [];
+  const baseDcMatches = [];
+
+  for (const npc of tracker.getNpcs()) {
+    const dcModifier = collectModifiers(npc, slugs, traits).reduce(
+      (sum, modifier) => sum + modifier.dcModifier,
+      0
+    );
+    const skillDcs = Array.isArray(npc.skillDcs) ? npc.skillDcs : [];
+    const entry = skillDcs.find((candidate) => matchesSkill(candidate.skill, slugs));
+    if (entry) {
+      const dc = Number.isFinite(entry.dc) ? Number(entry.dc) : npc.baseDc;
+      if (matchesDc(dc, contextDc, dcModifier)) skillMatches.push(npc.id);
+      continue;
+    }
+
+    if (
+      Number.isFinite(npc.baseDc) &&
+      Number.isFinite(contextDc) &&
+      matchesDc(npc.baseDc, contextDc, dcModifier)
+    ) {
+      baseDcMatches.push(npc.id);
+    }
+  }
+
+  for (const matches of [skillMatches, baseDcMatches]) {
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      if (activeNpcId && matches.includes(activeNpcId)) return activeNpcId;
+      console.warn(
+        "pf2e-points-tracker | Multiple influence NPCs matched the same check. Mark one NPC as active to disambiguate automatic updates."
+      );
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the NPC a Discovery check targets from the checks listed in each NPC's
+ * Discovery text, falling back to the active NPC on ties.
+ */
+function findDiscoveryNpc(tracker, slugs, context) {
+  const contextDc = getContextDc(context);
+  const matches = tracker
+    .getNpcs()
+    .filter((npc) =>
+      parseCheckList(npc.discoveryChecks).some(
+        (check) => matchesSkill(check.skill, slugs) && matchesDc(check.dc, contextDc)
+      )
+    )
+    .map((npc) => npc.id);
+
+  if (matches.length === 1) return matches[0];
+  const activeNpcId = tracker.getActiveNpcId();
+  if (activeNpcId && (matches.length === 0 || matches.includes(activeNpcId))) return activeNpcId;
+  if (matches.length > 1) {
+    console.warn(
+      "pf2e-points-tracker | Multiple influence NPCs matched the same Discovery check. Mark one NPC as active to disambiguate."
+    );
+  }
+  return null;
+}
+
+function buildReason(context, slugs, outcomeKey, actorName, modifiers = []) {
+  const fallbackSlug = context?.type === "perception-check" ? "perception" : Array.from(slugs)[0];
+  const skillLabel =
+    context?.skillCheck?.label ??
+    context?.label ??
+    toTitleCase(fallbackSlug);
+  const outcomeLabel =
+    game?.i18n?.localize?.(OUTCOME_LABEL_KEYS[outcomeKey]) ??
+    toTitleCase(outcomeKey);
+  const reason =
+    game?.i18n?.format?.("PF2E.PointsTracker.Influence.AutoReason", {
+      actor: actorName ?? "",
+      skill: skillLabel,
+      outcome: outcomeLabel,
+    }) ?? `Automatic: ${actorName ?? ""} ${skillLabel} check (${outcomeLabel}).`;
+  // The log is shown to players, so only name modifiers they have discovered.
+  const revealed = modifiers.filter((modifier) => modifier.isRevealed);
+  if (!revealed.length) return reason;
+
+  const applied = revealed
+    .map((modifier) => {
+      const kindLabel =
+        game?.i18n?.localize?.(`PF2E.PointsTracker.Influence.Modifiers.Kind.${modifier.kind}`) ??
+        modifier.kind;
+      return `${kindLabel}: ${modifier.trigger}`;
+    })
+    .join("; ");
+  return `${reason} (${applied})`;
+}
@@ -1,11 +1,19 @@
-import { localizeWithFallback } from "../utils/localize.js";
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+import { normalizeTemplateSource } from "../utils/template-source.js";
+
+export const INFLUENCE_UPDATE_HOOK = "pf2ePointsTrackerInfluenceUpdated";
 
 const DEFAULT_STATE = {
   version: 1,
   npcs: [],
   log: [],
+  encounters: [],
+  activeNpcId: null,
 };
 
+export const ENCOUNTER_STATUSES = ["planned", "running", "complete"];
+
 const DEFAULT_NPC_NAME_KEY = "PF2E.PointsTracker.Influence.DefaultNpcName";
 const DEFAULT_NPC_NAME_FALLBACK = "Influence NPC";
 
@@ -42,7 +50,7 @@ function normalizeSkillEntries(raw) {
   for (const entry of list) {
     if (!entry) continue;
 
-    const result = { id: createId(), skill: "", dc: null };
+    const result = { id: createId(), skill: "", dc: null, isRevealed: false };
 
     if (typeof entry === "string") {
       result.skill = entry.trim();
@@ -67,6 +75,7 @@ function normalizeSkillEntries(raw) {
       if (Number.isFinite(numeric)) {
         result.dc = Number(numeric);
       }
+      result.isRevealed = Boolean(entry.isRevealed);
     }
 
     result.skill = typeof result.skill === "string" ? result.skill.trim() : "";
@@ -102,8 +111,9 @@ function normalizeThresholds(raw) {
       if (typeof entry.outcome === "string") return entry.outcome.trim();
       return "";
     })();
+    // Number(null) is 0, so only positive timestamps count as revealed.
     const revealedAtRaw = Number(entry.revealedAt);
-    const revealedAt = Number.isFinite(revealedAtRaw) ? Number(revealedAtRaw) : null;
+    const revealedAt = Number.isFinite(revealedAtRaw) && revealedAtRaw > 0 ? revealedAtRaw : null;
 
     normalized.push({
       id,
@@ -154,6 +164,94 @@ function normalizeTraits(raw) {
   return normalized;
 }
 
+export const MODIFIER_KINDS = ["resistances", "weaknesses"];
+export const MODIFIER_TRIGGER_TYPES = ["skill", "trait"];
+
+const SKILL_NAMES = [
+  "Acrobatics",
+  "Arcana",
+  "Athletics",
+  "Crafting",
+  "Deception",
+  "Diplomacy",
+  "Intimidation",
+  "Medicine",
+  "Nature",
+  "Occultism",
+  "Performance",
+  "Perception",
+  "Religion",
+  "Society",
+  "Stealth",
+  "Survival",
+  "Thievery",
+];
+
+/**
+ * Turn printed stat block text such as "Bribery increases the DC by 2;
+ * appeals to Society reduce the DC by 1" into modifier entries. Each clause
+ * becomes one entry; the first skill it names becomes the trigger.
+ * @param {string} text
+ * @param {"resistances" | "weaknesses"} kind
+ * @returns {object[]}
+ */
+export function parseModifierText(text, kind) {
+  return String(text ?? "")
+    .split(/;|\.\s+(?=[A-Z])|\n/)
+    .map((clause) => clause.trim().replace(/\.$/, ""))
+    .filter((clause) => clause)
+    .map((clause) => {
+      const amount = /DC\s+by\s+(\d+)|([+-]\d+)\s+(?:to\s+)?(?:the\s+)?DC/i.exec(clause);
+      let dcModifier = 0;
+      if (amount) {
+        const value = Math.abs(Number(amount[1] ?? amount[2]));
+        if (/\b(?:reduc|decreas|lower)/i.test(clause)) dcModifier = -value;
+        else if (/\b(?:increas|rais)/i.test(clause)) dcModifier = value;
+        else if (amount[2]) dcModifier = Number(amount[2]);
+        else dcModifier = kind === "weaknesses" ? -value : value;
+      }
+      const skill = SKILL_NAMES.find((name) => new RegExp(`\\b${name}\\b`, "i").test(clause));
+      return {
+        trigger: skill ?? "",
+        triggerType: "skill",
+        dcModifier,
+        influenceModifier: 0,
+        description: clause,
+      };
+    });
+}
+
+function normalizeModifiers(raw, kind) {
+  const list = Array.isArray(raw)
+    ? raw
+    : typeof raw === "string"
+    ? parseModifierText(raw, kind)
+    : [];
+
+  const normalized = [];
+  for (const entry of list) {
+    if (!entry || typeof entry !== "object") continue;
+
+    const trigger = typeof entry.trigger === "string" ? entry.trigger.trim() : "";
+    const description = typeof entry.description === "string" ? entry.description.trim() : "";
+    if (!trigger && !description) continue;
+
+    const dcModifierRaw = Number(entry.dcModifier ?? 0);
+    const influenceModifierRaw = Number(entry.influenceModifier ?? 0);
+    normalized.push({
+      id: typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : createId(),
+      trigger,
+      triggerType: MODIFIER_TRIGGER_TYPES.includes(entry.triggerType) ? entry.triggerType : "skill",
+      dcModifier: Number.isFinite(dcModifierRaw) ? Math.trunc(dcModifierRaw) : 0,
+      influenceModifier: Number.isFinite(influenceModifierRaw) ? Math.trunc(influenceModifierRaw) : 0,
+      description,
+      isRevealed: Boolean(entry.isRevealed),
+    });
+  }
+
+  return normalized;
+}
+
 function normalizeNpc(data = {}) {
   const id = typeof data.id === "string" && data.id.trim() ? data.id.trim() : createId();
   const name = (() => {
@@ -178,20 +276,89 @@ function normalizeNpc(data = {}) {
     skillDcs: normalizeSkillEntries(data.skillDcs ?? data.skills ?? []),
     thresholds: normalizeThresholds(data.thresholds ?? []),
     traits: normalizeTraits(data.traits ?? data.trait ?? []),
+    revealedTraits: [],
     discoveryChecks:
       typeof data.discoveryChecks === "string" ? data.discoveryChecks.trim() : "",
     influenceChecks:
       typeof data.influenceChecks === "string" ? data.influenceChecks.trim() : "",
     penalty: typeof data.penalty === "string" ? data.penalty.trim() : "",
+    resistances: normalizeModifiers(data.resistances ?? [], "resistances"),
+    weaknesses: normalizeModifiers(data.weaknesses ?? [], "weaknesses"),
     notes: typeof data.notes === "string" ? data.notes.trim() : "",
     isCollapsed: Boolean(data.isCollapsed),
+    templateSource: normalizeTemplateSource(data.templateSource),
+    actorUuid: typeof data.actorUuid === "string" ? data.actorUuid.trim() : "",
+    img: typeof data.img === "string" ? data.img.trim() : "",
     createdAt: Number.isFinite(Number(data.createdAt)) ? Number(data.createdAt) : Date.now(),
     updatedAt: Number.isFinite(Number(data.updatedAt)) ? Number(data.updatedAt) : Date.now(),
   };
 
+  // Only traits the NPC still has can stay revealed.
+  const revealed = new Set(
+    normalizeTraits(data.revealedTraits ?? []).map((trait) => trait.toLocaleLowerCase())
+  );
+  npc.revealedTraits = npc.traits.filter((trait) => revealed.has(trait.toLocaleLowerCase()));
+
   return npc;
 }
 
+function normalizeActedActors(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const normalized = [];
+  const seen = new Set();
+  for (const entry of list) {
+    const uuid =
+      typeof entry === "string"
+        ? entry.trim()
+        : typeof entry?.uuid === "string"
+        ? entry.uuid.trim()
+        : "";
+    if (!uuid || seen.has(uuid)) continue;
+    seen.add(uuid);
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    normalized.push({ uuid, name });
+  }
+  return normalized;
+}
+
+/**
+ * An influence encounter groups NPCs that the party influences over a limited
+ * number of rounds (or other time units, such as hours at a party).
+ */
+function normalizeEncounter(data = {}) {
+  const maxRoundsRaw = Number(data.maxRounds ?? data.rounds ?? null);
+  const currentRoundRaw = Number(data.currentRound ?? data.round ?? 0);
+  const npcIds = Array.isArray(data.npcIds)
+    ? Array.from(new Set(data.npcIds.filter((id) => typeof id === "string" && id.trim())))
+    : [];
+  const status = ENCOUNTER_STATUSES.includes(data.status) ? data.status : "planned";
+  const completedAtRaw = Number(data.completedAt);
+
+  return {
+    id: typeof data.id === "string" && data.id.trim() ? data.id.trim() : createId(),
+    name:
+      typeof data.name === "string" && data.name.trim()
+        ? data.name.trim()
+        : localizeWithFallback(
+            "PF2E.PointsTracker.Influence.Encounter.DefaultName",
+            "Influence Encounter"
+          ),
+    npcIds,
+    maxRounds:
+      Number.isFinite(maxRoundsRaw) && maxRoundsRaw > 0 ? Math.trunc(maxRoundsRaw) : null,
+    roundUnit: typeof data.roundUnit === "string" ? data.roundUnit.trim() : "",
+    currentRound:
+      status === "planned" || !Number.isFinite(currentRoundRaw)
+        ? 0
+        : Math.max(1, Math.trunc(currentRoundRaw)),
+    actedActors: normalizeActedActors(data.actedActors),
+    status,
+    completedAt: Number.isFinite(completedAtRaw) && completedAtRaw > 0 ? completedAtRaw : null,
+    createdAt: Number.isFinite(Number(data.createdAt)) ? Number(data.createdAt) : Date.now(),
+    updatedAt: Number.isFinite(Number(data.updatedAt)) ? Number(data.updatedAt) : Date.now(),
+  };
+}
+
 function normalizeLogEntry(entry) {
   if (!entry || typeof entry !== "object") return null;
   const id = typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : createId();
@@ -207,6 +374,7 @@ function normalizeLogEntry(entry) {
   const type = typeof entry.type === "string" && entry.type.trim() ? entry.type.trim() : "adjustment";
   const userId = typeof entry.userId === "string" ? entry.userId.trim() : null;
   const userName = typeof entry.userName === "string" ? entry.userName.trim() : null;
+  const roll = entry.roll && typeof entry.roll === "object" ? duplicateData(entry.roll) : null;
 
   return {
     id,
@@ -218,16 +386,27 @@ function normalizeLogEntry(entry) {
     type,
     userId,
     userName,
+    roll,
     timestamp,
   };
 }
 
 export class InfluenceTracker {
-  constructor({ moduleId, settingKey }) {
+  /**
+   * @param {object} options
+   * @param {string} options.moduleId
+   * @param {string} options.settingKey
+   * @param {string} [options.rehideSettingKey]  World setting that hides
+   *   thresholds again when influence drops below them.
+   */
+  constructor({ moduleId, settingKey, rehideSettingKey }) {
     this.moduleId = moduleId;
     this.settingKey = settingKey;
+    this.rehideSettingKey = rehideSettingKey;
     this.npcs = new Collection();
     this.log = [];
+    this.encounters = new Collection();
+    this.activeNpcId = null;
     this.version = DEFAULT_STATE.version;
     this._initialized = false;
   }
@@ -241,14 +420,46 @@ export class InfluenceTracker {
       config: false,
       type: Object,
       default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => {
+        this._applyState(value);
+      },
     });
+
+    if (this.rehideSettingKey) {
+      game.settings.register(this.moduleId, this.rehideSettingKey, {
+        name: "PF2E.PointsTracker.Influence.RehideSetting.Name",
+        hint: "PF2E.PointsTracker.Influence.RehideSetting.Hint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+      });
+    }
+  }
+
+  /**
+   * Whether thresholds are hidden again when influence drops below them.
+   * @returns {boolean}
+   */
+  shouldRehideThresholds() {
+    if (!this.rehideSettingKey || !game?.settings?.get) return false;
+    return Boolean(game.settings.get(this.moduleId, this.rehideSettingKey));
   }
 
   async initialize() {
     if (!game?.settings?.get) return;
 
     const stored = duplicateData(game.settings.get(this.moduleId, this.settingKey) ?? DEFAULT_STATE);
-    const migrated = this._migrateState(stored);
+    this._applyState(stored);
+    this._initialized = true;
+  }
+
+  /**
+   * Apply state data to the in-memory cache.
+   * @param {object} rawState
+   */
+  _applyState(rawState) {
+    const migrated = this._migrateState(duplicateData(rawState ?? DEFAULT_STATE));
 
     this.version = migrated.version ?? DEFAULT_STATE.version;
 
@@ -257,8 +468,20 @@ export class InfluenceTracker {
       .map((entry) => normalizeLogEntry(entry))
       .filter((entry) => entry !== null)
       .sort((a, b) => a.timestamp - b.timestamp);
-
-    this._initialized = true;
+    this.encounters = new Collection(
+      migrated.encounters.map((encounter) => {
+        const normalized = normalizeEncounter(encounter);
+        normalized.npcIds = normalized.npcIds.filter((npcId) => this.npcs.has(npcId));
+        return [normalized.id, normalized];
+      })
+    );
+    this.activeNpcId = this.npcs.has(migrated.activeNpcId) ? migrated.activeNpcId : null;
+
+    Hooks?.callAll?.(INFLUENCE_UPDATE_HOOK, {
+      tracker: this,
+      npcs: this.getNpcs(),
+      log: this.getLog(),
+    });
   }
 
   async _saveState() {
@@ -272,7 +495,12 @@ export class InfluenceTracker {
         currentInfluence: npc.currentInfluence,
         maxInfluence: npc.maxInfluence,
         baseDc: npc.baseDc,
-        skillDcs: npc.skillDcs.map((entry) => ({ id: entry.id, skill: entry.skill, dc: entry.dc })),
+        skillDcs: npc.skillDcs.map((entry) => ({
+          id: entry.id,
+          skill: entry.skill,
+          dc: entry.dc,
+          isRevealed: entry.isRevealed,
+        })),
         thresholds: npc.thresholds.map((threshold) => ({
           id: threshold.id,
           points: threshold.points,
@@ -282,11 +510,17 @@ export class InfluenceTracker {
           revealedAt: threshold.revealedAt ?? null,
         })),
         traits: Array.isArray(npc.traits) ? npc.traits : [],
+        revealedTraits: npc.revealedTraits,
         discoveryChecks: npc.discoveryChecks ?? "",
         influenceChecks: npc.influenceChecks ?? "",
         penalty: npc.penalty ?? "",
+        resistances: npc.resistances.map((entry) => ({ ...entry })),
+        weaknesses: npc.weaknesses.map((entry) => ({ ...entry })),
         notes: npc.notes ?? "",
         isCollapsed: npc.isCollapsed ?? false,
+        templateSource: npc.templateSource ?? null,
+        actorUuid: npc.actorUuid ?? "",
+        img: npc.img ?? "",
         createdAt: npc.createdAt ?? Date.now(),
         updatedAt: npc.updatedAt ?? Date.now(),
       })),
@@ -300,8 +534,11 @@ export class InfluenceTracker {
         type: entry.type,
         userId: entry.userId,
         userName: entry.userName,
+        roll: entry.roll ?? null,
         timestamp: entry.timestamp,
       })),
+      encounters: this.getEncounters(),
+      activeNpcId: this.activeNpcId ?? null,
     };
 
     await game.settings.set(this.moduleId, this.settingKey, payload);
@@ -320,6 +557,8 @@ export class InfluenceTracker {
       version: version > 0 ? version : DEFAULT_STATE.version,
       npcs: Array.isArray(source.npcs) ? source.npcs : [],
       log: Array.isArray(source.log) ? source.log : [],
+      encounters: Array.isArray(source.encounters) ? source.encounters : [],
+      activeNpcId: typeof source.activeNpcId === "string" ? source.activeNpcId : null,
     };
 
     if (!Number.isFinite(migrated.version) || migrated.version < 1) {
@@ -329,6 +568,34 @@ export class InfluenceTracker {
     return migrated;
   }
 
+  /**
+   * Replace the current state.
+   * @param {object} state
+   */
+  async importState(state) {
+    this._applyState({
+      version: DEFAULT_STATE.version,
+      npcs: Array.isArray(state?.npcs) ? state.npcs : [],
+      log: Array.isArray(state?.log) ? state.log : [],
+      encounters: Array.isArray(state?.encounters) ? state.encounters : [],
+      activeNpcId: state?.activeNpcId ?? null,
+    });
+    await this._saveState();
+  }
+
+  /**
+   * Export the current tracker state.
+   * @returns {object}
+   */
+  exportState() {
+    return {
+      npcs: this.getNpcs(),
+      log: this.getLog(),
+      encounters: this.getEncounters(),
+      activeNpcId: this.getActiveNpcId(),
+    };
+  }
+
   getNpcs() {
     return Array.from(this.npcs.values()).map((npc) => normalizeNpc(npc));
   }
@@ -350,8 +617,17 @@ export class InfluenceTracker {
     if (!existing) return undefined;
 
     const merged = normalizeNpc({ ...existing, ...updates, id: npcId, updatedAt: Date.now() });
+    // Editing influence directly crosses thresholds the same way an adjustment does.
+    const previous = Number(existing.currentInfluence ?? 0);
+    const revealedThresholds =
+      merged.currentInfluence !== previous
+        ? this._syncThresholdReveals(merged, previous, merged.currentInfluence)
+        : [];
     this.npcs.set(npcId, merged);
     await this._saveState();
+    for (const threshold of revealedThresholds) {
+      await this._notifyThresholdReveal(merged, threshold);
+    }
     return this.getNpc(npcId);
   }
 
@@ -359,10 +635,225 @@ export class InfluenceTracker {
     if (!this.npcs.has(npcId)) return;
     this.npcs.delete(npcId);
     this.log = this.log.filter((entry) => entry.npcId !== npcId);
+    for (const encounter of this.encounters.values()) {
+      encounter.npcIds = encounter.npcIds.filter((id) => id !== npcId);
+    }
+    if (this.activeNpcId === npcId) this.activeNpcId = null;
     await this._saveState();
   }
 
-  async adjustInfluence(npcId, delta, { reason = "", note = "", notify = true } = {}) {
+  /**
+   * Link an NPC to an Actor, adopting its name and portrait and adding its
+   * traits to the ones already recorded.
+   * @param {string} npcId
+   * @param {{ uuid: string, name?: string, img?: string, traits?: string[] }} actor
+   */
+  async linkActor(npcId, actor = {}) {
+    const existing = this.npcs.get(npcId);
+    const uuid = typeof actor.uuid === "string" ? actor.uuid.trim() : "";
+    if (!existing || !uuid) return undefined;
+
+    const name = typeof actor.name === "string" && actor.name.trim() ? actor.name.trim() : existing.name;
+    const img = typeof actor.img === "string" && actor.img.trim() ? actor.img.trim() : existing.img;
+    const traits = normalizeTraits([...existing.traits, ...normalizeTraits(actor.traits ?? [])]);
+    return this.updateNpc(npcId, { actorUuid: uuid, name, img, traits });
+  }
+
+  /**
+   * Drop the Actor link and the portrait it provided. The name and traits stay.
+   * @param {string} npcId
+   */
+  async unlinkActor(npcId) {
+    const existing = this.npcs.get(npcId);
+    if (!existing?.actorUuid) return undefined;
+    return this.updateNpc(npcId, { actorUuid: "", img: "" });
+  }
+
+  /**
+   * Follow a rename or new portrait on a linked Actor.
+   * @param {string} uuid
+   * @param {{ name?: string, img?: string }} changes
+   */
+  async syncLinkedActor(uuid, { name, img } = {}) {
+    let changed = false;
+    for (const [npcId, npc] of this.npcs.entries()) {
+      if (!uuid || npc.actorUuid !== uuid) continue;
+      const updates = {};
+      if (typeof name === "string" && name.trim() && name.trim() !== npc.name) {
+        updates.name = name.trim();
+      }
+      if (typeof img === "string" && img.trim() && img.trim() !== npc.img) {
+        updates.img = img.trim();
+      }
+      if (!Object.keys(updates).length) continue;
+      this.npcs.set(npcId, normalizeNpc({ ...npc, ...updates, updatedAt: Date.now() }));
+      changed = true;
+    }
+    if (changed) await this._saveState();
+  }
+
+  /**
+   * Clear links to a deleted Actor. NPCs keep the last name and portrait they
+   * had, so the tracker still reads sensibly.
+   * @param {string} uuid
+   */
+  async releaseLinkedActor(uuid) {
+    let changed = false;
+    for (const [npcId, npc] of this.npcs.entries()) {
+      if (!uuid || npc.actorUuid !== uuid) continue;
+      this.npcs.set(npcId, normalizeNpc({ ...npc, actorUuid: "", updatedAt: Date.now() }));
+      changed = true;
+    }
+    if (changed) await this._saveState();
+  }
+
+  /**
+   * The NPC automatic influence updates fall back to when a check matches
+   * several NPCs.
+   * @returns {string | null}
+   */
+  getActiveNpcId() {
+    return this.activeNpcId && this.npcs.has(this.activeNpcId) ? this.activeNpcId : null;
+  }
+
+  /**
+   * @param {string | null} npcId  Pass null to clear the selection.
+   */
+  async setActiveNpc(npcId) {
+    const next = npcId && this.npcs.has(npcId) ? npcId : null;
+    if (next === this.getActiveNpcId()) return;
+    this.activeNpcId = next;
+    await this._saveState();
+  }
+
+  /**
+   * Every fact players can discover about an NPC, in the order Discovery
+   * checks reveal them: influence skills first, then weaknesses, resistances
+   * and traits.
+   * @param {string} npcId
+   * @returns {{ type: string, id: string, label: string, isRevealed: boolean }[]}
+   */
+  getDiscoveryFacts(npcId) {
+    const npc = this.getNpc(npcId);
+    if (!npc) return [];
+
+    const revealedTraits = new Set(npc.revealedTraits.map((trait) => trait.toLocaleLowerCase()));
+    return [
+      ...npc.skillDcs.map((entry) => ({
+        type: "skill",
+        id: entry.id,
+        label: Number.isFinite(entry.dc) ? `${entry.skill} (DC ${entry.dc})` : entry.skill,
+        isRevealed: entry.isRevealed,
+      })),
+      ...["weaknesses", "resistances"].flatMap((kind) =>
+        npc[kind].map((entry) => ({
+          type: kind,
+          id: entry.id,
+          label: entry.description || entry.trigger,
+          isRevealed: entry.isRevealed,
+        }))
+      ),
+      ...npc.traits.map((trait) => ({
+        type: "trait",
+        id: trait,
+        label: trait,
+        isRevealed: revealedTraits.has(trait.toLocaleLowerCase()),
+      })),
+    ];
+  }
+
+  /**
+   * Show or hide one discoverable fact from players. Revealing posts it to
+   * the players' chat.
+   * @param {string} npcId
+   * @param {{ type: "skill" | "trait" | "resistances" | "weaknesses", id: string }} fact
+   *   Traits are identified by name.
+   * @param {boolean} revealed
+   */
+  async setFactRevealed(npcId, { type, id }, revealed) {
+    const npc = this.npcs.get(npcId);
+    if (!npc) return;
+
+    const fact = this.getDiscoveryFacts(npcId).find(
+      (candidate) => candidate.type === type && candidate.id === id
+    );
+    if (!fact || fact.isRevealed === Boolean(revealed)) return;
+
+    this._applyFactReveal(npc, fact, Boolean(revealed));
+    npc.updatedAt = Date.now();
+    this.npcs.set(npcId, normalizeNpc(npc));
+    await this._saveState();
+    if (revealed) await this._postDiscovery(npc, [fact]);
+  }
+
+  /**
+   * Reveal the next hidden facts, e.g. one for a successful Discovery check
+   * and two for a critical success.
+   * @param {string} npcId
+   * @param {number} count
+   * @param {{ actorName?: string }} [options]
+   * @returns {Promise<object[]>}  The facts that were revealed.
+   */
+  async revealFacts(npcId, count, { actorName = "" } = {}) {
+    const npc = this.npcs.get(npcId);
+    if (!npc || !(count > 0)) return [];
+
+    const facts = this.getDiscoveryFacts(npcId)
+      .filter((fact) => !fact.isRevealed)
+      .slice(0, count);
+    if (!facts.length) return [];
+
+    for (const fact of facts) this._applyFactReveal(npc, fact, true);
+    npc.updatedAt = Date.now();
+    this.npcs.set(npcId, normalizeNpc(npc));
+    await this._saveState();
+    await this._postDiscovery(npc, facts, actorName);
+    return facts;
+  }
+
+  _applyFactReveal(npc, fact, revealed) {
+    if (fact.type === "trait") {
+      const key = fact.id.toLocaleLowerCase();
+      const others = npc.revealedTraits.filter((trait) => trait.toLocaleLowerCase() !== key);
+      npc.revealedTraits = revealed ? [...others, fact.id] : others;
+      return;
+    }
+    const list = fact.type === "skill" ? npc.skillDcs : npc[fact.type];
+    const entry = list?.find((candidate) => candidate.id === fact.id);
+    if (entry) entry.isRevealed = revealed;
+  }
+
+  async _postDiscovery(npc, facts, actorName = "") {
+    if (!game?.users || !ChatMessage?.create) return;
+
+    const playerRecipients = game.users.filter((user) => !user.isGM).map((user) => user.id);
+    const header = actorName
+      ? game.i18n.format("PF2E.PointsTracker.Influence.Discovery.ChatHeaderActor", {
+          actor: actorName,
+          name: npc.name,
+        })
+      : game.i18n.format("PF2E.PointsTracker.Influence.Discovery.ChatHeader", { name: npc.name });
+    const items = facts
+      .map((fact) => {
+        const typeLabel = game.i18n.localize(
+          `PF2E.PointsTracker.Influence.Discovery.FactType.${fact.type}`
+        );
+        return `<li><strong>${escapeHtml(typeLabel)}:</strong> ${escapeHtml(fact.label)}</li>`;
+      })
+      .join("");
+    await ChatMessage.create({
+      user: game.user?.id,
+      speaker: { alias: npc.name },
+      content: `<div class="pf2e-influence-reveal"><p><strong>${escapeHtml(header)}</strong></p><ul>${items}</ul></div>`,
+      whisper: playerRecipients.length ? playerRecipients : undefined,
+    });
+  }
+
+  async adjustInfluence(
+    npcId,
+    delta,
+    { reason = "", note = "", notify = true, userId = null, userName = null, roll = null } = {}
+  ) {
     const npc = this.npcs.get(npcId);
     if (!npc) return;
     const change = Number(delta ?? 0);
@@ -375,6 +866,7 @@ export class InfluenceTracker {
 
     npc.currentInfluence = clamped;
     npc.updatedAt = Date.now();
+    const revealedThresholds = this._syncThresholdReveals(npc, current, clamped);
     this.npcs.set(npcId, normalizeNpc(npc));
 
     const entry = normalizeLogEntry({
@@ -385,8 +877,9 @@ export class InfluenceTracker {
       reason,
       note,
       type: "adjustment",
-      userId: game?.user?.id ?? null,
-      userName: game?.user?.name ?? null,
+      userId: userId ?? game?.user?.id ?? null,
+      userName: userName ?? game?.user?.name ?? null,
+      roll,
       timestamp: Date.now(),
     });
     if (entry) {
@@ -396,6 +889,10 @@ export class InfluenceTracker {
 
     await this._saveState();
 
+    for (const threshold of revealedThresholds) {
+      await this._notifyThresholdReveal(npc, threshold);
+    }
+
     if (notify && game?.i18n?.localize) {
       ui.notifications?.info(
         game.i18n.format("PF2E.PointsTracker.Influence.AdjustmentNotification", {
@@ -406,6 +903,100 @@ export class InfluenceTracker {
     }
   }
 
+  /**
+   * Reveal thresholds that influence has just climbed to, and hide those it
+   * dropped below when the re-hide setting is on. Thresholds are only touched
+   * when crossed, so manual reveals and hides stick otherwise.
+   * @returns {object[]}  The newly revealed thresholds.
+   */
+  _syncThresholdReveals(npc, previous, current) {
+    const revealed = [];
+    const rehide = this.shouldRehideThresholds();
+    const timestamp = Date.now();
+    for (const threshold of npc.thresholds ?? []) {
+      const points = Number(threshold.points ?? 0);
+      const isRevealed = Number.isFinite(threshold.revealedAt) && threshold.revealedAt !== null;
+      if (!isRevealed && previous < points && points <= current) {
+        threshold.revealedAt = timestamp;
+        revealed.push(threshold);
+      } else if (rehide && isRevealed && current < points && points <= previous) {
+        threshold.revealedAt = null;
+      }
+    }
+    return revealed;
+  }
+
+  /**
+   * Show or hide a threshold from players. Revealing announces it in chat.
+   * @param {string} npcId
+   * @param {string} thresholdId
+   * @param {boolean} revealed
+   */
+  async setThresholdRevealed(npcId, thresholdId, revealed) {
+    const npc = this.npcs.get(npcId);
+    const threshold = npc?.thresholds?.find((entry) => entry.id === thresholdId);
+    if (!threshold) return;
+    const isRevealed = Number.isFinite(threshold.revealedAt) && threshold.revealedAt !== null;
+    if (isRevealed === Boolean(revealed)) return;
+
+    threshold.revealedAt = revealed ? Date.now() : null;
+    npc.updatedAt = Date.now();
+    this.npcs.set(npcId, normalizeNpc(npc));
+    await this._saveState();
+    if (revealed) await this._notifyThresholdReveal(npc, threshold);
+  }
+
+  /**
+   * Post a revealed threshold: player text and reward to the players, GM text
+   * whispered to the GMs.
+   */
+  async _notifyThresholdReveal(npc, threshold) {
+    if (!game?.users || typeof ChatMessage?.create !== "function") return;
+
+    const header = formatWithFallback(
+      "PF2E.PointsTracker.Influence.RevealMessageHeader",
+      { name: npc.name, points: threshold.points ?? 0 },
+      "{name} – {points} Influence"
+    );
+    const playerRecipients = game.users.filter((user) => !user.isGM).map((user) => user.id);
+    const gmRecipients = ChatMessage.getWhisperRecipients
+      ? ChatMessage.getWhisperRecipients("GM").map((user) => user.id)
+      : [];
+
+    const playerLines = [];
+    if (threshold.playerText) playerLines.push(`<p>${escapeHtml(threshold.playerText)}</p>`);
+    if (threshold.reward) {
+      const rewardLabel = localizeWithFallback(
+        "PF2E.PointsTracker.Influence.ThresholdRewardHeading",
+        "Reward:"
+      );
+      playerLines.push(
+        `<p><strong>${escapeHtml(rewardLabel)}</strong> ${escapeHtml(threshold.reward)}</p>`
+      );
+    }
+    if (playerLines.length) {
+      await ChatMessage.create({
+        user: game.user?.id,
+        speaker: { alias: npc.name },
+        content: `<div class="pf2e-influence-reveal pf2e-influence-reveal--player"><p><strong>${escapeHtml(
+          header
+        )}</strong></p>${playerLines.join("")}</div>`,
+        whisper: playerRecipients.length ? playerRecipients : undefined,
+      });
+    }
+
+    if (threshold.gmText && gmRecipients.length) {
+      await ChatMessage.create({
+        user: game.user?.id,
+        speaker: { alias: npc.name },
+        content: `<div class="pf2e-influence-reveal pf2e-influence-reveal--gm"><p><strong>${escapeHtml(
+          header
+        )}</strong></p><p>${escapeHtml(threshold.gmText)}</p></div>`,
+        whisper: gmRecipients,
+      });
+    }
+  }
+
   async setInfluence(npcId, value, { reason = "", note = "", notify = true } = {}) {
     const npc = this.npcs.get(npcId);
     if (!npc) return;
@@ -419,6 +1010,224 @@ export class InfluenceTracker {
     await this.adjustInfluence(npcId, delta, { reason, note, notify });
   }
 
+  getEncounters() {
+    return Array.from(this.encounters.values()).map((encounter) => duplicateData(encounter));
+  }
+
+  getEncounter(encounterId) {
+    const encounter = this.encounters.get(encounterId);
+    return encounter ? duplicateData(encounter) : undefined;
+  }
+
+  /**
+   * The running encounter an NPC takes part in, if any.
+   * @param {string} npcId
+   */
+  getRunningEncounterForNpc(npcId) {
+    const encounter = Array.from(this.encounters.values()).find(
+      (candidate) => candidate.status === "running" && candidate.npcIds.includes(npcId)
+    );
+    return encounter ? duplicateData(encounter) : undefined;
+  }
+
+  async createEncounter(data = {}) {
+    const encounter = normalizeEncounter({
+      ...data,
+      id: createId(),
+      status: "planned",
+      currentRound: 0,
+      actedActors: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    });
+    encounter.npcIds = encounter.npcIds.filter((npcId) => this.npcs.has(npcId));
+    this.encounters.set(encounter.id, encounter);
+    await this._saveState();
+    return this.getEncounter(encounter.id);
+  }
+
+  async updateEncounter(encounterId, updates = {}) {
+    const existing = this.encounters.get(encounterId);
+    if (!existing) return undefined;
+    const merged = normalizeEncounter({
+      ...existing,
+      ...updates,
+      id: encounterId,
+      updatedAt: Date.now(),
+    });
+    merged.npcIds = merged.npcIds.filter((npcId) => this.npcs.has(npcId));
+    this.encounters.set(encounterId, merged);
+    await this._saveState();
+    return this.getEncounter(encounterId);
+  }
+
+  async deleteEncounter(encounterId) {
+    if (!this.encounters.delete(encounterId)) return;
+    await this._saveState();
+  }
+
+  async startEncounter(encounterId) {
+    const encounter = this.encounters.get(encounterId);
+    if (!encounter) return undefined;
+    encounter.status = "running";
+    encounter.currentRound = 1;
+    encounter.actedActors = [];
+    encounter.completedAt = null;
+    encounter.updatedAt = Date.now();
+    await this._saveState();
+    await this._announceEncounterRound(encounter);
+    return this.getEncounter(encounterId);
+  }
+
+  /**
+   * Move to the next round and clear who has acted. Advancing past the last
+   * round closes the encounter.
+   * @param {string} encounterId
+   */
+  async advanceEncounterRound(encounterId) {
+    const encounter = this.encounters.get(encounterId);
+    if (!encounter || encounter.status !== "running") return undefined;
+    if (encounter.maxRounds !== null && encounter.currentRound >= encounter.maxRounds) {
+      return this.completeEncounter(encounterId);
+    }
+    encounter.currentRound += 1;
+    encounter.actedActors = [];
+    encounter.updatedAt = Date.now();
+    await this._saveState();
+    await this._announceEncounterRound(encounter);
+    return this.getEncounter(encounterId);
+  }
+
+  /**
+   * Mark whether a PC has acted in the current round.
+   * @param {string} encounterId
+   * @param {{ uuid: string, name?: string }} actor
+   * @param {boolean} [acted]
+   */
+  async setActorActed(encounterId, { uuid, name = "" }, acted = true) {
+    const encounter = this.encounters.get(encounterId);
+    if (!encounter || encounter.status !== "running" || !uuid) return undefined;
+    const hasActed = encounter.actedActors.some((entry) => entry.uuid === uuid);
+    if (hasActed === Boolean(acted)) return this.getEncounter(encounterId);
+    encounter.actedActors = acted
+      ? [...encounter.actedActors, { uuid, name }]
+      : encounter.actedActors.filter((entry) => entry.uuid !== uuid);
+    encounter.updatedAt = Date.now();
+    await this._saveState();
+    return this.getEncounter(encounterId);
+  }
+
+  /**
+   * Close an encounter and post a summary of each NPC's final influence and
+   * unlocked thresholds.
+   * @param {string} encounterId
+   */
+  async completeEncounter(encounterId) {
+    const encounter = this.encounters.get(encounterId);
+    if (!encounter) return undefined;
+    encounter.status = "complete";
+    encounter.actedActors = [];
+    encounter.completedAt = Date.now();
+    encounter.updatedAt = Date.now();
+    await this._saveState();
+    await this._postEncounterSummary(encounter);
+    return this.getEncounter(encounterId);
+  }
+
+  /**
+   * Final influence and unlocked thresholds of each NPC in an encounter.
+   * @param {string} encounterId
+   * @returns {{ npcId: string, name: string, influence: number, maxInfluence: number,
+   *   unlocked: object[] }[]}
+   */
+  getEncounterSummary(encounterId) {
+    const encounter = this.encounters.get(encounterId);
+    if (!encounter) return [];
+    return encounter.npcIds
+      .map((npcId) => this.getNpc(npcId))
+      .filter((npc) => npc)
+      .map((npc) => ({
+        npcId: npc.id,
+        name: npc.name,
+        influence: npc.currentInfluence,
+        maxInfluence: npc.maxInfluence,
+        unlocked: npc.thresholds.filter((threshold) => npc.currentInfluence >= threshold.points),
+      }));
+  }
+
+  async _announceEncounterRound(encounter) {
+    if (typeof ChatMessage?.create !== "function") return;
+    const unit =
+      encounter.roundUnit ||
+      localizeWithFallback("PF2E.PointsTracker.Influence.Encounter.DefaultRoundUnit", "Round");
+    const header =
+      encounter.maxRounds !== null
+        ? formatWithFallback(
+            "PF2E.PointsTracker.Influence.Encounter.RoundOf",
+            { unit, round: encounter.currentRound, max: encounter.maxRounds },
+            "{unit} {round} of {max}"
+          )
+        : formatWithFallback(
+            "PF2E.PointsTracker.Influence.Encounter.Round",
+            { unit, round: encounter.currentRound },
+            "{unit} {round}"
+          );
+    const lines = [`<p><strong>${escapeHtml(header)}</strong></p>`];
+    if (encounter.maxRounds !== null && encounter.currentRound === encounter.maxRounds) {
+      const finalRound = localizeWithFallback(
+        "PF2E.PointsTracker.Influence.Encounter.FinalRound",
+        "This is the final round."
+      );
+      lines.push(`<p>${escapeHtml(finalRound)}</p>`);
+    }
+    await ChatMessage.create({
+      user: game.user?.id,
+      speaker: { alias: encounter.name },
+      content: `<div class="pf2e-influence-encounter">${lines.join("")}</div>`,
+    });
+  }
+
+  async _postEncounterSummary(encounter) {
+    if (typeof ChatMessage?.create !== "function") return;
+    const header = formatWithFallback(
+      "PF2E.PointsTracker.Influence.Encounter.SummaryHeader",
+      { name: encounter.name },
+      "{name} has ended"
+    );
+    const noThresholds = localizeWithFallback(
+      "PF2E.PointsTracker.Influence.Encounter.NoThresholds",
+      "No thresholds reached."
+    );
+
+    const sections = this.getEncounterSummary(encounter.id).map((entry) => {
+      const value =
+        entry.maxInfluence > 0 ? `${entry.influence} / ${entry.maxInfluence}` : `${entry.influence}`;
+      const influence = formatWithFallback(
+        "PF2E.PointsTracker.Influence.Encounter.FinalInfluence",
+        { value },
+        "Influence {value}"
+      );
+      // Only player-facing threshold text goes to the public card.
+      const unlocked = entry.unlocked.length
+        ? `<ul>${entry.unlocked
+            .map((threshold) => {
+              const text = threshold.playerText || threshold.reward;
+              return `<li><strong>${threshold.points}</strong>${text ? `: ${escapeHtml(text)}` : ""}</li>`;
+            })
+            .join("")}</ul>`
+        : `<p>${escapeHtml(noThresholds)}</p>`;
+      return `<section><p><strong>${escapeHtml(entry.name)}</strong> – ${escapeHtml(influence)}</p>${unlocked}</section>`;
+    });
+
+    await ChatMessage.create({
+      user: game.user?.id,
+      speaker: { alias: encounter.name },
+      content: `<div class="pf2e-influence-encounter pf2e-influence-encounter--summary"><p><strong>${escapeHtml(
+        header
+      )}</strong></p>${sections.join("")}</div>`,
+    });
+  }
+
   getLog() {
     return this.log.map((entry) => ({ ...entry }));
   }
@@ -432,16 +1241,29 @@ export class InfluenceTracker {
     return entry ? { ...entry } : undefined;
   }
 
-  async addLogEntry({ npcId = "", note = "", reason = "", type = "note" } = {}) {
+  async addLogEntry({
+    npcId = "",
+    note = "",
+    reason = "",
+    type = "note",
+    delta = 0,
+    total = null,
+    roll = null,
+    userId = null,
+    userName = null,
+  } = {}) {
     const entry = normalizeLogEntry({
       id: createId(),
       npcId,
       note,
       reason,
       type: type || "note",
+      delta,
+      total,
+      roll,
       timestamp: Date.now(),
-      userId: game?.user?.id ?? null,
-      userName: game?.user?.name ?? null,
+      userId: userId ?? game?.user?.id ?? null,
+      userName: userName ?? game?.user?.name ?? null,
     });
     if (!entry) return undefined;
     this.log.push(entry);
@@ -470,6 +1292,6 @@ export class InfluenceTracker {
   }
 }
 
-export function createInfluenceTracker({ moduleId, settingKey }) {
-  return new InfluenceTracker({ moduleId, settingKey });
+export function createInfluenceTracker({ moduleId, settingKey, rehideSettingKey }) {
+  return new InfluenceTracker({ moduleId, settingKey, rehideSettingKey });
 }
@@ -0,0 +1,403 @@
+import { sanitizePayload, mergeTopic } from "../research/importer.js";
+import { readJournalTopics } from "../research/journal.js";
+import { MODIFIER_KINDS } from "../influence/tracker.js";
+import { escapeHtml } from "../utils/html.js";
+
+const MODULE_ID = "pf2e-points-tracker";
+const TEMPLATE_FLAG = "template";
+
+export const TEMPLATE_TYPES = ["research", "influence", "chase"];
+
+/**
+ * Fired once the library has loaded every module-declared source. Listeners
+ * receive the library and can call `registerTemplate`/`registerTemplates`.
+ */
+export const REGISTER_TEMPLATES_HOOK = "pf2ePointsTrackerRegisterTemplates";
+
+const TYPE_LABEL_KEYS = {
+  research: "PF2E.PointsTracker.Research.Title",
+  influence: "PF2E.PointsTracker.Influence.Title",
+  chase: "PF2E.PointsTracker.Chase.Title",
+};
+
+/** Fields that hold live play state and are never taken from a template. */
+const INFLUENCE_LIVE_FIELDS = ["id", "currentInfluence", "isCollapsed", "createdAt", "updatedAt"];
+
+/**
+ * @typedef {object} TrackerTemplate
+ * @property {string} key  `<source>:<type>:<id>`, unique across the library.
+ * @property {string} id
+ * @property {"research" | "influence" | "chase"} type
+ * @property {string} name
+ * @property {string} description
+ * @property {number} version
+ * @property {string} source
+ * @property {object} data  Entry data in the shape the tracker creates from.
+ */
+
+function duplicateData(data) {
+  if (typeof foundry !== "undefined" && foundry?.utils?.duplicate) {
+    return foundry.utils.duplicate(data);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function getSourceLabel(source) {
+  const moduleId = String(source ?? "").split(".")[0];
+  return (
+    game.packs?.get?.(source)?.metadata?.label ??
+    game.modules?.get?.(moduleId)?.title ??
+    source
+  );
+}
+
+export class TemplateLibrary {
+  constructor({ trackers }) {
+    this.trackers = trackers;
+    /** @type {Map<string, TrackerTemplate>} */
+    this.templates = new Map();
+  }
+
+  /**
+   * Load the templates every active module declares in its manifest flags,
+   * then let other modules register theirs from code:
+   *
+   *   "flags": { "pf2e-points-tracker": {
+   *     "templates": ["data/templates.json"],
+   *     "templatePacks": ["my-module.research-topics"]
+   *   } }
+   */
+  async initialize() {
+    this.templates.clear();
+    for (const module of game.modules ?? []) {
+      if (!module.active) continue;
+      const config = module.flags?.[MODULE_ID];
+      if (!config || typeof config !== "object") continue;
+
+      for (const path of Array.isArray(config.templates) ? config.templates : []) {
+        await this.loadFile(`modules/${module.id}/${path}`, { source: module.id });
+      }
+      for (const packId of Array.isArray(config.templatePacks) ? config.templatePacks : []) {
+        await this.loadPack(packId.includes(".") ? packId : `${module.id}.${packId}`);
+      }
+    }
+    Hooks.callAll(REGISTER_TEMPLATES_HOOK, this);
+  }
+
+  /**
+   * @param {Partial<TrackerTemplate>} template
+   * @param {{ source?: string }} [options]
+   * @returns {TrackerTemplate | null}
+   */
+  registerTemplate(template, { source = "world" } = {}) {
+    if (!template || typeof template !== "object") return null;
+    const type = TEMPLATE_TYPES.includes(template.type) ? template.type : null;
+    const name = typeof template.name === "string" ? template.name.trim() : "";
+    const id = typeof template.id === "string" && template.id.trim() ? template.id.trim() : null;
+    if (!type || !name || !id || !template.data || typeof template.data !== "object") {
+      console.warn(`${MODULE_ID} | Ignoring invalid tracker template from ${source}.`, template);
+      return null;
+    }
+
+    const version = Number(template.version);
+    const entry = {
+      key: `${source}:${type}:${id}`,
+      id,
+      type,
+      name,
+      description: typeof template.description === "string" ? template.description.trim() : "",
+      version: Number.isFinite(version) ? version : 1,
+      source,
+      data: duplicateData(template.data),
+    };
+    this.templates.set(entry.key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {Partial<TrackerTemplate>[]} templates
+   * @param {{ source?: string }} [options]
+   */
+  registerTemplates(templates, options = {}) {
+    return (Array.isArray(templates) ? templates : [])
+      .map((template) => this.registerTemplate(template, options))
+      .filter((template) => template);
+  }
+
+  /**
+   * Load a JSON file shaped `{ "templates": [...] }`.
+   * @param {string} path
+   * @param {{ source: string }} options
+   */
+  async loadFile(path, { source }) {
+    try {
+      const response = await fetch(path);
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      const json = await response.json();
+      this.registerTemplates(json?.templates, { source });
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load tracker templates from ${path}.`, error);
+    }
+  }
+
+  /**
+   * Load a journal compendium. Pages flagged with a template definition are
+   * read as-is; other text pages are read as research topics.
+   * @param {string} packId
+   */
+  async loadPack(packId) {
+    const pack = game.packs?.get(packId);
+    if (pack?.documentName !== "JournalEntry") {
+      console.warn(`${MODULE_ID} | Tracker template pack ${packId} is not a journal compendium.`);
+      return;
+    }
+
+    try {
+      const entries = await pack.getDocuments();
+      for (const entry of entries) {
+        for (const page of entry.pages?.contents ?? []) {
+          const flagged = page.getFlag?.(MODULE_ID, TEMPLATE_FLAG);
+          if (flagged) {
+            this.registerTemplate({ id: page.id, name: page.name, ...flagged }, { source: packId });
+            continue;
+          }
+          const [topic] = readJournalTopics(page);
+          if (!topic) continue;
+          this.registerTemplate(
+            { id: page.id, type: "research", name: topic.name, data: topic },
+            { source: packId }
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to load tracker templates from ${packId}.`, error);
+    }
+  }
+
+  /**
+   * @param {string} [type]
+   * @returns {TrackerTemplate[]}
+   */
+  getTemplates(type) {
+    return Array.from(this.templates.values())
+      .filter((template) => !type || template.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {TrackerTemplate | undefined}
+   */
+  getTemplate(key) {
+    return this.templates.get(key);
+  }
+
+  /**
+   * @param {{ templateSource?: { key: string } | null }} entry  A topic, NPC or chase event.
+   * @returns {TrackerTemplate | undefined}
+   */
+  getSourceTemplate(entry) {
+    const key = entry?.templateSource?.key;
+    return key ? this.templates.get(key) : undefined;
+  }
+
+  _buildTemplateSource(template) {
+    return { key: template.key, source: template.source, version: template.version };
+  }
+
+  /**
+   * Create a tracker entry from a template.
+   * @param {string} key
+   */
+  async instantiate(key) {
+    const template = this.getTemplate(key);
+    const tracker = template ? this.trackers[template.type] : null;
+    if (!template || !tracker) return null;
+    const templateSource = this._buildTemplateSource(template);
+    const data = duplicateData(template.data);
+
+    switch (template.type) {
+      case "research": {
+        const [topic] = sanitizePayload({ topics: [{ name: template.name, ...data }] });
+        if (!topic) return null;
+        const { id, ...rest } = topic;
+        return tracker.createTopic({ ...rest, templateSource });
+      }
+      case "influence": {
+        for (const field of INFLUENCE_LIVE_FIELDS) delete data[field];
+        return tracker.createNpc({ name: template.name, ...data, templateSource });
+      }
+      case "chase":
+        return tracker.createEvent({ name: template.name, ...data, templateSource });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Re-apply an entry's source template, keeping its progress.
+   * @param {"research" | "influence" | "chase"} type
+   * @param {string} entryId
+   */
+  async refresh(type, entryId) {
+    const tracker = this.trackers[type];
+    const entry = this._getEntry(type, entryId);
+    const template = this.getSourceTemplate(entry);
+    if (!tracker || !entry || !template) return null;
+    const templateSource = this._buildTemplateSource(template);
+    const data = duplicateData(template.data);
+
+    switch (type) {
+      case "research": {
+        const [topic] = sanitizePayload({ topics: [{ name: template.name, ...data }] });
+        if (!topic) return null;
+        return mergeTopic(tracker, { ...topic, id: entryId, templateSource }, { resolution: "keep" });
+      }
+      case "influence": {
+        for (const field of INFLUENCE_LIVE_FIELDS) delete data[field];
+        if (Array.isArray(data.thresholds)) {
+          data.thresholds = data.thresholds.map((threshold) => {
+            const current = (entry.thresholds ?? []).find(
+              (candidate) => Number(candidate.points) === Number(threshold?.points)
+            );
+            return current ? { ...threshold, id: current.id, revealedAt: current.revealedAt } : threshold;
+          });
+        }
+        if (Array.isArray(data.skillDcs)) {
+          data.skillDcs = data.skillDcs.map((skill) => {
+            const current = (entry.skillDcs ?? []).find(
+              (candidate) => candidate.skill === (skill?.skill ?? "")
+            );
+            return current ? { ...skill, isRevealed: current.isRevealed } : skill;
+          });
+        }
+        for (const kind of MODIFIER_KINDS) {
+          if (!Array.isArray(data[kind])) continue;
+          data[kind] = data[kind].map((modifier) => {
+            const current = (entry[kind] ?? []).find(
+              (candidate) =>
+                candidate.trigger === (modifier?.trigger ?? "") &&
+                candidate.description === (modifier?.description ?? "")
+            );
+            return current ? { ...modifier, id: current.id, isRevealed: current.isRevealed } : modifier;
+          });
+        }
+        return tracker.updateNpc(entryId, { name: template.name, ...data, templateSource });
+      }
+      case "chase":
+        return tracker.applyEventTemplate(entryId, { name: template.name, ...data, templateSource });
+      default:
+        return null;
+    }
+  }
+
+  _getEntry(type, entryId) {
+    const tracker = this.trackers[type];
+    if (!tracker) return undefined;
+    if (type === "research") return tracker.getTopic(entryId);
+    if (type === "influence") return tracker.getNpc(entryId);
+    if (type === "chase") return tracker.getEvent(entryId) ?? undefined;
+    return undefined;
+  }
+
+  /**
+   * Browse the registered templates and create the selected ones.
+   */
+  async promptBrowse() {
+    if (!game.user?.isGM) return;
+    const templates = this.getTemplates();
+    if (!templates.length) {
+      ui.notifications?.info?.(game.i18n.localize("PF2E.PointsTracker.Templates.Empty"));
+      return;
+    }
+
+    const sections = TEMPLATE_TYPES.map((type) => {
+      const items = templates
+        .filter((template) => template.type === type && this.trackers[type])
+        .map(
+          (template) => `
+            <label class="points-tracker-templates__item" title="${escapeHtml(template.description)}">
+              <input type="checkbox" name="template" value="${escapeHtml(template.key)}" />
+              <span class="points-tracker-templates__name">${escapeHtml(template.name)}</span>
+              <span class="points-tracker-templates__source">${escapeHtml(getSourceLabel(template.source))}</span>
+            </label>
+          `
+        )
+        .join("");
+      if (!items) return "";
+      return `
+        <fieldset>
+          <legend>${escapeHtml(game.i18n.localize(TYPE_LABEL_KEYS[type]))}</legend>
+          ${items}
+        </fieldset>
+      `;
+    }).join("");
+
+    const keys = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Templates.Title"),
+      content: `
+        <form class="flexcol points-tracker-templates">
+          <p>${game.i18n.localize("PF2E.PointsTracker.Templates.Hint")}</p>
+          ${sections}
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Templates.Create"),
+      callback: (html) =>
+        Array.from(html[0].querySelectorAll("input[name='template']:checked")).map(
+          (input) => input.value
+        ),
+      rejectClose: false,
+    });
+    if (!keys?.length) return;
+
+    let created = 0;
+    for (const key of keys) {
+      if (await this.instantiate(key)) created += 1;
+    }
+    ui.notifications?.info?.(
+      game.i18n.format("PF2E.PointsTracker.Templates.Created", { count: created })
+    );
+  }
+
+  /**
+   * Confirm and refresh an entry from its source template.
+   * @param {"research" | "influence" | "chase"} type
+   * @param {string} entryId
+   */
+  async promptRefresh(type, entryId) {
+    if (!game.user?.isGM) return;
+    const entry = this._getEntry(type, entryId);
+    const template = this.getSourceTemplate(entry);
+    if (!template) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Templates.Missing"));
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("PF2E.PointsTracker.Templates.RefreshTitle"),
+      content: `<p>${escapeHtml(
+        game.i18n.format("PF2E.PointsTracker.Templates.RefreshConfirm", {
+          name: entry.name,
+          template: template.name,
+        })
+      )}</p>`,
+      yes: () => true,
+      no: () => false,
+      defaultYes: false,
+    });
+    if (!confirmed) return;
+
+    await this.refresh(type, entryId);
+    ui.notifications?.info?.(
+      game.i18n.format("PF2E.PointsTracker.Templates.Refreshed", { name: entry.name })
+    );
+  }
+}
+
+/**
+ * @param {{ trackers: { research?: object, influence?: object, chase?: object } }} options
+ * @returns {TemplateLibrary}
+ */
+export function createTemplateLibrary(options) {
+  return new TemplateLibrary(options);
+}
@@ -0,0 +1,122 @@
+import { localizeWithFallback } from "../utils/localize.js";
+
+/**
+ * Keep tracker entries linked to Foundry documents in step with those
+ * documents: influence NPCs follow their Actor, research topics and
+ * locations follow their journal page.
+ * @param {object} trackers
+ * @param {import("../research/tracker.js").ResearchTracker} [trackers.researchTracker]
+ * @param {import("../influence/tracker.js").InfluenceTracker} [trackers.influenceTracker]
+ */
+export function registerDocumentLinkHooks({ researchTracker, influenceTracker }) {
+  const run = (label, callback) => {
+    if (!isResponsibleGM()) return;
+    Promise.resolve()
+      .then(callback)
+      .catch((error) => console.error(`pf2e-points-tracker | Failed to ${label}.`, error));
+  };
+
+  if (influenceTracker) {
+    Hooks.on("updateActor", (actor, changes) => {
+      if (!("name" in (changes ?? {})) && !("img" in (changes ?? {}))) return;
+      run("sync linked actor", () =>
+        influenceTracker.syncLinkedActor(actor.uuid, { name: actor.name, img: actor.img })
+      );
+    });
+    Hooks.on("deleteActor", (actor) => {
+      run("release linked actor", () => influenceTracker.releaseLinkedActor(actor.uuid));
+    });
+  }
+
+  if (researchTracker) {
+    for (const documentName of ["JournalEntry", "JournalEntryPage"]) {
+      Hooks.on(`update${documentName}`, (document, changes) => {
+        if (!("name" in (changes ?? {}))) return;
+        run("sync linked journal", () =>
+          researchTracker.syncLinkedJournal(document.uuid, document.name)
+        );
+      });
+      Hooks.on(`delete${documentName}`, (document) => {
+        run("release linked journal", () => researchTracker.releaseLinkedJournal(document.uuid));
+      });
+    }
+  }
+}
+
+/**
+ * Only one client should write the tracker settings in response to a
+ * document change.
+ * @returns {boolean}
+ */
+function isResponsibleGM() {
+  if (!game?.user?.isGM) return false;
+  const activeGM = game.users?.activeGM;
+  return !activeGM || activeGM.isSelf;
+}
+
+/**
+ * Resolve the document described by drag data, if it is one of the given types.
+ * @param {object} data  Parsed drag data.
+ * @param {string[]} types  Accepted document names.
+ * @returns {Promise<foundry.abstract.Document | null>}
+ */
+export async function resolveDroppedDocument(data, types) {
+  if (!data || !types.includes(data.type)) return null;
+  const uuid = typeof data.uuid === "string" ? data.uuid : "";
+  if (!uuid || typeof fromUuid !== "function") return null;
+  try {
+    const document = await fromUuid(uuid);
+    return document && types.includes(document.documentName) ? document : null;
+  } catch (error) {
+    console.warn(error);
+    return null;
+  }
+}
+
+/**
+ * The data an influence NPC takes from its Actor.
+ * @param {Actor} actor
+ * @returns {{ uuid: string, name: string, img: string, traits: string[] }}
+ */
+export function getActorLinkData(actor) {
+  const slugs = Array.isArray(actor?.system?.traits?.value) ? actor.system.traits.value : [];
+  const labels = CONFIG?.PF2E?.creatureTraits ?? {};
+  const traits = slugs.map((slug) =>
+    labels[slug] ? localizeWithFallback(labels[slug], slug) : slug
+  );
+  return {
+    uuid: actor?.uuid ?? "",
+    name: actor?.name ?? "",
+    img: actor?.img ?? "",
+    traits,
+  };
+}
+
+/**
+ * Open the sheet of a linked document. Journal pages open within their entry.
+ * @param {string} uuid
+ */
+export async function openLinkedDocument(uuid) {
+  let document = null;
+  try {
+    document = uuid && typeof fromUuid === "function" ? await fromUuid(uuid) : null;
+  } catch (error) {
+    console.warn(error);
+  }
+
+  if (!document) {
+    ui.notifications?.warn(
+      localizeWithFallback(
+        "PF2E.PointsTracker.Links.Missing",
+        "The linked document could not be found."
+      )
+    );
+    return;
+  }
+
+  if (document.documentName === "JournalEntryPage" && document.parent?.sheet) {
+    document.parent.sheet.render(true, { pageId: document.id });
+    return;
+  }
+  document.sheet?.render(true);
+}
@@ -3,9 +3,21 @@ import { createReputationTracker } from "./reputation/reputation-tracker.js";
 import { createAwarenessTracker } from "./awareness/awareness-tracker.js";
 import { createChaseTracker } from "./chase/tracker.js";
 import { createInfluenceTracker } from "./influence/tracker.js";
+import { createInfiltrationTracker } from "./infiltration/tracker.js";
+import { createVictoryPointsTracker } from "./victory/tracker.js";
 import { PointsTrackerApp } from "./apps/points-tracker-app.js";
 import { ResearchImportExport } from "./research/importer.js";
+import { TrackerBundle } from "./bundle/tracker-bundle.js";
+import { ResearchJournal } from "./research/journal.js";
+import { createTemplateLibrary } from "./library/template-library.js";
 import { registerResearchAutoUpdates } from "./research/auto-update.js";
+import { registerInfluenceAutoUpdates } from "./influence/auto-update.js";
+import { registerChaseAutoUpdates } from "./chase/auto-update.js";
+import { registerAwarenessDecay } from "./awareness/decay.js";
+import { registerInfiltrationComplications } from "./infiltration/complications.js";
+import { registerDocumentLinkHooks } from "./links/document-links.js";
+import { createTrackerRelay } from "./socket/relay.js";
+import { createTrackerHistory } from "./history/history.js";
 
 const MODULE_ID = "pf2e-points-tracker";
 const RESEARCH_SETTING_KEY = "research-tracker-state";
@@ -13,6 +25,11 @@ const REPUTATION_SETTING_KEY = "reputation-tracker-state";
 const AWARENESS_SETTING_KEY = "awareness-tracker-state";
 const CHASE_SETTING_KEY = "chase-tracker-state";
 const INFLUENCE_SETTING_KEY = "influence-tracker-state";
+const INFILTRATION_SETTING_KEY = "infiltration-tracker-state";
+const VICTORY_SETTING_KEY = "victory-tracker-state";
+const INFLUENCE_REHIDE_SETTING_KEY = "influence-rehide-thresholds";
+const HISTORY_SETTING_KEY = "tracker-history-state";
+const HISTORY_LIMIT_SETTING_KEY = "tracker-history-limit";
 
 const researchTracker = createResearchTracker({
   moduleId: MODULE_ID,
@@ -33,6 +50,53 @@ const chaseTracker = createChaseTracker({
 const influenceTracker = createInfluenceTracker({
   moduleId: MODULE_ID,
   settingKey: INFLUENCE_SETTING_KEY,
+  rehideSettingKey: INFLUENCE_REHIDE_SETTING_KEY,
+});
+const infiltrationTracker = createInfiltrationTracker({
+  moduleId: MODULE_ID,
+  settingKey: INFILTRATION_SETTING_KEY,
+  awarenessTracker,
+});
+const victoryTracker = createVictoryPointsTracker({
+  moduleId: MODULE_ID,
+  settingKey: VICTORY_SETTING_KEY,
+});
+const relay = createTrackerRelay({
+  moduleId: MODULE_ID,
+  researchTracker,
+  influenceTracker,
+  infiltrationTracker,
+});
+const trackerHistory = createTrackerHistory({
+  moduleId: MODULE_ID,
+  settingKey: HISTORY_SETTING_KEY,
+  limitSettingKey: HISTORY_LIMIT_SETTING_KEY,
+  trackers: {
+    research: researchTracker,
+    reputation: reputationTracker,
+    awareness: awarenessTracker,
+    chase: chaseTracker,
+    influence: influenceTracker,
+    infiltration: infiltrationTracker,
+    victory: victoryTracker,
+  },
+});
+const templateLibrary = createTemplateLibrary({
+  trackers: {
+    research: researchTracker,
+    influence: influenceTracker,
+    chase: chaseTracker,
+  },
+});
+
+const bundleTrackers = () => ({
+  research: researchTracker,
+  reputation: reputationTracker,
+  awareness: awarenessTracker,
+  chase: chaseTracker,
+  influence: influenceTracker,
+  infiltration: infiltrationTracker,
+  victory: victoryTracker,
 });
 
 Hooks.once("init", () => {
@@ -42,6 +106,10 @@ Hooks.once("init", () => {
   awarenessTracker.registerSettings();
   chaseTracker.registerSettings();
   influenceTracker.registerSettings();
+  infiltrationTracker.registerSettings();
+  victoryTracker.registerSettings();
+  relay.registerSettings();
+  trackerHistory.registerSettings();
 
   PointsTrackerApp.preloadTemplates?.();
 
@@ -55,6 +123,11 @@ Hooks.once("init", () => {
       awarenessTracker,
       chaseTracker,
       influenceTracker,
+      infiltrationTracker,
+      victoryTracker,
+      relay,
+      history: trackerHistory,
+      templateLibrary,
       openResearchTracker: () =>
         PointsTrackerApp.open({
           researchTracker,
@@ -62,6 +135,11 @@ Hooks.once("init", () => {
           awarenessTracker,
           chaseTracker,
           influenceTracker,
+          infiltrationTracker,
+          victoryTracker,
+          relay,
+          history: trackerHistory,
+          templateLibrary,
         }),
       openPointsTracker: () =>
         PointsTrackerApp.open({
@@ -70,9 +148,23 @@ Hooks.once("init", () => {
           awarenessTracker,
           chaseTracker,
           influenceTracker,
+          infiltrationTracker,
+          victoryTracker,
+          relay,
+          history: trackerHistory,
+          templateLibrary,
         }),
+      undo: () => trackerHistory.undo(),
+      redo: () => trackerHistory.redo(),
       importResearchTopics: () => ResearchImportExport.promptImport(researchTracker),
       exportResearchTopics: () => ResearchImportExport.exportTopics(researchTracker),
+      importResearchJournal: (source) =>
+        source
+          ? ResearchJournal.importFrom(researchTracker, source)
+          : ResearchJournal.promptImport(researchTracker),
+      exportResearchJournal: () => ResearchJournal.exportToJournal(researchTracker),
+      importBundle: () => TrackerBundle.promptImport(bundleTrackers()),
+      exportBundle: () => TrackerBundle.promptExport(bundleTrackers()),
     });
   }
 });
@@ -86,6 +178,10 @@ Hooks.once("ready", async () => {
     await awarenessTracker.initialize();
     await chaseTracker.initialize();
     await influenceTracker.initialize();
+    await infiltrationTracker.initialize();
+    await victoryTracker.initialize();
+    await trackerHistory.initialize();
+    await templateLibrary.initialize();
   } catch (error) {
     console.error(`${MODULE_ID} | Failed to initialize PF2e Points Tracker.`, error);
     return;
@@ -93,7 +189,13 @@ Hooks.once("ready", async () => {
 
   console.log(`${MODULE_ID} | PF2e Points Tracker initialized successfully.`);
 
+  relay.initialize();
   registerResearchAutoUpdates(researchTracker);
+  registerInfluenceAutoUpdates(influenceTracker, { history: trackerHistory });
+  registerChaseAutoUpdates(chaseTracker);
+  registerAwarenessDecay(awarenessTracker);
+  registerInfiltrationComplications(infiltrationTracker);
+  registerDocumentLinkHooks({ researchTracker, influenceTracker });
 
   game.pf2ePointsTracker = {
     tracker: researchTracker,
@@ -102,6 +204,11 @@ Hooks.once("ready", async () => {
     awarenessTracker,
     chaseTracker,
     influenceTracker,
+    infiltrationTracker,
+    victoryTracker,
+    relay,
+    history: trackerHistory,
+    templateLibrary,
     open: () =>
       PointsTrackerApp.open({
         researchTracker,
@@ -109,9 +216,18 @@ Hooks.once("ready", async () => {
         awarenessTracker,
         chaseTracker,
         influenceTracker,
+        infiltrationTracker,
+        victoryTracker,
+        relay,
+        history: trackerHistory,
+        templateLibrary,
       }),
+    undo: () => trackerHistory.undo(),
+    redo: () => trackerHistory.redo(),
     import: () => ResearchImportExport.promptImport(researchTracker),
     export: () => ResearchImportExport.exportTopics(researchTracker),
+    importBundle: () => TrackerBundle.promptImport(bundleTrackers()),
+    exportBundle: () => TrackerBundle.promptExport(bundleTrackers()),
   };
 
   console.log(`${MODULE_ID} | PF2e Points Tracker global API registered.`);
@@ -132,6 +248,11 @@ Hooks.on("renderTokenHUD", (_app, html) => {
       awarenessTracker,
       chaseTracker,
       influenceTracker,
+      infiltrationTracker,
+      victoryTracker,
+      relay,
+      history: trackerHistory,
+      templateLibrary,
     })
   );
   html.find(".col.right").append(button);
@@ -151,6 +272,11 @@ Hooks.on("getActorSheetHeaderButtons", (sheet, buttons) => {
         awarenessTracker,
         chaseTracker,
         influenceTracker,
+        infiltrationTracker,
+        victoryTracker,
+        relay,
+        history: trackerHistory,
+        templateLibrary,
       }),
   });
 });
@@ -162,5 +288,10 @@ export function openResearchTracker() {
     awarenessTracker,
     chaseTracker,
     influenceTracker,
+    infiltrationTracker,
+    victoryTracker,
+    relay,
+    history: trackerHistory,
+    templateLibrary,
   });
 }
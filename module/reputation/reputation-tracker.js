@@ -1,7 +1,37 @@
-import { localizeWithFallback } from "../utils/localize.js";
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+
+export const REPUTATION_UPDATE_HOOK = "pf2ePointsTrackerReputationUpdated";
+
+/**
+ * Called when a faction's reputation moves into a different attitude band.
+ * Receives `{ tracker, faction, previousBand, band }`.
+ */
+export const REPUTATION_BAND_HOOK = "pf2ePointsTrackerReputationBandChanged";
+
+/**
+ * Attitude bands from the Gamemastery Guide reputation subsystem. Each band
+ * starts at `min` and runs up to the next band's minimum.
+ */
+export const DEFAULT_ATTITUDE_BANDS = [
+  { id: "hated", name: "", min: -50 },
+  { id: "hostile", name: "", min: -29 },
+  { id: "disliked", name: "", min: -14 },
+  { id: "ignored", name: "", min: -5 },
+  { id: "liked", name: "", min: 5 },
+  { id: "admired", name: "", min: 15 },
+  { id: "revered", name: "", min: 30 },
+];
+
+/**
+ * Reputation range new factions start with, matching the span the default
+ * attitude bands cover.
+ */
+export const DEFAULT_REPUTATION_RANGE = { min: -50, max: 50 };
 
 const DEFAULT_STATE = {
   factions: [],
+  log: [],
 };
 
 const DEFAULT_FACTION_NAME_KEY = "PF2E.PointsTracker.Reputation.DefaultName";
@@ -28,6 +58,100 @@ function createId() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+/**
+ * @typedef {object} ReputationLogEntry
+ * @property {string} id
+ * @property {string} factionId
+ * @property {number} delta
+ * @property {number | null} value  Reputation after the change.
+ * @property {string} reason
+ * @property {string} note
+ * @property {string | null} userId
+ * @property {string | null} userName
+ * @property {string | null} actorUuid
+ * @property {string | null} actorName
+ * @property {number} timestamp
+ */
+
+/**
+ * @param {Partial<ReputationLogEntry>} entry
+ * @returns {ReputationLogEntry | null}
+ */
+function normalizeLogEntry(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const id = typeof entry.id === "string" && entry.id.trim() ? entry.id.trim() : createId();
+  const factionId = typeof entry.factionId === "string" ? entry.factionId.trim() : "";
+  const timestampRaw = Number(entry.timestamp ?? Date.now());
+  const timestamp = Number.isFinite(timestampRaw) ? timestampRaw : Date.now();
+  const deltaRaw = Number(entry.delta ?? 0);
+  const delta = Number.isFinite(deltaRaw) ? deltaRaw : 0;
+  const valueRaw = entry.value === null || entry.value === undefined ? NaN : Number(entry.value);
+  const value = Number.isFinite(valueRaw) ? valueRaw : null;
+  const text = (raw) => (typeof raw === "string" ? raw.trim() : "");
+  const optional = (raw) => (typeof raw === "string" && raw.trim() ? raw.trim() : null);
+
+  return {
+    id,
+    factionId,
+    delta,
+    value,
+    reason: text(entry.reason),
+    note: text(entry.note),
+    userId: optional(entry.userId),
+    userName: optional(entry.userName),
+    actorUuid: optional(entry.actorUuid),
+    actorName: optional(entry.actorName),
+    timestamp,
+  };
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {{ id: string, name: string, min: number }[] | null}  Null when the
+ *   faction uses the default bands.
+ */
+function normalizeBands(raw) {
+  if (!Array.isArray(raw)) return null;
+  const bands = raw
+    .map((band) => {
+      if (!band || typeof band !== "object") return null;
+      const min = Number(band.min);
+      if (!Number.isFinite(min)) return null;
+      const id = typeof band.id === "string" && band.id.trim() ? band.id.trim() : createId();
+      const name = typeof band.name === "string" ? band.name.trim() : "";
+      return { id, name, min };
+    })
+    .filter((band) => band !== null)
+    .sort((a, b) => a.min - b.min);
+  return bands.length ? bands : null;
+}
+
+/**
+ * Display label for an attitude band. Default bands are localized by id.
+ * @param {{ id: string, name?: string } | null} band
+ * @returns {string}
+ */
+export function getAttitudeBandLabel(band) {
+  if (!band) return "";
+  if (band.name) return band.name;
+  return localizeWithFallback(`PF2E.PointsTracker.Reputation.Bands.${band.id}`, band.id);
+}
+
+/**
+ * The band a reputation value falls in. Values below the lowest minimum
+ * count as the lowest band.
+ * @param {{ id: string, name: string, min: number }[]} bands
+ * @param {number} value
+ */
+export function resolveAttitudeBand(bands, value) {
+  const list = Array.isArray(bands) && bands.length ? bands : DEFAULT_ATTITUDE_BANDS;
+  let current = list[0];
+  for (const band of list) {
+    if (value >= band.min) current = band;
+  }
+  return current ? { ...current, label: getAttitudeBandLabel(current) } : null;
+}
+
 /**
  * @typedef {object} ReputationFaction
  * @property {string} id
@@ -38,6 +162,8 @@ function createId() {
  * @property {string} [description]
  * @property {string} [notes]
  * @property {boolean} [isCollapsed]
+ * @property {{ id: string, name: string, min: number }[] | null} [bands]  Custom
+ *   attitude bands; null uses {@link DEFAULT_ATTITUDE_BANDS}.
  * @property {number} [updatedAt]
  */
 
@@ -51,6 +177,8 @@ export class ReputationTracker {
     this.moduleId = moduleId;
     this.settingKey = settingKey;
     this.factions = new Collection();
+    /** @type {ReputationLogEntry[]} */
+    this.log = [];
     this._initialized = false;
   }
 
@@ -63,6 +191,9 @@ export class ReputationTracker {
       config: false,
       type: Object,
       default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => {
+        this._applyState(value);
+      },
     });
   }
 
@@ -72,12 +203,29 @@ export class ReputationTracker {
     const stored = duplicateData(
       game.settings.get(this.moduleId, this.settingKey) ?? DEFAULT_STATE
     );
+    this._applyState(stored);
+    this._initialized = true;
+  }
 
-    const factions = Array.isArray(stored.factions) ? stored.factions : [];
+  /**
+   * Apply state data to the in-memory cache.
+   * @param {object} rawState
+   */
+  _applyState(rawState) {
+    const state = duplicateData(rawState ?? DEFAULT_STATE);
+    const factions = Array.isArray(state.factions) ? state.factions : [];
     this.factions = new Collection(
       factions.map((faction) => [faction.id, this._normalizeFaction(faction)])
     );
-    this._initialized = true;
+    this.log = (Array.isArray(state.log) ? state.log : [])
+      .map((entry) => normalizeLogEntry(entry))
+      .filter((entry) => entry !== null)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    Hooks?.callAll?.(REPUTATION_UPDATE_HOOK, {
+      tracker: this,
+      factions: this.getFactions(),
+    });
   }
 
   async _saveState() {
@@ -93,8 +241,10 @@ export class ReputationTracker {
         description: faction.description ?? "",
         notes: faction.notes ?? "",
         isCollapsed: faction.isCollapsed ?? false,
+        bands: faction.bands ?? null,
         updatedAt: faction.updatedAt ?? null,
       })),
+      log: this.getLog(),
     };
 
     await game.settings.set(this.moduleId, this.settingKey, payload);
@@ -140,6 +290,7 @@ export class ReputationTracker {
       description: data.description,
       notes: data.notes,
       isCollapsed: data.isCollapsed,
+      bands: data.bands,
     });
     this.factions.set(id, faction);
     await this._saveState();
@@ -154,9 +305,18 @@ export class ReputationTracker {
   async updateFaction(factionId, updates) {
     const existing = this.factions.get(factionId);
     if (!existing) return undefined;
+    const previousBand = this.getAttitudeBand(factionId);
     const merged = this._normalizeFaction({ ...existing, ...updates, id: factionId });
     this.factions.set(factionId, merged);
+    if (merged.value !== existing.value) {
+      this._pushLogEntry({
+        factionId,
+        delta: merged.value - existing.value,
+        value: merged.value,
+      });
+    }
     await this._saveState();
+    await this._handleBandChange(factionId, previousBand);
     return this.getFaction(factionId);
   }
 
@@ -166,6 +326,7 @@ export class ReputationTracker {
   async deleteFaction(factionId) {
     if (!this.factions.has(factionId)) return;
     this.factions.delete(factionId);
+    this.log = this.log.filter((entry) => entry.factionId !== factionId);
     await this._saveState();
   }
 
@@ -173,6 +334,14 @@ export class ReputationTracker {
    * @param {string} factionId
    * @param {number} delta
    * @param {object} [metadata]
+   * @param {string} [metadata.reason]
+   * @param {string} [metadata.note]
+   * @param {string} [metadata.actorUuid]
+   * @param {string} [metadata.actorName]
+   * @param {string} [metadata.userId]  User who asked for the change, when it
+   *   is applied on their behalf.
+   * @param {string} [metadata.userName]
+   * @param {boolean} [metadata.notify]
    */
   async adjustReputation(factionId, delta, metadata = {}) {
     const faction = this.factions.get(factionId);
@@ -180,12 +349,27 @@ export class ReputationTracker {
     const change = Number(delta ?? 0);
     if (!Number.isFinite(change) || change === 0) return;
 
+    const previousBand = this.getAttitudeBand(factionId);
     const minValue = Number.isFinite(faction.minValue) ? Number(faction.minValue) : 0;
     const maxValue = Number.isFinite(faction.maxValue) ? Number(faction.maxValue) : 0;
+    const previousValue = faction.value;
     const newValue = faction.value + change;
     faction.value = Math.min(Math.max(newValue, minValue), maxValue || newValue);
     faction.updatedAt = Date.now();
     this.factions.set(factionId, this._normalizeFaction(faction));
+    if (faction.value !== previousValue) {
+      this._pushLogEntry({
+        factionId,
+        delta: faction.value - previousValue,
+        value: faction.value,
+        reason: metadata?.reason,
+        note: metadata?.note,
+        actorUuid: metadata?.actorUuid,
+        actorName: metadata?.actorName,
+        userId: metadata?.userId,
+        userName: metadata?.userName,
+      });
+    }
     await this._saveState();
 
     const notify = metadata?.notify ?? true;
@@ -197,6 +381,130 @@ export class ReputationTracker {
         })
       );
     }
+
+    await this._handleBandChange(factionId, previousBand);
+  }
+
+  /**
+   * @returns {ReputationLogEntry[]}
+   */
+  getLog() {
+    return this.log.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * @param {string} factionId
+   * @returns {ReputationLogEntry[]}
+   */
+  getFactionLog(factionId) {
+    return this.log.filter((entry) => entry.factionId === factionId).map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * @param {string} entryId
+   * @returns {ReputationLogEntry | undefined}
+   */
+  getLogEntry(entryId) {
+    const entry = this.log.find((item) => item.id === entryId);
+    return entry ? { ...entry } : undefined;
+  }
+
+  /**
+   * Edit a log entry's annotations. Does not change the faction's reputation.
+   * @param {string} entryId
+   * @param {Partial<ReputationLogEntry>} updates
+   * @returns {Promise<ReputationLogEntry | undefined>}
+   */
+  async updateLogEntry(entryId, updates = {}) {
+    const index = this.log.findIndex((entry) => entry.id === entryId);
+    if (index === -1) return undefined;
+    const existing = this.log[index];
+    const merged = normalizeLogEntry({
+      ...existing,
+      ...updates,
+      id: entryId,
+      factionId: existing.factionId,
+    });
+    if (!merged) return undefined;
+    this.log.splice(index, 1, merged);
+    this.log.sort((a, b) => a.timestamp - b.timestamp);
+    await this._saveState();
+    return { ...merged };
+  }
+
+  /**
+   * @param {string} entryId
+   */
+  async deleteLogEntry(entryId) {
+    const index = this.log.findIndex((entry) => entry.id === entryId);
+    if (index === -1) return;
+    this.log.splice(index, 1);
+    await this._saveState();
+  }
+
+  _pushLogEntry(data) {
+    const entry = normalizeLogEntry({
+      ...data,
+      id: createId(),
+      timestamp: Date.now(),
+      userId: data.userId ?? game?.user?.id ?? null,
+      userName: data.userName ?? game?.user?.name ?? null,
+    });
+    if (entry) this.log.push(entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} factionId
+   * @returns {{ id: string, name: string, min: number }[]}
+   */
+  getAttitudeBands(factionId) {
+    const faction = this.factions.get(factionId);
+    return duplicateData(faction?.bands ?? DEFAULT_ATTITUDE_BANDS);
+  }
+
+  /**
+   * The attitude band a faction's current reputation falls in.
+   * @param {string} factionId
+   * @returns {{ id: string, name: string, min: number, label: string } | null}
+   */
+  getAttitudeBand(factionId) {
+    const faction = this.factions.get(factionId);
+    if (!faction) return null;
+    return resolveAttitudeBand(faction.bands, faction.value);
+  }
+
+  /**
+   * Announce a faction moving into a different attitude band.
+   * @param {string} factionId
+   * @param {{ id: string, label: string } | null} previousBand
+   */
+  async _handleBandChange(factionId, previousBand) {
+    const band = this.getAttitudeBand(factionId);
+    if (!band || !previousBand || band.id === previousBand.id) return;
+    const faction = this.getFaction(factionId);
+
+    Hooks?.callAll?.(REPUTATION_BAND_HOOK, {
+      tracker: this,
+      faction,
+      previousBand,
+      band,
+    });
+
+    const message = formatWithFallback(
+      "PF2E.PointsTracker.Reputation.BandChanged",
+      { name: faction.name, from: previousBand.label, to: band.label },
+      "{name} now regards you as {to} (was {from})."
+    );
+    ui.notifications?.info?.(message);
+
+    if (typeof ChatMessage?.create === "function") {
+      await ChatMessage.create({
+        user: game.user?.id,
+        speaker: { alias: faction.name },
+        content: `<div class="pf2e-reputation-band"><p>${escapeHtml(message)}</p></div>`,
+      });
+    }
   }
 
   /**
@@ -208,6 +516,10 @@ export class ReputationTracker {
     this.factions = new Collection(
       factions.map((faction) => [faction.id ?? createId(), this._normalizeFaction(faction)])
     );
+    this.log = (Array.isArray(state?.log) ? state.log : [])
+      .map((entry) => normalizeLogEntry(entry))
+      .filter((entry) => entry !== null && this.factions.has(entry.factionId))
+      .sort((a, b) => a.timestamp - b.timestamp);
     await this._saveState();
   }
 
@@ -218,6 +530,7 @@ export class ReputationTracker {
   exportState() {
     return {
       factions: this.getFactions(),
+      log: this.getLog(),
     };
   }
 
@@ -235,11 +548,26 @@ export class ReputationTracker {
     const name =
       rawName && rawName !== DEFAULT_FACTION_NAME_KEY ? rawName : defaultName;
 
+    // Factions saved before the default range changed always stored a maximum
+    // and counted up from 0, so only a faction with no range at all gets the
+    // default one.
+    const hasMaxValue = data?.maxValue !== undefined && data?.maxValue !== null;
     const maxValueRaw = Number(data?.maxValue);
-    const maxValue = Number.isFinite(maxValueRaw) && maxValueRaw > 0 ? Number(maxValueRaw) : 100;
+    const maxValue =
+      Number.isFinite(maxValueRaw) && maxValueRaw > 0
+        ? Number(maxValueRaw)
+        : hasMaxValue
+          ? 100
+          : DEFAULT_REPUTATION_RANGE.max;
 
     const minValueRaw = Number(data?.minValue);
-    const minValue = Number.isFinite(minValueRaw) ? Number(minValueRaw) : 0;
+    const hasMinValue = data?.minValue !== undefined && data?.minValue !== null;
+    const minValue =
+      hasMinValue && Number.isFinite(minValueRaw)
+        ? Number(minValueRaw)
+        : hasMaxValue
+          ? 0
+          : DEFAULT_REPUTATION_RANGE.min;
 
     const valueRaw = Number(data?.value);
     const value = Number.isFinite(valueRaw) ? Number(valueRaw) : 0;
@@ -249,6 +577,7 @@ export class ReputationTracker {
     const notes = typeof data?.notes === "string" ? data.notes.trim() : "";
     const isCollapsed = Boolean(data?.isCollapsed);
     const updatedAt = Number.isFinite(data?.updatedAt) ? Number(data.updatedAt) : null;
+    const bands = normalizeBands(data?.bands);
 
     return {
       id,
@@ -259,6 +588,7 @@ export class ReputationTracker {
       description,
       notes,
       isCollapsed,
+      bands,
       updatedAt,
       progressPercent: maxValue > minValue ? ((clampedValue - minValue) / (maxValue - minValue)) * 100 : 0,
     };
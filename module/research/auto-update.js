@@ -1,11 +1,6 @@
-const OUTCOME_POINTS = {
-  criticalsuccess: 2,
-  success: 1,
-  failure: 0,
-  criticalfailure: -1,
-};
+import { RESEARCH_OUTCOMES } from "./tracker.js";
 
-const OUTCOME_LABEL_KEYS = {
+export const OUTCOME_LABEL_KEYS = {
   criticalsuccess: "PF2E.PointsTracker.Research.AutoOutcome.criticalSuccess",
   success: "PF2E.PointsTracker.Research.AutoOutcome.success",
   failure: "PF2E.PointsTracker.Research.AutoOutcome.failure",
@@ -64,9 +59,7 @@ async function handleChatMessage(tracker, message) {
   if (!outcome) return;
 
   const outcomeKey = outcome.toLowerCase();
-  const points = OUTCOME_POINTS[outcomeKey];
-  if (typeof points !== "number") return;
-  if (points === 0) return;
+  if (!RESEARCH_OUTCOMES.includes(outcomeKey)) return;
 
   const skillSlug = extractSkillSlug(context);
   if (!skillSlug) return;
@@ -82,6 +75,9 @@ async function handleChatMessage(tracker, message) {
   const rollData = extractRollData(message);
 
   for (const match of matches) {
+    const points = tracker.getOutcomePoints(match.topicId, match.locationId)[outcomeKey];
+    if (!Number.isFinite(points) || points === 0) continue;
+
     const metadata = {
       actorUuid: actorData.actorUuid ?? undefined,
       actorName: actorData.actorName ?? undefined,
@@ -99,7 +95,7 @@ async function handleChatMessage(tracker, message) {
   if (messageKey) processedMessages.add(messageKey);
 }
 
-function extractOutcome(context) {
+export function extractOutcome(context) {
   const rawOutcome =
     context?.outcome ??
     context?.degreeOfSuccess?.value ??
@@ -130,7 +126,55 @@ function extractSkillSlug(context) {
   return String(slug).toLowerCase();
 }
 
-function findSkillInOptions(options) {
+/**
+ * Slug a skill name the same way PF2e slugs statistics, so "Society" and
+ * "Warfare Lore" compare equal to "society" and "warfare-lore".
+ * @param {string} value
+ * @returns {string}
+ */
+export function slugifySkill(value) {
+  if (typeof value !== "string" || !value.trim()) return "";
+  if (foundry?.utils?.slugify) {
+    try {
+      return foundry.utils.slugify(value, { strict: true });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Every statistic slug a check message could refer to.
+ * @param {object} context  PF2e chat message check context.
+ * @returns {Set<string>}
+ */
+export function collectCheckSlugs(context) {
+  const slugs = new Set();
+  const add = (value) => {
+    const slug = slugifySkill(typeof value === "string" ? value : "");
+    if (slug) slugs.add(slug);
+  };
+
+  if (Array.isArray(context?.domains)) {
+    context.domains.forEach(add);
+  }
+  add(context?.skillCheck?.slug ?? context?.skillCheck);
+  add(context?.slug);
+  add(context?.skill);
+  add(context?.statistic);
+  add(findSkillInOptions(context?.options));
+  if (context?.type === "perception-check") {
+    slugs.add("perception");
+  }
+  return slugs;
+}
+
+export function findSkillInOptions(options) {
   if (!Array.isArray(options)) return null;
   for (const option of options) {
     if (typeof option !== "string") continue;
@@ -158,14 +202,14 @@ function buildReason(context, skillSlug, outcomeKey) {
   );
 }
 
-function toTitleCase(value) {
+export function toTitleCase(value) {
   return String(value ?? "")
     .replace(/[-_]/g, " ")
     .replace(/\b\w/g, (letter) => letter.toUpperCase())
     .trim();
 }
 
-async function resolveActor(message) {
+export async function resolveActor(message) {
   let actor = message.actor ?? (typeof message.getActor === "function" ? message.getActor() : null);
   if (!actor && message.speaker?.actor) {
     actor = game?.actors?.get?.(message.speaker.actor) ?? null;
@@ -271,7 +315,7 @@ function matchesDc(dcValue, context) {
   return Number(dc) === Number(contextDc);
 }
 
-function extractRollData(message) {
+export function extractRollData(message) {
   if (Array.isArray(message.rolls) && message.rolls.length > 0) {
     const roll = message.rolls[0];
     if (roll && typeof roll.toJSON === "function") {
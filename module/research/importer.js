@@ -1,3 +1,5 @@
+import { escapeHtml } from "../utils/html.js";
+
 const MODULE_ID = "pf2e-points-tracker";
 
 function createLocalId() {
@@ -461,7 +463,7 @@ function sanitizeTopic(topic) {
   return payload;
 }
 
-function sanitizePayload(payload) {
+export function sanitizePayload(payload) {
   if (!payload || typeof payload !== "object") return [];
   const topics = Array.isArray(payload.topics) ? payload.topics : [];
   return topics
@@ -469,14 +471,152 @@ function sanitizePayload(payload) {
     .filter((topic) => topic);
 }
 
-async function mergeTopic(tracker, topicData) {
+const TOPIC_CONTENT_FIELDS = ["target", "level", "img", "imageUuid", "summary"];
+const LOCATION_CONTENT_FIELDS = ["name", "maxPoints", "skill", "dc", "checks", "description"];
+const THRESHOLD_CONTENT_FIELDS = ["points", "gmText", "playerText"];
+
+/**
+ * How an imported topic that matches an existing one is written.
+ * `keep` applies the file's content but preserves collected points and reveals,
+ * `overwrite` replaces the topic, `copy` adds it as a new topic and `skip`
+ * leaves the tracker untouched.
+ */
+export const IMPORT_RESOLUTIONS = ["keep", "overwrite", "copy", "skip"];
+
+/**
+ * How a single location or threshold with collected points or reveals is
+ * applied when its topic is updated. `keep` holds on to the progress,
+ * `overwrite` takes the file's values and `copy` keeps the current entry and
+ * adds the file's as a new one.
+ */
+export const ITEM_RESOLUTIONS = ["keep", "overwrite", "copy"];
+
+function isSameValue(a, b) {
+  const normalize = (value) => (value === undefined || value === "" ? null : value);
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function findCounterpart(list, item, fallbackKey) {
+  if (!Array.isArray(list) || !item) return undefined;
+  if (item.id) {
+    const byId = list.find((candidate) => candidate.id === item.id);
+    if (byId) return byId;
+  }
+  const fallback = item[fallbackKey];
+  if (fallback === undefined || fallback === null || fallback === "") return undefined;
+  return list.find((candidate) => isSameValue(candidate[fallbackKey], fallback));
+}
+
+function findExistingTopic(tracker, topicData) {
   const existingById = topicData.id ? tracker.getTopic(topicData.id) : undefined;
-  const existingByName = existingById
-    ? undefined
-    : tracker.getTopics().find((candidate) => candidate.name === topicData.name);
-  const existing = existingById ?? existingByName;
+  return (
+    existingById ??
+    tracker.getTopics().find((candidate) => candidate.name === topicData.name)
+  );
+}
 
-  const payload = {
+function isLiveLocation(location) {
+  return Number(location?.collected) > 0 || Boolean(location?.isRevealed);
+}
+
+function hasLiveProgress(topic) {
+  if (!topic) return false;
+  if (Number(topic.progress) > 0) return true;
+  if (Array.isArray(topic.revealedThresholdIds) && topic.revealedThresholdIds.length) return true;
+  return (topic.locations ?? []).some((location) => isLiveLocation(location));
+}
+
+function diffEntries(existingList, incomingList, { fallbackKey, contentFields, isLiveChange }) {
+  const added = [];
+  const changed = [];
+  const conflicts = [];
+  const matched = new Set();
+
+  for (const incoming of incomingList ?? []) {
+    const existing = findCounterpart(existingList, incoming, fallbackKey);
+    if (!existing) {
+      added.push(incoming);
+      continue;
+    }
+    matched.add(existing.id);
+    if (isLiveChange(existing, incoming)) conflicts.push(existing);
+    else if (contentFields.some((field) => !isSameValue(existing[field], incoming[field]))) {
+      changed.push(existing);
+    }
+  }
+
+  const removed = (existingList ?? []).filter((entry) => !matched.has(entry.id));
+  return { added, changed, conflicts, removed };
+}
+
+/**
+ * Compare an imported topic against the tracker without writing anything.
+ * A topic is in conflict when it already has collected points or reveals and
+ * the file would change them.
+ * @param {ResearchTopic | undefined} existing
+ * @param {object} incoming  A sanitized topic from {@link sanitizePayload}.
+ * @returns {{ status: "new" | "unchanged" | "changed" | "conflict", fields: string[], locations: object, thresholds: object }}
+ */
+export function diffTopic(existing, incoming) {
+  if (!existing) {
+    return {
+      status: "new",
+      fields: [],
+      locations: { added: incoming.locations ?? [], changed: [], conflicts: [], removed: [] },
+      thresholds: { added: incoming.thresholds ?? [], changed: [], conflicts: [], removed: [] },
+    };
+  }
+
+  const revealed = new Set(existing.revealedThresholdIds ?? []);
+  const incomingRevealed = new Set(incoming.revealedThresholdIds ?? []);
+  const fields = TOPIC_CONTENT_FIELDS.filter(
+    (field) => incoming[field] !== undefined && !isSameValue(existing[field], incoming[field])
+  );
+  const locations = diffEntries(existing.locations, incoming.locations, {
+    fallbackKey: "name",
+    contentFields: LOCATION_CONTENT_FIELDS,
+    isLiveChange: (current, next) =>
+      (Number(current.collected) > 0 || current.isRevealed) &&
+      (Number(current.collected) !== Number(next.collected ?? 0) ||
+        Boolean(current.isRevealed) !== Boolean(next.isRevealed)),
+  });
+  const thresholds = diffEntries(existing.thresholds, incoming.thresholds, {
+    fallbackKey: "points",
+    contentFields: THRESHOLD_CONTENT_FIELDS,
+    isLiveChange: (current, next) =>
+      revealed.has(current.id) && !incomingRevealed.has(next.id ?? current.id),
+  });
+
+  const progressChanged =
+    !(existing.locations ?? []).length &&
+    Number(existing.progress ?? 0) !== Number(incoming.progress ?? 0);
+  const removesLive =
+    locations.removed.some((location) => Number(location.collected) > 0 || location.isRevealed) ||
+    thresholds.removed.some((threshold) => revealed.has(threshold.id));
+
+  const isConflict =
+    hasLiveProgress(existing) &&
+    ((progressChanged && Number(existing.progress) > 0) ||
+      removesLive ||
+      locations.conflicts.length > 0 ||
+      thresholds.conflicts.length > 0);
+  const isChanged =
+    fields.length > 0 ||
+    progressChanged ||
+    ["added", "changed", "removed"].some(
+      (key) => locations[key].length > 0 || thresholds[key].length > 0
+    );
+
+  return {
+    status: isConflict ? "conflict" : isChanged ? "changed" : "unchanged",
+    fields,
+    locations,
+    thresholds,
+  };
+}
+
+function buildTopicPayload(topicData) {
+  return {
     id: topicData.id,
     name: topicData.name,
     progress: topicData.progress,
@@ -495,10 +635,162 @@ async function mergeTopic(tracker, topicData) {
     ...(Array.isArray(topicData.researchCheckEntries)
       ? { researchCheckEntries: topicData.researchCheckEntries }
       : {}),
+    ...(topicData.templateSource ? { templateSource: topicData.templateSource } : {}),
+  };
+}
+
+/**
+ * Apply the file's content to an existing topic. `resolution` decides whether
+ * matched locations and thresholds keep their collected points and reveals;
+ * `items` can override that per entry id, and `copy` keeps the current entry
+ * next to the file's. Live entries the file no longer lists are kept unless
+ * their choice is `overwrite`.
+ * @param {ResearchTopic} existing
+ * @param {object} payload
+ * @param {{ resolution: "keep" | "overwrite", items?: { locations?: Record<string, string>, thresholds?: Record<string, string> } }} options
+ */
+function buildResolvedPayload(existing, payload, { resolution, items = {} }) {
+  const choose = (kind, entry) => {
+    const choice = items?.[kind]?.[entry.id];
+    return ITEM_RESOLUTIONS.includes(choice) ? choice : resolution;
   };
 
+  const existingLocations = existing.locations ?? [];
+  const locationNames = new Set(
+    [...existingLocations, ...(payload.locations ?? [])].map((location) => location.name)
+  );
+  const matchedLocations = new Set();
+  const locations = [];
+  for (const location of payload.locations ?? []) {
+    const current = findCounterpart(existingLocations, location, "name");
+    if (!current) {
+      locations.push(location);
+      continue;
+    }
+    matchedLocations.add(current.id);
+    const choice = choose("locations", current);
+    if (choice === "copy") {
+      const name = buildCopyName(locationNames, location.name);
+      locationNames.add(name);
+      locations.push(current, { ...location, id: createLocalId(), name });
+    } else if (choice === "keep") {
+      locations.push({
+        ...location,
+        id: current.id,
+        collected: current.collected,
+        isRevealed: current.isRevealed,
+        revealedAt: current.revealedAt ?? null,
+        assignedActors: current.assignedActors ?? location.assignedActors,
+      });
+    } else {
+      locations.push({ ...location, id: current.id });
+    }
+  }
+  for (const current of existingLocations) {
+    if (matchedLocations.has(current.id) || !isLiveLocation(current)) continue;
+    if (choose("locations", current) !== "overwrite") locations.push(current);
+  }
+
+  const revealed = new Set(existing.revealedThresholdIds ?? []);
+  const incomingRevealed = new Set(payload.revealedThresholdIds ?? []);
+  const revealedIds = new Set();
+  const matchedThresholds = new Set();
+  const thresholds = [];
+  for (const threshold of payload.thresholds ?? []) {
+    const current = findCounterpart(existing.thresholds, threshold, "points");
+    if (!current) {
+      thresholds.push(threshold);
+      if (resolution === "overwrite" && incomingRevealed.has(threshold.id)) {
+        revealedIds.add(threshold.id);
+      }
+      continue;
+    }
+    matchedThresholds.add(current.id);
+    const choice = choose("thresholds", current);
+    if (choice === "overwrite") {
+      thresholds.push({ ...threshold, id: current.id });
+      if (incomingRevealed.has(threshold.id ?? current.id)) revealedIds.add(current.id);
+      continue;
+    }
+    if (choice === "copy") {
+      thresholds.push(current, { ...threshold, id: createLocalId(), revealedAt: null });
+    } else {
+      thresholds.push({ ...threshold, id: current.id, revealedAt: current.revealedAt ?? null });
+    }
+    if (revealed.has(current.id)) revealedIds.add(current.id);
+  }
+  for (const current of existing.thresholds ?? []) {
+    if (matchedThresholds.has(current.id) || !revealed.has(current.id)) continue;
+    if (choose("thresholds", current) === "overwrite") continue;
+    thresholds.push(current);
+    revealedIds.add(current.id);
+  }
+
+  return {
+    ...payload,
+    progress: resolution === "keep" ? existing.progress : payload.progress,
+    thresholds,
+    locations,
+    revealedThresholdIds: Array.from(revealedIds),
+  };
+}
+
+/**
+ * The first numbered copy of `name` that is not in `names`.
+ * @param {Set<string>} names
+ * @param {string} name
+ */
+function buildCopyName(names, name) {
+  const format = (index) =>
+    game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.CopyName", {
+      name,
+      index,
+    });
+  let index = 1;
+  let candidate = format(index);
+  while (names.has(candidate)) {
+    index += 1;
+    candidate = format(index);
+  }
+  return candidate;
+}
+
+/**
+ * Write an imported topic to the tracker.
+ * @param {ResearchTracker} tracker
+ * @param {object} topicData  A sanitized topic from {@link sanitizePayload}.
+ * @param {object} [options]
+ * @param {"keep" | "overwrite" | "copy" | "skip"} [options.resolution]
+ * @param {{ locations?: Record<string, string>, thresholds?: Record<string, string> }} [options.items]
+ *   Per-entry {@link ITEM_RESOLUTIONS} keyed by the existing entry's id.
+ * @returns {Promise<{ type: "created" | "updated" | "skipped", id: string | undefined }>}
+ */
+export async function mergeTopic(tracker, topicData, { resolution = "overwrite", items = {} } = {}) {
+  const existing = findExistingTopic(tracker, topicData);
+  const payload = buildTopicPayload(topicData);
+
+  if (resolution === "skip") {
+    return { type: "skipped", id: existing?.id };
+  }
+
+  if (existing && resolution === "copy") {
+    const created = await tracker.createTopic({
+      ...payload,
+      id: undefined,
+      name: buildCopyName(
+        new Set(tracker.getTopics().map((topic) => topic.name)),
+        topicData.name
+      ),
+    });
+    return { type: "created", id: created?.id };
+  }
+
   if (existing) {
-    await tracker.updateTopic(existing.id, payload);
+    const updates = buildResolvedPayload(existing, payload, {
+      resolution: resolution === "keep" ? "keep" : "overwrite",
+      items,
+    });
+    await tracker.updateTopic(existing.id, updates);
     return { type: "updated", id: existing.id };
   }
 
@@ -506,7 +798,217 @@ async function mergeTopic(tracker, topicData) {
   return { type: "created", id: created?.id ?? payload.id };
 }
 
-function buildExportPayload(tracker) {
+/**
+ * @param {ResearchTracker} tracker
+ * @param {object[]} topics  Sanitized topics from {@link sanitizePayload}.
+ */
+export function planTopicImport(tracker, topics) {
+  return topics.map((topic, index) => {
+    const existing = findExistingTopic(tracker, topic);
+    const diff = diffTopic(existing, topic);
+    return {
+      index,
+      topic,
+      existing,
+      ...diff,
+      resolution: diff.status === "new" || diff.status === "changed" ? "overwrite" : "keep",
+    };
+  });
+}
+
+function describeEntryDiff(diff, labelKey) {
+  const parts = [];
+  if (diff.added.length) {
+    parts.push(game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.Added", { count: diff.added.length }));
+  }
+  if (diff.changed.length) {
+    parts.push(game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.Changed", { count: diff.changed.length }));
+  }
+  if (diff.conflicts.length) {
+    parts.push(
+      game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.Conflicting", { count: diff.conflicts.length })
+    );
+  }
+  if (diff.removed.length) {
+    parts.push(game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.Removed", { count: diff.removed.length }));
+  }
+  if (!parts.length) return "";
+  return `<li>${escapeHtml(game.i18n.localize(labelKey))}: ${escapeHtml(parts.join(", "))}</li>`;
+}
+
+/**
+ * Locations and thresholds whose collected points or reveals the file would
+ * change or drop, each with its own resolution select.
+ */
+function renderItemChoices(row) {
+  const revealed = new Set(row.existing?.revealedThresholdIds ?? []);
+  const entries = [
+    ...row.locations.conflicts.map((entry) => ({ kind: "locations", entry, isRemoved: false })),
+    ...row.locations.removed
+      .filter((entry) => isLiveLocation(entry))
+      .map((entry) => ({ kind: "locations", entry, isRemoved: true })),
+    ...row.thresholds.conflicts.map((entry) => ({ kind: "thresholds", entry, isRemoved: false })),
+    ...row.thresholds.removed
+      .filter((entry) => revealed.has(entry.id))
+      .map((entry) => ({ kind: "thresholds", entry, isRemoved: true })),
+  ];
+  if (!entries.length) return "";
+
+  const items = entries
+    .map(({ kind, entry, isRemoved }) => {
+      const name =
+        kind === "locations"
+          ? entry.name
+          : game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.ThresholdLabel", {
+              points: entry.points,
+            });
+      const label = isRemoved
+        ? game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.NotInFile", { name })
+        : name;
+      const choices = isRemoved ? ["keep", "overwrite"] : ITEM_RESOLUTIONS;
+      const options = ["", ...choices]
+        .map(
+          (choice) =>
+            `<option value="${choice}">${escapeHtml(
+              game.i18n.localize(
+                `PF2E.PointsTracker.Research.ImportPreview.ItemResolution.${choice || "inherit"}`
+              )
+            )}</option>`
+        )
+        .join("");
+      return `
+        <li class="research-import-preview__entry">
+          <span class="research-import-preview__entry-name">${escapeHtml(label)}</span>
+          <select data-item-row="${row.index}" data-item-kind="${kind}" data-item-id="${escapeHtml(
+            entry.id
+          )}">${options}</select>
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <p class="research-import-preview__entries-label">${escapeHtml(
+      game.i18n.localize("PF2E.PointsTracker.Research.ImportPreview.Items")
+    )}</p>
+    <ul class="research-import-preview__entries">${items}</ul>
+  `;
+}
+
+function renderPlanRow(row) {
+  const statusLabel = game.i18n.localize(`PF2E.PointsTracker.Research.ImportPreview.Status.${row.status}`);
+  const details = [];
+  if (row.fields.length) {
+    const labels = row.fields.map((field) =>
+      game.i18n.localize(`PF2E.PointsTracker.Research.ImportPreview.Fields.${field}`)
+    );
+    details.push(
+      `<li>${escapeHtml(
+        game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.FieldsChanged", {
+          fields: labels.join(", "),
+        })
+      )}</li>`
+    );
+  }
+  if (row.existing) {
+    details.push(describeEntryDiff(row.locations, "PF2E.PointsTracker.Research.LocationList"));
+    details.push(describeEntryDiff(row.thresholds, "PF2E.PointsTracker.Research.Thresholds"));
+  }
+  if (row.status === "conflict") {
+    details.push(
+      `<li>${escapeHtml(
+        game.i18n.format("PF2E.PointsTracker.Research.ImportPreview.LiveProgress", {
+          progress: row.existing.progress ?? 0,
+          revealed: (row.existing.revealedThresholdIds ?? []).length,
+        })
+      )}</li>`
+    );
+  }
+
+  const choices = row.existing ? IMPORT_RESOLUTIONS : ["overwrite", "skip"];
+  const options = choices
+    .map((choice) => {
+      const labelKey =
+        !row.existing && choice === "overwrite"
+          ? "PF2E.PointsTracker.Research.ImportPreview.Resolution.create"
+          : `PF2E.PointsTracker.Research.ImportPreview.Resolution.${choice}`;
+      return `<option value="${choice}" ${choice === row.resolution ? "selected" : ""}>${escapeHtml(
+        game.i18n.localize(labelKey)
+      )}</option>`;
+    })
+    .join("");
+
+  return `
+    <li class="research-import-preview__item research-import-preview__item--${row.status}">
+      <div class="research-import-preview__header">
+        <span class="research-import-preview__name">${escapeHtml(row.topic.name)}</span>
+        <span class="research-import-preview__status">${escapeHtml(statusLabel)}</span>
+        <select name="resolution-${row.index}">${options}</select>
+      </div>
+      ${details.filter((detail) => detail).length ? `<ul class="research-import-preview__details">${details.join("")}</ul>` : ""}
+      ${row.existing ? renderItemChoices(row) : ""}
+    </li>
+  `;
+}
+
+/**
+ * Markup for the per-topic rows of an import preview. Wrap it in a form and
+ * read the GM's choices back with {@link readImportChoices}.
+ * @param {ReturnType<typeof planTopicImport>} plan
+ */
+export function renderImportPlan(plan) {
+  return `
+    <ul class="research-import-preview__list">
+      ${plan.map((row) => renderPlanRow(row)).join("")}
+    </ul>
+  `;
+}
+
+/**
+ * @param {HTMLElement} root  Element containing the rows from {@link renderImportPlan}.
+ * @param {ReturnType<typeof planTopicImport>} plan
+ * @returns {{ resolution: string, items: { locations: Record<string, string>, thresholds: Record<string, string> } }[]}
+ *   The chosen resolution and per-entry choices for each row, by row index.
+ */
+export function readImportChoices(root, plan) {
+  return plan.map((row) => {
+    const items = { locations: {}, thresholds: {} };
+    for (const select of root.querySelectorAll(`select[data-item-row='${row.index}']`)) {
+      const { itemKind, itemId } = select.dataset;
+      if (items[itemKind] && ITEM_RESOLUTIONS.includes(select.value)) {
+        items[itemKind][itemId] = select.value;
+      }
+    }
+    return {
+      resolution:
+        root.querySelector(`select[name='resolution-${row.index}']`)?.value ?? row.resolution,
+      items,
+    };
+  });
+}
+
+/**
+ * Write every row of an import plan using the chosen resolutions, falling back
+ * to each row's planned resolution.
+ * @param {ResearchTracker} tracker
+ * @param {ReturnType<typeof planTopicImport>} plan
+ * @param {ReturnType<typeof readImportChoices>} [choices]
+ * @returns {Promise<{ created: number, updated: number, skipped: number }>}
+ */
+export async function applyTopicImport(tracker, plan, choices = []) {
+  const counts = { created: 0, updated: 0, skipped: 0 };
+  for (const row of plan) {
+    const choice = choices[row.index] ?? {};
+    const resolution = IMPORT_RESOLUTIONS.includes(choice.resolution)
+      ? choice.resolution
+      : row.resolution;
+    const result = await mergeTopic(tracker, row.topic, { resolution, items: choice.items });
+    counts[result.type] += 1;
+  }
+  return counts;
+}
+
+export function buildExportPayload(tracker) {
   const topics = tracker.getTopics().map((topic) => {
     const { progressPercent, ...rest } = topic;
 
@@ -589,6 +1091,29 @@ function buildExportPayload(tracker) {
   return { topics };
 }
 
+/**
+ * Offer a JSON string to the user as a file download.
+ * @param {string} json
+ * @param {string} filename
+ */
+export async function downloadJson(json, filename) {
+  if (typeof saveDataToFile === "function") {
+    await saveDataToFile(json, "text/json", filename);
+    return;
+  }
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  setTimeout(() => {
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
 export class ResearchImportExport {
   /**
    * Display a prompt to import topics from a JSON file.
@@ -654,19 +1179,39 @@ export class ResearchImportExport {
       return;
     }
 
-    let created = 0;
-    let updated = 0;
-    for (const topic of topics) {
-      const result = await mergeTopic(tracker, topic);
-      if (result.type === "created") created += 1;
-      if (result.type === "updated") updated += 1;
-    }
+    await this.reviewImport(tracker, topics);
+  }
+
+  /**
+   * Show the import preview for sanitized topics and write the ones the GM
+   * confirms.
+   * @param {ResearchTracker} tracker
+   * @param {object[]} topics  Sanitized topics from {@link sanitizePayload}.
+   */
+  static async reviewImport(tracker, topics) {
+    const plan = planTopicImport(tracker, topics);
+    const choices = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Research.ImportPreview.Title"),
+      content: `
+        <form class="research-import-preview">
+          <p>${game.i18n.localize("PF2E.PointsTracker.Research.ImportPreview.Hint")}</p>
+          ${renderImportPlan(plan)}
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Research.Import"),
+      callback: (html) => readImportChoices(html[0], plan),
+      rejectClose: false,
+    });
+    if (!choices) return;
+
+    const { created, updated, skipped } = await applyTopicImport(tracker, plan, choices);
 
     ui.notifications?.info?.(
       game.i18n.format("PF2E.PointsTracker.Research.ImportSuccess", {
         count: topics.length,
         created,
         updated,
+        skipped,
       })
     );
   }
@@ -680,22 +1225,7 @@ export class ResearchImportExport {
     const json = JSON.stringify(payload, null, 2);
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     const filename = `${MODULE_ID}-research-${timestamp}.json`;
-
-    if (typeof saveDataToFile === "function") {
-      await saveDataToFile(json, "text/json", filename);
-    } else {
-      const blob = new Blob([json], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      setTimeout(() => {
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      }, 0);
-    }
+    await downloadJson(json, filename);
 
     ui.notifications?.info?.(
       game.i18n.localize("PF2E.PointsTracker.Research.ExportSuccess")
@@ -0,0 +1,377 @@
+import { ResearchImportExport, buildExportPayload, sanitizePayload } from "./importer.js";
+import { escapeHtml } from "../utils/html.js";
+
+const MODULE_ID = "pf2e-points-tracker";
+const TOPIC_FLAG = "topic";
+const TEXT_PAGE_FORMAT = 1;
+
+/**
+ * Structured page format, one field per line:
+ *
+ *   Target: 20
+ *   Level: 5
+ *   Summary: Ancient texts on the Whispering Way.
+ *   Thresholds:
+ *   - 5: Text revealed to players | GM-only note
+ *   Locations:
+ *   - Archive (10): Society DC 20, Occultism DC 22 | Optional description
+ *
+ * The page title is the topic name unless a `Name:` line is present.
+ */
+const FIELD_PATTERN = /^([a-z ]+):\s*(.*)$/i;
+const THRESHOLD_PATTERN = /^(\d+)\s*(?:rp)?\s*[:\-–]\s*(.*)$/i;
+const LOCATION_PATTERN = /^(.+?)\s*(?:\((\d+)(?:\s*rp)?\))?\s*(?::\s*(.*))?$/i;
+const CHECK_PATTERN = /^(.+?)\s+DC\s*(\d+)$/i;
+
+const SECTION_KEYS = {
+  threshold: "thresholds",
+  thresholds: "thresholds",
+  reveals: "thresholds",
+  location: "locations",
+  locations: "locations",
+};
+
+/**
+ * Flatten journal HTML into plain lines, turning list items into `- ` lines.
+ * @param {string} html
+ * @returns {string[]}
+ */
+function htmlToLines(html) {
+  const marked = String(html ?? "")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6]|ul|ol|tr)>/gi, "\n");
+  // Parse into a detached document so scripts and images in the journal HTML
+  // are never loaded into the live page.
+  const parsed = new DOMParser().parseFromString(marked, "text/html");
+  return (parsed.body?.textContent ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => line);
+}
+
+function parseChecks(text) {
+  return String(text ?? "")
+    .split(/[,;]/)
+    .map((part) => part.trim())
+    .map((part) => {
+      const match = CHECK_PATTERN.exec(part);
+      if (match) return { skill: match[1].trim(), dc: Number(match[2]) };
+      return part ? { skill: part, dc: null } : null;
+    })
+    .filter((check) => check);
+}
+
+function parseThreshold(text) {
+  const match = THRESHOLD_PATTERN.exec(text);
+  if (!match) return null;
+  const [playerText, gmText] = match[2].split("|").map((part) => part.trim());
+  return {
+    points: Number(match[1]),
+    playerText: playerText ?? "",
+    gmText: gmText ?? "",
+  };
+}
+
+function parseLocation(text) {
+  const [main, description] = text.split("|").map((part) => part.trim());
+  const match = LOCATION_PATTERN.exec(main);
+  if (!match?.[1]) return null;
+  const checks = parseChecks(match[3]);
+  return {
+    name: match[1].trim(),
+    maxPoints: match[2] ? Number(match[2]) : 0,
+    ...(checks.length ? { checks, skill: checks[0].skill, dc: checks[0].dc ?? undefined } : {}),
+    ...(description ? { description } : {}),
+  };
+}
+
+/**
+ * Parse the structured page text into a raw topic for {@link sanitizePayload}.
+ * @param {string} html
+ * @param {string} fallbackName
+ * @returns {object | null}
+ */
+export function parseTopicPage(html, fallbackName) {
+  const topic = { name: fallbackName, thresholds: [], locations: [] };
+  let section = null;
+  let recognized = false;
+
+  for (const line of htmlToLines(html)) {
+    if (line.startsWith("- ") || line.startsWith("* ")) {
+      const body = line.slice(2).trim();
+      if (section === "thresholds") {
+        const threshold = parseThreshold(body);
+        if (threshold) topic.thresholds.push(threshold);
+      } else if (section === "locations") {
+        const location = parseLocation(body);
+        if (location) topic.locations.push(location);
+      }
+      continue;
+    }
+
+    const match = FIELD_PATTERN.exec(line);
+    if (!match) continue;
+    const key = match[1].trim().toLowerCase();
+    const value = match[2].trim();
+
+    if (SECTION_KEYS[key] && !value) {
+      section = SECTION_KEYS[key];
+      recognized = true;
+      continue;
+    }
+    section = null;
+
+    switch (key) {
+      case "name":
+      case "topic":
+        if (value) topic.name = value;
+        break;
+      case "target":
+      case "target points":
+        topic.target = Number(value);
+        recognized = true;
+        break;
+      case "level":
+      case "research level":
+        topic.level = Number(value);
+        recognized = true;
+        break;
+      case "summary":
+        topic.summary = value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!recognized) return null;
+  if (!Number.isFinite(topic.target)) delete topic.target;
+  if (!Number.isFinite(topic.level)) delete topic.level;
+  return topic;
+}
+
+/**
+ * Render a topic in the structured page format read by {@link parseTopicPage}.
+ * @param {object} topic  An exported topic from {@link buildExportPayload}.
+ * @returns {string}
+ */
+export function renderTopicPage(topic) {
+  const parts = [`<p>Target: ${Number(topic.target) || 0}</p>`];
+  if (Number.isFinite(topic.level)) parts.push(`<p>Level: ${topic.level}</p>`);
+  if (topic.summary) parts.push(`<p>Summary: ${escapeHtml(topic.summary)}</p>`);
+
+  const thresholds = topic.thresholds ?? [];
+  if (thresholds.length) {
+    const items = thresholds
+      .map((threshold) => {
+        const gmText = threshold.gmText ? ` | ${escapeHtml(threshold.gmText)}` : "";
+        return `<li>${Number(threshold.points) || 0}: ${escapeHtml(threshold.playerText ?? "")}${gmText}</li>`;
+      })
+      .join("");
+    parts.push(`<p>Thresholds:</p><ul>${items}</ul>`);
+  }
+
+  const locations = topic.locations ?? [];
+  if (locations.length) {
+    const items = locations
+      .map((location) => {
+        const checks = (location.checks ?? [])
+          .filter((check) => check?.skill)
+          .map((check) => (Number.isFinite(check.dc) ? `${check.skill} DC ${check.dc}` : check.skill))
+          .join(", ");
+        const description = location.description ? ` | ${escapeHtml(location.description)}` : "";
+        const max = Number(location.maxPoints) ? ` (${Number(location.maxPoints)})` : "";
+        return `<li>${escapeHtml(location.name ?? "")}${max}${checks ? `: ${escapeHtml(checks)}` : ""}${description}</li>`;
+      })
+      .join("");
+    parts.push(`<p>Locations:</p><ul>${items}</ul>`);
+  }
+
+  return parts.join("");
+}
+
+/**
+ * Read raw topics from a journal entry or a single page. Pages exported by
+ * this module carry the full topic in a flag; other text pages are parsed.
+ * @param {JournalEntry | JournalEntryPage} document
+ * @returns {object[]}
+ */
+export function readJournalTopics(document) {
+  const pages =
+    document?.documentName === "JournalEntryPage"
+      ? [document]
+      : Array.from(document?.pages?.contents ?? document?.pages ?? []);
+
+  return pages
+    .filter((page) => page?.type === "text")
+    .map((page) => {
+      const flagged = page.getFlag?.(MODULE_ID, TOPIC_FLAG) ?? page.flags?.[MODULE_ID]?.[TOPIC_FLAG];
+      if (flagged && typeof flagged === "object") return { ...flagged, name: flagged.name ?? page.name };
+      return parseTopicPage(page.text?.content ?? "", page.name);
+    })
+    .filter((topic) => topic);
+}
+
+/**
+ * @param {CompendiumCollection} pack
+ * @returns {Promise<object[]>}
+ */
+export async function readCompendiumTopics(pack) {
+  if (pack?.documentName !== "JournalEntry") return [];
+  const documents = await pack.getDocuments();
+  return documents.flatMap((document) => readJournalTopics(document));
+}
+
+function getJournalSources() {
+  const entries = (game.journal?.contents ?? [])
+    .filter((entry) => entry.isOwner)
+    .map((entry) => ({ value: entry.uuid, label: entry.name }));
+  const packs = (game.packs?.contents ?? [])
+    .filter((pack) => pack.documentName === "JournalEntry")
+    .map((pack) => ({
+      value: `pack:${pack.collection}`,
+      label: game.i18n.format("PF2E.PointsTracker.Research.Journal.PackOption", {
+        label: pack.metadata?.label ?? pack.collection,
+      }),
+    }));
+  return { entries, packs };
+}
+
+export class ResearchJournal {
+  /**
+   * Import topics from a journal entry, page or compendium pack and hand them
+   * to the import preview.
+   * @param {ResearchTracker} tracker
+   * @param {JournalEntry | JournalEntryPage | CompendiumCollection} source
+   */
+  static async importFrom(tracker, source) {
+    const rawTopics =
+      source?.documentName === "JournalEntry" && typeof source.getDocuments === "function"
+        ? await readCompendiumTopics(source)
+        : readJournalTopics(source);
+    const topics = sanitizePayload({ topics: rawTopics });
+    if (!topics.length) {
+      ui.notifications?.warn?.(
+        game.i18n.localize("PF2E.PointsTracker.Research.Journal.NoTopics")
+      );
+      return;
+    }
+    await ResearchImportExport.reviewImport(tracker, topics);
+  }
+
+  /**
+   * Ask for a world journal entry or compendium pack to import from.
+   * @param {ResearchTracker} tracker
+   */
+  static async promptImport(tracker) {
+    const { entries, packs } = getJournalSources();
+    if (!entries.length && !packs.length) {
+      ui.notifications?.warn?.(
+        game.i18n.localize("PF2E.PointsTracker.Research.Journal.NoSources")
+      );
+      return;
+    }
+
+    const renderOptions = (options) =>
+      options
+        .map((option) => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`)
+        .join("");
+    const content = `
+      <form class="flexcol">
+        <p>${game.i18n.localize("PF2E.PointsTracker.Research.Journal.ImportDescription")}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("PF2E.PointsTracker.Research.Journal.Source")}</label>
+          <select name="source">
+            ${entries.length ? `<optgroup label="${escapeHtml(game.i18n.localize("PF2E.PointsTracker.Research.Journal.WorldEntries"))}">${renderOptions(entries)}</optgroup>` : ""}
+            ${packs.length ? `<optgroup label="${escapeHtml(game.i18n.localize("PF2E.PointsTracker.Research.Journal.Compendiums"))}">${renderOptions(packs)}</optgroup>` : ""}
+          </select>
+        </div>
+      </form>
+    `;
+
+    const value = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Research.Journal.ImportTitle"),
+      content,
+      label: game.i18n.localize("PF2E.PointsTracker.Research.Import"),
+      callback: (html) => html[0].querySelector("select[name='source']")?.value,
+      rejectClose: false,
+    });
+    if (!value) return;
+
+    const source = value.startsWith("pack:")
+      ? game.packs?.get(value.slice("pack:".length))
+      : await fromUuid(value);
+    if (!source) {
+      ui.notifications?.warn?.(
+        game.i18n.localize("PF2E.PointsTracker.Research.Journal.NoTopics")
+      );
+      return;
+    }
+    await this.importFrom(tracker, source);
+  }
+
+  /**
+   * Import topics from journal drag data dropped on the research tab.
+   * @param {ResearchTracker} tracker
+   * @param {{ type?: string, uuid?: string }} data
+   * @returns {Promise<boolean>} Whether the drop was a journal.
+   */
+  static async importFromDropData(tracker, data) {
+    if (data?.type !== "JournalEntry" && data?.type !== "JournalEntryPage") return false;
+    const document = data.uuid ? await fromUuid(data.uuid) : null;
+    if (!document) return false;
+    await this.importFrom(tracker, document);
+    return true;
+  }
+
+  /**
+   * Archive every topic in a new journal entry, one page per topic.
+   * @param {ResearchTracker} tracker
+   */
+  static async exportToJournal(tracker) {
+    const { topics } = buildExportPayload(tracker);
+    if (!topics.length) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Research.NoTopics"));
+      return;
+    }
+
+    const defaultName = game.i18n.format("PF2E.PointsTracker.Research.Journal.DefaultName", {
+      date: new Date().toLocaleDateString(),
+    });
+    const name = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Research.Journal.ExportTitle"),
+      content: `
+        <form class="flexcol">
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Research.Journal.EntryName")}</label>
+            <input type="text" name="name" value="${escapeHtml(defaultName)}" />
+          </div>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Research.Export"),
+      callback: (html) => html[0].querySelector("input[name='name']")?.value?.trim() || defaultName,
+      rejectClose: false,
+    });
+    if (!name) return;
+
+    const entry = await JournalEntry.create({
+      name,
+      pages: topics.map((topic, index) => ({
+        name: topic.name,
+        type: "text",
+        sort: (index + 1) * CONST.SORT_INTEGER_DENSITY,
+        text: { content: renderTopicPage(topic), format: TEXT_PAGE_FORMAT },
+        flags: { [MODULE_ID]: { [TOPIC_FLAG]: topic } },
+      })),
+    });
+
+    ui.notifications?.info?.(
+      game.i18n.format("PF2E.PointsTracker.Research.Journal.ExportSuccess", {
+        count: topics.length,
+        name: entry?.name ?? name,
+      })
+    );
+    entry?.sheet?.render?.(true);
+  }
+}
@@ -1,7 +1,26 @@
 import { localizeWithFallback } from "../utils/localize.js";
+import { normalizeTemplateSource } from "../utils/template-source.js";
 
 export const RESEARCH_UPDATE_HOOK = "pf2ePointsTrackerResearchUpdated";
 
+/**
+ * Degrees of success, keyed the way PF2e reports them in chat message context.
+ */
+export const RESEARCH_OUTCOMES = ["criticalsuccess", "success", "failure", "criticalfailure"];
+
+/**
+ * Research points awarded per degree of success when no world, topic or
+ * location override applies.
+ */
+export const DEFAULT_OUTCOME_POINTS = {
+  criticalsuccess: 2,
+  success: 1,
+  failure: 0,
+  criticalfailure: -1,
+};
+
+const OUTCOME_SETTING_PREFIX = "research-outcome-points";
+
 const DEFAULT_STATE = {
   topics: [],
   log: [],
@@ -47,6 +66,24 @@ function createId() {
   return Math.random().toString(36).slice(2, 10);
 }
 
+/**
+ * Keep only the outcomes with a numeric award; missing outcomes inherit from
+ * the next level up (location, then topic, then world).
+ * @param {object} raw
+ * @returns {Partial<Record<string, number>>}
+ */
+function normalizeOutcomePoints(raw) {
+  if (!raw || typeof raw !== "object") return {};
+  const normalized = {};
+  for (const outcome of RESEARCH_OUTCOMES) {
+    const value = raw[outcome];
+    if (value === null || value === undefined || value === "") continue;
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) normalized[outcome] = Math.trunc(numeric);
+  }
+  return normalized;
+}
+
 function normalizeAssignedActors(raw) {
   const list = Array.isArray(raw)
     ? raw
@@ -192,6 +229,8 @@ function sanitizeCheckArray(raw, { fallbackSkill, fallbackDc, allowFallback = tr
  * @property {{uuid: string, name?: string}[]} [assignedActors]
  * @property {boolean} [isRevealed]
  * @property {number|null} [revealedAt]
+ * @property {Partial<Record<string, number>>} [outcomePoints]
+ * @property {string} [journalUuid]  Linked journal page; its name follows renames.
  */
 
 /**
@@ -207,6 +246,10 @@ function sanitizeCheckArray(raw, { fallbackSkill, fallbackDc, allowFallback = tr
  * @property {ResearchLocation[]} locations
  * @property {ResearchRevealThreshold[]} thresholds
  * @property {string[]} revealedThresholdIds
+ * @property {boolean} [relockThresholds]  Hide revealed thresholds again when progress drops below their cost.
+ * @property {Partial<Record<string, number>>} [outcomePoints]
+ * @property {import("../utils/template-source.js").TemplateSource|null} [templateSource]
+ * @property {string} [journalUuid]  Linked journal page; its name follows renames.
  */
 
 /**
@@ -251,6 +294,17 @@ export class ResearchTracker {
         this._applyState(value);
       },
     });
+
+    for (const outcome of RESEARCH_OUTCOMES) {
+      game.settings.register(this.moduleId, `${OUTCOME_SETTING_PREFIX}-${outcome}`, {
+        name: `PF2E.PointsTracker.Research.OutcomePoints.Setting.${outcome}.Name`,
+        hint: "PF2E.PointsTracker.Research.OutcomePoints.Setting.Hint",
+        scope: "world",
+        config: true,
+        type: Number,
+        default: DEFAULT_OUTCOME_POINTS[outcome],
+      });
+    }
   }
 
   /**
@@ -369,6 +423,8 @@ export class ResearchTracker {
           ),
           isRevealed,
           revealedAt,
+          outcomePoints: normalizeOutcomePoints(location.outcomePoints),
+          journalUuid: typeof location.journalUuid === "string" ? location.journalUuid : "",
         };
       }),
     };
@@ -473,6 +529,10 @@ export class ResearchTracker {
       revealedThresholdIds: Array.isArray(data.revealedThresholdIds)
         ? data.revealedThresholdIds
         : [],
+      relockThresholds: data.relockThresholds,
+      outcomePoints: data.outcomePoints,
+      templateSource: data.templateSource,
+      journalUuid: data.journalUuid,
     });
     this.topics.set(id, topic);
     await this._saveState();
@@ -527,7 +587,8 @@ export class ResearchTracker {
       );
       return;
     }
-    const progress = Number(topic.progress ?? 0) + Number(delta ?? 0);
+    const previousProgress = Number(topic.progress ?? 0);
+    const progress = previousProgress + Number(delta ?? 0);
     topic.progress = Math.max(progress, 0);
     this.topics.set(topicId, this._normalizeTopic(topic));
     await this._saveState();
@@ -545,7 +606,8 @@ export class ResearchTracker {
       });
     }
 
-    await this._autoRevealThresholds(topicId);
+    await this._autoRelockThresholds(topicId);
+    await this._autoRevealThresholds(topicId, previousProgress);
   }
 
   /**
@@ -628,6 +690,8 @@ export class ResearchTracker {
       assignedActors,
       isRevealed,
       revealedAt: isRevealed ? providedRevealedAt ?? Date.now() : null,
+      outcomePoints: normalizeOutcomePoints(data.outcomePoints),
+      journalUuid: typeof data.journalUuid === "string" ? data.journalUuid.trim() : "",
     });
 
     const normalized = this._normalizeTopic({ ...topic, locations });
@@ -785,6 +849,95 @@ export class ResearchTracker {
     await this._saveState();
   }
 
+  /**
+   * Link a topic, or one of its locations, to a journal page. The entry takes
+   * the page's name.
+   * @param {string} topicId
+   * @param {{ uuid: string, name?: string }} page
+   * @param {object} [options]
+   * @param {string | null} [options.locationId]
+   */
+  async linkJournal(topicId, page = {}, { locationId = null } = {}) {
+    const uuid = typeof page.uuid === "string" ? page.uuid.trim() : "";
+    if (!uuid) return undefined;
+    const name = typeof page.name === "string" && page.name.trim() ? page.name.trim() : undefined;
+    const updates = { journalUuid: uuid, ...(name ? { name } : {}) };
+    return locationId
+      ? this.updateLocation(topicId, locationId, updates)
+      : this.updateTopic(topicId, updates);
+  }
+
+  /**
+   * Remove the journal link from a topic or location, keeping its name.
+   * @param {string} topicId
+   * @param {object} [options]
+   * @param {string | null} [options.locationId]
+   */
+  async unlinkJournal(topicId, { locationId = null } = {}) {
+    return locationId
+      ? this.updateLocation(topicId, locationId, { journalUuid: "" })
+      : this.updateTopic(topicId, { journalUuid: "" });
+  }
+
+  /**
+   * Rename every topic and location linked to a journal page that was renamed.
+   * @param {string} uuid
+   * @param {string} name
+   */
+  async syncLinkedJournal(uuid, name) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!uuid || !trimmed) return;
+    await this._updateJournalLinks(
+      (linked) => linked === uuid,
+      (entry) => (entry.name === trimmed ? null : { name: trimmed })
+    );
+  }
+
+  /**
+   * Clear links to a deleted journal entry or page. Deleting a whole entry
+   * also releases links to its pages.
+   * @param {string} uuid
+   */
+  async releaseLinkedJournal(uuid) {
+    if (!uuid) return;
+    await this._updateJournalLinks(
+      (linked) => linked === uuid || linked.startsWith(`${uuid}.`),
+      () => ({ journalUuid: "" })
+    );
+  }
+
+  /**
+   * Apply a change to every topic and location whose journal link matches.
+   * Saves once, and only when something changed.
+   * @param {(uuid: string) => boolean} matches
+   * @param {(entry: object) => object | null} getUpdates
+   */
+  async _updateJournalLinks(matches, getUpdates) {
+    let changed = false;
+    for (const [topicId, topic] of this.topics.entries()) {
+      let topicChanged = false;
+      let next = { ...topic };
+      if (topic.journalUuid && matches(topic.journalUuid)) {
+        const updates = getUpdates(topic);
+        if (updates) {
+          next = { ...next, ...updates };
+          topicChanged = true;
+        }
+      }
+      const locations = (topic.locations ?? []).map((location) => {
+        if (!location.journalUuid || !matches(location.journalUuid)) return location;
+        const updates = getUpdates(location);
+        if (!updates) return location;
+        topicChanged = true;
+        return { ...location, ...updates };
+      });
+      if (!topicChanged) continue;
+      this.topics.set(topicId, this._normalizeTopic({ ...next, locations }));
+      changed = true;
+    }
+    if (changed) await this._saveState();
+  }
+
   /**
    * Adjust collected points at a specific location.
    * @param {string} topicId
@@ -802,6 +955,7 @@ export class ResearchTracker {
     const index = locations.findIndex((location) => location.id === locationId);
     if (index === -1) return;
 
+    const previousProgress = Number(topic.progress ?? 0);
     const existing = { ...locations[index] };
     const maxPoints = Number.isFinite(existing.maxPoints)
       ? Number(existing.maxPoints)
@@ -834,7 +988,8 @@ export class ResearchTracker {
       });
     }
 
-    await this._autoRevealThresholds(topicId);
+    await this._autoRelockThresholds(topicId);
+    await this._autoRevealThresholds(topicId, previousProgress);
   }
 
   /**
@@ -934,6 +1089,43 @@ export class ResearchTracker {
     return logEntry;
   }
 
+  /**
+   * World-wide points per degree of success.
+   * @returns {Record<string, number>}
+   */
+  getDefaultOutcomePoints() {
+    const points = { ...DEFAULT_OUTCOME_POINTS };
+    for (const outcome of RESEARCH_OUTCOMES) {
+      let value;
+      try {
+        value = Number(game?.settings?.get?.(this.moduleId, `${OUTCOME_SETTING_PREFIX}-${outcome}`));
+      } catch (error) {
+        value = NaN;
+      }
+      if (Number.isFinite(value)) points[outcome] = Math.trunc(value);
+    }
+    return points;
+  }
+
+  /**
+   * Resolve the points per degree of success for a topic or location,
+   * layering location overrides over topic overrides over world defaults.
+   * @param {string} topicId
+   * @param {string} [locationId]
+   * @returns {Record<string, number>}
+   */
+  getOutcomePoints(topicId, locationId = null) {
+    const topic = this.topics.get(topicId);
+    const location = locationId
+      ? (topic?.locations ?? []).find((entry) => entry.id === locationId)
+      : null;
+    return {
+      ...this.getDefaultOutcomePoints(),
+      ...normalizeOutcomePoints(topic?.outcomePoints),
+      ...normalizeOutcomePoints(location?.outcomePoints),
+    };
+  }
+
   /**
    * Retrieve the activity log.
    * @returns {ResearchLogEntry[]}
@@ -983,10 +1175,121 @@ export class ResearchTracker {
   }
 
   /**
-   * Ensure any thresholds met by current progress are automatically revealed.
+   * Hide a previously revealed threshold from players.
+   * @param {string} topicId
+   * @param {string} thresholdId
+   * @returns {Promise<boolean>} Whether the threshold was revealed before.
+   */
+  async hideThreshold(topicId, thresholdId) {
+    const topic = this.topics.get(topicId);
+    if (!topic) return false;
+    const thresholds = Array.isArray(topic.thresholds) ? topic.thresholds : [];
+    const threshold = thresholds.find((entry) => entry.id === thresholdId);
+    if (!threshold) return false;
+
+    const hidden = this._hideThresholds(topic, [threshold]);
+    if (!hidden.length) return false;
+
+    this.topics.set(topicId, this._normalizeTopic(topic));
+    await this._saveState();
+    await this._logThresholdsHidden(topicId, hidden, "PF2E.PointsTracker.Research.RevealHiddenLog");
+    return true;
+  }
+
+  /**
+   * Hide every revealed threshold on a topic.
+   * @param {string} topicId
+   * @returns {Promise<number>} The number of thresholds hidden.
+   */
+  async resetReveals(topicId) {
+    const topic = this.topics.get(topicId);
+    if (!topic) return 0;
+    const thresholds = Array.isArray(topic.thresholds) ? topic.thresholds : [];
+
+    const hidden = this._hideThresholds(topic, thresholds);
+    if (!hidden.length) return 0;
+
+    this.topics.set(topicId, this._normalizeTopic(topic));
+    await this._saveState();
+
+    const normalizedTopic = this.getTopic(topicId);
+    await this.recordLog({
+      topicId,
+      message:
+        game?.i18n?.format?.("PF2E.PointsTracker.Research.RevealResetLog", {
+          topic: normalizedTopic?.name ?? "",
+          count: hidden.length,
+        }) ?? `Reset ${hidden.length} reveal(s) for ${normalizedTopic?.name ?? ""}.`,
+    });
+    return hidden.length;
+  }
+
+  /**
+   * Re-lock revealed thresholds whose cost exceeds current progress when the
+   * topic opts into it.
+   * @param {string} topicId
+   */
+  async _autoRelockThresholds(topicId) {
+    const topic = this.topics.get(topicId);
+    if (!topic?.relockThresholds) return;
+
+    const progress = Number(topic.progress ?? 0);
+    const thresholds = Array.isArray(topic.thresholds) ? topic.thresholds : [];
+    const hidden = this._hideThresholds(
+      topic,
+      thresholds.filter((threshold) => {
+        const cost = Number.isFinite(threshold.points) ? Number(threshold.points) : 0;
+        return progress < cost;
+      })
+    );
+    if (!hidden.length) return;
+
+    this.topics.set(topicId, this._normalizeTopic(topic));
+    await this._saveState();
+    await this._logThresholdsHidden(topicId, hidden, "PF2E.PointsTracker.Research.RevealRelockedLog");
+  }
+
+  /**
+   * Remove thresholds from a topic's revealed set in place.
+   * @param {ResearchTopic} topic
+   * @param {ResearchRevealThreshold[]} candidates
+   * @returns {ResearchRevealThreshold[]} The thresholds that were revealed.
+   */
+  _hideThresholds(topic, candidates) {
+    const revealed = new Set(
+      Array.isArray(topic.revealedThresholdIds) ? topic.revealedThresholdIds : []
+    );
+    const hidden = candidates.filter((threshold) => revealed.has(threshold.id));
+    hidden.forEach((threshold) => {
+      revealed.delete(threshold.id);
+      threshold.revealedAt = null;
+    });
+    topic.revealedThresholdIds = Array.from(revealed);
+    return hidden;
+  }
+
+  async _logThresholdsHidden(topicId, thresholds, logKey) {
+    const normalizedTopic = this.getTopic(topicId);
+    for (const threshold of thresholds) {
+      await this.recordLog({
+        topicId,
+        message:
+          game?.i18n?.format?.(logKey, {
+            topic: normalizedTopic?.name ?? "",
+            points: threshold.points ?? 0,
+          }) ?? `Hid reveal at ${threshold.points ?? 0} RP for ${normalizedTopic?.name ?? ""}.`,
+      });
+    }
+  }
+
+  /**
+   * Reveal thresholds that progress has just climbed to. Only thresholds
+   * crossed by this change are touched, so a manual hide or reset sticks until
+   * progress drops below the cost and reaches it again.
    * @param {string} topicId
+   * @param {number} previousProgress  Topic progress before the change.
    */
-  async _autoRevealThresholds(topicId) {
+  async _autoRevealThresholds(topicId, previousProgress) {
     const topic = this.topics.get(topicId);
     if (!topic) return;
 
@@ -1000,7 +1303,7 @@ export class ResearchTracker {
       const cost = Number.isFinite(threshold.points)
         ? Number(threshold.points)
         : 0;
-      return progress >= cost && !revealed.has(threshold.id);
+      return previousProgress < cost && progress >= cost && !revealed.has(threshold.id);
     });
 
     if (!newlyUnlocked.length) return;
@@ -1165,6 +1468,10 @@ export class ResearchTracker {
       locations,
       thresholds,
       revealedThresholdIds,
+      relockThresholds: Boolean(topic.relockThresholds),
+      outcomePoints: normalizeOutcomePoints(topic.outcomePoints),
+      templateSource: normalizeTemplateSource(topic.templateSource),
+      journalUuid: typeof topic.journalUuid === "string" ? topic.journalUuid.trim() : "",
       progressPercent: Math.round(percent * 100) / 100,
     };
   }
@@ -1330,6 +1637,9 @@ export class ResearchTracker {
         assignedActors,
         isRevealed,
         revealedAt: isRevealed ? rawRevealedAt : null,
+        outcomePoints: normalizeOutcomePoints(location?.outcomePoints),
+        journalUuid:
+          typeof location?.journalUuid === "string" ? location.journalUuid.trim() : "",
         order: index,
       };
     });
@@ -0,0 +1,561 @@
+import { localizeWithFallback } from "../utils/localize.js";
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_NOTE_LENGTH = 2000;
+// The largest step a player's buttons send: research nudges move 1 point,
+// influence buttons up to 2.
+const MAX_DELTA = 2;
+
+/**
+ * Mutation requests players may send to the active GM.
+ */
+export const RELAY_ACTIONS = {
+  RESEARCH_ADJUST_POINTS: "research.adjustPoints",
+  RESEARCH_ADJUST_LOCATION: "research.adjustLocationPoints",
+  RESEARCH_ASSIGN_SELF: "research.assignSelf",
+  RESEARCH_UNASSIGN_SELF: "research.unassignSelf",
+  RESEARCH_LOG_NOTE: "research.logNote",
+  INFLUENCE_ADJUST: "influence.adjust",
+  INFLUENCE_LOG_NOTE: "influence.logNote",
+  INFILTRATION_SPEND_EDGE: "infiltration.spendEdge",
+};
+
+/**
+ * Permission policies shared by related actions. Each policy is stored in its
+ * own world setting so the GM can change it from the module settings.
+ */
+const POLICIES = {
+  adjustPoints: {
+    settingKey: "player-policy-adjust-points",
+    choices: ["gm", "assigned", "all"],
+    default: "assigned",
+  },
+  assignSelf: {
+    settingKey: "player-policy-assign-self",
+    choices: ["gm", "all"],
+    default: "all",
+  },
+  logNote: {
+    settingKey: "player-policy-log-note",
+    choices: ["gm", "all"],
+    default: "all",
+  },
+  spendEdge: {
+    settingKey: "player-policy-spend-edge",
+    choices: ["gm", "all"],
+    default: "all",
+  },
+};
+
+const ACTION_POLICIES = {
+  [RELAY_ACTIONS.RESEARCH_ADJUST_POINTS]: "adjustPoints",
+  [RELAY_ACTIONS.RESEARCH_ADJUST_LOCATION]: "adjustPoints",
+  [RELAY_ACTIONS.RESEARCH_ASSIGN_SELF]: "assignSelf",
+  [RELAY_ACTIONS.RESEARCH_UNASSIGN_SELF]: "assignSelf",
+  [RELAY_ACTIONS.RESEARCH_LOG_NOTE]: "logNote",
+  [RELAY_ACTIONS.INFLUENCE_ADJUST]: "adjustPoints",
+  [RELAY_ACTIONS.INFLUENCE_LOG_NOTE]: "logNote",
+  [RELAY_ACTIONS.INFILTRATION_SPEND_EDGE]: "spendEdge",
+};
+
+const ERROR_KEYS = {
+  "no-gm": ["PF2E.PointsTracker.Relay.Error.NoGM", "No GM is connected to apply this change."],
+  permission: [
+    "PF2E.PointsTracker.Relay.Error.Permission",
+    "You do not have permission to perform this action.",
+  ],
+  invalid: ["PF2E.PointsTracker.Relay.Error.Invalid", "The requested change is no longer valid."],
+  timeout: ["PF2E.PointsTracker.Relay.Error.Timeout", "The GM did not respond to the request."],
+  failed: ["PF2E.PointsTracker.Relay.Error.Failed", "The GM was unable to apply this change."],
+};
+
+function createId() {
+  if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
+    return foundry.utils.randomID();
+  }
+  if (typeof crypto !== "undefined" && crypto?.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function trimString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+class RelayError extends Error {
+  /**
+   * @param {keyof ERROR_KEYS} code
+   */
+  constructor(code) {
+    super(code);
+    this.name = "RelayError";
+    this.code = code;
+  }
+}
+
+/**
+ * Routes tracker mutations from player clients through the active GM, who is
+ * the only client able to write world-scoped settings.
+ */
+export class TrackerRelay {
+  /**
+   * @param {object} options
+   * @param {string} options.moduleId
+   * @param {import("../research/tracker.js").ResearchTracker} [options.researchTracker]
+   * @param {import("../influence/tracker.js").InfluenceTracker} [options.influenceTracker]
+   * @param {import("../infiltration/tracker.js").InfiltrationTracker} [options.infiltrationTracker]
+   */
+  constructor({
+    moduleId,
+    researchTracker = null,
+    influenceTracker = null,
+    infiltrationTracker = null,
+  }) {
+    this.moduleId = moduleId;
+    this.socketName = `module.${moduleId}`;
+    this.researchTracker = researchTracker;
+    this.influenceTracker = influenceTracker;
+    this.infiltrationTracker = infiltrationTracker;
+    this._pending = new Map();
+    this._handlers = {
+      [RELAY_ACTIONS.RESEARCH_ADJUST_POINTS]: (payload, user) =>
+        this._handleResearchAdjustPoints(payload, user),
+      [RELAY_ACTIONS.RESEARCH_ADJUST_LOCATION]: (payload, user) =>
+        this._handleResearchAdjustLocation(payload, user),
+      [RELAY_ACTIONS.RESEARCH_ASSIGN_SELF]: (payload, user) =>
+        this._handleResearchAssignment(payload, user, true),
+      [RELAY_ACTIONS.RESEARCH_UNASSIGN_SELF]: (payload, user) =>
+        this._handleResearchAssignment(payload, user, false),
+      [RELAY_ACTIONS.RESEARCH_LOG_NOTE]: (payload, user) =>
+        this._handleResearchNote(payload, user),
+      [RELAY_ACTIONS.INFLUENCE_ADJUST]: (payload, user) =>
+        this._handleInfluenceAdjust(payload, user),
+      [RELAY_ACTIONS.INFLUENCE_LOG_NOTE]: (payload, user) =>
+        this._handleInfluenceNote(payload, user),
+      [RELAY_ACTIONS.INFILTRATION_SPEND_EDGE]: (payload, user) =>
+        this._handleInfiltrationSpendEdge(payload, user),
+    };
+  }
+
+  /**
+   * Register the per-action permission policies.
+   */
+  registerSettings() {
+    if (!game?.settings?.register) return;
+
+    for (const [policyId, policy] of Object.entries(POLICIES)) {
+      const labelKey = policyId.charAt(0).toUpperCase() + policyId.slice(1);
+      game.settings.register(this.moduleId, policy.settingKey, {
+        name: `PF2E.PointsTracker.Relay.Policy.${labelKey}.Name`,
+        hint: `PF2E.PointsTracker.Relay.Policy.${labelKey}.Hint`,
+        scope: "world",
+        config: true,
+        type: String,
+        choices: Object.fromEntries(
+          policy.choices.map((choice) => [
+            choice,
+            `PF2E.PointsTracker.Relay.PolicyChoice.${choice}`,
+          ])
+        ),
+        default: policy.default,
+      });
+    }
+  }
+
+  /**
+   * Start listening for relay messages.
+   */
+  initialize() {
+    if (!game?.socket?.on) return;
+    game.socket.on(this.socketName, (message, senderId) =>
+      this._onSocketMessage(message, senderId)
+    );
+  }
+
+  /**
+   * Read the configured policy for an action.
+   * @param {string} action
+   * @returns {"gm" | "assigned" | "all"}
+   */
+  getPolicy(action) {
+    const policyId = ACTION_POLICIES[action];
+    const policy = POLICIES[policyId];
+    if (!policy) return "gm";
+    let value = policy.default;
+    try {
+      value = game.settings.get(this.moduleId, policy.settingKey) ?? policy.default;
+    } catch (error) {
+      console.warn("pf2e-points-tracker | Unable to read relay policy.", error);
+    }
+    return policy.choices.includes(value) ? value : policy.default;
+  }
+
+  /**
+   * Whether the given user may perform an action right now. Used by the UI to
+   * decide which controls to show and by the GM to validate requests.
+   * @param {string} action
+   * @param {object} [payload]
+   * @param {User} [user]
+   * @returns {boolean}
+   */
+  canPerform(action, payload = {}, user = game.user) {
+    if (!user) return false;
+    if (user.isGM) return true;
+    try {
+      this._authorize(action, payload, user);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Apply a mutation, relaying it through the active GM when the current user
+   * cannot write world settings.
+   * @param {string} action
+   * @param {object} [payload]
+   * @returns {Promise<boolean>}
+   */
+  async request(action, payload = {}) {
+    if (game.user?.isGM) {
+      try {
+        await this._execute(action, payload, game.user);
+        return true;
+      } catch (error) {
+        this._notifyError(error instanceof RelayError ? error.code : "failed");
+        if (!(error instanceof RelayError)) {
+          console.error("pf2e-points-tracker | Failed to apply tracker action.", error);
+        }
+        return false;
+      }
+    }
+
+    if (!this._getActiveGM()) {
+      this._notifyError("no-gm");
+      return false;
+    }
+
+    const requestId = createId();
+    const result = await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this._pending.delete(requestId);
+        resolve({ ok: false, error: "timeout" });
+      }, REQUEST_TIMEOUT_MS);
+      this._pending.set(requestId, { resolve, timeout });
+      game.socket.emit(this.socketName, {
+        type: "request",
+        requestId,
+        action,
+        payload,
+      });
+    });
+
+    if (!result.ok) {
+      this._notifyError(result.error);
+    }
+    return result.ok;
+  }
+
+  async _onSocketMessage(message, senderId) {
+    if (!message || typeof message !== "object") return;
+
+    if (message.type === "response") {
+      if (message.userId !== game.user?.id) return;
+      const pending = this._pending.get(message.requestId);
+      if (!pending) return;
+      clearTimeout(pending.timeout);
+      this._pending.delete(message.requestId);
+      pending.resolve({ ok: Boolean(message.ok), error: message.error });
+      return;
+    }
+
+    if (message.type !== "request" || !this._isActiveGM()) return;
+    // Only Foundry's own sender id can be trusted; anything in the message
+    // body is whatever the client chose to put there.
+    if (typeof senderId !== "string" || !senderId) return;
+
+    const userId = senderId;
+    const user = game.users?.get?.(userId);
+    let error = null;
+    if (!user) {
+      error = "permission";
+    } else {
+      try {
+        await this._execute(message.action, message.payload ?? {}, user);
+      } catch (caught) {
+        error = caught instanceof RelayError ? caught.code : "failed";
+        if (!(caught instanceof RelayError)) {
+          console.error("pf2e-points-tracker | Failed to apply relayed action.", caught);
+        }
+      }
+    }
+
+    game.socket.emit(this.socketName, {
+      type: "response",
+      requestId: message.requestId,
+      userId,
+      ok: error === null,
+      error,
+    });
+  }
+
+  async _execute(action, payload, user) {
+    const handler = this._handlers[action];
+    if (!handler) throw new RelayError("invalid");
+    if (!user.isGM) {
+      this._authorize(action, payload, user);
+    }
+    await handler(payload ?? {}, user);
+  }
+
+  /**
+   * Throw when the user is not allowed to perform the action.
+   * @param {string} action
+   * @param {object} payload
+   * @param {User} user
+   */
+  _authorize(action, payload, user) {
+    if (!this._handlers[action]) throw new RelayError("invalid");
+    const policy = this.getPolicy(action);
+    if (policy === "gm") throw new RelayError("permission");
+
+    switch (action) {
+      case RELAY_ACTIONS.RESEARCH_ADJUST_LOCATION: {
+        const { location } = this._getResearchLocation(payload);
+        if (!location.isRevealed) throw new RelayError("invalid");
+        if (policy === "assigned" && !this._findAssignedOwnedActor(location, user, payload.actorUuid)) {
+          throw new RelayError("permission");
+        }
+        return;
+      }
+      case RELAY_ACTIONS.RESEARCH_ADJUST_POINTS:
+      case RELAY_ACTIONS.INFLUENCE_ADJUST:
+        if (action === RELAY_ACTIONS.RESEARCH_ADJUST_POINTS) this._getResearchTopic(payload);
+        else this._getInfluenceNpc(payload);
+        if (policy === "assigned" && !this._getOwnedActor(payload.actorUuid, user)) {
+          throw new RelayError("permission");
+        }
+        return;
+      case RELAY_ACTIONS.RESEARCH_ASSIGN_SELF:
+      case RELAY_ACTIONS.RESEARCH_UNASSIGN_SELF: {
+        const { location } = this._getResearchLocation(payload);
+        if (!location.isRevealed) throw new RelayError("invalid");
+        if (!this._getOwnedActor(payload.actorUuid, user)) throw new RelayError("permission");
+        return;
+      }
+      case RELAY_ACTIONS.RESEARCH_LOG_NOTE:
+        this._getResearchTopic(payload);
+        return;
+      case RELAY_ACTIONS.INFLUENCE_LOG_NOTE:
+        if (trimString(payload.npcId)) this._getInfluenceNpc(payload);
+        return;
+      case RELAY_ACTIONS.INFILTRATION_SPEND_EDGE:
+        if (this._getInfiltration(payload).edgePoints <= 0) throw new RelayError("invalid");
+        return;
+      default:
+        throw new RelayError("invalid");
+    }
+  }
+
+  async _handleResearchAdjustPoints(payload, user) {
+    const topic = this._getResearchTopic(payload);
+    const delta = this._getDelta(payload);
+    const actor = this._getOwnedActor(payload.actorUuid, user);
+    await this.researchTracker.adjustPoints(topic.id, delta, {
+      actorUuid: actor?.uuid,
+      actorName: actor?.name ?? (user.isGM ? undefined : user.name),
+      reason: trimString(payload.reason) || undefined,
+    });
+  }
+
+  async _handleResearchAdjustLocation(payload, user) {
+    const { topic, location } = this._getResearchLocation(payload);
+    const delta = this._getDelta(payload);
+    const actor =
+      this._findAssignedOwnedActor(location, user, payload.actorUuid) ??
+      this._getOwnedActor(payload.actorUuid, user);
+    await this.researchTracker.adjustLocationPoints(topic.id, location.id, delta, {
+      actorUuid: actor?.uuid,
+      actorName: actor?.name ?? (user.isGM ? undefined : user.name),
+      reason: trimString(payload.reason) || undefined,
+    });
+  }
+
+  async _handleResearchAssignment(payload, user, assign) {
+    const { topic, location } = this._getResearchLocation(payload);
+    const actor = this._getOwnedActor(payload.actorUuid, user);
+    const actorUuid = actor?.uuid ?? trimString(payload.actorUuid);
+    if (!actorUuid) throw new RelayError("invalid");
+
+    const assigned = Array.isArray(location.assignedActors) ? location.assignedActors : [];
+    const isAssigned = assigned.some((entry) => entry.uuid === actorUuid);
+    if (assign === isAssigned) return;
+
+    const assignedActors = assign
+      ? [...assigned, { uuid: actorUuid, ...(actor?.name ? { name: actor.name } : {}) }]
+      : assigned.filter((entry) => entry.uuid !== actorUuid);
+    await this.researchTracker.updateLocation(topic.id, location.id, { assignedActors });
+  }
+
+  async _handleResearchNote(payload, user) {
+    const topic = this._getResearchTopic(payload);
+    const message = this._getNote(payload.message);
+    const actor = this._getOwnedActor(payload.actorUuid, user);
+    await this.researchTracker.recordLog({
+      topicId: topic.id,
+      message,
+      actorUuid: actor?.uuid,
+      actorName: actor?.name ?? user.name,
+    });
+  }
+
+  async _handleInfluenceAdjust(payload, user) {
+    const npc = this._getInfluenceNpc(payload);
+    const delta = this._getDelta(payload);
+    await this.influenceTracker.adjustInfluence(npc.id, delta, {
+      reason: trimString(payload.reason),
+      notify: false,
+      userId: user.id,
+      userName: user.name,
+    });
+  }
+
+  async _handleInfluenceNote(payload, user) {
+    const npcId = trimString(payload.npcId);
+    if (npcId) this._getInfluenceNpc(payload);
+    if (!this.influenceTracker) throw new RelayError("invalid");
+    const note = trimString(payload.note).slice(0, MAX_NOTE_LENGTH);
+    const reason = trimString(payload.reason).slice(0, MAX_NOTE_LENGTH);
+    if (!note && !reason) throw new RelayError("invalid");
+    await this.influenceTracker.addLogEntry({
+      npcId,
+      note,
+      reason,
+      type: payload.type === "info" ? "info" : "note",
+      userId: user.id,
+      userName: user.name,
+    });
+  }
+
+  async _handleInfiltrationSpendEdge(payload, user) {
+    const infiltration = this._getInfiltration(payload);
+    const spent = await this.infiltrationTracker.spendEdgePoint(infiltration.id, {
+      reason: trimString(payload.reason).slice(0, MAX_NOTE_LENGTH),
+      userName: user.name,
+    });
+    if (!spent) throw new RelayError("invalid");
+  }
+
+  _getResearchTopic(payload) {
+    const topic = this.researchTracker?.getTopic(trimString(payload?.topicId));
+    if (!topic) throw new RelayError("invalid");
+    return topic;
+  }
+
+  _getResearchLocation(payload) {
+    const topic = this._getResearchTopic(payload);
+    const locationId = trimString(payload?.locationId);
+    const location = (topic.locations ?? []).find((entry) => entry.id === locationId);
+    if (!location) throw new RelayError("invalid");
+    return { topic, location };
+  }
+
+  _getInfluenceNpc(payload) {
+    const npc = this.influenceTracker?.getNpc(trimString(payload?.npcId));
+    if (!npc) throw new RelayError("invalid");
+    return npc;
+  }
+
+  _getInfiltration(payload) {
+    const infiltration = this.infiltrationTracker?.getInfiltration(
+      trimString(payload?.infiltrationId)
+    );
+    if (!infiltration) throw new RelayError("invalid");
+    return infiltration;
+  }
+
+  _getDelta(payload) {
+    const delta = payload?.delta;
+    if (typeof delta !== "number" || !Number.isInteger(delta) || delta === 0) {
+      throw new RelayError("invalid");
+    }
+    if (Math.abs(delta) > MAX_DELTA) throw new RelayError("invalid");
+    return delta;
+  }
+
+  _getNote(value) {
+    const note = trimString(value).slice(0, MAX_NOTE_LENGTH);
+    if (!note) throw new RelayError("invalid");
+    return note;
+  }
+
+  /**
+   * Resolve an actor the user owns.
+   * @param {string} actorUuid
+   * @param {User} user
+   * @returns {Actor | null}
+   */
+  _getOwnedActor(actorUuid, user) {
+    const uuid = trimString(actorUuid);
+    if (!uuid || !user) return null;
+
+    let actor = null;
+    if (typeof fromUuidSync === "function") {
+      try {
+        const document = fromUuidSync(uuid);
+        actor = document?.documentName === "Actor" ? document : document?.actor ?? null;
+      } catch (error) {
+        console.warn(error);
+      }
+    }
+    if (!actor && typeof game?.actors?.get === "function") {
+      actor = game.actors.get(uuid.startsWith("Actor.") ? uuid.split(".").pop() : uuid) ?? null;
+    }
+    if (!actor || typeof actor.testUserPermission !== "function") return null;
+    return actor.testUserPermission(user, "OWNER") ? actor : null;
+  }
+
+  /**
+   * Find an actor assigned to the location that the user owns, preferring the
+   * one named in the request.
+   * @param {object} location
+   * @param {User} user
+   * @param {string} [preferredUuid]
+   * @returns {Actor | null}
+   */
+  _findAssignedOwnedActor(location, user, preferredUuid) {
+    const assigned = Array.isArray(location?.assignedActors) ? location.assignedActors : [];
+    const preferred = trimString(preferredUuid);
+    const candidates = preferred
+      ? assigned.filter((entry) => entry.uuid === preferred)
+      : assigned;
+    for (const entry of candidates) {
+      const actor = this._getOwnedActor(entry.uuid, user);
+      if (actor) return actor;
+    }
+    return null;
+  }
+
+  _getActiveGM() {
+    if (game.users?.activeGM !== undefined) return game.users.activeGM;
+    const gms = (game.users?.filter?.((user) => user.isGM && user.active) ?? []).sort((a, b) =>
+      a.id.localeCompare(b.id)
+    );
+    return gms[0] ?? null;
+  }
+
+  _isActiveGM() {
+    if (!game.user?.isGM) return false;
+    return this._getActiveGM()?.id === game.user.id;
+  }
+
+  _notifyError(code) {
+    const [key, fallback] = ERROR_KEYS[code] ?? ERROR_KEYS.failed;
+    ui.notifications?.warn?.(localizeWithFallback(key, fallback));
+  }
+}
+
+export function createTrackerRelay(options) {
+  return new TrackerRelay(options);
+}
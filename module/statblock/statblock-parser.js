@@ -0,0 +1,433 @@
+import { parseModifierText } from "../influence/tracker.js";
+import { escapeHtml } from "../utils/html.js";
+
+/**
+ * Labels that start a new field in printed research and influence stat
+ * blocks. Lines that start with none of them continue the previous field,
+ * which undoes the line wrapping of text copied out of a PDF.
+ */
+const FIELD_PATTERNS = [
+  { key: "maximumRp", type: "research", pattern: /^Maximum\s+RP\s*:?\s*(\d+)\s*[;,]?\s*(.*)$/i },
+  { key: "researchChecks", type: "research", pattern: /^Research\s+Checks?\s*:?\s*(.*)$/i },
+  { key: "researchThresholdsHeader", type: "research", pattern: /^Research\s+Thresholds?\s*:?\s*$/i },
+  { key: "researchThreshold", type: "research", pattern: /^(\d+)\s+(?:Research\s+Points?|RP)\s*:?\s*(.*)$/i },
+  { key: "perception", type: "influence", pattern: /^Perception\s+(.*)$/i },
+  { key: "will", type: "influence", pattern: /^Will\s+(.*)$/i },
+  { key: "discovery", type: "influence", pattern: /^Discovery\s*:?\s*(.*)$/i },
+  { key: "influenceSkills", type: "influence", pattern: /^Influence\s+Skills?\s*:?\s*(.*)$/i },
+  { key: "influenceThreshold", type: "influence", pattern: /^Influence\s+(\d+)\s*[:.]?\s*(.*)$/i },
+  { key: "resistances", type: "influence", pattern: /^Resistances?\s*:?\s*(.*)$/i },
+  { key: "weaknesses", type: "influence", pattern: /^Weakness(?:es)?\s*:?\s*(.*)$/i },
+  { key: "background", type: "influence", pattern: /^Background\s*:?\s*(.*)$/i },
+  { key: "appearance", type: "influence", pattern: /^Appearance\s*:?\s*(.*)$/i },
+  { key: "personality", type: "influence", pattern: /^Personality\s*:?\s*(.*)$/i },
+  { key: "penalty", type: "influence", pattern: /^Penalty\s*:?\s*(.*)$/i },
+];
+
+const HEADER_LEVEL_PATTERN = /^(.*?)\s+(?:LIBRARY|RESEARCH|CREATURE|NPC|LEVEL|INFLUENCE)?\s*(-?\d+)$/i;
+
+export const STATBLOCK_TYPES = ["research", "influence"];
+
+const MINOR_WORDS = new Set(["a", "an", "and", "at", "for", "in", "of", "on", "the", "to"]);
+
+/** Title-case names printed in all caps, e.g. "LIBRARY OF THE AGES". */
+function toNameCase(value) {
+  const text = String(value ?? "").trim();
+  if (!text || text !== text.toUpperCase()) return text;
+  return text
+    .toLowerCase()
+    .split(" ")
+    .map((word, index) =>
+      index > 0 && MINOR_WORDS.has(word)
+        ? word
+        : word.replace(/(^|[\-'(])([a-z])/g, (_, prefix, char) => prefix + char.toUpperCase())
+    )
+    .join(" ");
+}
+
+/**
+ * Split on commas and semicolons that are not inside parentheses.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitList(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of String(text ?? "")) {
+    if (char === "(") depth += 1;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if ((char === "," || char === ";") && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter((part) => part);
+}
+
+/**
+ * Read "DC 20 Arcana", "Arcana DC 20" and "Arcana (DC 20)" style entries.
+ * Parenthetical remarks such as "(poetry)" are dropped from the skill.
+ * @param {string} text
+ * @returns {{ skill: string, dc: number | null }[]}
+ */
+export function parseCheckList(text) {
+  return splitList(text)
+    .map((part) => {
+      const leading = /^DC\s*(\d+)\s+(.+)$/i.exec(part);
+      const trailing = /^(.+?)\s*\(?\s*DC\s*(\d+)\s*\)?$/i.exec(part);
+      const skillText = leading?.[2] ?? trailing?.[1] ?? part;
+      const dcText = leading?.[1] ?? trailing?.[2] ?? null;
+      const skill = skillText.replace(/\([^)]*\)/g, "").replace(/\s+/g, " ").trim();
+      const dc = dcText !== null ? Number(dcText) : null;
+      return skill ? { skill, dc: Number.isFinite(dc) ? dc : null } : null;
+    })
+    .filter((check) => check);
+}
+
+/**
+ * Group pasted lines into `{ key, type, match, extra }` fields, joining wrapped
+ * lines onto the field they belong to.
+ * @param {string} text
+ */
+function collectFields(text) {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => line);
+
+  const header = lines.shift() ?? "";
+  const fields = [];
+  for (const line of lines) {
+    const field = FIELD_PATTERNS.find(({ pattern }) => pattern.test(line));
+    if (field) {
+      fields.push({ key: field.key, type: field.type, match: field.pattern.exec(line) });
+      continue;
+    }
+    const previous = fields[fields.length - 1];
+    if (previous) previous.extra = previous.extra ? `${previous.extra} ${line}` : line;
+    else fields.push({ key: "preamble", type: null, match: [line, line] });
+  }
+  return { header, fields };
+}
+
+function fieldText(field, group = 1) {
+  return [field.match?.[group] ?? "", field.extra ?? ""].join(" ").replace(/\s+/g, " ").trim();
+}
+
+function parseHeader(header) {
+  const match = HEADER_LEVEL_PATTERN.exec(header);
+  if (match && match[1]) {
+    return { name: toNameCase(match[1]), level: Number(match[2]) };
+  }
+  return { name: toNameCase(header), level: null };
+}
+
+/**
+ * Guess whether a pasted block is a research or an influence stat block.
+ * @param {string} text
+ * @returns {"research" | "influence" | null}
+ */
+export function detectStatblockType(text) {
+  const { fields } = collectFields(text);
+  const counts = { research: 0, influence: 0 };
+  for (const field of fields) {
+    if (field.type) counts[field.type] += 1;
+  }
+  if (!counts.research && !counts.influence) return null;
+  return counts.research >= counts.influence ? "research" : "influence";
+}
+
+/**
+ * @param {string} text
+ * @returns {object}  Topic data accepted by `ResearchTracker#createTopic`.
+ */
+export function parseResearchStatblock(text) {
+  const { header, fields } = collectFields(text);
+  const { name, level } = parseHeader(header);
+  const thresholds = [];
+  let target = 0;
+  let checks = [];
+
+  for (const field of fields) {
+    switch (field.key) {
+      case "maximumRp": {
+        target = Number(field.match[1]) || 0;
+        const rest = fieldText(field, 2).replace(/^Research\s+Checks?\s*:?\s*/i, "");
+        if (rest) checks = parseCheckList(rest);
+        break;
+      }
+      case "researchChecks":
+        checks = parseCheckList(fieldText(field));
+        break;
+      case "researchThreshold":
+        thresholds.push({
+          points: Number(field.match[1]) || 0,
+          playerText: fieldText(field, 2),
+          gmText: "",
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!target) {
+    target = thresholds.reduce((max, threshold) => Math.max(max, threshold.points), 0);
+  }
+
+  return {
+    name,
+    level: Number.isFinite(level) ? level : null,
+    target,
+    thresholds,
+    locations: checks.length
+      ? [
+          {
+            name,
+            maxPoints: target,
+            checks,
+            skill: checks[0].skill,
+            dc: checks[0].dc,
+          },
+        ]
+      : [],
+  };
+}
+
+/**
+ * @param {string} text
+ * @returns {object}  NPC data accepted by `InfluenceTracker#createNpc`.
+ */
+export function parseInfluenceStatblock(text) {
+  const { header, fields } = collectFields(text);
+  const { name } = parseHeader(header);
+  const npc = {
+    name,
+    maxInfluence: 0,
+    baseDc: null,
+    skillDcs: [],
+    thresholds: [],
+    discoveryChecks: "",
+    influenceChecks: "",
+    penalty: "",
+    resistances: [],
+    weaknesses: [],
+    notes: "",
+  };
+  const notes = [];
+
+  for (const field of fields) {
+    const value = fieldText(field);
+    switch (field.key) {
+      case "perception":
+        notes.push(`Perception ${value}`);
+        break;
+      case "will":
+        notes.push(`Will ${value}`);
+        break;
+      case "discovery":
+        npc.discoveryChecks = value;
+        break;
+      case "influenceSkills":
+        npc.influenceChecks = value;
+        npc.skillDcs = parseCheckList(value);
+        break;
+      case "influenceThreshold":
+        npc.thresholds.push({
+          points: Number(field.match[1]) || 0,
+          playerText: fieldText(field, 2),
+          gmText: "",
+        });
+        break;
+      case "resistances":
+        npc.resistances = parseModifierText(value, "resistances");
+        break;
+      case "weaknesses":
+        npc.weaknesses = parseModifierText(value, "weaknesses");
+        break;
+      case "background":
+      case "appearance":
+      case "personality":
+        notes.push(`${field.match[0].split(/[\s:]/)[0]} ${value}`);
+        break;
+      case "penalty":
+        npc.penalty = value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  npc.notes = notes.join("\n");
+  npc.maxInfluence = npc.thresholds.reduce((max, threshold) => Math.max(max, threshold.points), 0);
+  return npc;
+}
+
+function renderList(labelKey, items) {
+  if (!items.length) return "";
+  return `
+    <div class="statblock-import__section">
+      <strong>${escapeHtml(game.i18n.localize(labelKey))}</strong>
+      <ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>
+    </div>
+  `;
+}
+
+function formatCheck(check) {
+  return Number.isFinite(check.dc) ? `${check.skill} (DC ${check.dc})` : check.skill;
+}
+
+function formatModifier(entry) {
+  const dc = entry.dcModifier ? `DC ${entry.dcModifier > 0 ? "+" : ""}${entry.dcModifier}` : "";
+  const summary = [entry.trigger, dc].filter((part) => part).join(" ");
+  return summary ? `${entry.description} (${summary})` : entry.description;
+}
+
+function renderReview(type, data) {
+  const field = (name, labelKey, value, inputType = "text") => `
+    <div class="form-group">
+      <label>${escapeHtml(game.i18n.localize(labelKey))}</label>
+      <input type="${inputType}" name="${name}" value="${escapeHtml(value ?? "")}" />
+    </div>
+  `;
+
+  if (type === "research") {
+    const checks = data.locations[0]?.checks ?? [];
+    return `
+      ${field("name", "PF2E.PointsTracker.Research.TopicName", data.name)}
+      ${field("level", "PF2E.PointsTracker.Research.Level", data.level, "number")}
+      ${field("target", "PF2E.PointsTracker.Research.Target", data.target, "number")}
+      ${renderList("PF2E.PointsTracker.Statblock.ResearchChecks", checks.map(formatCheck))}
+      ${renderList(
+        "PF2E.PointsTracker.Research.Thresholds",
+        data.thresholds.map((threshold) => `${threshold.points}: ${threshold.playerText}`)
+      )}
+    `;
+  }
+
+  return `
+    ${field("name", "PF2E.PointsTracker.Statblock.Name", data.name)}
+    ${field("maxInfluence", "PF2E.PointsTracker.Statblock.MaxInfluence", data.maxInfluence, "number")}
+    ${field("baseDc", "PF2E.PointsTracker.Statblock.BaseDc", data.baseDc, "number")}
+    ${renderList("PF2E.PointsTracker.Statblock.InfluenceSkills", data.skillDcs.map(formatCheck))}
+    ${renderList(
+      "PF2E.PointsTracker.Statblock.InfluenceThresholds",
+      data.thresholds.map((threshold) => `${threshold.points}: ${threshold.playerText}`)
+    )}
+    ${renderList("PF2E.PointsTracker.Statblock.Discovery", data.discoveryChecks ? [data.discoveryChecks] : [])}
+    ${renderList("PF2E.PointsTracker.Statblock.Resistances", data.resistances.map(formatModifier))}
+    ${renderList("PF2E.PointsTracker.Statblock.Weaknesses", data.weaknesses.map(formatModifier))}
+    ${renderList("PF2E.PointsTracker.Statblock.Penalty", data.penalty ? [data.penalty] : [])}
+    ${renderList("PF2E.PointsTracker.Statblock.Notes", data.notes ? data.notes.split("\n") : [])}
+  `;
+}
+
+function readNumber(form, name, fallback) {
+  const raw = form.querySelector(`input[name='${name}']`)?.value;
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export class StatblockImport {
+  /**
+   * Paste a stat block, review what was read and create the topic or NPC.
+   * @param {{ researchTracker?: object, influenceTracker?: object }} trackers
+   * @param {{ type?: "research" | "influence" }} [options]  Preselected stat block type.
+   */
+  static async promptImport({ researchTracker, influenceTracker }, { type = null } = {}) {
+    if (!game.user?.isGM) return null;
+    const available = STATBLOCK_TYPES.filter((candidate) =>
+      candidate === "research" ? researchTracker : influenceTracker
+    );
+    const typeOptions = [
+      `<option value="">${escapeHtml(game.i18n.localize("PF2E.PointsTracker.Statblock.TypeAuto"))}</option>`,
+      ...available.map(
+        (candidate) =>
+          `<option value="${candidate}" ${candidate === type ? "selected" : ""}>${escapeHtml(
+            game.i18n.localize(`PF2E.PointsTracker.Statblock.Type.${candidate}`)
+          )}</option>`
+      ),
+    ].join("");
+
+    const pasted = await Dialog.prompt({
+      title: game.i18n.localize("PF2E.PointsTracker.Statblock.Title"),
+      content: `
+        <form class="flexcol statblock-import">
+          <p>${game.i18n.localize("PF2E.PointsTracker.Statblock.Hint")}</p>
+          <div class="form-group">
+            <label>${game.i18n.localize("PF2E.PointsTracker.Statblock.TypeLabel")}</label>
+            <select name="type">${typeOptions}</select>
+          </div>
+          <textarea name="text" rows="14"></textarea>
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Statblock.Parse"),
+      callback: (html) => ({
+        type: html[0].querySelector("select[name='type']")?.value ?? "",
+        text: html[0].querySelector("textarea[name='text']")?.value ?? "",
+      }),
+      rejectClose: false,
+    });
+    if (!pasted?.text?.trim()) return null;
+
+    const resolvedType = pasted.type || detectStatblockType(pasted.text);
+    if (!resolvedType || !available.includes(resolvedType)) {
+      ui.notifications?.warn?.(game.i18n.localize("PF2E.PointsTracker.Statblock.Unrecognized"));
+      return null;
+    }
+
+    const data =
+      resolvedType === "research"
+        ? parseResearchStatblock(pasted.text)
+        : parseInfluenceStatblock(pasted.text);
+
+    const reviewed = await Dialog.prompt({
+      title: game.i18n.format("PF2E.PointsTracker.Statblock.ReviewTitle", {
+        type: game.i18n.localize(`PF2E.PointsTracker.Statblock.Type.${resolvedType}`),
+      }),
+      content: `
+        <form class="flexcol statblock-import statblock-import--review">
+          <p>${game.i18n.localize("PF2E.PointsTracker.Statblock.ReviewHint")}</p>
+          ${renderReview(resolvedType, data)}
+        </form>
+      `,
+      label: game.i18n.localize("PF2E.PointsTracker.Statblock.Create"),
+      callback: (html) => {
+        const form = html[0].querySelector("form");
+        const name = form.querySelector("input[name='name']")?.value?.trim() || data.name;
+        if (resolvedType === "research") {
+          const target = readNumber(form, "target", data.target);
+          return {
+            ...data,
+            name,
+            level: readNumber(form, "level", data.level),
+            target,
+            locations: data.locations.map((location) => ({ ...location, name, maxPoints: target })),
+          };
+        }
+        return {
+          ...data,
+          name,
+          maxInfluence: readNumber(form, "maxInfluence", data.maxInfluence),
+          baseDc: readNumber(form, "baseDc", data.baseDc),
+        };
+      },
+      rejectClose: false,
+    });
+    if (!reviewed) return null;
+
+    const created =
+      resolvedType === "research"
+        ? await researchTracker.createTopic(reviewed)
+        : await influenceTracker.createNpc(reviewed);
+    ui.notifications?.info?.(
+      game.i18n.format("PF2E.PointsTracker.Statblock.Created", { name: created?.name ?? reviewed.name })
+    );
+    return created;
+  }
+}
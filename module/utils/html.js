@@ -0,0 +1,19 @@
+const HTML_ESCAPE_LOOKUP = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export function escapeHtml(value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof foundry !== "undefined" && foundry?.utils?.escapeHTML) {
+    try {
+      return foundry.utils.escapeHTML(String(value));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPE_LOOKUP[char] ?? char);
+}
@@ -6,3 +6,15 @@ export function localizeWithFallback(key, fallback = "") {
 
   return fallback;
 }
+
+export function formatWithFallback(key, data = {}, fallback = "") {
+  const formatted = typeof game !== "undefined" ? game?.i18n?.format?.(key, data) : undefined;
+  if (typeof formatted === "string" && formatted && formatted !== key) {
+    return formatted;
+  }
+
+  return Object.entries(data).reduce(
+    (text, [name, value]) => text.replaceAll(`{${name}}`, String(value ?? "")),
+    fallback
+  );
+}
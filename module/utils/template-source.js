@@ -0,0 +1,22 @@
+/**
+ * @typedef {object} TemplateSource
+ * @property {string} key  Library key of the template the entry was created from.
+ * @property {string} source  Module or pack that registered the template.
+ * @property {number} version  Template version at the time of the last refresh.
+ */
+
+/**
+ * @param {unknown} raw
+ * @returns {TemplateSource | null}
+ */
+export function normalizeTemplateSource(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const key = typeof raw.key === "string" ? raw.key.trim() : "";
+  if (!key) return null;
+  const version = Number(raw.version);
+  return {
+    key,
+    source: typeof raw.source === "string" ? raw.source.trim() : "",
+    version: Number.isFinite(version) ? version : 1,
+  };
+}
@@ -0,0 +1,460 @@
+import { escapeHtml } from "../utils/html.js";
+import { formatWithFallback, localizeWithFallback } from "../utils/localize.js";
+
+export const VICTORY_UPDATE_HOOK = "pf2ePointsTrackerVictoryUpdated";
+
+/**
+ * Called when a track's Victory Points rise to or past one of its thresholds.
+ */
+export const VICTORY_THRESHOLD_HOOK = "pf2ePointsTrackerVictoryThresholdReached";
+
+const DEFAULT_STATE = {
+  tracks: [],
+  log: [],
+};
+
+const DEFAULT_NAME_KEY = "PF2E.PointsTracker.Victory.DefaultName";
+const DEFAULT_NAME_FALLBACK = "Victory Points";
+
+function getDefaultName() {
+  return localizeWithFallback(DEFAULT_NAME_KEY, DEFAULT_NAME_FALLBACK);
+}
+
+function duplicateData(data) {
+  if (typeof foundry !== "undefined" && foundry?.utils?.duplicate) {
+    return foundry.utils.duplicate(data);
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+function createId() {
+  if (typeof foundry !== "undefined" && foundry?.utils?.randomID) {
+    return foundry.utils.randomID();
+  }
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return Math.random().toString(36).slice(2, 10);
+}
+
+function trimString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function toCount(value, minimum = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(minimum, Math.floor(number)) : minimum;
+}
+
+function normalizeChecks(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const normalized = [];
+  for (const entry of list) {
+    const skill = trimString(entry?.skill);
+    if (!skill) continue;
+    const dcValue = Number(entry.dc);
+    normalized.push({ skill, dc: Number.isFinite(dcValue) && dcValue > 0 ? dcValue : null });
+  }
+  return normalized;
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {VictoryThreshold[]}
+ */
+function normalizeThresholds(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => ({
+      id: trimString(entry.id) || createId(),
+      points: toCount(entry.points, 1),
+      gmText: trimString(entry.gmText),
+      playerText: trimString(entry.playerText),
+      reachedAt: Number.isFinite(entry.reachedAt) && entry.reachedAt > 0 ? entry.reachedAt : null,
+    }))
+    .sort((a, b) => a.points - b.points);
+}
+
+/**
+ * @param {Partial<VictoryTrack>} data
+ * @returns {VictoryTrack}
+ */
+function normalizeTrack(data = {}) {
+  const max = toCount(data.max);
+  const current = toCount(data.current);
+  return {
+    id: trimString(data.id) || createId(),
+    name: trimString(data.name) || getDefaultName(),
+    description: trimString(data.description),
+    current: max > 0 ? Math.min(current, max) : current,
+    max,
+    thresholds: normalizeThresholds(data.thresholds),
+    checks: normalizeChecks(data.checks),
+    createdAt: Number.isFinite(data.createdAt) ? data.createdAt : Date.now(),
+    updatedAt: Number.isFinite(data.updatedAt) ? data.updatedAt : null,
+  };
+}
+
+function normalizeLogEntry(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const trackId = trimString(entry.trackId);
+  if (!trackId) return null;
+  const delta = Number(entry.delta ?? 0);
+  const total = Number(entry.total);
+  return {
+    id: trimString(entry.id) || createId(),
+    trackId,
+    delta: Number.isFinite(delta) ? delta : 0,
+    total: Number.isFinite(total) ? total : null,
+    reason: trimString(entry.reason),
+    userId: typeof entry.userId === "string" ? entry.userId : null,
+    userName: typeof entry.userName === "string" ? entry.userName : null,
+    timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now(),
+  };
+}
+
+/**
+ * @typedef {object} VictoryThreshold
+ * @property {string} id
+ * @property {number} points
+ * @property {string} gmText  Only ever shown to GMs.
+ * @property {string} playerText  Shown to players once the threshold is reached.
+ * @property {number | null} reachedAt  When the track last rose to the threshold.
+ */
+
+/**
+ * @typedef {object} VictoryTrack
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} current
+ * @property {number} max  Maximum Victory Points; 0 leaves the track open-ended.
+ * @property {VictoryThreshold[]} thresholds  Sorted by points.
+ * @property {{ skill: string, dc: number | null }[]} checks  Checks that can earn points.
+ * @property {number} createdAt
+ * @property {number | null} updatedAt
+ */
+
+/**
+ * @typedef {object} VictoryLogEntry
+ * @property {string} id
+ * @property {string} trackId
+ * @property {number} delta
+ * @property {number | null} total
+ * @property {string} reason
+ * @property {string | null} userId
+ * @property {string | null} userName
+ * @property {number} timestamp
+ */
+
+/**
+ * Freeform Victory Points tracks from the Gamemastery Guide, for heists,
+ * tournaments, debates and any other challenge without a dedicated tracker.
+ */
+export class VictoryPointsTracker {
+  /**
+   * @param {object} options
+   * @param {string} options.moduleId
+   * @param {string} options.settingKey
+   */
+  constructor({ moduleId, settingKey }) {
+    this.moduleId = moduleId;
+    this.settingKey = settingKey;
+    this.state = duplicateData(DEFAULT_STATE);
+  }
+
+  registerSettings() {
+    if (typeof game?.settings?.register !== "function") return;
+    game.settings.register(this.moduleId, this.settingKey, {
+      name: "Victory Points Tracker State",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: duplicateData(DEFAULT_STATE),
+      onChange: (value) => this._applyState(value),
+    });
+  }
+
+  async initialize() {
+    if (typeof game?.settings?.get !== "function") return;
+    const stored = await game.settings.get(this.moduleId, this.settingKey);
+    this._applyState(stored);
+  }
+
+  _applyState(stored) {
+    const state = stored && typeof stored === "object" ? stored : DEFAULT_STATE;
+    const tracks = (Array.isArray(state.tracks) ? state.tracks : []).map((entry) =>
+      normalizeTrack(entry)
+    );
+    const trackIds = new Set(tracks.map((track) => track.id));
+    this.state = {
+      tracks,
+      log: (Array.isArray(state.log) ? state.log : [])
+        .map((entry) => normalizeLogEntry(entry))
+        .filter((entry) => entry !== null && trackIds.has(entry.trackId))
+        .sort((a, b) => a.timestamp - b.timestamp),
+    };
+
+    Hooks?.callAll?.(VICTORY_UPDATE_HOOK, {
+      tracker: this,
+      tracks: this.getTracks(),
+    });
+  }
+
+  async _persist() {
+    if (typeof game?.settings?.set !== "function") return;
+    await game.settings.set(this.moduleId, this.settingKey, duplicateData(this.state));
+  }
+
+  /**
+   * Replace the current state.
+   * @param {object} state
+   */
+  async importState(state) {
+    this._applyState({
+      tracks: Array.isArray(state?.tracks) ? state.tracks : [],
+      log: Array.isArray(state?.log) ? state.log : [],
+    });
+    await this._persist();
+  }
+
+  /**
+   * Export the current tracker state.
+   * @returns {object}
+   */
+  exportState() {
+    return {
+      tracks: this.getTracks(),
+      log: this.getLog(),
+    };
+  }
+
+  /**
+   * @returns {VictoryTrack[]}
+   */
+  getTracks() {
+    return duplicateData(this.state.tracks ?? []);
+  }
+
+  /**
+   * @param {string} trackId
+   * @returns {VictoryTrack | null}  A copy; change it through the tracker's methods.
+   */
+  getTrack(trackId) {
+    const track = this._findTrack(trackId);
+    return track ? duplicateData(track) : null;
+  }
+
+  _findTrack(trackId) {
+    return this.state.tracks?.find((entry) => entry.id === trackId) ?? null;
+  }
+
+  /**
+   * @returns {VictoryLogEntry[]}
+   */
+  getLog() {
+    return duplicateData(this.state.log ?? []);
+  }
+
+  /**
+   * @param {string} trackId
+   * @returns {VictoryLogEntry[]}
+   */
+  getTrackLog(trackId) {
+    return this.getLog().filter((entry) => entry.trackId === trackId);
+  }
+
+  /**
+   * @param {Partial<VictoryTrack>} [data]
+   * @returns {Promise<VictoryTrack>}
+   */
+  async createTrack(data = {}) {
+    const track = normalizeTrack({
+      name: data.name,
+      description: data.description,
+      current: data.current,
+      max: data.max,
+      thresholds: data.thresholds,
+      checks: data.checks,
+      updatedAt: Date.now(),
+    });
+    const reached = this._syncThresholds(track, 0);
+    this.state.tracks = [...(this.state.tracks ?? []), track];
+    await this._persist();
+    await this._announceThresholds(track, reached);
+    return duplicateData(track);
+  }
+
+  /**
+   * @param {string} trackId
+   * @param {Partial<VictoryTrack>} updates
+   * @returns {Promise<VictoryTrack | null>}
+   */
+  async updateTrack(trackId, updates = {}) {
+    const index = this.state.tracks?.findIndex((entry) => entry.id === trackId) ?? -1;
+    if (index === -1) return null;
+    const existing = this.state.tracks[index];
+    const merged = { ...existing };
+    for (const key of ["name", "description"]) {
+      if (typeof updates[key] === "string") merged[key] = updates[key];
+    }
+    for (const key of ["current", "max"]) {
+      if (Object.prototype.hasOwnProperty.call(updates, key)) merged[key] = updates[key];
+    }
+    for (const key of ["thresholds", "checks"]) {
+      if (Array.isArray(updates[key])) merged[key] = updates[key];
+    }
+    const track = normalizeTrack({ ...merged, id: trackId, updatedAt: Date.now() });
+    const reached = this._syncThresholds(track, existing.current);
+    this.state.tracks[index] = track;
+    if (track.current !== existing.current) {
+      this._recordLog({ trackId, delta: track.current - existing.current, total: track.current });
+    }
+    await this._persist();
+    await this._announceThresholds(track, reached);
+    return duplicateData(track);
+  }
+
+  /**
+   * @param {string} trackId
+   * @returns {Promise<boolean>}
+   */
+  async deleteTrack(trackId) {
+    const before = this.state.tracks ?? [];
+    const filtered = before.filter((entry) => entry.id !== trackId);
+    if (filtered.length === before.length) return false;
+    this.state.tracks = filtered;
+    this.state.log = (this.state.log ?? []).filter((entry) => entry.trackId !== trackId);
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * Add or remove Victory Points and log the change.
+   * @param {string} trackId
+   * @param {number} delta
+   * @param {object} [metadata]
+   * @param {string} [metadata.reason]  Recorded in the log.
+   * @returns {Promise<VictoryTrack | null>}
+   */
+  async adjustPoints(trackId, delta, metadata = {}) {
+    const track = this._findTrack(trackId);
+    if (!track) return null;
+    const change = Number(delta);
+    if (!Number.isFinite(change) || change === 0) return duplicateData(track);
+
+    const previous = track.current;
+    const raised = Math.max(0, previous + Math.trunc(change));
+    track.current = track.max > 0 ? Math.min(raised, track.max) : raised;
+    if (track.current === previous) return duplicateData(track);
+    track.updatedAt = Date.now();
+    const reached = this._syncThresholds(track, previous);
+    this._recordLog({
+      trackId,
+      delta: track.current - previous,
+      total: track.current,
+      reason: metadata?.reason,
+    });
+    await this._persist();
+    await this._announceThresholds(track, reached);
+    return duplicateData(track);
+  }
+
+  /**
+   * @param {string} logId
+   * @returns {Promise<boolean>}
+   */
+  async deleteLogEntry(logId) {
+    const before = this.state.log ?? [];
+    this.state.log = before.filter((entry) => entry.id !== logId);
+    if (this.state.log.length === before.length) return false;
+    await this._persist();
+    return true;
+  }
+
+  /**
+   * @param {Partial<VictoryLogEntry>} data
+   */
+  _recordLog(data) {
+    const entry = normalizeLogEntry({
+      ...data,
+      id: createId(),
+      timestamp: Date.now(),
+      userId: game?.user?.id ?? null,
+      userName: game?.user?.name ?? null,
+    });
+    if (entry) this.state.log = [...(this.state.log ?? []), entry];
+  }
+
+  /**
+   * Mark thresholds the track rose to since `previous`, and clear the mark on
+   * thresholds it fell below so they trigger again. Mutates the track.
+   * @param {VictoryTrack} track
+   * @param {number} previous
+   * @returns {VictoryThreshold[]} The thresholds that were reached.
+   */
+  _syncThresholds(track, previous) {
+    const reached = [];
+    const timestamp = Date.now();
+    for (const threshold of track.thresholds) {
+      if (track.current < threshold.points) {
+        threshold.reachedAt = null;
+      } else if (previous < threshold.points && !threshold.reachedAt) {
+        threshold.reachedAt = timestamp;
+        reached.push(threshold);
+      }
+    }
+    return reached;
+  }
+
+  /**
+   * Post the player text of reached thresholds to chat, whisper their GM text
+   * to the GMs and fire {@link VICTORY_THRESHOLD_HOOK} for each.
+   * @param {VictoryTrack} track
+   * @param {VictoryThreshold[]} thresholds
+   */
+  async _announceThresholds(track, thresholds) {
+    if (!thresholds.length) return;
+    const gmRecipients = ChatMessage?.getWhisperRecipients
+      ? ChatMessage.getWhisperRecipients("GM").map((user) => user.id)
+      : [];
+
+    for (const threshold of thresholds) {
+      Hooks?.callAll?.(VICTORY_THRESHOLD_HOOK, {
+        tracker: this,
+        track: duplicateData(track),
+        threshold: { ...threshold },
+        current: track.current,
+      });
+
+      if (typeof ChatMessage?.create !== "function") continue;
+      const header = escapeHtml(
+        formatWithFallback(
+          "PF2E.PointsTracker.Victory.Thresholds.ReachedMessage",
+          { name: track.name, points: threshold.points },
+          "{name} reached {points} Victory Points."
+        )
+      );
+      const toHtml = (text) => `<p>${escapeHtml(text).replace(/\n/g, "<br />")}</p>`;
+      if (threshold.playerText) {
+        await ChatMessage.create({
+          user: game.user?.id,
+          speaker: { alias: track.name },
+          content: `<div class="pf2e-victory-threshold"><h3>${header}</h3>${toHtml(threshold.playerText)}</div>`,
+        });
+      }
+      if (threshold.gmText && gmRecipients.length) {
+        await ChatMessage.create({
+          user: game.user?.id,
+          speaker: { alias: track.name },
+          whisper: gmRecipients,
+          content: `<div class="pf2e-victory-threshold pf2e-victory-threshold--gm"><h3>${header}</h3>${toHtml(threshold.gmText)}</div>`,
+        });
+      }
+    }
+  }
+}
+
+export function createVictoryPointsTracker({ moduleId, settingKey }) {
+  return new VictoryPointsTracker({ moduleId, settingKey });
+}